@@ -1,28 +1,63 @@
 import { useState, useEffect } from 'react'
 import './App.css'
 import logger from './utils/logger'
+import { restoreSnapshot } from './utils/snapshots'
+import { OVERTIME_POLICIES, DEFAULT_OVERTIME_POLICY } from './utils/overtime'
+import { RULE_PRESETS, DEFAULT_RULES } from './utils/rules'
+import { describeWeather } from './utils/weather'
 import GameDisplay from './components/GameDisplay'
 import GameBrowser from './components/GameBrowser'
 
 const SAVED_GAME_KEY = 'tifootball_saved_game'
 
+// Who calls the plays for the next game (the computer coaches the rest)
+const COACH_OPTIONS = {
+  none: { label: 'Neither', home: false, away: false },
+  away: { label: 'Away', home: false, away: true },
+  home: { label: 'Home', home: true, away: false },
+  both: { label: 'Both (2 players)', home: true, away: true }
+}
+
+// Injury report line for one team ("none" when everyone can play)
+function formatInjuries(injuries = []) {
+  if (injuries.length === 0) return 'none'
+  return injuries
+    .map(p => `${p.firstName} ${p.lastName} (${p.position}, ${p.injury}, back week ${p.returnWeek})`)
+    .join('; ')
+}
+
+// Name of a league rules spec (a preset name or { preset, ...overrides })
+function getRulesLabel(spec = DEFAULT_RULES) {
+  const { preset = DEFAULT_RULES, ...overrides } = typeof spec === 'string' ? { preset: spec } : spec
+  const label = RULE_PRESETS[preset]?.label || preset
+  return Object.keys(overrides).length > 0 ? `${label} (modified)` : label
+}
+
 function App() {
   const [nextGame, setNextGame] = useState(null)
   const [standings, setStandings] = useState([])
   const [loading, setLoading] = useState(true)
   const [pauseDuration, setPauseDuration] = useState(3) // Default 3 seconds
+  const [humanCoach, setHumanCoach] = useState('none')  // Key of COACH_OPTIONS
+  const [overtimePolicy, setOvertimePolicy] = useState(DEFAULT_OVERTIME_POLICY)  // Key of OVERTIME_POLICIES
   const [gameInProgress, setGameInProgress] = useState(false)
   const [currentGame, setCurrentGame] = useState(null)
   const [savedGameState, setSavedGameState] = useState(null)
   const [showBrowser, setShowBrowser] = useState(false)
+  const [replayGame, setReplayGame] = useState(null) // { game, plays } for a game being relived
 
   useEffect(() => {
     // Check for saved game on load
     const saved = localStorage.getItem(SAVED_GAME_KEY)
     if (saved) {
       try {
+        // Older saves hold the raw game state instead of a snapshot
         const parsed = JSON.parse(saved)
-        setSavedGameState(parsed)
+        const gameState = restoreSnapshot(parsed.snapshot ?? parsed.gameState)
+        if (!gameState) {
+          throw new Error('saved game is from a newer version or unreadable')
+        }
+        setSavedGameState({ ...parsed, gameState })
         logger.info('Found saved game in progress')
       } catch (e) {
         logger.error('Failed to parse saved game:', e)
@@ -43,6 +78,8 @@ function App() {
       const standingsData = await standingsRes.json()
 
       setNextGame(gameData)
+      // The schedule's rules for this game, or the league's
+      setOvertimePolicy(gameData.overtime_policy || DEFAULT_OVERTIME_POLICY)
       setStandings(standingsData)
       setLoading(false)
       logger.info('Data loaded successfully')
@@ -63,15 +100,30 @@ function App() {
         city: nextGame.home_city,
         name: nextGame.home_name,
         abbreviation: nextGame.home_abbr,
-        tendencies: nextGame.home_tendencies
+        tendencies: nextGame.home_tendencies,
+        fourthDownTendencies: nextGame.home_fourth_down_tendencies,
+        defenseTendencies: nextGame.home_defense_tendencies,
+        ratings: nextGame.home_ratings,
+        roster: nextGame.home_roster,  // Injured players left out (see injuries.js)
+        injuries: nextGame.home_injuries
       },
       awayTeam: {
         id: nextGame.away_team_id,
         city: nextGame.away_city,
         name: nextGame.away_name,
         abbreviation: nextGame.away_abbr,
-        tendencies: nextGame.away_tendencies
-      }
+        tendencies: nextGame.away_tendencies,
+        fourthDownTendencies: nextGame.away_fourth_down_tendencies,
+        defenseTendencies: nextGame.away_defense_tendencies,
+        ratings: nextGame.away_ratings,
+        roster: nextGame.away_roster,
+        injuries: nextGame.away_injuries
+      },
+      humanCoaches: { home: COACH_OPTIONS[humanCoach].home, away: COACH_OPTIONS[humanCoach].away },
+      overtimePolicy,
+      playoff: !!nextGame.playoff,
+      rules: nextGame.rules,  // The league's rules spec (see rules.js)
+      weather: nextGame.weather  // From the home city and game date (see weather.js)
     })
 
     setGameInProgress(true)
@@ -97,6 +149,36 @@ function App() {
     // TODO: Save game results to database
   }
 
+  // Load a completed game's play log and relive it in GameDisplay
+  async function handleReliveGame(game) {
+    try {
+      const response = await fetch(`/api/games/${game.id}/plays`)
+      const plays = await response.json()
+      const replay = plays.map(play => play.details).filter(Boolean)
+      if (replay.length === 0) {
+        logger.error(`No saved play log for game ${game.id}`)
+        return
+      }
+
+      logger.info(`Reliving game ${game.id}: ${game.away_abbr} @ ${game.home_abbr}`)
+      setReplayGame({
+        game: {
+          homeTeam: { id: game.home_team_id, city: game.home_city, name: game.home_name, abbreviation: game.home_abbr },
+          awayTeam: { id: game.away_team_id, city: game.away_city, name: game.away_name, abbreviation: game.away_abbr },
+          rules: game.rules
+        },
+        plays: replay
+      })
+    } catch (error) {
+      logger.error('Error loading game replay:', error)
+    }
+  }
+
+  function handleReplayDone() {
+    logger.info('Replay finished')
+    setReplayGame(null)
+  }
+
   function handleResumeGame() {
     if (savedGameState) {
       logger.info('Resuming saved game')
@@ -132,11 +214,29 @@ function App() {
     )
   }
 
+  // Show a completed game being relived
+  if (replayGame) {
+    return (
+      <div className="app">
+        <GameDisplay
+          game={replayGame.game}
+          pauseDuration={pauseDuration}
+          onPauseDurationChange={setPauseDuration}
+          onDone={handleReplayDone}
+          replay={replayGame.plays}
+        />
+      </div>
+    )
+  }
+
   // Show game browser
   if (showBrowser) {
     return (
       <div className="app">
-        <GameBrowser onBack={() => { setShowBrowser(false); fetchData(); }} />
+        <GameBrowser
+          onBack={() => { setShowBrowser(false); fetchData(); }}
+          onViewGame={handleReliveGame}
+        />
       </div>
     )
   }
@@ -210,16 +310,55 @@ function App() {
               I'm going fast again!
             </label>
           </div>
+          <div className="pause-control">
+            <label>You coach:</label>
+            {Object.entries(COACH_OPTIONS).map(([key, option]) => (
+              <label key={key} className="radio-option">
+                <input
+                  type="radio"
+                  name="coach"
+                  value={key}
+                  checked={humanCoach === key}
+                  onChange={(e) => setHumanCoach(e.target.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+          <div className="pause-control">
+            <label>Overtime:</label>
+            {Object.entries(OVERTIME_POLICIES).map(([key, policy]) => (
+              <label key={key} className="radio-option">
+                <input
+                  type="radio"
+                  name="overtime"
+                  value={key}
+                  checked={overtimePolicy === key}
+                  disabled={nextGame.overtime_locked}
+                  onChange={(e) => setOvertimePolicy(e.target.value)}
+                />
+                {policy.label}
+              </label>
+            ))}
+            {nextGame.overtime_locked && <span className="radio-option">(set by the league rules)</span>}
+          </div>
           <br />
           <button className="begin-game-btn" onClick={handleBeginGame}>
             Begin Game {nextGame.game_number}: {nextGame.away_abbr} @ {nextGame.home_abbr}
           </button>
           <p className="game-details">
-            Week {nextGame.week} - {nextGame.game_day}, {nextGame.game_date}
+            Week {nextGame.week} - {nextGame.game_day}, {nextGame.game_date}{nextGame.playoff ? ' (Playoffs - no ties)' : ''}
           </p>
+          <p className="game-details">Rules: {getRulesLabel(nextGame.rules)}</p>
+          {nextGame.weather && <p className="game-details">Weather: {describeWeather(nextGame.weather)}</p>}
           <p className="matchup">
             {nextGame.away_city} {nextGame.away_name} @ {nextGame.home_city} {nextGame.home_name}
           </p>
+          <div className="injury-report">
+            <h3>Injury Report</h3>
+            <p>{nextGame.away_abbr}: {formatInjuries(nextGame.away_injuries)}</p>
+            <p>{nextGame.home_abbr}: {formatInjuries(nextGame.home_injuries)}</p>
+          </div>
         </div>
       )}
 
@@ -0,0 +1,109 @@
+import { formatGameClock } from '../utils/gameSimulation'
+import './DriveChart.css'
+
+// How each drive ended, as printed in the chart
+const DRIVE_RESULT_LABELS = {
+  TD: 'Touchdown',
+  FG: 'Field Goal',
+  MISSED_FG: 'Missed FG',
+  PUNT: 'Punt',
+  TURNOVER: 'Turnover',
+  DOWNS: 'Downs',
+  SAFETY: 'Safety',
+  END_OF_HALF: 'End of Half',
+  END_OF_GAME: 'End of Game'
+}
+
+// Points per drive and average starting field position for one team
+function summarizeDrives(drives) {
+  if (drives.length === 0) return null
+  const points = drives.reduce((sum, drive) => sum + drive.points, 0)
+  const start = drives.reduce((sum, drive) => sum + drive.start_yardline, 0)
+  return {
+    drives: drives.length,
+    pointsPerDrive: (points / drives.length).toFixed(2),
+    averageStart: Math.round(start / drives.length)
+  }
+}
+
+function formatFieldPosition(yardline) {
+  if (yardline === 50) return 'mid'
+  return yardline < 50 ? `own ${yardline}` : `OPP ${100 - yardline}`
+}
+
+function formatQuarter(quarter) {
+  return quarter <= 4 ? `Q${quarter}` : 'OT'
+}
+
+/**
+ * Drive chart for one game
+ * Drives are in database format (see drivesToDbFormat in GameDisplay); each
+ * bar runs from where the drive started to where it ended, left to right
+ * toward the offense's goal line
+ */
+function DriveChart({ drives, homeTeam, awayTeam }) {
+  if (!drives || drives.length === 0) return null
+
+  const teams = [awayTeam, homeTeam]
+
+  return (
+    <div className="drive-chart">
+      <h3>Drive Chart</h3>
+      <table className="drive-table">
+        <thead>
+          <tr>
+            <th>Team</th>
+            <th>Qtr</th>
+            <th>Start</th>
+            <th>Field</th>
+            <th>Plays</th>
+            <th>Yds</th>
+            <th>Time</th>
+            <th>Result</th>
+          </tr>
+        </thead>
+        <tbody>
+          {drives.map(drive => {
+            const team = drive.team_id === homeTeam.id ? homeTeam : awayTeam
+            const from = Math.min(drive.start_yardline, drive.start_yardline + drive.net_yards)
+            return (
+              <tr key={drive.drive_number} className={drive.points > 0 ? 'scoring-drive' : ''}>
+                <td className="drive-team">{team.abbreviation}</td>
+                <td>{formatQuarter(drive.start_quarter)}</td>
+                <td>{formatGameClock(drive.start_clock)}</td>
+                <td className="drive-field">
+                  <span className="drive-start">{formatFieldPosition(drive.start_yardline)}</span>
+                  <span className="drive-bar-track">
+                    <span
+                      className={`drive-bar ${drive.net_yards < 0 ? 'lost' : ''}`}
+                      style={{ left: `${from}%`, width: `${Math.max(1, Math.abs(drive.net_yards))}%` }}
+                    />
+                  </span>
+                </td>
+                <td>{drive.plays}</td>
+                <td>{drive.net_yards}</td>
+                <td>{formatGameClock(drive.time_consumed)}</td>
+                <td>{DRIVE_RESULT_LABELS[drive.result] || drive.result}</td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+
+      <div className="drive-summary">
+        {teams.map(team => {
+          const summary = summarizeDrives(drives.filter(drive => drive.team_id === team.id))
+          if (!summary) return null
+          return (
+            <div key={team.id} className="drive-summary-line">
+              <span className="drive-team">{team.abbreviation}</span>
+              <span>{summary.drives} drives, {summary.pointsPerDrive} pts/drive, avg start {formatFieldPosition(summary.averageStart)}</span>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default DriveChart
@@ -1,7 +1,74 @@
 import { useState, useEffect } from 'react'
 import { formatGameClock } from '../utils/gameSimulation'
+import { getOpeningWinProbability } from '../utils/winProbability'
+import { describeWeather } from '../utils/weather'
+import DriveChart from './DriveChart'
+import WinProbabilityChart from './WinProbabilityChart'
 import './GameBrowser.css'
 
+// Who coached, under the final score (computer-only games show nothing)
+const MODE_LABELS = {
+  human_vs_computer: 'Human vs Computer',
+  human_vs_human: 'Human vs Human'
+}
+
+// Conditions saved with a game (null for games played without weather)
+function getSavedWeather(game) {
+  if (game.dome === null || game.dome === undefined) return null
+  return {
+    dome: !!game.dome,
+    temperature: game.weather_temperature,
+    wind: game.weather_wind,
+    precipitation: game.weather_precipitation
+  }
+}
+
+// Individual leaders shown above the box score: stat to rank by, who qualifies, and how to print the line
+const LEADER_CATEGORIES = [
+  {
+    label: 'Passing',
+    key: 'pass_yards',
+    countKey: 'pass_attempts',
+    format: p => `${p.pass_completions}/${p.pass_attempts}, ${p.pass_yards} yds, ${p.pass_touchdowns} TD, ${p.interceptions_thrown} INT`
+  },
+  {
+    label: 'Rushing',
+    key: 'rush_yards',
+    countKey: 'rush_attempts',
+    format: p => `${p.rush_attempts}-${p.rush_yards}, ${p.rush_touchdowns} TD`
+  },
+  {
+    label: 'Receiving',
+    key: 'rec_yards',
+    countKey: 'receptions',
+    format: p => `${p.receptions}-${p.rec_yards}, ${p.rec_touchdowns} TD`
+  }
+]
+
+// Top player on a team in a category (null if nobody qualified)
+function findLeader(playerStats, teamId, category) {
+  return playerStats
+    .filter(p => p.team_id === teamId && p[category.countKey] > 0)
+    .sort((a, b) => b[category.key] - a[category.key])[0] || null
+}
+
+// Win probability chart points from saved plays (empty for games saved without it)
+function getWinProbabilityPoints(plays) {
+  if (plays.length === 0 || plays.some(play => play.home_win_prob === null)) return []
+
+  const points = [{ homeWinProbability: getOpeningWinProbability(plays[0].possession), change: 0 }]
+  plays.forEach(play => {
+    points.push({
+      homeWinProbability: play.home_win_prob,
+      change: play.home_win_prob - points[points.length - 1].homeWinProbability,
+      quarter: play.quarter,
+      clock: play.clock,
+      description: play.description
+    })
+  })
+  return points
+}
+
 function GameBrowser({ onBack, onViewGame }) {
   const [games, setGames] = useState([])
   const [selectedGame, setSelectedGame] = useState(null)
@@ -27,9 +94,13 @@ function GameBrowser({ onBack, onViewGame }) {
 
   async function viewGameDetail(gameId) {
     try {
-      const response = await fetch(`/api/games/${gameId}`)
+      const [response, playsResponse] = await Promise.all([
+        fetch(`/api/games/${gameId}`),
+        fetch(`/api/games/${gameId}/plays`)
+      ])
       const data = await response.json()
-      setGameDetail(data)
+      const plays = playsResponse.ok ? await playsResponse.json() : []
+      setGameDetail({ ...data, winProbability: getWinProbabilityPoints(plays) })
       setViewMode('detail')
     } catch (error) {
       console.error('Error fetching game detail:', error)
@@ -50,9 +121,10 @@ function GameBrowser({ onBack, onViewGame }) {
 
   // Game Detail View
   if (viewMode === 'detail' && gameDetail) {
-    const { game, stats, scoringLog } = gameDetail
+    const { game, stats, scoringLog, playerStats = [], drives = [], winProbability, replayable } = gameDetail
     const homeStats = stats.find(s => s.team_id === game.home_team_id) || {}
     const awayStats = stats.find(s => s.team_id === game.away_team_id) || {}
+    const weather = getSavedWeather(game)
 
     return (
       <div className="game-browser">
@@ -61,6 +133,11 @@ function GameBrowser({ onBack, onViewGame }) {
             Back to Schedule
           </button>
           <h2>Game Detail</h2>
+          {replayable && onViewGame && (
+            <button className="relive-btn" onClick={() => onViewGame(game)}>
+              Relive
+            </button>
+          )}
         </div>
 
         <div className="game-detail">
@@ -73,6 +150,8 @@ function GameBrowser({ onBack, onViewGame }) {
               <span className="score">{game.home_score}</span>
               <span className="team-name">{game.home_city} {game.home_name}</span>
             </div>
+            {MODE_LABELS[game.mode] && <div className="game-mode">{MODE_LABELS[game.mode]}</div>}
+            {weather && <div className="game-mode">{describeWeather(weather)}</div>}
           </div>
 
           {/* Scoring Summary */}
@@ -93,6 +172,54 @@ function GameBrowser({ onBack, onViewGame }) {
             </div>
           )}
 
+          <DriveChart
+            drives={drives}
+            homeTeam={{ id: game.home_team_id, abbreviation: game.home_abbr }}
+            awayTeam={{ id: game.away_team_id, abbreviation: game.away_abbr }}
+          />
+
+          <WinProbabilityChart
+            points={winProbability}
+            homeTeam={{ abbreviation: game.home_abbr }}
+            awayTeam={{ abbreviation: game.away_abbr }}
+          />
+
+          {/* Individual Leaders */}
+          {playerStats.length > 0 && (
+            <div className="box-score game-leaders">
+              <h3>Leaders</h3>
+              <table className="stats-table">
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>{game.away_abbr}</th>
+                    <th>{game.home_abbr}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {LEADER_CATEGORIES.map(category => (
+                    <tr key={category.key}>
+                      <td>{category.label}</td>
+                      {[game.away_team_id, game.home_team_id].map(teamId => {
+                        const leader = findLeader(playerStats, teamId, category)
+                        return (
+                          <td key={teamId} className="leader-cell">
+                            {leader ? (
+                              <>
+                                <span className="leader-name">#{leader.jersey_number} {leader.first_name} {leader.last_name}</span>
+                                <span className="leader-line">{category.format(leader)}</span>
+                              </>
+                            ) : '-'}
+                          </td>
+                        )
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
           {/* Box Score */}
           <div className="box-score">
             <h3>Box Score</h3>
@@ -185,6 +312,16 @@ function GameBrowser({ onBack, onViewGame }) {
                   <td>{formatGameClock(awayStats.time_of_possession || 0)}</td>
                   <td>{formatGameClock(homeStats.time_of_possession || 0)}</td>
                 </tr>
+                <tr>
+                  <td>Penalties</td>
+                  <td>{awayStats.penalties || 0}-{awayStats.penalty_yards || 0}</td>
+                  <td>{homeStats.penalties || 0}-{homeStats.penalty_yards || 0}</td>
+                </tr>
+                <tr>
+                  <td>Timeouts Used</td>
+                  <td>{awayStats.timeouts_used || 0}</td>
+                  <td>{homeStats.timeouts_used || 0}</td>
+                </tr>
               </tbody>
             </table>
           </div>
@@ -221,6 +358,7 @@ function GameBrowser({ onBack, onViewGame }) {
                   {game.simulated && game.game_id ? (
                     <span className="game-score">
                       {game.away_score} - {game.home_score}
+                      {game.mode === 'human_vs_human' && <span className="game-mode-badge" title="Two-player game">2P</span>}
                     </span>
                   ) : game.simulated ? (
                     <span className="game-status">No data</span>
@@ -1,10 +1,50 @@
 import { useState, useEffect, useRef } from 'react'
-import { initializeGame, executePlay, isGameOver } from '../utils/gameEngine'
+import { initializeGame, executePlay, executeCoachedPlay, getAvailableCalls, getAvailableDefenseCalls, isGameOver } from '../utils/gameEngine'
 import { formatGameClock } from '../utils/gameSimulation'
+import { createReplayState, applyReplayPlay, getReplayStateAt, getReplayMarkers, formatQuarter } from '../utils/replay'
+import { addGameListeners, removeGameListeners } from '../utils/events'
+import { cloneGameState, createSnapshot, createRewindBuffer } from '../utils/snapshots'
 import logger from '../utils/logger'
+import { getHomeWinProbability, getWinProbabilityChart } from '../utils/winProbability'
+import { describeWeather } from '../utils/weather'
+import DriveChart from './DriveChart'
+import WinProbabilityChart from './WinProbabilityChart'
 import './GameDisplay.css'
 
-function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, onDone, savedGameState, saveKey }) {
+// Scoreboard note for clock stoppages that aren't obvious from the play itself
+const CLOCK_STOP_LABELS = {
+  incomplete: 'CLOCK STOPPED - INCOMPLETE',
+  out_of_bounds: 'CLOCK STOPPED - OUT OF BOUNDS',
+  first_down: 'CLOCK STOPPED - FIRST DOWN',
+  two_minute_warning: 'TWO-MINUTE WARNING',
+  timeout: 'TIMEOUT'
+}
+
+// Defensive call shown next to down and distance
+const DEFENSE_CALL_LABELS = {
+  base: 'Base D',
+  run_blitz: 'Run Blitz',
+  pass_blitz: 'Pass Blitz',
+  prevent: 'Prevent',
+  goal_line: 'Goal Line D'
+}
+
+// Offensive calls on the coach panel (see getAvailableCalls)
+const CALL_LABELS = {
+  run: 'Run',
+  short: 'Short Pass',
+  medium: 'Medium Pass',
+  long: 'Long Pass',
+  punt: 'Punt',
+  fake_punt: 'Fake Punt',
+  fieldgoal: 'Field Goal',
+  fake_fg: 'Fake FG'
+}
+
+// Play result types that start with a kick from the 35
+const KICKOFF_TYPES = ['kickoff', 'onside_kick', 'squib_kick', 'kickoff_out_of_bounds']
+
+function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, onDone, savedGameState, saveKey, replay }) {
   const [gameState, setGameState] = useState(null)
   const [currentPlay, setCurrentPlay] = useState(null)
   const [prePlayState, setPrePlayState] = useState(null) // Snapshot before play executes
@@ -18,6 +58,13 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
   const animationRef = useRef(null)
   const isPausedRef = useRef(isPaused)
   const gameStateRef = useRef(gameState)  // Track current gameState to avoid closure issues
+  const replayIndexRef = useRef(0)  // Next saved play to show when replaying
+  const rewindRef = useRef(null)  // States before recent plays (live games only)
+  if (!rewindRef.current) rewindRef.current = createRewindBuffer()
+  const [rewindSize, setRewindSize] = useState(0)
+  const [rewindSteps, setRewindSteps] = useState(1)
+  const [coaching, setCoaching] = useState(null)  // { step, ...executeCoachedPlay input, awaitingGuess } while a human coach is on the clock
+  const [callYards, setCallYards] = useState(false)  // Human coaches pick the per-yard numbers
 
   // Debug panel state
   const [debugMode, setDebugMode] = useState(false)
@@ -33,7 +80,7 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
     quarter: 1,
     clockMin: 15,
     clockSec: 0,
-    nextPlay: 'auto'  // 'auto', 'run', 'short', 'medium'
+    nextPlay: 'auto'  // 'auto' or a play call ('run', 'short', 'punt', 'fake_punt', ...)
   })
 
   // Debug password hash (SHA-256 of the password)
@@ -113,13 +160,117 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
       punt_return_touchdowns: teamStats.puntReturnTouchdowns || 0,
       int_return_yards: teamStats.intReturnYards || 0,
       int_return_touchdowns: teamStats.intReturnTouchdowns || 0,
+      fumble_return_yards: teamStats.fumbleReturnYards || 0,
+      fumble_return_touchdowns: teamStats.fumbleReturnTouchdowns || 0,
       time_of_possession: teamStats.timeOfPossession || 0,
+      timeouts_used: teamStats.timeoutsUsed || 0,
+      penalties: teamStats.penalties || 0,
+      penalty_yards: teamStats.penaltyYards || 0,
       turnovers: (teamStats.rushingFumblesLost || 0) + (teamStats.recFumblesLost || 0) +
                  (teamStats.sackFumblesLost || 0) + (teamStats.passInterceptions || 0)
     }
   }
 
+  // Convert individual stat lines to database format
+  function playerStatsToDbFormat(finalState) {
+    return Object.values(finalState.playerStats || {}).map(line => ({
+      player_id: line.playerId,
+      team_id: line.team === 'home' ? finalState.homeTeam.id : finalState.awayTeam.id,
+      pass_attempts: line.passAttempts,
+      pass_completions: line.passCompletions,
+      pass_yards: line.passYards,
+      pass_touchdowns: line.passTouchdowns,
+      interceptions_thrown: line.interceptionsThrown,
+      sacks_taken: line.sacksTaken,
+      rush_attempts: line.rushAttempts,
+      rush_yards: line.rushYards,
+      rush_touchdowns: line.rushTouchdowns,
+      targets: line.targets,
+      receptions: line.receptions,
+      rec_yards: line.recYards,
+      rec_touchdowns: line.recTouchdowns,
+      fumbles_lost: line.fumblesLost,
+      tackles: line.tackles,
+      sacks: line.sacks,
+      interceptions: line.interceptions,
+      def_touchdowns: line.defTouchdowns,
+      fg_attempted: line.fgAttempted,
+      fg_made: line.fgMade,
+      xp_attempted: line.xpAttempted,
+      xp_made: line.xpMade,
+      punts: line.punts,
+      punt_yards: line.puntYards,
+      kick_returns: line.kickReturns,
+      kick_return_yards: line.kickReturnYards,
+      punt_returns: line.puntReturns,
+      punt_return_yards: line.puntReturnYards,
+      return_touchdowns: line.returnTouchdowns
+    }))
+  }
+
+  // Convert the play log to database format (situation at the snap)
+  // Entries from a game saved before snaps were logged are skipped
+  function playsToDbFormat(finalState) {
+    const plays = (finalState.playLog || []).filter(play => play.snap)
+    // Point 0 is the opening kickoff, so point i + 1 is the chance after play i
+    const winProbability = getWinProbabilityChart(plays, true)
+    return plays.map((play, index) => ({
+      sequence: index + 1,
+      play_number: play.playNumber,
+      quarter: play.snap.quarter,
+      clock: play.snap.clock,
+      down: play.snap.down,
+      distance: play.snap.distance,
+      yardline: play.snap.yardline,
+      possession: play.snap.possession,
+      team_id: play.snap.possession === 'home' ? finalState.homeTeam.id : finalState.awayTeam.id,
+      play_type: play.type,
+      play_call: play.offenseCall ?? null,
+      yards: play.yards ?? play.returnYards ?? 0,
+      description: play.description,
+      home_win_prob: winProbability[index + 1].homeWinProbability,
+      epa: play.epa ?? null,
+      details: play
+    }))
+  }
+
+  // Convert finished drives to database format
+  function drivesToDbFormat(finalState) {
+    return (finalState.drives || []).filter(drive => drive.result !== null).map((drive, index) => ({
+      drive_number: index + 1,
+      team_id: drive.team === 'home' ? finalState.homeTeam.id : finalState.awayTeam.id,
+      start_quarter: drive.startQuarter,
+      start_clock: drive.startClock,
+      start_yardline: drive.startYardline,
+      end_quarter: drive.endQuarter,
+      end_clock: drive.endClock,
+      plays: drive.plays,
+      net_yards: drive.netYards,
+      time_consumed: drive.timeConsumed,
+      result: drive.result,
+      points: drive.points
+    }))
+  }
+
+  // Convert this game's injuries to database format
+  function injuriesToDbFormat(finalState) {
+    return (finalState.injuries || []).map(injury => ({
+      player_id: injury.playerId,
+      team_id: injury.team === 'home' ? finalState.homeTeam.id : finalState.awayTeam.id,
+      injury: injury.injury,
+      weeks: injury.weeks,
+      quarter: injury.quarter
+    }))
+  }
+
   // Save game results to database
+  // Who coached the game: 'sim', 'human_vs_computer' or 'human_vs_human'
+  function getGameMode(finalState) {
+    const { home, away } = finalState.humanCoaches || {}
+    if (home && away) return 'human_vs_human'
+    return home || away ? 'human_vs_computer' : 'sim'
+  }
+
   async function saveGameResults(finalState) {
     try {
       const gameData = {
@@ -128,11 +279,20 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
         home_score: finalState.score.home,
         away_score: finalState.score.away,
         total_plays: finalState.playNumber,
+        seed: finalState.seed,
+        mode: getGameMode(finalState),
+        overtime_policy: finalState.overtimePolicy,
+        rules: finalState.rules,
+        weather: finalState.weather,
         schedule_game_number: game.gameNumber,  // Link to schedule
         stats: [
           statsToDbFormat(finalState.homeStats, finalState.homeTeam.id),
           statsToDbFormat(finalState.awayStats, finalState.awayTeam.id)
         ],
+        player_stats: playerStatsToDbFormat(finalState),
+        plays: playsToDbFormat(finalState),
+        drives: drivesToDbFormat(finalState),
+        injuries: injuriesToDbFormat(finalState),
         scoring_log: finalState.scoringLog || []
       }
 
@@ -163,7 +323,7 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
       return pauseDuration * 1000
     }
     // In fast mode, special plays get 3 second pause
-    if (isScore || playResult?.type === 'kickoff' || playResult?.type === 'punt' ||
+    if (isScore || KICKOFF_TYPES.includes(playResult?.type) || playResult?.type === 'punt' ||
         playResult?.touchdown || playResult?.fieldGoalGood) {
       return 3000
     }
@@ -180,15 +340,35 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
   }, [gameState])
 
   useEffect(() => {
-    // Initialize game when component mounts - either from saved state or fresh
-    if (savedGameState) {
+    // Initialize game when component mounts - a replay, a saved state, or fresh
+    rewindRef.current.clear()
+    setRewindSize(0)
+    setCoaching(null)
+    let liveState = null
+    if (replay) {
+      replayIndexRef.current = 0
+      setGameState(createReplayState(game.homeTeam, game.awayTeam, replay, game.rules))
+      logger.info('Replaying saved game')
+    } else if (savedGameState) {
+      liveState = savedGameState
       setGameState(savedGameState)
       logger.info('Resumed saved game')
     } else {
-      const initialState = initializeGame(game.homeTeam, game.awayTeam, false)
-      setGameState(initialState)
+      liveState = initializeGame(game.homeTeam, game.awayTeam, false, false, {
+        humanCoaches: game.humanCoaches,
+        overtimePolicy: game.overtimePolicy,
+        playoff: game.playoff,
+        rules: game.rules,
+        weather: game.weather
+      })
+      setGameState(liveState)
       logger.info('Game started')
     }
+    if (liveState) {
+      addGameListeners(liveState, {
+        gameEnd: () => logger.info('Game complete!')
+      })
+    }
 
     // Start simulation after brief delay
     setTimeout(() => {
@@ -199,19 +379,23 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
       if (animationRef.current) {
         clearTimeout(animationRef.current)
       }
+      // Leaving before the final whistle never fires gameEnd, which is what drops the handlers
+      if (liveState) {
+        removeGameListeners(liveState)
+      }
     }
-  }, [game, savedGameState])
+  }, [game, savedGameState, replay])
 
   // Auto-save game state to localStorage whenever it changes
   useEffect(() => {
-    if (gameState && saveKey) {
+    if (gameState && saveKey && !replay) {
       if (isGameOver(gameState)) {
         // Game is over - clear the save so there's nothing to resume
         localStorage.removeItem(saveKey)
       } else {
         const saveData = {
           game,
-          gameState,
+          snapshot: createSnapshot(gameState),
           savedAt: Date.now()
         }
         localStorage.setItem(saveKey, JSON.stringify(saveData))
@@ -219,72 +403,152 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
     }
   }, [gameState, game, saveKey])
 
+  // Live games end by the rules; replays end when the saved plays run out
+  function isFinished(state) {
+    if (replay) return replayIndexRef.current >= replay.length
+    return isGameOver(state)
+  }
+
   // Note: We no longer cancel animations when paused - the animation loop
   // polls isPausedRef and waits until resumed
 
   useEffect(() => {
-    if (!isSimulating || !gameState || isGameOver(gameState) || isPaused || animationPhase !== 'idle') {
-      if (gameState && isGameOver(gameState)) {
-        logger.info('Game complete!')
-        // Don't auto-return - let user choose via buttons
-      }
+    // A finished game waits on the buttons (no auto-return)
+    if (!isSimulating || !gameState || isFinished(gameState) || isPaused || animationPhase !== 'idle') {
       return
     }
 
+    // A human-coached side waits for the coach panel (kickoffs stay automatic)
+    if (!replay && !gameState.awaitingKickoff) {
+      const { offense, defense } = getHumanSides(gameState)
+      if (offense || defense) {
+        if (!coaching) {
+          setCoaching({ step: offense ? 'offense' : 'defense' })
+        }
+        return
+      }
+    }
+
     // Execute next play after pause
     const timer = setTimeout(() => {
-      // Capture pre-play state for display during animation
-      const prePlay = {
-        down: gameState.down,
-        distance: gameState.distance,
-        yardline: gameState.yardline,
-        playNumber: gameState.playNumber + 1 // Will be incremented by executePlay
-      }
-      setPrePlayState(prePlay)
-
-      const playResult = executePlay(gameState)
-      setCurrentPlay(playResult)
-
-      // If it's a run with steps, animate it
-      if (playResult.type === 'run' && playResult.steps && playResult.steps.length > 0) {
-        animateRunningPlay(playResult, gameState)
-      } else if (playResult.type === 'pass' && playResult.complete && playResult.racSteps && playResult.racSteps.length > 0) {
-        // Completed pass with run after catch - animate it
-        animatePassPlay(playResult, gameState)
-      } else if (playResult.type === 'kickoff' && playResult.steps && playResult.steps.length > 0) {
-        // Kickoff return with steps - animate it
-        animateKickoffReturn(playResult, gameState)
-      } else if (playResult.type === 'punt' && playResult.returnSteps && playResult.returnSteps.length > 0) {
-        // Punt return with steps - animate it
-        animatePuntReturn(playResult, gameState)
-      } else {
-        // Non-running play or no steps, show result directly
-        // Deep copy to ensure React sees the change
-        // Preserve user settings (rotationMode) from current state in case user toggled mid-play
-        const newState = JSON.parse(JSON.stringify(gameState))
-        if (gameStateRef.current) {
-          newState.rotationMode = gameStateRef.current.rotationMode
-          newState.rotationIndex = gameStateRef.current.rotationIndex
-        }
-        setGameState(newState)
-        setAnimationPhase('result')
+      beginPlay(gameState)
 
-        // After showing result, return to idle and clear prePlayState
-        const finishNonRunPlay = () => {
-          if (isPausedRef.current) {
-            animationRef.current = setTimeout(finishNonRunPlay, 100)
-            return
-          }
-          setPrePlayState(null)
-          setCurrentPlay(null)
-          setAnimationPhase('idle')
-        }
-        animationRef.current = setTimeout(finishNonRunPlay, getSpecialPause(playResult))
-      }
+      // A replay takes the next saved play instead of running the engine
+      const playResult = replay ? replay[replayIndexRef.current++] : executePlay(gameState)
+      const playedState = replay ? applyReplayPlay(gameState, playResult) : gameState
+      showPlay(playResult, playedState)
     }, pauseDuration * 1000)
 
     return () => clearTimeout(timer)
-  }, [isSimulating, gameState, pauseDuration, isPaused, animationPhase])
+  }, [isSimulating, gameState, pauseDuration, isPaused, animationPhase, coaching])
+
+  // Capture the state before a play for display during animation, and
+  // remember it so a live play can be rewound
+  function beginPlay(state) {
+    setPrePlayState({
+      down: state.down,
+      distance: state.distance,
+      yardline: state.yardline,
+      playNumber: state.playNumber + 1 // Will be incremented by executePlay
+    })
+
+    if (!replay) {
+      rewindRef.current.push(state)
+      setRewindSize(rewindRef.current.size)
+    }
+  }
+
+  // Animate (or just show) a play that has been run
+  function showPlay(playResult, playedState) {
+    setCurrentPlay(playResult)
+
+    // If it's a run with steps, animate it
+    if (playResult.type === 'run' && playResult.steps && playResult.steps.length > 0) {
+      animateRunningPlay(playResult, playedState)
+    } else if (playResult.type === 'pass' && playResult.complete && playResult.racSteps && playResult.racSteps.length > 0) {
+      // Completed pass with run after catch - animate it
+      animatePassPlay(playResult, playedState)
+    } else if (playResult.type === 'kickoff' && playResult.steps && playResult.steps.length > 0) {
+      // Kickoff return with steps - animate it
+      animateKickoffReturn(playResult, playedState)
+    } else if (playResult.type === 'punt' && playResult.returnSteps && playResult.returnSteps.length > 0) {
+      // Punt return with steps - animate it
+      animatePuntReturn(playResult, playedState)
+    } else {
+      // Non-running play or no steps, show result directly
+      // Deep copy to ensure React sees the change
+      // Preserve user settings (rotationMode) from current state in case user toggled mid-play
+      const newState = cloneGameState(playedState)
+      if (gameStateRef.current) {
+        newState.rotationMode = gameStateRef.current.rotationMode
+        newState.rotationIndex = gameStateRef.current.rotationIndex
+      }
+      setGameState(newState)
+      setAnimationPhase('result')
+
+      // After showing result, return to idle and clear prePlayState
+      const finishNonRunPlay = () => {
+        if (isPausedRef.current) {
+          animationRef.current = setTimeout(finishNonRunPlay, 100)
+          return
+        }
+        setPrePlayState(null)
+        setCurrentPlay(null)
+        setAnimationPhase('idle')
+      }
+      animationRef.current = setTimeout(finishNonRunPlay, getSpecialPause(playResult))
+    }
+  }
+
+  // Which sides of the ball a person is calling this down
+  // (a defense only has something to call outside simplified mode)
+  function getHumanSides(state) {
+    const defense = state.possession === 'home' ? 'away' : 'home'
+    return {
+      offense: !!state.humanCoaches?.[state.possession],
+      defense: !!state.humanCoaches?.[defense] && getAvailableDefenseCalls(state).length > 0
+    }
+  }
+
+  // Human offense calls a play; a human defense calls next without seeing it
+  function callPlay(call) {
+    if (getHumanSides(gameState).defense) {
+      setCoaching({ step: 'defense', call })
+    } else {
+      runCoachedPlay({ call })
+    }
+  }
+
+  function callDefense(defenseCall) {
+    runCoachedPlay({ call: coaching.call, defenseCall })
+  }
+
+  // A number for the side the play is waiting on
+  function pickNumber(number) {
+    const key = coaching.awaitingGuess.side === 'offense' ? 'guesses' : 'defenseGuesses'
+    runCoachedPlay({ ...coaching, [key]: [...coaching[key], number] })
+  }
+
+  // With "call the yards" on, each human side's numbers are asked for one
+  // yard at a time. The game state only changes once the play is over, so the
+  // state before it is kept aside until then for the rewind buffer
+  function runCoachedPlay({ call, defenseCall, guesses, defenseGuesses }) {
+    if (callYards && !guesses && !defenseGuesses) {
+      const sides = getHumanSides(gameState)
+      guesses = sides.offense ? [] : undefined
+      defenseGuesses = sides.defense ? [] : undefined
+    }
+    const input = { call, defenseCall, guesses, defenseGuesses }
+    const before = cloneGameState(gameState)
+    const result = executeCoachedPlay(gameState, input)
+    if (result.awaitingGuess) {
+      setCoaching({ step: 'guess', ...input, awaitingGuess: result.awaitingGuess })
+      return
+    }
+    setCoaching(null)
+    beginPlay(before)
+    showPlay(result.playResult, gameState)
+  }
 
   function animateRunningPlay(playResult, mutatedGameState) {
     setAnimationPhase('running')
@@ -309,7 +573,7 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
       } else {
         // Animation complete - create deep copy of mutated state to trigger React update
         // Preserve user settings (rotationMode) from current state in case user toggled mid-play
-        const newState = JSON.parse(JSON.stringify(mutatedGameState))
+        const newState = cloneGameState(mutatedGameState)
         if (gameStateRef.current) {
           newState.rotationMode = gameStateRef.current.rotationMode
           newState.rotationIndex = gameStateRef.current.rotationIndex
@@ -384,7 +648,7 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
         animationRef.current = setTimeout(showNextStep, stepDelay)
       } else {
         // Animation complete
-        const newState = JSON.parse(JSON.stringify(mutatedGameState))
+        const newState = cloneGameState(mutatedGameState)
         if (gameStateRef.current) {
           newState.rotationMode = gameStateRef.current.rotationMode
           newState.rotationIndex = gameStateRef.current.rotationIndex
@@ -459,7 +723,7 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
         animationRef.current = setTimeout(showNextStep, stepDelay)
       } else {
         // Animation complete
-        const newState = JSON.parse(JSON.stringify(mutatedGameState))
+        const newState = cloneGameState(mutatedGameState)
         if (gameStateRef.current) {
           newState.rotationMode = gameStateRef.current.rotationMode
           newState.rotationIndex = gameStateRef.current.rotationIndex
@@ -545,7 +809,7 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
         animationRef.current = setTimeout(showNextStep, stepDelay)
       } else {
         // Animation complete
-        const newState = JSON.parse(JSON.stringify(mutatedGameState))
+        const newState = cloneGameState(mutatedGameState)
         if (gameStateRef.current) {
           newState.rotationMode = gameStateRef.current.rotationMode
           newState.rotationIndex = gameStateRef.current.rotationIndex
@@ -597,11 +861,48 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
     animationRef.current = setTimeout(showNextStep, stepDelay)
   }
 
-  // Apply debug settings to game state
+  // Jump a replay to just before the given saved play
+  function jumpToReplayPlay(index) {
+    if (animationRef.current) {
+      clearTimeout(animationRef.current)
+    }
+    replayIndexRef.current = index
+    setGameState(getReplayStateAt(game.homeTeam, game.awayTeam, replay, index, game.rules))
+    setCurrentPlay(null)
+    setPrePlayState(null)
+    setRunningText('')
+    setAnimationPhase('idle')
+    logger.info(`Replay: jumped to play ${index + 1} of ${replay.length}`)
+  }
+
+  // Step a live game back to before one of its recent plays
+  // The random generator goes back too, so the same plays come out again
+  // unless something changes (debug settings, rotation mode)
+  function rewindPlays(steps) {
+    const previous = rewindRef.current.rewind(steps)
+    if (!previous) return
+    if (animationRef.current) {
+      clearTimeout(animationRef.current)
+    }
+    setGameState(previous)
+    setRewindSize(rewindRef.current.size)
+    setCoaching(null)
+    setCurrentPlay(null)
+    setPrePlayState(null)
+    setRunningText('')
+    setAnimationPhase('idle')
+    setIsPaused(true)
+    logger.info(`Rewound ${steps} play${steps === 1 ? '' : 's'} to Q${previous.quarter} ${formatGameClock(previous.clock)}`)
+  }
+
+  // Apply debug settings to game state (the old state can be rewound to)
   function applyDebugSettings() {
     if (!gameState) return
 
-    const newState = JSON.parse(JSON.stringify(gameState))
+    rewindRef.current.push(gameState)
+    setRewindSize(rewindRef.current.size)
+    setCoaching(null)
+    const newState = cloneGameState(gameState)
 
     // Convert field position: 'own 35' = 35, 'opp 35' = 65
     if (debugForm.fieldSide === 'own') {
@@ -637,10 +938,13 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
     return <div className="game-display">Loading game...</div>
   }
 
+  // Classic rules play on a TI-99/4A screen
+  const displayClass = gameState.rules?.classic ? 'game-display ti99' : 'game-display'
+
   // Game Summary Screen
   if (showSummary) {
     return (
-      <div className="game-display">
+      <div className={displayClass}>
         <div className="game-summary">
           <h1>Game Summary</h1>
 
@@ -659,7 +963,7 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
               <div className="scoring-log">
                 {gameState.scoringLog.map((entry, index) => (
                   <div key={index} className="scoring-entry">
-                    <span className="score-quarter">Q{entry.quarter}</span>
+                    <span className="score-quarter">{formatQuarter(entry.quarter)}</span>
                     <span className="score-time">{formatGameClock(entry.time_remaining)}</span>
                     <span className="score-team">{entry.team_abbr}</span>
                     <span className="score-desc">{entry.description}</span>
@@ -670,6 +974,18 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
             </div>
           )}
 
+          <DriveChart
+            drives={drivesToDbFormat(gameState)}
+            homeTeam={gameState.homeTeam}
+            awayTeam={gameState.awayTeam}
+          />
+
+          <WinProbabilityChart
+            points={getWinProbabilityChart(replay || gameState.playLog || [], true)}
+            homeTeam={gameState.homeTeam}
+            awayTeam={gameState.awayTeam}
+          />
+
           {/* Stats */}
           <div className="stats-container">
             <div className="team-stats">
@@ -730,6 +1046,14 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
                 <span>Time of Possession:</span>
                 <span>{formatGameClock(gameState.homeStats.timeOfPossession)}</span>
               </div>
+              <div className="stat-line">
+                <span>Timeouts Used:</span>
+                <span>{gameState.homeStats.timeoutsUsed || 0}</span>
+              </div>
+              <div className="stat-line">
+                <span>Penalties:</span>
+                <span>{gameState.homeStats.penalties || 0} for {gameState.homeStats.penaltyYards || 0} yards</span>
+              </div>
             </div>
 
             <div className="team-stats">
@@ -790,6 +1114,14 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
                 <span>Time of Possession:</span>
                 <span>{formatGameClock(gameState.awayStats.timeOfPossession)}</span>
               </div>
+              <div className="stat-line">
+                <span>Timeouts Used:</span>
+                <span>{gameState.awayStats.timeoutsUsed || 0}</span>
+              </div>
+              <div className="stat-line">
+                <span>Penalties:</span>
+                <span>{gameState.awayStats.penalties || 0} for {gameState.awayStats.penaltyYards || 0} yards</span>
+              </div>
             </div>
           </div>
 
@@ -807,6 +1139,13 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
     )
   }
 
+  // Favored team and its chance of winning, for the scoreboard
+  function formatWinProbability(state) {
+    const home = getHomeWinProbability(state, isFinished(state))
+    const favorite = home >= 0.5 ? state.homeTeam : state.awayTeam
+    return `${favorite.abbreviation} ${Math.round(Math.max(home, 1 - home) * 100)}%`
+  }
+
   // Format down and distance for display
   function formatDownDistance(down, distance) {
     const ordinals = ['', '1st', '2nd', '3rd', '4th']
@@ -817,6 +1156,10 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
   function getPlayTypePrefix(play) {
     if (!play) return ''
     if (play.type === 'run') return 'Run: '
+    if (play.type === 'penalty') return 'FLAG: '
+    if (play.type === 'onside_kick') return 'Onside Kick: '
+    if (play.type === 'squib_kick') return 'Squib Kick: '
+    if (play.type === 'kickoff_out_of_bounds') return 'Kickoff: '
     if (play.type === 'pass') {
       const passType = play.passType || 'short'
       return `${passType.charAt(0).toUpperCase() + passType.slice(1)} Pass: `
@@ -824,6 +1167,92 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
     return ''
   }
 
+  // Ball carrier's numbers against the defense's, one pair per yard: "2 vs 5, 3 vs 3 TACKLED"
+  function formatPicks(picks) {
+    return picks.map(({ offense, defense }) =>
+      `${offense} vs ${defense}${offense === defense ? ' TACKLED' : ''}`
+    ).join(', ')
+  }
+
+  // Where a run stands while the coaches pick numbers; when both pick, the
+  // last pair is revealed once the defense has answered
+  function getGuessProgress() {
+    const { side, phase, yards } = coaching.awaitingGuess
+    const gain = phase === 'rac'
+      ? `Caught it! ${yards > 0 ? `+${yards} after the catch` : 'Run after the catch'}`
+      : (yards > 0 ? `+${yards} yards so far` : 'Handoff at the line')
+    const count = coaching.defenseGuesses?.length ?? 0
+    if (side === 'offense' && coaching.guesses && count > 0) {
+      return `${coaching.guesses[count - 1]} vs ${coaching.defenseGuesses[count - 1]} - ${gain}`
+    }
+    return gain
+  }
+
+  // Coach panel for human-coached sides: the offense's call, then the
+  // defense's (hidden from each other), then (if calling the yards) a number
+  // for each yard - 1-4 for the ball carrier, 1-5 for the defense
+  function getCoachPanel() {
+    if (!coaching || animationPhase !== 'idle') return null
+    const offenseTeam = gameState.possession === 'home' ? gameState.homeTeam : gameState.awayTeam
+    const defenseTeam = gameState.possession === 'home' ? gameState.awayTeam : gameState.homeTeam
+    const yardsOption = (
+      <label className="coach-option">
+        <input type="checkbox" checked={callYards} onChange={(e) => setCallYards(e.target.checked)} />
+        Call the yards (pick a number against the other side on every yard)
+      </label>
+    )
+
+    if (coaching.step === 'guess') {
+      const offense = coaching.awaitingGuess.side === 'offense'
+      return (
+        <div className="coach-panel">
+          <div className="coach-title">
+            {offense ? `${offenseTeam.name} ball carrier` : `${defenseTeam.name} defense`}: pick a number
+          </div>
+          <div className="coach-progress">{getGuessProgress()}</div>
+          <div className="coach-buttons">
+            {(offense ? [1, 2, 3, 4] : [1, 2, 3, 4, 5]).map(number => (
+              <button key={number} className="coach-number-btn" onClick={() => pickNumber(number)}>
+                {number}
+              </button>
+            ))}
+          </div>
+        </div>
+      )
+    }
+
+    if (coaching.step === 'defense') {
+      return (
+        <div className="coach-panel">
+          <div className="coach-title">{defenseTeam.name} defense: call the defense</div>
+          {coaching.call && <div className="coach-progress">{offenseTeam.name} has called its play</div>}
+          <div className="coach-buttons">
+            {getAvailableDefenseCalls(gameState).map(call => (
+              <button key={call} className="coach-call-btn" onClick={() => callDefense(call)}>
+                {DEFENSE_CALL_LABELS[call]}
+              </button>
+            ))}
+          </div>
+          {!coaching.call && yardsOption}
+        </div>
+      )
+    }
+
+    return (
+      <div className="coach-panel">
+        <div className="coach-title">{offenseTeam.name} offense: call the play</div>
+        <div className="coach-buttons">
+          {getAvailableCalls(gameState).map(call => (
+            <button key={call} className="coach-call-btn" onClick={() => callPlay(call)}>
+              {CALL_LABELS[call]}
+            </button>
+          ))}
+        </div>
+        {yardsOption}
+      </div>
+    )
+  }
+
   // Determine what to show in play result area
   function getPlayDisplay() {
     const playNum = prePlayState?.playNumber || gameState.playNumber
@@ -832,12 +1261,16 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
     const downDistStr = formatDownDistance(down, distance)
 
     // For kickoff plays, show kicking team instead of down/distance
-    const isKickoff = currentPlay?.type === 'kickoff'
+    const isKickoff = KICKOFF_TYPES.includes(currentPlay?.type)
+    const defenseCall = DEFENSE_CALL_LABELS[currentPlay?.defenseCall]
+    const playHeader = isKickoff
+      ? `Play #${playNum}, ${currentPlay.kickingTeamName} kicking off`
+      : `Play #${playNum} (${downDistStr})${defenseCall ? ` vs ${defenseCall}` : ''}`
 
     if (animationPhase === 'running') {
       return (
         <div className="play-result">
-          <div className="play-number">{isKickoff ? `Play #${playNum}, ${currentPlay.kickingTeamName} kicking off` : `Play #${playNum} (${downDistStr})`}</div>
+          <div className="play-number">{playHeader}</div>
           <div className="play-description running-animation">{runningText}</div>
         </div>
       )
@@ -854,7 +1287,7 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
         : (currentPlay?.xpGood ? 'XP Good!' : 'XP No Good')
       return (
         <div className="play-result touchdown-display">
-          <div className="play-number">{isKickoff ? `Play #${playNum}, ${currentPlay.kickingTeamName} kicking off` : `Play #${playNum} (${downDistStr})`}</div>
+          <div className="play-number">{playHeader}</div>
           <div className="touchdown-text">TOUCHDOWN!</div>
           <div className="xp-result">
             {conversionText}
@@ -867,9 +1300,12 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
     if (animationPhase === 'result' && currentPlay) {
       return (
         <div className="play-result">
-          <div className="play-number">{isKickoff ? `Play #${playNum}, ${currentPlay.kickingTeamName} kicking off` : `Play #${playNum} (${downDistStr})`}</div>
+          <div className="play-number">{playHeader}</div>
           <div className="play-description">{getPlayTypePrefix(currentPlay)}{currentPlay.description}</div>
+          {currentPlay.picks && <div className="play-picks">{formatPicks(currentPlay.picks)}</div>}
           {currentPlay.turnover && <div className="turnover">TURNOVER!</div>}
+          {currentPlay.type === 'onside_kick' && currentPlay.recovered && <div className="turnover">ONSIDE KICK RECOVERED!</div>}
+          {currentPlay.type === 'kickoff_out_of_bounds' && <div className="turnover">OUT OF BOUNDS!</div>}
         </div>
       )
     }
@@ -888,7 +1324,7 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
   }
 
   return (
-    <div className="game-display">
+    <div className={displayClass}>
       {/* Game Controls */}
       <div className="game-controls">
         <button
@@ -922,37 +1358,70 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
             I'm going fast again!
           </label>
         </div>
-        <button
-          className={`rotation-btn ${gameState?.rotationMode ? 'active' : ''}`}
-          onClick={() => {
-            if (gameState) {
-              const newState = JSON.parse(JSON.stringify(gameState))
-              newState.rotationMode = !newState.rotationMode
-              if (newState.rotationMode) {
-                newState.rotationIndex = 0  // Reset rotation when enabling
-              }
-              setGameState(newState)
-            }
-          }}
-          title="Rotation Mode: 3 runs, 3 short passes, 3 medium passes, repeat"
-        >
-          {gameState?.rotationMode ? '🔄 Rotation ON' : '🔄 Rotation'}
-        </button>
-        {debugMode ? (
-          <button
-            className="debug-toggle-btn"
-            onClick={() => setDebugOpen(!debugOpen)}
-          >
-            {debugOpen ? 'Close Debug' : 'Debug'}
-          </button>
+        {replay ? (
+          <div className="replay-control">
+            <span className="replay-badge">REPLAY</span>
+            <label>Jump to:</label>
+            <select
+              value=""
+              onChange={(e) => e.target.value !== '' && jumpToReplayPlay(Number(e.target.value))}
+            >
+              <option value="">Choose...</option>
+              {getReplayMarkers(replay, gameState.homeTeam, gameState.awayTeam).map(marker => (
+                <option key={`${marker.index}-${marker.label}`} value={marker.index}>{marker.label}</option>
+              ))}
+            </select>
+          </div>
         ) : (
-          <button
-            className="debug-enter-btn"
-            onClick={() => setDebugPrompt(true)}
-            title="Enter Debug Mode"
-          >
-            🔧
-          </button>
+          <>
+            <div className="rewind-control">
+              <button
+                className="rewind-btn"
+                onClick={() => rewindPlays(rewindSteps)}
+                disabled={rewindSize === 0 || isFinished(gameState)}
+                title="Go back to before a recent play"
+              >
+                ⏪ Rewind
+              </button>
+              <select value={rewindSteps} onChange={(e) => setRewindSteps(Number(e.target.value))}>
+                {[1, 3, 5, 10].map(steps => (
+                  <option key={steps} value={steps}>{steps} play{steps === 1 ? '' : 's'}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              className={`rotation-btn ${gameState?.rotationMode ? 'active' : ''}`}
+              onClick={() => {
+                if (gameState) {
+                  const newState = cloneGameState(gameState)
+                  newState.rotationMode = !newState.rotationMode
+                  if (newState.rotationMode) {
+                    newState.rotationIndex = 0  // Reset rotation when enabling
+                  }
+                  setGameState(newState)
+                }
+              }}
+              title="Rotation Mode: 3 runs, 3 short passes, 3 medium passes, repeat"
+            >
+              {gameState?.rotationMode ? '🔄 Rotation ON' : '🔄 Rotation'}
+            </button>
+            {debugMode ? (
+              <button
+                className="debug-toggle-btn"
+                onClick={() => setDebugOpen(!debugOpen)}
+              >
+                {debugOpen ? 'Close Debug' : 'Debug'}
+              </button>
+            ) : (
+              <button
+                className="debug-enter-btn"
+                onClick={() => setDebugPrompt(true)}
+                title="Enter Debug Mode"
+              >
+                🔧
+              </button>
+            )}
+          </>
         )}
       </div>
 
@@ -981,6 +1450,7 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
       {debugOpen && (
         <div className="debug-panel">
           <h3>Test Scenario</h3>
+          <div className="debug-seed">Seed: {gameState.seed ?? 'n/a'}</div>
           <div className="debug-form">
             <div className="debug-row">
               <label>Field Position:</label>
@@ -1070,6 +1540,10 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
                 <option value="short">Short Pass (0-9 air)</option>
                 <option value="medium">Medium Pass (10-19 air)</option>
                 <option value="long">Long Pass (20+ air)</option>
+                <option value="punt">Punt</option>
+                <option value="fake_punt">Fake Punt</option>
+                <option value="fieldgoal">Field Goal</option>
+                <option value="fake_fg">Fake Field Goal</option>
               </select>
             </div>
             <button className="debug-apply-btn" onClick={applyDebugSettings}>
@@ -1081,19 +1555,36 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
 
       {/* Scoreboard */}
       <div className="scoreboard">
+        {gameState.rules?.classic && <div className="ti99-title">* TI FOOTBALL *</div>}
         <div className="score">
           <div className="team-score">
             <span className="team-name">{gameState.homeTeam.city} {gameState.homeTeam.name}</span>
             <span className="points">{gameState.score.home}</span>
+            <span className="timeouts" title="Timeouts remaining">
+              {'●'.repeat(gameState.timeouts?.home ?? 0)}{'○'.repeat(Math.max(0, 3 - (gameState.timeouts?.home ?? 0)))}
+            </span>
           </div>
           <div className="team-score">
             <span className="team-name">{gameState.awayTeam.city} {gameState.awayTeam.name}</span>
             <span className="points">{gameState.score.away}</span>
+            <span className="timeouts" title="Timeouts remaining">
+              {'●'.repeat(gameState.timeouts?.away ?? 0)}{'○'.repeat(Math.max(0, 3 - (gameState.timeouts?.away ?? 0)))}
+            </span>
           </div>
         </div>
         <div className="game-info">
-          <span>Q{gameState.quarter}</span>
+          <span>{formatQuarter(gameState.quarter)}</span>
           <span>{formatGameClock(gameState.clock)}</span>
+          <span className="win-probability" title="Win probability">Win Prob: {formatWinProbability(gameState)}</span>
+          {gameState.weather && !gameState.rules?.classic && (
+            <span className="weather" title="Conditions">{describeWeather(gameState.weather)}</span>
+          )}
+          {animationPhase !== 'running' && CLOCK_STOP_LABELS[currentPlay?.clockStop] && (
+            <span className="clock-stop">
+              {CLOCK_STOP_LABELS[currentPlay.clockStop]}
+              {currentPlay.timeout && ` - ${currentPlay.timeout.team === 'home' ? gameState.homeTeam.name : gameState.awayTeam.name}`}
+            </span>
+          )}
         </div>
       </div>
 
@@ -1116,23 +1607,37 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
       {/* Current Play Result */}
       {getPlayDisplay()}
 
+      {/* Human Coach */}
+      {getCoachPanel()}
+
       {/* Game Over */}
-      {isGameOver(gameState) && (
+      {isFinished(gameState) && (
         <div className="game-over">
           <h2>GAME OVER</h2>
           <div className="final-score">
             {gameState.homeTeam.name} {gameState.score.home} - {gameState.awayTeam.name} {gameState.score.away}
           </div>
           <div className="game-over-buttons">
-            <button className="next-game-btn" onClick={goToSummary}>
-              Go to Game Summary
-            </button>
+            {replay ? (
+              <>
+                <button className="next-game-btn" onClick={() => jumpToReplayPlay(0)}>
+                  Watch Again
+                </button>
+                <button className="done-btn" onClick={() => onDone && onDone(gameState)}>
+                  Back to Schedule
+                </button>
+              </>
+            ) : (
+              <button className="next-game-btn" onClick={goToSummary}>
+                Go to Game Summary
+              </button>
+            )}
           </div>
         </div>
       )}
 
       {/* Stats */}
-      <div className="stats-container">
+      <StatsContainer hidden={!!replay}>
         <div className="team-stats">
           <h3>{gameState.homeTeam.name}</h3>
           <div className="stat-line">
@@ -1183,6 +1688,14 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
             <span>Time of Possession:</span>
             <span>{formatGameClock(gameState.homeStats.timeOfPossession)}</span>
           </div>
+          <div className="stat-line">
+            <span>Timeouts Used:</span>
+            <span>{gameState.homeStats.timeoutsUsed || 0}</span>
+          </div>
+          <div className="stat-line">
+            <span>Penalties:</span>
+            <span>{gameState.homeStats.penalties || 0} for {gameState.homeStats.penaltyYards || 0} yards</span>
+          </div>
         </div>
 
         <div className="team-stats">
@@ -1235,12 +1748,25 @@ function GameDisplay({ game, pauseDuration, onPauseDurationChange, onNextGame, o
             <span>Time of Possession:</span>
             <span>{formatGameClock(gameState.awayStats.timeOfPossession)}</span>
           </div>
+          <div className="stat-line">
+            <span>Timeouts Used:</span>
+            <span>{gameState.awayStats.timeoutsUsed || 0}</span>
+          </div>
+          <div className="stat-line">
+            <span>Penalties:</span>
+            <span>{gameState.awayStats.penalties || 0} for {gameState.awayStats.penaltyYards || 0} yards</span>
+          </div>
         </div>
-      </div>
+      </StatsContainer>
     </div>
   )
 }
 
+// Team stats box, left out of replays (they show the scoreboard only - see the box score in the game browser)
+function StatsContainer({ hidden, children }) {
+  return hidden ? null : <div className="stats-container">{children}</div>
+}
+
 function getOrdinal(n) {
   const s = ['th', 'st', 'nd', 'rd']
   const v = n % 100
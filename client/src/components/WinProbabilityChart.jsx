@@ -0,0 +1,76 @@
+import { formatGameClock } from '../utils/gameSimulation'
+import { getSwingPlays } from '../utils/winProbability'
+import './WinProbabilityChart.css'
+
+const WIDTH = 600
+const HEIGHT = 160
+
+function formatQuarter(quarter) {
+  return quarter <= 4 ? `Q${quarter}` : 'OT'
+}
+
+function formatPercent(probability) {
+  return `${Math.round(probability * 100)}%`
+}
+
+/**
+ * Home win probability over a whole game, with the biggest swing plays listed below
+ * Points come from getWinProbabilityChart (or the saved plays in GameBrowser);
+ * the home team's chances run up the chart, the away team's down
+ */
+function WinProbabilityChart({ points, homeTeam, awayTeam }) {
+  if (!points || points.length < 2) return null
+
+  const x = index => (index / (points.length - 1)) * WIDTH
+  const y = probability => (1 - probability) * HEIGHT
+  const line = points.map((point, index) => `${x(index).toFixed(1)},${y(point.homeWinProbability).toFixed(1)}`).join(' ')
+
+  // Divider at the first play of each new quarter
+  const quarterStarts = points
+    .map((point, index) => ({ quarter: point.quarter, index }))
+    .filter((point, index, all) => point.quarter && index > 1 && point.quarter !== all[index - 1].quarter)
+
+  const swings = getSwingPlays(points)
+
+  return (
+    <div className="win-probability-chart">
+      <h3>Win Probability</h3>
+      <div className="wp-plot">
+        <div className="wp-axis">
+          <span>{homeTeam.abbreviation}</span>
+          <span>50%</span>
+          <span>{awayTeam.abbreviation}</span>
+        </div>
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`}>
+          <line className="wp-midline" x1="0" y1={HEIGHT / 2} x2={WIDTH} y2={HEIGHT / 2} />
+          {quarterStarts.map(start => (
+            <line key={start.index} className="wp-quarter" x1={x(start.index)} y1="0" x2={x(start.index)} y2={HEIGHT} />
+          ))}
+          <polyline className="wp-line" points={line} />
+          {swings.map(swing => {
+            const index = points.indexOf(swing)
+            return <circle key={index} className="wp-swing" cx={x(index)} cy={y(swing.homeWinProbability)} r="4" />
+          })}
+        </svg>
+      </div>
+
+      {swings.length > 0 && (
+        <div className="wp-swings">
+          <h4>Biggest Swings</h4>
+          {swings.map(swing => {
+            const team = swing.change >= 0 ? homeTeam : awayTeam
+            return (
+              <div key={points.indexOf(swing)} className="wp-swing-line">
+                <span className="wp-swing-time">{formatQuarter(swing.quarter)} {formatGameClock(swing.clock)}</span>
+                <span className="wp-swing-change">{team.abbreviation} +{formatPercent(Math.abs(swing.change))}</span>
+                <span className="wp-swing-desc">{swing.description}</span>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default WinProbabilityChart
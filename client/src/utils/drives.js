@@ -0,0 +1,122 @@
+/**
+ * Drive tracking
+ * A drive opens at the first snap after a change of possession (a kickoff,
+ * punt, turnover, or the start of a half) and closes on the play that ends
+ * it. Records live in gameState.drives; the last one is open while its
+ * result is null.
+ */
+
+// How a drive can end
+export const DRIVE_RESULTS = {
+  TD: 'TD',
+  FG: 'FG',
+  MISSED_FG: 'MISSED_FG',
+  PUNT: 'PUNT',
+  TURNOVER: 'TURNOVER',
+  DOWNS: 'DOWNS',
+  SAFETY: 'SAFETY',
+  END_OF_HALF: 'END_OF_HALF',
+  END_OF_GAME: 'END_OF_GAME'
+}
+
+/**
+ * Open a drive for the team with the ball unless one is already open
+ * Called before the snap, so the start time is the clock at the change of possession
+ */
+export function openDriveIfNeeded(gameState) {
+  const current = gameState.drives[gameState.drives.length - 1]
+  if (current && current.result === null) return
+
+  const team = gameState.possession
+  const stats = team === 'home' ? gameState.homeStats : gameState.awayStats
+  gameState.drives.push({
+    team,
+    startQuarter: gameState.quarter,
+    startClock: gameState.clock,
+    startYardline: gameState.yardline,
+    endQuarter: null,
+    endClock: null,
+    endYardline: gameState.yardline,
+    plays: 0,
+    netYards: 0,
+    timeConsumed: 0,
+    points: 0,
+    result: null,
+    // Bookkeeping for the totals at the end of the drive
+    startScore: gameState.score[team],
+    startTimeOfPossession: stats.timeOfPossession
+  })
+}
+
+/**
+ * Count a scrimmage play against the open drive and close the drive if the play ended it
+ * @param {Object} snap - Situation at the snap (see getSnapSituation in gameEngine.js)
+ * @param {boolean} gameOver - Whether the play ended the game
+ */
+export function updateDrive(gameState, playResult, snap, gameOver) {
+  const drive = gameState.drives[gameState.drives.length - 1]
+  if (!drive || drive.result !== null) return
+
+  // Flags wipe out the play, so only real snaps count toward the play total
+  if (playResult.type !== 'penalty') {
+    drive.plays++
+  }
+
+  const result = getDriveResult(gameState, drive, playResult, snap, gameOver)
+  drive.endYardline = getDriveSpot(gameState, drive, result, snap)
+  drive.netYards = drive.endYardline - drive.startYardline
+  if (result === null) return
+
+  const stats = drive.team === 'home' ? gameState.homeStats : gameState.awayStats
+  // A play that ran out the quarter ended at 0:00 of the quarter it was snapped in
+  const quarterEnded = gameState.quarter !== snap.quarter
+  drive.result = result
+  drive.endQuarter = quarterEnded ? snap.quarter : gameState.quarter
+  drive.endClock = quarterEnded ? 0 : Math.max(0, gameState.clock)
+  drive.points = gameState.score[drive.team] - drive.startScore
+  drive.timeConsumed = stats.timeOfPossession - drive.startTimeOfPossession
+}
+
+/**
+ * Why the drive ended on this play (null if it goes on)
+ * Anything the offense scored is a TD unless it was a field goal
+ */
+function getDriveResult(gameState, drive, playResult, snap, gameOver) {
+  if (playResult.type === 'fieldgoal') {
+    return playResult.made ? DRIVE_RESULTS.FG : DRIVE_RESULTS.MISSED_FG
+  }
+  // A blocked punt the kicking team falls on in its own end zone is a safety
+  if (playResult.safety) return DRIVE_RESULTS.SAFETY
+  if (playResult.type === 'punt') return DRIVE_RESULTS.PUNT
+  if (gameState.score[drive.team] > drive.startScore) return DRIVE_RESULTS.TD
+  if (playResult.turnover) return DRIVE_RESULTS.TURNOVER
+  if (gameState.possession !== drive.team) return DRIVE_RESULTS.DOWNS
+  if (gameOver) return DRIVE_RESULTS.END_OF_GAME
+  // Halftime, or the end of regulation going into overtime
+  if (gameState.quarter !== snap.quarter && (snap.quarter === 2 || snap.quarter === 4)) {
+    return DRIVE_RESULTS.END_OF_HALF
+  }
+  return null
+}
+
+/**
+ * Furthest spot the drive reached, in the offense's yardline
+ * Kicks and turnovers keep the spot of the last snap; a turnover on downs keeps the gain
+ */
+function getDriveSpot(gameState, drive, result, snap) {
+  switch (result) {
+    case DRIVE_RESULTS.TD:
+      return 100
+    case DRIVE_RESULTS.SAFETY:
+      return 0
+    case DRIVE_RESULTS.DOWNS:
+      return 100 - gameState.yardline
+    case DRIVE_RESULTS.FG:
+    case DRIVE_RESULTS.MISSED_FG:
+    case DRIVE_RESULTS.PUNT:
+    case DRIVE_RESULTS.TURNOVER:
+      return snap.yardline
+    default:
+      return gameState.possession === drive.team ? gameState.yardline : snap.yardline
+  }
+}
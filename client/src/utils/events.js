@@ -0,0 +1,131 @@
+/**
+ * Engine events
+ * Callers subscribe when they start a game:
+ *
+ *   initializeGame(home, away, false, false, {
+ *     listeners: {
+ *       score: ({ team, entry }) => ...,
+ *       gameEnd: ({ score }) => ...
+ *     }
+ *   })
+ *
+ * Handlers live in a registry here rather than on the game state, so JSON
+ * copies of the state (GameDisplay makes one after every play, penalties take
+ * snapshots) keep firing the same handlers. The state only carries the
+ * registry key, listenersId. A saved game restored from storage has no
+ * handlers until it is subscribed again with addGameListeners.
+ *
+ * The registry lets go of a game's handlers after gameEnd. A game left before
+ * then (a component unmounted mid-game, a run that throws) has to drop them
+ * itself: call the function addGameListeners returns, or removeGameListeners
+ * for everything subscribed to that game.
+ */
+
+import logger from './logger.js'
+
+// Event types, in the order they fire after a play
+export const GAME_EVENTS = {
+  KICKOFF: 'kickoff',                      // { play } - kickoffs (onside and squib kicks included)
+  PLAY: 'play',                            // { play } - every play log entry, kickoffs included
+  SCORE: 'score',                          // { team, entry } - one per scoring log entry (conversion in entry.extra_point)
+  TURNOVER: 'turnover',                    // { team, play } - team is the one that lost the ball
+  POSSESSION_CHANGE: 'possessionChange',   // { from, to, play }
+  QUARTER_END: 'quarterEnd',               // { quarter, score }
+  GAME_END: 'gameEnd'                      // { score, winner } - winner is 'home', 'away' or null for a tie
+}
+
+const registry = new Map()
+let nextListenersId = 1
+
+/**
+ * Subscribe handlers to a game's events
+ * @param {Object} listeners - { [event type]: handler(payload, gameState) }
+ * @returns {Function} Unsubscribe - drops just these handlers
+ */
+export function addGameListeners(gameState, listeners) {
+  if (!gameState.listenersId) {
+    // Time-stamped so a game restored after a page reload can't pick up another game's handlers
+    gameState.listenersId = `${Date.now().toString(36)}-${nextListenersId++}`
+  }
+  const current = registry.get(gameState.listenersId) || {}
+  for (const [type, handler] of Object.entries(listeners)) {
+    current[type] = [...(current[type] || []), handler]
+  }
+  registry.set(gameState.listenersId, current)
+
+  const { listenersId } = gameState
+  return () => {
+    const subscribed = registry.get(listenersId)
+    if (!subscribed) return
+    for (const [type, handler] of Object.entries(listeners)) {
+      subscribed[type] = (subscribed[type] || []).filter(h => h !== handler)
+      if (subscribed[type].length === 0) delete subscribed[type]
+    }
+    if (Object.keys(subscribed).length === 0) registry.delete(listenersId)
+  }
+}
+
+/**
+ * Drop all of a game's handlers (done automatically after gameEnd)
+ */
+export function removeGameListeners(gameState) {
+  if (gameState.listenersId) {
+    registry.delete(gameState.listenersId)
+  }
+}
+
+/**
+ * Fire an event to a game's handlers
+ * A handler that throws is logged and skipped, so a broken plugin can't stop the game
+ */
+export function emitGameEvent(gameState, type, payload) {
+  const handlers = gameState.listenersId && registry.get(gameState.listenersId)?.[type]
+  if (!handlers) return
+  for (const handler of handlers) {
+    try {
+      handler(payload, gameState)
+    } catch (error) {
+      logger.error(`Error in ${type} listener: ${error.message}`)
+    }
+  }
+}
+
+/**
+ * Fire the events for a play that was just logged
+ * Everything is worked out from the log entry and the state after the play,
+ * so listeners see the same thing a replay would
+ * @param {number} scoresBefore - Length of the scoring log before the play
+ * @param {boolean} gameOver - Whether the play ended the game
+ */
+export function emitPlayEvents(gameState, play, scoresBefore, gameOver) {
+  if (!gameState.listenersId || !registry.has(gameState.listenersId)) return
+
+  const { snap } = play
+  if (snap.down === null) {
+    emitGameEvent(gameState, GAME_EVENTS.KICKOFF, { play })
+  }
+  emitGameEvent(gameState, GAME_EVENTS.PLAY, { play })
+
+  gameState.scoringLog.slice(scoresBefore).forEach(entry => {
+    const team = entry.team_id === gameState.homeTeam.id ? 'home' : 'away'
+    emitGameEvent(gameState, GAME_EVENTS.SCORE, { team, entry })
+  })
+
+  if (play.turnover) {
+    emitGameEvent(gameState, GAME_EVENTS.TURNOVER, { team: snap.possession, play })
+  }
+  if (gameState.possession !== snap.possession) {
+    emitGameEvent(gameState, GAME_EVENTS.POSSESSION_CHANGE, { from: snap.possession, to: gameState.possession, play })
+  }
+
+  if (gameState.quarter !== snap.quarter || (gameOver && gameState.clock <= 0)) {
+    emitGameEvent(gameState, GAME_EVENTS.QUARTER_END, { quarter: snap.quarter, score: { ...gameState.score } })
+  }
+
+  if (gameOver) {
+    const { home, away } = gameState.score
+    const winner = home === away ? null : (home > away ? 'home' : 'away')
+    emitGameEvent(gameState, GAME_EVENTS.GAME_END, { score: { ...gameState.score }, winner })
+    removeGameListeners(gameState)
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Expected points (EP) and expected points added (EPA)
+ * EP is the average value of the next score in the half for the team with the
+ * ball (a TD with its conversion, a field goal, a safety; negative when the
+ * other team scores next, zero when nobody does). The table is built by the
+ * silent simulator (node silent-simulator.js --build-expected-points) and
+ * keyed by down, distance and yardline.
+ *
+ * EPA for a play is EP after it minus EP before it, from the side of the team
+ * that snapped (or kicked) the ball.
+ */
+
+import { EXPECTED_POINTS_TABLE } from './expectedPointsTable.js'
+
+// Distance buckets: 1-3, 4-7 (the tendency situations' short and medium), 8-10, 11-15, 16+
+const DISTANCE_EDGES = [3, 7, 10, 15]
+const DISTANCE_BUCKETS = DISTANCE_EDGES.length + 1
+const YARDLINES = 99  // 1 (own 1) to 99 (opponent's 1)
+
+// How many samples a cell needs before it outweighs its coarser parent
+const SHRINK_WEIGHT = 30
+
+// Used only before a table has been built: roughly -1 at the own goal line to +6 at the other
+const PRIOR = { intercept: -1, perYard: 0.07 }
+
+function getDistanceBucket(distance) {
+  const edge = DISTANCE_EDGES.findIndex(yards => distance <= yards)
+  return edge === -1 ? DISTANCE_EDGES.length : edge
+}
+
+// Cell indexes at each level of detail (coarse -> fine)
+function getCells(down, distance, yardline) {
+  const yard = Math.max(1, Math.min(YARDLINES, yardline)) - 1
+  const downYard = (Math.max(1, Math.min(4, down)) - 1) * YARDLINES + yard
+  return {
+    yard,
+    downYard,
+    full: downYard * DISTANCE_BUCKETS + getDistanceBucket(distance)
+  }
+}
+
+// First half, second half, then each overtime period on its own
+function getHalf(quarter) {
+  return quarter <= 4 ? Math.ceil(quarter / 2) : quarter
+}
+
+/**
+ * Expected points for the team with the ball
+ */
+export function getExpectedPoints(down, distance, yardline) {
+  const values = EXPECTED_POINTS_TABLE.values
+  if (!values || values.length === 0) {
+    return PRIOR.intercept + PRIOR.perYard * yardline
+  }
+  return values[getCells(down, distance, yardline).full] / 100
+}
+
+/**
+ * Expected points for the kicking team at a kickoff
+ */
+export function getKickoffExpectedPoints() {
+  return (EXPECTED_POINTS_TABLE.kickoff ?? 0) / 100
+}
+
+/**
+ * Expected points added by a play
+ * @param {Object} snap - Situation at the snap, score included (see getSnapSituation in gameEngine.js)
+ * @param {Object} state - Game state after the play
+ * @param {boolean} gameOver - Whether the play ended the game
+ */
+export function getExpectedPointsAdded(snap, state, gameOver = false) {
+  const offense = snap.possession
+  const defense = offense === 'home' ? 'away' : 'home'
+  const before = snap.down === null
+    ? getKickoffExpectedPoints()
+    : getExpectedPoints(snap.down, snap.distance, snap.yardline)
+
+  const scored = (state.score[offense] - snap.score[offense]) - (state.score[defense] - snap.score[defense])
+  let after
+  if (scored !== 0) {
+    after = scored
+  } else if (gameOver || getHalf(state.quarter) !== getHalf(snap.quarter) || state.awaitingKickoff) {
+    // Nobody scores again this half
+    after = 0
+  } else {
+    const expected = getExpectedPoints(state.down, state.distance, state.yardline)
+    after = state.possession === offense ? expected : -expected
+  }
+  return Math.round((after - before) * 100) / 100
+}
+
+/**
+ * Collects finished games into a new table
+ * Each cell is shrunk toward its coarser parent (down and yardline, then
+ * yardline alone), so thin down/distance combinations stay smooth.
+ */
+export function createExpectedPointsTally() {
+  const levels = {
+    yard: { points: new Float64Array(YARDLINES), samples: new Uint32Array(YARDLINES) },
+    downYard: { points: new Float64Array(4 * YARDLINES), samples: new Uint32Array(4 * YARDLINES) },
+    full: { points: new Float64Array(4 * YARDLINES * DISTANCE_BUCKETS), samples: new Uint32Array(4 * YARDLINES * DISTANCE_BUCKETS) }
+  }
+  const kickoff = { points: 0, samples: 0 }
+  let games = 0
+
+  return {
+    /**
+     * Add one game from its play log
+     * Walks backward so every play knows the next score in its half
+     */
+    addGame(playLog) {
+      games++
+      let next = null  // { half, home } - home's side of the next score
+      for (let i = playLog.length - 1; i >= 0; i--) {
+        const play = playLog[i]
+        const previous = i > 0 ? playLog[i - 1].score : { home: 0, away: 0 }
+        const half = getHalf(play.snap.quarter)
+        if (next && next.half !== half) next = null
+
+        const homePoints = (play.score.home - previous.home) - (play.score.away - previous.away)
+        if (homePoints !== 0) next = { half, home: homePoints }
+
+        const value = next ? (play.snap.possession === 'home' ? next.home : -next.home) : 0
+        if (play.snap.down === null) {
+          kickoff.points += value
+          kickoff.samples++
+          continue
+        }
+        const cells = getCells(play.snap.down, play.snap.distance, play.snap.yardline)
+        for (const [level, tally] of Object.entries(levels)) {
+          tally.points[cells[level]] += value
+          tally.samples[cells[level]]++
+        }
+      }
+    },
+
+    /**
+     * @returns {Object} Table for expectedPointsTable.js (values are hundredths of a point, finest level)
+     */
+    toTable() {
+      const shrink = (tally, cell, parent) =>
+        (tally.points[cell] + SHRINK_WEIGHT * parent) / (tally.samples[cell] + SHRINK_WEIGHT)
+
+      const yard = Array.from(levels.yard.samples, (_, cell) =>
+        shrink(levels.yard, cell, PRIOR.intercept + PRIOR.perYard * (cell + 1)))
+      const downYard = Array.from(levels.downYard.samples, (_, cell) =>
+        shrink(levels.downYard, cell, yard[cell % YARDLINES]))
+      const values = Array.from(levels.full.samples, (_, cell) =>
+        Math.round(100 * shrink(levels.full, cell, downYard[Math.floor(cell / DISTANCE_BUCKETS)])))
+
+      return {
+        games,
+        samples: levels.full.samples.reduce((sum, count) => sum + count, 0),
+        kickoff: kickoff.samples > 0 ? Math.round(100 * kickoff.points / kickoff.samples) : 0,
+        values
+      }
+    }
+  }
+}
@@ -0,0 +1,3 @@
+// Generated by: node silent-simulator.js --build-expected-points
+// Do not edit by hand - rebuild after changes that move scoring or game flow
+export const EXPECTED_POINTS_TABLE = {"games":20000,"samples":2778654,"kickoff":-94,"values":[-102,-102,-91,-166,-108,-118,-118,-114,-120,-140,-110,-110,-108,-122,-86,-96,-96,-86,-119,-143,-85,-85,-84,-74,-121,-87,-87,-85,-111,-91,-78,-80,-72,-129,-122,-73,-77,-76,-41,-38,-82,-72,-77,-136,-128,-58,-66,-48,-73,-128,-56,21,-55,14,-123,-50,-65,-48,-55,-72,-32,-62,-31,23,-62,-48,-7,-47,-32,-82,-20,-65,-17,-38,-47,-5,21,-6,26,-10,14,9,16,-16,-2,12,-31,12,-1,55,27,-86,32,-22,-23,20,107,28,30,-9,35,81,35,54,31,46,25,47,37,13,53,45,55,14,20,57,100,59,58,-37,62,78,60,72,21,69,48,71,29,35,76,90,78,52,48,85,107,86,84,42,92,81,93,51,80,110,123,110,69,84,114,84,117,164,39,116,101,120,105,55,124,147,125,110,112,127,139,131,56,68,138,142,141,82,120,140,237,140,133,122,147,214,148,133,103,154,212,155,126,136,163,189,164,162,112,172,217,174,135,106,177,202,178,164,103,185,209,186,177,169,185,261,186,150,121,198,193,200,91,192,207,237,209,134,150,214,183,217,158,167,225,290,226,163,216,234,257,235,194,192,236,214,237,214,226,235,188,237,216,198,256,254,256,252,254,254,288,253,261,254,266,291,267,227,230,268,281,269,283,244,278,239,278,286,273,297,352,298,269,253,301,303,302,279,291,309,349,310,295,259,324,333,325,310,303,328,346,328,303,322,339,370,340,302,301,345,311,347,321,301,346,316,349,309,287,362,359,364,346,308,359,376,360,357,307,363,384,365,317,306,382,380,384,344,325,376,396,377,342,373,385,439,386,354,368,388,442,388,346,363,404,414,405,400,392,401,422,402,382,346,410,389,412,387,353,417,461,418,417,371,425,441,426,391,399,437,497,438,432,362,434,462,434,428,430,446,442,448,440,397,453,508,455,392,394,460,453,463,420,395,467,488,469,395,424,480,488,482,444,427,483,508,484,473,439,487,535,488,455,434,480,477,482,433,424,483,548,483,455,446,493,520,494,487,461,502,566,501,491,483,505,527,504,504,508,512,540,511,536,512,528,563,527,544,528,548,521,549,544,548,560,568,559,572,560,579,572,580,601,579,598,573,593,591,591,612,588,610,609,609,635,621,621,621,621,626,640,641,640,640,655,651,651,651,651,-130,-130,-87,-135,-178,-176,-176,-177,-164,-216,-167,-167,-164,-170,-163,-144,-106,-121,-149,-181,-162,-139,-123,-176,-221,-145,-145,-115,-165,-159,-146,-72,-127,-164,-202,-126,-130,-109,-119,-210,-44,-81,-111,-115,-133,-104,-86,-112,-151,-170,-11,-84,-109,-122,-125,-53,-99,-69,-103,-194,-65,-80,-81,-138,-116,-19,-66,-59,-84,-91,-37,-50,-80,-77,-127,46,-24,-44,-39,-90,40,-13,-29,-95,-56,20,-36,-34,-30,-73,51,-4,-20,-74,-73,3,-9,-27,-26,-59,-1,38,-16,5,-44,52,12,1,-5,-50,37,41,15,-46,-48,53,38,30,-6,-24,82,37,30,-7,-3,97,55,28,1,-30,98,69,37,22,-7,86,67,45,43,-12,97,50,61,48,23,90,104,62,42,20,104,98,72,46,13,132,91,87,69,29,134,93,81,56,29,106,115,96,57,50,139,128,101,47,51,131,130,103,61,61,151,149,123,94,56,161,128,116,82,81,176,129,110,97,86,167,145,132,105,58,194,136,123,113,132,187,168,148,124,112,189,157,134,125,95,220,179,157,106,115,213,189,161,130,92,208,183,165,121,82,217,189,179,135,131,213,186,195,160,121,244,214,193,158,146,244,218,186,191,147,243,227,209,196,206,259,240,210,201,168,280,237,231,188,203,273,245,225,217,189,267,254,238,218,193,305,258,253,232,208,331,290,257,251,255,300,287,269,260,261,296,292,287,285,258,308,306,292,277,271,319,322,303,299,273,336,326,318,299,300,353,332,322,293,290,338,347,320,291,307,339,341,332,324,278,371,358,341,323,287,381,362,347,336,302,370,377,346,357,323,378,374,355,340,315,387,387,357,349,317,408,390,371,363,312,397,392,376,343,330,428,392,380,353,314,406,395,388,374,335,423,405,394,383,359,426,403,408,361,352,439,425,406,406,350,437,427,413,401,354,450,430,431,393,361,466,445,417,396,347,476,450,425,414,401,483,451,433,405,372,475,452,438,414,388,476,470,449,422,403,469,471,432,387,370,500,472,439,409,383,490,478,438,409,369,506,493,445,407,438,527,497,467,433,441,527,503,460,441,450,547,516,471,471,501,559,513,494,477,505,567,521,503,496,515,567,534,523,523,533,586,543,550,547,552,596,561,573,572,572,593,594,588,573,590,618,610,619,634,616,636,628,626,629,629,-179,-179,-143,-167,-234,-234,-234,-284,-209,-253,-224,-224,-212,-228,-245,-250,-185,-264,-257,-269,-221,-161,-223,-229,-255,-208,-197,-165,-193,-322,-211,-157,-193,-220,-266,-127,-177,-218,-199,-212,-156,-189,-193,-205,-250,-75,-143,-196,-217,-197,-144,-135,-173,-187,-181,-70,-157,-183,-204,-208,-102,-143,-140,-159,-229,-139,-104,-138,-186,-166,-101,-132,-127,-163,-174,-53,-71,-113,-154,-145,-67,-88,-117,-135,-166,-45,-110,-106,-121,-116,-48,-55,-71,-114,-127,-37,-78,-113,-95,-121,-50,-62,-98,-66,-108,-79,-56,-55,-69,-94,-49,-49,-68,-81,-125,-6,-44,-42,-30,-112,26,-49,-39,-75,-112,54,-32,-31,-53,-60,47,-16,-30,-57,-78,61,3,-53,-25,-78,42,15,-37,-22,-79,81,12,-26,-5,-84,42,27,-6,-52,-45,35,6,5,-34,-68,42,23,18,-11,-56,104,26,9,8,-18,72,47,41,-19,-32,106,64,33,-3,-13,96,48,31,20,-1,102,91,24,4,16,121,57,48,29,-6,116,83,33,25,11,99,93,47,42,49,160,85,73,30,11,123,76,58,41,34,135,91,73,48,14,167,97,76,50,20,154,116,62,57,31,153,96,93,65,30,171,126,90,52,44,161,118,94,79,52,194,144,102,91,51,191,140,123,118,82,199,167,125,116,101,228,152,140,112,135,235,169,143,117,113,234,176,172,168,145,242,192,184,167,148,268,229,182,192,180,248,219,217,198,201,260,233,221,195,174,279,252,243,222,174,290,254,248,241,232,283,285,256,232,238,304,284,270,243,270,305,279,271,266,247,314,300,290,267,267,323,306,277,275,244,332,309,298,293,245,343,313,285,288,283,343,329,305,299,283,356,325,299,266,272,366,322,303,287,283,361,335,328,301,292,369,348,338,314,289,385,345,326,315,302,378,350,340,322,285,398,355,339,315,325,371,366,332,330,266,408,371,345,338,303,406,382,351,341,303,398,376,351,347,309,415,391,369,355,332,425,388,371,330,328,430,396,366,334,328,448,409,381,368,349,431,392,361,305,313,441,400,357,335,327,447,406,373,338,329,463,411,371,332,339,463,413,367,346,365,469,415,371,351,393,488,427,383,377,384,479,424,386,381,372,488,425,409,402,421,512,442,436,435,459,519,452,444,438,467,514,473,474,462,484,525,500,506,514,511,542,542,527,557,539,583,578,567,578,578,-291,-291,-304,-304,-339,-336,-336,-347,-337,-398,-280,-280,-206,-313,-319,-313,-346,-268,-339,-335,-247,-208,-303,-282,-196,-281,-290,-275,-252,-346,-289,-305,-307,-299,-273,-248,-295,-270,-264,-302,-224,-272,-268,-267,-250,-182,-264,-263,-247,-277,-271,-273,-269,-232,-221,-230,-239,-265,-266,-238,-239,-250,-225,-248,-280,-218,-233,-207,-271,-232,-230,-224,-240,-287,-261,-197,-204,-254,-206,-209,-218,-181,-223,-225,-209,-205,-220,-159,-199,-185,-164,-202,-183,-208,-207,-158,-189,-208,-181,-163,-215,-202,-201,-163,-221,-177,-178,-184,-187,-171,-205,-185,-184,-147,-194,-139,-185,-143,-105,-169,-183,-170,-173,-167,-181,-113,-141,-141,-156,-145,-148,-168,-121,-154,-138,-157,-121,-156,-117,-159,-138,-110,-127,-120,-123,-147,-107,-134,-130,-127,-112,-119,-122,-102,-153,-82,-119,-107,-132,-112,-129,-99,-106,-107,-104,-76,-98,-89,-112,-92,-95,-82,-86,-123,-94,-56,-80,-58,-84,-70,-68,-99,-58,-88,-65,-58,-107,-53,-81,-48,-52,-76,-81,-65,-43,-27,-41,-72,-73,-82,18,-77,-45,-66,-54,37,-44,-56,-72,-51,-17,-26,-36,-57,-82,0,-59,-43,-75,-49,-9,-67,-75,-76,-84,-17,-83,-58,-70,-75,-23,-68,-49,-59,-65,10,-37,-65,-73,-86,-14,-51,-47,-63,-78,45,9,-37,4,-75,46,-24,-6,-29,-79,79,12,-8,28,-33,74,-10,-3,-16,6,74,10,-16,-23,-54,152,43,66,27,28,125,27,41,31,46,133,123,122,120,124,127,111,119,109,146,141,141,139,118,117,141,137,134,134,82,207,184,200,157,204,214,208,225,205,187,196,210,222,175,217,219,197,206,204,204,226,206,221,197,191,224,218,228,198,210,227,217,208,241,196,220,223,205,233,230,237,219,216,236,242,247,228,226,206,216,259,250,266,262,281,265,265,255,255,255,265,266,259,272,274,249,248,270,252,274,274,258,271,262,256,263,259,263,273,278,269,255,254,266,263,281,277,265,275,260,261,269,259,259,247,263,258,266,267,232,286,284,294,289,289,285,287,281,261,286,286,286,280,281,278,282,289,285,284,296,290,287,288,281,292,304,293,273,288,290,293,286,292,290,285,299,281,289,272,297,318,285,295,285,296,311,294,291,294,289,316,292,292,284,284,307,296,284,287,285,299,297,294,291,285,310,289,290,292,299,309,289,293,297,300,300,289,296,296,297,308,300,292,306,305,312,300,284,281,306,319,306,300,315,315],"seed":1979}
@@ -4,15 +4,28 @@
  */
 
 import {
-  generatePlayTime,
+  generateRunoff,
+  generateActionTime,
   runningPlay,
   runAfterCatch,
   kickoffReturn,
   generateAirYards,
   generatePuntDistance,
-  formatGameClock,
-  QUARTER_LENGTH
+  formatGameClock
 } from './gameSimulation.js'
+import { createSeed, seedToState, nextRandom } from './random.js'
+import { PENALTIES, rollPreSnapPenalty, rollLiveBallPenalty, getEnforcedYards } from './penalties.js'
+import { creditPlayers, creditKickoff } from './players.js'
+import { rollForInjury, getInjuryRatingLoss } from './injuries.js'
+import { openDriveIfNeeded, updateDrive } from './drives.js'
+import { getExpectedPointsAdded } from './expectedPoints.js'
+import { addGameListeners, emitPlayEvents } from './events.js'
+import {
+  DEFAULT_OVERTIME_POLICY, OVERTIME_POLICIES, getOvertimePolicy, allowsTie, isUntimedOvertime, mustGoForTwo,
+  startOvertimeSeries, advanceOvertimeSeries
+} from './overtime.js'
+import { resolveRules, getFieldGoalDistance, getFieldGoalSuccess } from './rules.js'
+import { getWeatherEffects } from './weather.js'
 import logger from './logger.js'
 
 /**
@@ -20,15 +33,10 @@ import logger from './logger.js'
  * See game-design-decisions.md for full documentation
  */
 const GAME_CONSTANTS = {
-  // Passing (by air yards: short 0-9, medium 10-19, long 20+)
-  PASS_COMPLETION: { short: 0.73, medium: 0.63, long: 0.44 },
-  PASS_INTERCEPTION: { short: 0.02, medium: 0.03, long: 0.06 },
-  // Air yards generated via normal distribution with these means
-  AIR_YARDS_MEAN: { short: 4, medium: 14 },  // long TBD
-  AIR_YARDS_RANGE: { short: [0, 9], medium: [10, 19], long: [20, 50] },
-
-  // Sacks (checked before completion/interception)
-  SACK_RATE: { short: 0.05, medium: 0.08, long: 0.11 },  // Mean: 7%
+  // Pass, sack, and field goal tables, touchback spots, tries and quarter
+  // length are league rules: gameState.rules (see rules.js)
+
+  // Sacks
   SACK_FUMBLE_RATE: 0.18,      // 18% of sacks cause fumble
   SACK_FUMBLE_LOST: 0.47,      // 47% of sack fumbles lost to defense
 
@@ -40,37 +48,116 @@ const GAME_CONSTANTS = {
   // Punts
   PUNT_DISTANCE_AVG: 45,
   FAIR_CATCH_PCT: 0.40,
-
-  // Field Goals
-  // Distance = yards to goal line + 7 (snap)
-  // From opp 45: 45+7=52 yds | From opp 30: 30+7=37 yds | From own 45: 55+7=62 yds (max)
-  MAX_FG_DISTANCE: 62,
-  FG_SUCCESS: {
-    '0-26': 0.98,   // Inside opp 20 (chip shots)
-    '27-36': 0.93,  // Opp 20-30 (high percentage)
-    '37-46': 0.85,  // Opp 30-40 (solid range)
-    '47-52': 0.72,  // Opp 40-46 (long but makeable)
-    '53-57': 0.55,  // Opp 46-51 (difficult)
-    '58-62': 0.35   // Own 45-49 (max range, low percentage)
+  PUNT_BLOCK_PCT: 0.008,
+  PUNT_MUFF_PCT: 0.015,              // Fielded punts (fair catch or return) put on the ground
+  PUNT_MUFF_RECOVERY_KICKING: 0.45,  // Kicking team falls on the muff (it can't advance it)
+
+  // Blocked punts and field goals bounce back from the spot of the kick
+  BLOCK_BOUNCE_RANGE: [0, 10],
+  BLOCK_RECOVERY_DEFENSE: 0.70,      // Rest are recovered by the kicking team
+
+  // Fakes (computer coaches: 4th and short, never in the final 2:00 of a half)
+  FAKE_PUNT_PCT: 0.04,
+  FAKE_FG_PCT: 0.03,
+  FAKE_MAX_DISTANCE: 5,
+  FAKE_RUN_PCT: 0.5,                 // Rest are short passes
+
+  // Field Goals (distance and success brackets: see rules.js)
+  FG_BLOCK_PCT: 0.015,
+
+  // Team Ratings (team_ratings table, 1-99, 50 = league average)
+  // Rating differences (offense - defense) shift the 1979 guess ranges and the rate constants
+  DEFAULT_RATING: 50,
+  RATING_RANGE_SCALE: 40,          // 40 rating points = +1 on the defense range (1-5 plays as 1-6)
+  RATING_COMPLETION_FACTOR: 0.004, // Completion % scaled by 1 + diff * factor (pass offense vs coverage)
+  RATING_SACK_FACTOR: 0.008,       // Sack % scaled by 1 + diff * factor (pass rush vs pass offense)
+  RATING_FG_MISS_FACTOR: 0.01,     // FG miss % scaled by 1 - (kicking - 50) * factor
+
+  // Defensive Play Calling (coach_defense_tendencies table)
+  // Effect of each defensive call by offensive call:
+  //   range - added to the defense guess range on the run or after the catch (+ favors the offense)
+  //   completion, sack, interception - multipliers on the pass rates
+  DEFENSE_CALL_EFFECTS: {
+    base: {},
+    run_blitz: {
+      run: { range: -0.75 },
+      short: { sack: 1.3, range: 0.25 },
+      medium: { sack: 1.3, completion: 1.05, range: 0.5 },
+      long: { sack: 1.3, completion: 1.1, range: 0.5 }
+    },
+    pass_blitz: {
+      run: { range: 0.5 },
+      short: { sack: 1.8, completion: 0.95, range: 0.5 },
+      medium: { sack: 1.8, completion: 0.95, interception: 1.3, range: 1 },
+      long: { sack: 1.8, completion: 1.1, interception: 1.3, range: 1.5 }
+    },
+    prevent: {
+      run: { range: 0.5 },
+      short: { sack: 0.5, completion: 1.15, range: 0.5 },
+      medium: { sack: 0.5, completion: 0.95 },
+      long: { sack: 0.5, completion: 0.6, interception: 1.5, range: -1 }
+    },
+    goal_line: {
+      run: { range: -1.5 },
+      short: { sack: 0.8, completion: 1.05, range: 0.5 },
+      medium: { sack: 0.8, completion: 1.2, range: 1 },
+      long: { sack: 0.8, completion: 1.2, range: 1.5 }
+    }
   },
+  GOAL_LINE_DEFENSE_YARDS: 5,          // Offense inside the 5: 'goal_line' situation
+  // Defense ahead in the final 2:00 of Q2, Q4, or OT: 'late_lead' situation (uses TWO_MINUTE_WARNING)
+
+  // 4th Down Coach Tendencies (coach_fourth_down_tendencies table)
+  // Final go/punt/FG weights = (1 - weight) * decision tree + weight * coach tendencies
+  FOURTH_DOWN_TENDENCY_WEIGHT: 0.5,
+  // Coach go% is scaled by how makeable the 4th down is (yards needed)
+  FOURTH_DOWN_GO_FACTOR: { 1: 1.5, 3: 1.0, 6: 0.5, long: 0.2 },
+  FOURTH_DOWN_GO_OWN_TERRITORY: 0.5,  // Extra scale on go% behind own 40
+  FOURTH_DOWN_PUNT_SHORT_FIELD: 0.2,  // Scale on punt% inside opp 35 (little to gain)
+
+  // Clock Management
+  // Ball carrier goes out of bounds (runs and completed passes)
+  OUT_OF_BOUNDS_RATE: { run: 0.10, pass: 0.20 },
+  OUT_OF_BOUNDS_HURRY_UP_BONUS: 0.15,  // Hurry-up offense works the sideline
+  OUT_OF_BOUNDS_MILK_FACTOR: 0.3,      // Team milking the clock stays in bounds
+  // Out of bounds stops the clock only in these windows (seconds left)
+  OUT_OF_BOUNDS_STOP_Q2: 120,          // Final 2:00 of the first half
+  OUT_OF_BOUNDS_STOP_Q4: 300,          // Final 5:00 of the 4th quarter/OT
+  TWO_MINUTE_WARNING: 120,
+  FIRST_DOWN_STOP_SECONDS: 6,          // Runoff saved while the chains move (final 2:00 of a half)
+  HURRY_UP_WINDOW: 300,                // Trailing team goes no-huddle, leading team milks (Q4/OT)
+
+  // Timeouts
+  TIMEOUTS_PER_HALF: 3,
+  TIMEOUT_OFFENSE_Q2: 60,              // Offense stops a running clock in the final 1:00 of the half...
+  TIMEOUT_OFFENSE_Q2_YARDLINE: 40,     // ...when driving (past own 40)
+  TIMEOUT_OFFENSE_LATE: 120,           // Trailing offense stops the clock in the final 2:00 (Q4/OT)
+  TIMEOUT_DEFENSE_LATE: 180,           // Trailing defense saves clock in the final 3:00 (Q4/OT)
+  TIMEOUT_MAX_DEFICIT: 16,             // Don't bother when down more than two scores
 
   // Kickoffs
-  TOUCHBACK_PCT: 0.60,
   KICKOFF_RETURN_START: 5,
-
-  // Extra Points
-  XP_SUCCESS: 0.95,
-  TWO_PT_SUCCESS: 0.47,
+  KICKOFF_SPOT: 35,                    // Kicking team's own 35
+  KICKOFF_OUT_OF_BOUNDS_PCT: 0.01,     // Deep kicks only
+  KICKOFF_OUT_OF_BOUNDS_SPOT: 40,      // Receiving team's ball at its own 40
+
+  // Onside kicks
+  ONSIDE_LATE_CLOCK: 180,              // Trailing kicking team onsides in the final 3:00 of Q4/OT...
+  ONSIDE_MAX_DEFICIT: 16,              // ...when still within two scores
+  ONSIDE_SURPRISE_PCT: 0.01,           // Surprise onside any other time (not when leading late)
+  ONSIDE_RECOVERY: { expected: 0.12, surprise: 0.50 },
+  ONSIDE_KICK_YARDS: [10, 13],         // Ball travels 10-13 yards before it's recovered
+
+  // Squib kicks (end of halves - keep the return short)
+  SQUIB_WINDOW: 30,                    // Final 0:30 of Q2 and Q4/OT
+  SQUIB_FIELDED_AT: [15, 25],          // Receiving team's yard line
+  SQUIB_RETURN_MAX: 8,
 
   // 2-Point Conversion Tendencies (defaults, can be overridden by coach)
+  // Success rates by play type are rules (twoPointSuccess)
   TWO_PT_RUN_PCT: 0.50,        // 50% run, 50% pass
   TWO_PT_SHORT_PASS_PCT: 0.60, // When passing: 60% short, 40% medium
 
-  // 2-Point Conversion Success Rates by play type
-  TWO_PT_RUN_SUCCESS: 0.50,         // Goal-line run
-  TWO_PT_SHORT_PASS_SUCCESS: 0.52,  // Quick slant/fade
-  TWO_PT_MEDIUM_PASS_SUCCESS: 0.42, // Deeper route, riskier
-
   // Default Play Calling (used when coach tendencies not available)
   DEFAULT_TENDENCIES: {
     '1st_10':     { run: 45, short: 28, medium: 18, long: 9 },
@@ -83,6 +170,22 @@ const GAME_CONSTANTS = {
     '4th_short':  { run: 55, short: 22, medium: 15, long: 8 },
     '4th_medium': { run: 40, short: 30, medium: 20, long: 10 },
     '4th_long':   { run: 35, short: 30, medium: 22, long: 13 }
+  },
+
+  // Default defensive calls by situation (used if no coach defense tendencies)
+  DEFAULT_DEFENSE_TENDENCIES: {
+    '1st_10':     { base: 65, run_blitz: 20, pass_blitz: 12, prevent: 3, goal_line: 0 },
+    '2nd_short':  { base: 50, run_blitz: 35, pass_blitz: 10, prevent: 0, goal_line: 5 },
+    '2nd_medium': { base: 65, run_blitz: 15, pass_blitz: 17, prevent: 3, goal_line: 0 },
+    '2nd_long':   { base: 60, run_blitz: 5, pass_blitz: 25, prevent: 10, goal_line: 0 },
+    '3rd_short':  { base: 40, run_blitz: 40, pass_blitz: 10, prevent: 0, goal_line: 10 },
+    '3rd_medium': { base: 55, run_blitz: 10, pass_blitz: 30, prevent: 5, goal_line: 0 },
+    '3rd_long':   { base: 50, run_blitz: 5, pass_blitz: 30, prevent: 15, goal_line: 0 },
+    '4th_short':  { base: 35, run_blitz: 40, pass_blitz: 10, prevent: 0, goal_line: 15 },
+    '4th_medium': { base: 50, run_blitz: 15, pass_blitz: 30, prevent: 5, goal_line: 0 },
+    '4th_long':   { base: 45, run_blitz: 5, pass_blitz: 35, prevent: 15, goal_line: 0 },
+    'goal_line':  { base: 30, run_blitz: 15, pass_blitz: 10, prevent: 0, goal_line: 45 },
+    'late_lead':  { base: 35, run_blitz: 5, pass_blitz: 10, prevent: 50, goal_line: 0 }
   }
 }
 
@@ -92,31 +195,139 @@ const GAME_CONSTANTS = {
  */
 const PLAY_ROTATION = ['run', 'run', 'short', 'short', 'medium', 'medium', 'long', 'long']
 
+// Offensive calls a defensive call plays against (kicks get none)
+const DEFENDED_PLAYS = ['run', 'pass', 'short', 'medium', 'long']
+
+// Fake kicks, by call (the defense is lined up for the kick)
+const FAKE_LABELS = { fake_punt: 'Fake punt', fake_fg: 'Fake field goal' }
+
+// Team stat prefix for each kind of defensive return (see returnTurnover)
+const RETURN_STATS = {
+  int_return: 'intReturn',
+  fumble_return: 'fumbleReturn',
+  blocked_punt_return: 'blockedKickReturn',
+  blocked_fg_return: 'blockedKickReturn'
+}
+
+/**
+ * Zeroed box score for one team
+ */
+export function createTeamStats() {
+  return {
+    // Rushing
+    rushingAttempts: 0,
+    rushingYards: 0,
+    rushingFumbles: 0,
+    rushingFumblesLost: 0,
+    rushingTouchdowns: 0,
+    // Passing
+    passAttempts: 0,
+    passCompletions: 0,
+    passYards: 0,
+    passRacYards: 0,
+    passInterceptions: 0,
+    passTouchdowns: 0,
+    // Sacks
+    sacks: 0,
+    sackYardsLost: 0,
+    sackFumbles: 0,
+    sackFumblesLost: 0,
+    // Receiving fumbles
+    recFumbles: 0,
+    recFumblesLost: 0,
+    // Downs
+    firstDowns: 0,
+    thirdDownAttempts: 0,
+    thirdDownConversions: 0,
+    fourthDownAttempts: 0,
+    fourthDownConversions: 0,
+    // Other
+    timeOfPossession: 0,
+    kickReturnAttempts: 0,
+    kickReturnYards: 0,
+    kickReturnTouchdowns: 0,
+    puntReturnAttempts: 0,
+    puntReturnYards: 0,
+    puntReturnTouchdowns: 0,
+    intReturnYards: 0,
+    intReturnTouchdowns: 0,
+    fumbleReturnYards: 0,
+    fumbleReturnTouchdowns: 0,
+    blockedKickReturnYards: 0,
+    blockedKickReturnTouchdowns: 0,
+    // Kicking game
+    puntsBlocked: 0,
+    fgBlocked: 0,
+    puntsMuffed: 0,
+    puntsMuffedLost: 0,
+    fakePunts: 0,
+    fakeFieldGoals: 0,
+    fgAttempted: 0,
+    fgMade: 0,
+    xpAttempted: 0,
+    xpMade: 0,
+    twoPtAttempted: 0,
+    twoPtMade: 0,
+    safetiesScored: 0,
+    timeoutsUsed: 0,
+    // Penalties (accepted fouls committed by this team)
+    penalties: 0,
+    penaltyYards: 0
+  }
+}
+
 /**
  * Initialize game state
  * @param {boolean} simplifiedMode - If true, runs only, no kicks, always go on 4th
  * @param {boolean} rotationMode - If true, use fixed play rotation (3 run, 3 short, 3 medium)
+ * @param {Object} options - Optional settings
+ * @param {number} options.seed - PRNG seed; the same seed and inputs replay the same game
+ * @param {Object} options.listeners - Event handlers, { [event type]: handler } (see events.js)
+ * @param {Object} options.humanCoaches - { home, away } - true for a team whose plays a person calls (see executeCoachedPlay)
+ * @param {string} options.overtimePolicy - Key of OVERTIME_POLICIES (see overtime.js); rules with their own overtime win
+ * @param {boolean} options.playoff - A playoff game never ends tied
+ * @param {string|Object} options.rules - League rules: preset name or { preset, ...overrides } (see rules.js)
+ * @param {Object} options.weather - Conditions, { dome, temperature, wind, precipitation } (see weather.js); none plays in neutral conditions
  */
-export function initializeGame(homeTeam, awayTeam, simplifiedMode = false, rotationMode = false) {
+export function initializeGame(homeTeam, awayTeam, simplifiedMode = false, rotationMode = false, options = {}) {
+  const { seed = createSeed(), listeners, humanCoaches = {}, playoff = false } = options
+  const rules = resolveRules(options.rules)  // Throws on a bad spec
+  // Rules that come with their own overtime (classic) win over the game's choice
+  const overtimePolicy = rules.overtimePolicy ?? options.overtimePolicy ?? DEFAULT_OVERTIME_POLICY
+  if (!OVERTIME_POLICIES[overtimePolicy]) {
+    throw new Error(`Unknown overtime policy: ${overtimePolicy}`)
+  }
+
+  // All rolls come from this generator; its state lives in gameState.rngState
+  const rng = { rngState: seedToState(seed) }
+
   // Coin toss - winner receives first, loser receives at halftime
-  const coinToss = Math.random() < 0.5 ? 'home' : 'away'
+  const coinToss = nextRandom(rng) < 0.5 ? 'home' : 'away'
   const firstHalfReceiver = coinToss
   const secondHalfReceiver = coinToss === 'home' ? 'away' : 'home'
   const firstHalfKicker = secondHalfReceiver  // Opposite of receiver
 
   logger.info(`Game initialized: ${awayTeam.name} @ ${homeTeam.name}${simplifiedMode ? ' (Simplified Mode)' : ''}${rotationMode ? ' (Rotation Mode)' : ''}`)
   logger.info(`Coin toss: ${coinToss === 'home' ? homeTeam.name : awayTeam.name} wins, receives first`)
+  logger.info(`Seed: ${seed}`)
 
   const gameState = {
+    // Random number generator (see random.js)
+    seed,
+    rngState: rng.rngState,
+
     // Game mode
+    rules,
+    weather: options.weather ?? null,
     simplifiedMode,
     rotationMode,
     rotationIndex: 0,  // Current position in play rotation
+    humanCoaches: { home: !!humanCoaches.home, away: !!humanCoaches.away },
 
     // Teams
     homeTeam,
     awayTeam,
-    possession: firstHalfKicker,  // Set to kicker so kickoff() flips to receiver
+    possession: firstHalfKicker,  // Set to kicker so the kickoff flips to receiver
     secondHalfReceiver,  // Team that receives at halftime
 
     // Score
@@ -124,12 +335,19 @@ export function initializeGame(homeTeam, awayTeam, simplifiedMode = false, rotat
 
     // Field state
     quarter: 1,
-    clock: QUARTER_LENGTH, // seconds remaining in quarter
+    clock: rules.quarterLength, // seconds remaining in quarter
+    clockStop: 'quarter_end',  // Why the clock is stopped (null = running); clock starts on the first snap
+    twoMinuteWarningGiven: false,
+    timeouts: { home: GAME_CONSTANTS.TIMEOUTS_PER_HALF, away: GAME_CONSTANTS.TIMEOUTS_PER_HALF },
 
     // Overtime state
+    overtimePolicy,
+    playoff,
     overtime: false,
-    overtimePossessions: { home: false, away: false },  // Track who has had possession
-    overtimeFirstPossession: true,  // Is this the first OT possession?
+    overtimePossessions: { home: false, away: false },  // Who has snapped the ball in overtime
+    overtimeFirstTeam: null,  // Team with the first overtime possession (the opening kickoff's receiver)
+    overtimeFirstPossession: true,  // Until that team loses the ball
+    overtimeSeries: null,  // College overtime: { first, ended } for the current period
     down: 1,
     distance: 10,
     yardline: 35, // Will be set by kickoff
@@ -139,94 +357,13 @@ export function initializeGame(homeTeam, awayTeam, simplifiedMode = false, rotat
     playNumber: 0,
     playLog: [],
     scoringLog: [],  // Newspaper-style scoring summary
+    playerStats: {},  // Individual stat lines by player id (teams with rosters only, see players.js)
+    injuries: [],  // Players hurt in this game (see injuries.js)
+    drives: [],  // One record per possession (see drives.js)
 
-    // Stats - Home Team
-    homeStats: {
-      // Rushing
-      rushingAttempts: 0,
-      rushingYards: 0,
-      rushingFumbles: 0,
-      rushingFumblesLost: 0,
-      rushingTouchdowns: 0,
-      // Passing
-      passAttempts: 0,
-      passCompletions: 0,
-      passYards: 0,
-      passRacYards: 0,
-      passInterceptions: 0,
-      passTouchdowns: 0,
-      // Sacks
-      sacks: 0,
-      sackYardsLost: 0,
-      sackFumbles: 0,
-      sackFumblesLost: 0,
-      // Receiving fumbles
-      recFumbles: 0,
-      recFumblesLost: 0,
-      //Downs
-      firstDowns: 0,
-      thirdDownAttempts: 0,
-      thirdDownConversions: 0,
-      fourthDownAttempts: 0,
-      fourthDownConversions: 0,
-      // Other
-      timeOfPossession: 0,
-      kickReturnAttempts: 0,
-      kickReturnYards: 0,
-      puntReturnYards: 0,
-      interceptionReturnYards: 0,
-      fgAttempted: 0,
-      fgMade: 0,
-      xpAttempted: 0,
-      xpMade: 0,
-      twoPtAttempted: 0,
-      twoPtMade: 0,
-      safetiesScored: 0
-    },
-
-    // Stats - Away Team
-    awayStats: {
-      // Rushing
-      rushingAttempts: 0,
-      rushingYards: 0,
-      rushingFumbles: 0,
-      rushingFumblesLost: 0,
-      rushingTouchdowns: 0,
-      // Passing
-      passAttempts: 0,
-      passCompletions: 0,
-      passYards: 0,
-      passRacYards: 0,
-      passInterceptions: 0,
-      passTouchdowns: 0,
-      // Sacks
-      sacks: 0,
-      sackYardsLost: 0,
-      sackFumbles: 0,
-      sackFumblesLost: 0,
-      // Receiving fumbles
-      recFumbles: 0,
-      recFumblesLost: 0,
-      // Downs
-      firstDowns: 0,
-      thirdDownAttempts: 0,
-      thirdDownConversions: 0,
-      fourthDownAttempts: 0,
-      fourthDownConversions: 0,
-      // Other
-      timeOfPossession: 0,
-      kickReturnAttempts: 0,
-      kickReturnYards: 0,
-      puntReturnYards: 0,
-      interceptionReturnYards: 0,
-      fgAttempted: 0,
-      fgMade: 0,
-      xpAttempted: 0,
-      xpMade: 0,
-      twoPtAttempted: 0,
-      twoPtMade: 0,
-      safetiesScored: 0
-    }
+    // Stats by team (see createTeamStats)
+    homeStats: createTeamStats(),
+    awayStats: createTeamStats()
   }
 
   // Set up for opening kickoff (unless simplified mode)
@@ -239,9 +376,21 @@ export function initializeGame(homeTeam, awayTeam, simplifiedMode = false, rotat
     gameState.awaitingKickoff = true
   }
 
+  if (listeners) {
+    addGameListeners(gameState, listeners)
+  }
+
   return gameState
 }
 
+/**
+ * Wrap the game's seeded generator as a Math.random-style function
+ * for the simulation helpers in gameSimulation.js
+ */
+function rngFor(gameState) {
+  return () => nextRandom(gameState)
+}
+
 /**
  * Get current stats for a team
  */
@@ -253,7 +402,8 @@ function getStats(gameState, team) {
  * Add a scoring entry to the game log
  * @param {Object} gameState - Current game state
  * @param {string} scoreType - 'TD', 'FG', 'SAFETY'
- * @param {string} playType - 'run', 'pass', 'kick_return', 'punt_return', 'int_return', 'fumble_return'
+ * @param {string} playType - 'run', 'pass', 'kick_return', 'punt_return', 'int_return', 'fumble_return',
+ *   'blocked_punt_return', 'blocked_fg_return' ('blocked_punt' and 'blocked_fg' for safeties)
  * @param {number} yards - Yards on the scoring play
  * @param {string} extraPoint - 'good', 'no_good', '2pt_good', '2pt_no_good', or null
  * @param {string} scoringTeam - 'home' or 'away'
@@ -291,63 +441,675 @@ function addScoringEntry(gameState, scoreType, playType, yards, extraPoint, scor
 
 /**
  * Execute a single play
+ * @param {Object} coaching - Optional human input for a scrimmage play
+ * @param {string} coaching.call - Offensive call (see getAvailableCalls); the coach's tendencies pick it otherwise
+ * @param {string} coaching.defenseCall - Defensive call (see getAvailableDefenseCalls); the coordinator's tendencies pick it otherwise
+ * @param {Function} coaching.pickNumber - Ball carrier's number, (yards so far, 'run' or 'rac') => 1-4
+ * @param {Function} coaching.defensePick - Defense's number, (yards so far, 'run' or 'rac') => 1-5
  */
-export function executePlay(gameState) {
+export function executePlay(gameState, coaching = {}) {
   // Handle opening kickoff if awaiting
   if (gameState.awaitingKickoff) {
     delete gameState.awaitingKickoff
+    const receiver = gameState.possession === 'home' ? 'away' : 'home'
+    const snap = getSnapSituation(gameState, true)
+    const scoresBefore = gameState.scoringLog.length
     const kickoffResult = executeOpeningKickoff(gameState)
+    creditKickoff(gameState, kickoffResult, receiver)
+    rollForInjury(gameState, kickoffResult)
+    runKickoffClock(gameState, kickoffResult, receiver)
+    logPlay(gameState, kickoffResult, snap)
+    emitPlayEvents(gameState, gameState.playLog[gameState.playLog.length - 1], scoresBefore, isGameOver(gameState))
     return kickoffResult
   }
 
-  const playTime = generatePlayTime()
   gameState.playNumber++
+  openDriveIfNeeded(gameState)
+
+  // Clock runs between plays unless it was stopped by the last play
+  const tempo = getTempo(gameState)
+  const runoff = runPreSnapClock(gameState, tempo)
+  const snap = getSnapSituation(gameState)
+  const scoresBefore = gameState.scoringLog.length
 
   logger.debug(`Play ${gameState.playNumber}: Q${gameState.quarter} ${formatGameClock(gameState.clock)} - ${gameState.possession} ball, ${gameState.down} & ${gameState.distance} at ${gameState.yardline}`)
 
-  // Update time of possession
-  const possessionStats = getStats(gameState, gameState.possession)
-  possessionStats.timeOfPossession += playTime
+  const before = {
+    possession: gameState.possession,
+    down: gameState.down,
+    score: { ...gameState.score }
+  }
+
+  let playResult
+  let warning = false
+  const preSnapFoul = gameState.rules.classic ? null : rollPreSnapPenalty(rngFor(gameState))
+  if (preSnapFoul) {
+    // Dead ball - enforce and replay the down, no snap
+    logger.debug(`  Pre-snap penalty: ${preSnapFoul}`)
+    playResult = buildPenaltyResult(gameState, enforcePenalty(gameState, preSnapFoul))
+  } else {
+    if (gameState.overtime) {
+      gameState.overtimePossessions[gameState.possession] = true
+    }
+
+    // Determine play type, then the defense's call against it
+    const playType = coaching.call ?? determinePlayType(gameState)
+    const defenseCall = coaching.defenseCall
+      ? (DEFENDED_PLAYS.includes(playType) ? coaching.defenseCall : null)
+      : chooseDefenseCall(gameState, playType)
+    logger.debug(`  Play type: ${playType}${defenseCall ? ` vs ${defenseCall}` : ''}`)
+
+    // Snap to whistle - charged before the play so a score as time expires sees clock 0
+    // (untimed overtime periods charge nothing)
+    const actionType = getActionType(playType)
+    const actionTime = isUntimedOvertime(gameState) ? 0 : generateActionTime(actionType, rngFor(gameState))
+    const clockBeforeAction = gameState.clock
+    gameState.clock -= actionTime
+
+    // Update time of possession (runoff + action for the team that snapped the ball)
+    const possessionStats = getStats(gameState, gameState.possession)
+    possessionStats.timeOfPossession += runoff + actionTime
+
+    // Live-ball fouls are rolled at the snap; keep a snapshot so an accepted
+    // penalty can wipe out the play
+    const liveFoul = (actionType === 'run' || actionType === 'pass') && !gameState.rules.classic
+      ? rollLiveBallPenalty(actionType, rngFor(gameState))
+      : null
+    const snapshot = liveFoul ? snapshotForPenalty(gameState) : null
+
+    // Track 4th down attempts only when going for it (not punts/FGs)
+    if (gameState.down === 4 && playType !== 'punt' && playType !== 'fieldgoal') {
+      const stats = getStats(gameState, gameState.possession)
+      stats.fourthDownAttempts++
+    }
 
-  // Determine play type
-  const playType = determinePlayType(gameState)
-  logger.debug(`  Play type: ${playType}`)
+    const picker = (coaching.pickNumber || coaching.defensePick)
+      ? { pickNumber: coaching.pickNumber, defensePick: coaching.defensePick, picks: [] }
+      : null
+    playResult = executeScrimmagePlay(gameState, playType, defenseCall, picker)
+    creditPlayers(gameState, playResult, before.possession)
+    if (playResult.fake) {
+      playResult.description = `${FAKE_LABELS[playResult.fake]}! ${playResult.description}`
+    }
+    if (liveFoul) {
+      playResult = resolveLiveBallFoul(gameState, liveFoul, playResult, before, snapshot)
+    }
+    // Once the play stands - nobody is hurt on a play a penalty wiped out
+    rollForInjury(gameState, playResult)
+    playResult.offenseCall = playType
+    if (picker?.picks.length) {
+      playResult.picks = picker.picks
+    }
+    if (defenseCall) {
+      playResult.defenseCall = defenseCall
+    }
 
-  // Track 4th down attempts only when going for it (not punts/FGs)
-  if (gameState.down === 4 && playType !== 'punt' && playType !== 'fieldgoal') {
-    const stats = getStats(gameState, gameState.possession)
-    stats.fourthDownAttempts++
+    rollOutOfBounds(gameState, playResult, tempo)
+    warning = crossedTwoMinuteWarning(gameState, clockBeforeAction)
   }
 
-  let playResult
+  playResult.clockStop = getClockStop(gameState, playResult, before, warning)
+  playResult.tempo = tempo
+  playResult.runoff = runoff
+  gameState.clockStop = playResult.clockStop
+  callTimeoutIfNeeded(gameState, playResult)
+
+  advanceOvertimeSeries(gameState, before.possession)
+  handleClockExpiration(gameState)
+  const gameOver = isGameOver(gameState)
+  updateDrive(gameState, playResult, snap, gameOver)
+
+  logPlay(gameState, playResult, snap)
+  emitPlayEvents(gameState, gameState.playLog[gameState.playLog.length - 1], scoresBefore, gameOver)
+
+  return playResult
+}
+
+// Thrown partway through a coached play when a human side has no number left
+class GuessNeeded extends Error {
+  constructor(side, phase, yards) {
+    super(`Guess needed (${side}, ${phase}, ${yards} yards)`)
+    this.side = side
+    this.phase = phase
+    this.yards = yards
+  }
+}
+
+/**
+ * Offensive calls a human coach can make this down
+ * Passes need room to land short of the end line; field goals need range.
+ * No punts in an alternating overtime series, no fakes under classic rules
+ */
+export function getAvailableCalls(gameState) {
+  if (gameState.simplifiedMode) return ['run']
+
+  const yardsToGoal = 100 - gameState.yardline
+  const calls = ['run', 'short']
+  if (yardsToGoal > 15) calls.push('medium')
+  if (yardsToGoal > 30) calls.push('long')
+  if (!(gameState.overtime && getOvertimePolicy(gameState).alternating)) calls.push('punt', 'fake_punt')
+  if (getFieldGoalDistance(gameState) <= gameState.rules.maxFieldGoalDistance) calls.push('fieldgoal', 'fake_fg')
+  return gameState.rules.classic ? calls.filter(call => !call.startsWith('fake_')) : calls
+}
+
+/**
+ * Defensive calls a human coach can make this down (none in simplified mode or under classic rules)
+ */
+export function getAvailableDefenseCalls(gameState) {
+  if (gameState.simplifiedMode || gameState.rules.classic) return []
+  return Object.keys(GAME_CONSTANTS.DEFENSE_CALL_EFFECTS)
+}
+
+/**
+ * Run a play with human input from either side
+ * Numbers come from guesses (ball carrier, 1-4) and defenseGuesses (1-5),
+ * one per yard, in order (runs use them for the carry, completed passes for
+ * the run after the catch). Each yard asks the offense first, then the
+ * defense. When a side's numbers run out mid-play, nothing is changed and the
+ * yard waiting on a number is returned; call again with one more guess. The
+ * play replays identically up to that point because every roll comes from the
+ * seeded generator in the state.
+ * A side without a guesses array has its numbers rolled as usual.
+ *
+ * @param {Object} input - { call, defenseCall, guesses, defenseGuesses } - calls left out are made by the computer
+ * @returns {Object} { playResult } once the play is over, or { awaitingGuess: { side, phase, yards } }
+ */
+export function executeCoachedPlay(gameState, { call, defenseCall, guesses, defenseGuesses } = {}) {
+  if (!gameState.awaitingKickoff) {
+    if (call && !getAvailableCalls(gameState).includes(call)) {
+      throw new Error(`Call not available: ${call}`)
+    }
+    if (defenseCall && !getAvailableDefenseCalls(gameState).includes(defenseCall)) {
+      throw new Error(`Defensive call not available: ${defenseCall}`)
+    }
+  }
+  if (!guesses && !defenseGuesses) {
+    return { playResult: executePlay(gameState, { call, defenseCall }) }
+  }
+
+  // The play runs on the real state; if a number runs out it's rolled back.
+  // It stops before it's logged, so the snapshot can leave out the play log
+  // and teams, but the generator goes back too so the retry rolls the same
+  const snapshot = { ...snapshotForPenalty(gameState), rngState: gameState.rngState }
+  const fromGuesses = (list, side) => {
+    if (!list) return undefined
+    let used = 0
+    return (yards, phase) => {
+      if (used >= list.length) throw new GuessNeeded(side, phase, yards)
+      return list[used++]
+    }
+  }
+
+  try {
+    const playResult = executePlay(gameState, {
+      call,
+      defenseCall,
+      pickNumber: fromGuesses(guesses, 'offense'),
+      defensePick: fromGuesses(defenseGuesses, 'defense')
+    })
+    return { playResult }
+  } catch (error) {
+    if (!(error instanceof GuessNeeded)) throw error
+    restoreFromSnapshot(gameState, snapshot)
+    return { awaitingGuess: { side: error.side, phase: error.phase, yards: error.yards } }
+  }
+}
+
+/**
+ * Down, distance, field position and score as the ball is snapped (or kicked)
+ * Kickoffs have no down and are spotted at the kicking team's 35
+ */
+function getSnapSituation(gameState, kickoff = false) {
+  return {
+    quarter: gameState.quarter,
+    clock: gameState.clock,
+    down: kickoff ? null : gameState.down,
+    distance: kickoff ? null : gameState.distance,
+    yardline: kickoff ? GAME_CONSTANTS.KICKOFF_SPOT : gameState.yardline,
+    possession: gameState.possession,
+    score: { ...gameState.score }
+  }
+}
+
+/**
+ * Append a play to the play log
+ * Top-level fields are the state after the play (enough to redraw the
+ * scoreboard when replaying); the snap situation is kept alongside for the
+ * play-by-play, and epa is the expected points the play added for the team
+ * that snapped (or kicked) the ball
+ */
+function logPlay(gameState, playResult, snap) {
+  gameState.playLog.push({
+    playNumber: snap.down === null ? null : gameState.playNumber,
+    quarter: gameState.quarter,
+    time: formatGameClock(gameState.clock),
+    clock: gameState.clock,
+    score: { ...gameState.score },
+    timeouts: { ...gameState.timeouts },
+    awaitingKickoff: !!gameState.awaitingKickoff,
+    down: gameState.down,
+    distance: gameState.distance,
+    yardline: gameState.yardline,
+    possession: gameState.possession,
+    snap,
+    epa: getExpectedPointsAdded(snap, gameState, isGameOver(gameState)),
+    ...playResult
+  })
+}
+
+/**
+ * Run the called play from scrimmage
+ * @param {string|null} defenseCall - Defensive call for runs and passes (see chooseDefenseCall)
+ * @param {Object|null} picker - Human numbers, { pickNumber, defensePick, picks } - picks collects each offense/defense pair
+ */
+function executeScrimmagePlay(gameState, playType, defenseCall = null, picker = null) {
   switch (playType) {
     case 'run':
-      playResult = executeRun(gameState)
-      break
+      return executeRun(gameState, defenseCall, picker)
     case 'pass':
-      playResult = executePass(gameState)
-      break
+      return executePass(gameState, null, defenseCall, picker)
     case 'short':
-      playResult = executePass(gameState, 'short')
-      break
+      return executePass(gameState, 'short', defenseCall, picker)
     case 'medium':
-      playResult = executePass(gameState, 'medium')
-      break
+      return executePass(gameState, 'medium', defenseCall, picker)
     case 'long':
-      playResult = executePass(gameState, 'long')
-      break
+      return executePass(gameState, 'long', defenseCall, picker)
     case 'punt':
-      playResult = executePunt(gameState)
-      break
+      return executePunt(gameState)
     case 'fieldgoal':
-      playResult = executeFieldGoal(gameState)
-      break
+      return executeFieldGoal(gameState)
+    case 'fake_punt':
+    case 'fake_fg':
+      return executeFake(gameState, playType, picker)
     default:
-      playResult = { type: 'unknown', yards: 0, description: 'Unknown play' }
+      return { type: 'unknown', yards: 0, description: 'Unknown play' }
+  }
+}
+
+/**
+ * Copy the game state before a play that has a live-ball foul
+ * Play log, teams, and the random generator are left out (never rolled back)
+ */
+function snapshotForPenalty(gameState) {
+  const { playLog, homeTeam, awayTeam, rngState, ...rest } = gameState
+  return JSON.parse(JSON.stringify(rest))
+}
+
+/**
+ * Roll the game state back to a snapshot (the play didn't happen)
+ */
+function restoreFromSnapshot(gameState, snapshot) {
+  const keep = ['playLog', 'homeTeam', 'awayTeam', 'rngState']
+  Object.keys(gameState).forEach(key => {
+    if (!keep.includes(key) && !(key in snapshot)) delete gameState[key]
+  })
+  Object.assign(gameState, snapshot)
+}
+
+/**
+ * Apply a penalty from the line of scrimmage (or foul spot)
+ * Offensive fouls move the ball back and replay the down; defensive fouls move
+ * it forward, with a first down on automatic-first-down fouls or when the
+ * yardage reaches the line to gain.
+ * @param {string} key - Penalty key from PENALTIES
+ * @param {number} spotYards - Yards from the line of scrimmage to the foul (spot fouls)
+ * @returns {Object} Penalty info for the play log
+ */
+function enforcePenalty(gameState, key, spotYards = 0) {
+  const penalty = PENALTIES[key]
+  const offense = gameState.possession
+  const team = penalty.side === 'offense' ? offense : (offense === 'home' ? 'away' : 'home')
+  const yards = getEnforcedYards(key, gameState.yardline, spotYards)
+
+  const stats = getStats(gameState, team)
+  stats.penalties++
+  stats.penaltyYards += yards
+
+  let firstDown = false
+  if (penalty.side === 'offense') {
+    gameState.yardline -= yards
+    gameState.distance += yards
+  } else {
+    gameState.yardline += yards
+    gameState.distance -= yards
+    if (penalty.automaticFirstDown || gameState.distance <= 0) {
+      firstDown = true
+      gameState.down = 1
+      gameState.distance = 10
+      getStats(gameState, offense).firstDowns++
+    }
+    // Goal to go
+    gameState.distance = Math.min(gameState.distance, 100 - gameState.yardline)
+  }
+
+  logger.debug(`  Penalty: ${penalty.name} on ${team}, ${yards} yards`)
+
+  return {
+    key,
+    name: penalty.name,
+    team,
+    yards,
+    halfDistance: !penalty.spotFoul && yards < penalty.yards,
+    firstDown,
+    accepted: true
+  }
+}
+
+/**
+ * Build the play result for an enforced penalty (no play)
+ */
+function buildPenaltyResult(gameState, penaltyInfo) {
+  const penalty = PENALTIES[penaltyInfo.key]
+  const teamName = penaltyInfo.team === 'home' ? gameState.homeTeam.name : gameState.awayTeam.name
+  const distanceText = penaltyInfo.halfDistance ? 'half the distance to the goal' : `${penaltyInfo.yards} yards`
+  let outcomeText = 'replay the down'
+  if (penaltyInfo.firstDown) {
+    outcomeText = penalty.automaticFirstDown ? 'automatic first down' : 'first down'
+  }
+
+  return {
+    type: 'penalty',
+    yards: penalty.side === 'offense' ? -penaltyInfo.yards : penaltyInfo.yards,
+    penalty: penaltyInfo,
+    description: `${penaltyInfo.name} on ${teamName}, ${distanceText}, ${outcomeText}`
+  }
+}
+
+/**
+ * Decide whether the non-offending coach accepts a live-ball foul
+ * - Defense (offensive foul): declines after a turnover, a defensive score,
+ *   a loss bigger than the penalty, or a failed 3rd/4th down
+ * - Offense (defensive foul): declines after its own score, or when the play
+ *   already gained the first down and at least the penalty yardage
+ * @param {number} yards - Yards the penalty would enforce
+ * @param {Object} before - { possession, down, score } at the snap
+ * @returns {boolean}
+ */
+function shouldAcceptPenalty(gameState, key, yards, playResult, before) {
+  const penalty = PENALTIES[key]
+  const offense = before.possession
+  const defense = offense === 'home' ? 'away' : 'home'
+  const offenseScored = gameState.score[offense] > before.score[offense]
+  const defenseScored = gameState.score[defense] > before.score[defense]
+  const lostBall = !offenseScored && gameState.possession !== offense
+  const firstDownGained = !offenseScored && !lostBall && gameState.down === 1
+
+  if (penalty.side === 'offense') {
+    if (offenseScored) return true
+    if (lostBall || defenseScored) return false
+    if (playResult.yards <= -yards) return false
+    if (before.down >= 3 && !firstDownGained) return false
+    return true
+  }
+
+  if (offenseScored) return false
+  if (lostBall || defenseScored) return true
+  if (penalty.automaticFirstDown && !firstDownGained) return true
+  return yards > playResult.yards
+}
+
+/**
+ * Resolve a live-ball foul after the play has run
+ * Declined: the play stands and the foul is noted on the result.
+ * Accepted: the play is rolled back and the penalty enforced instead.
+ * Pass fouls need a thrown ball, so they don't apply to sacks (holding does).
+ */
+function resolveLiveBallFoul(gameState, key, playResult, before, snapshot) {
+  const penalty = PENALTIES[key]
+  if (!penalty.plays.includes(playResult.type)) return playResult
+
+  const spotYards = playResult.airYards || 0
+  const yards = getEnforcedYards(key, snapshot.yardline, spotYards)
+
+  if (!shouldAcceptPenalty(gameState, key, yards, playResult, before)) {
+    const team = penalty.side === 'offense' ? before.possession : (before.possession === 'home' ? 'away' : 'home')
+    const teamName = team === 'home' ? gameState.homeTeam.name : gameState.awayTeam.name
+    playResult.penalty = { key, name: penalty.name, team, yards, accepted: false }
+    playResult.description += ` (${penalty.name} on ${teamName} declined)`
+    return playResult
+  }
+
+  restoreFromSnapshot(gameState, snapshot)
+  const result = buildPenaltyResult(gameState, enforcePenalty(gameState, key, spotYards))
+  result.nullifiedPlay = {
+    type: playResult.type,
+    yards: playResult.yards,
+    description: playResult.description
+  }
+  result.description += ` (${playResult.description} - no play)`
+  return result
+}
+
+/**
+ * Pick the offense's tempo from score and clock
+ * - hurry_up: final 2:00 of the first half, or trailing in the final 5:00 of Q4/OT
+ * - milk: leading in the final 5:00 of Q4/OT
+ * @returns {string} 'normal', 'hurry_up', or 'milk'
+ */
+function getTempo(gameState) {
+  const { quarter, clock } = gameState
+  if (quarter === 2 && clock <= GAME_CONSTANTS.TWO_MINUTE_WARNING) return 'hurry_up'
+
+  if (quarter >= 4 && clock <= GAME_CONSTANTS.HURRY_UP_WINDOW) {
+    const opponent = gameState.possession === 'home' ? 'away' : 'home'
+    const scoreDiff = gameState.score[gameState.possession] - gameState.score[opponent]
+    if (scoreDiff < 0) return 'hurry_up'
+    if (scoreDiff > 0) return 'milk'
+  }
+
+  return 'normal'
+}
+
+/**
+ * Run the clock between plays
+ * Full runoff when the clock is running, none when the last play stopped it,
+ * and a shortened runoff after a first down late in a half (chains reset).
+ * The ball is always snapped with at least 1 second left. Stops at 2:00 for
+ * the two-minute warning.
+ * @returns {number} Seconds run off
+ */
+function runPreSnapClock(gameState, tempo) {
+  const { clockStop } = gameState
+  if (clockStop && clockStop !== 'first_down') return 0
+  if (isUntimedOvertime(gameState)) return 0
+
+  let runoff = generateRunoff(tempo, rngFor(gameState))
+  if (clockStop === 'first_down') {
+    runoff = Math.max(0, runoff - GAME_CONSTANTS.FIRST_DOWN_STOP_SECONDS)
+  }
+  runoff = Math.max(0, Math.min(runoff, gameState.clock - 1))
+
+  // Two-minute warning before the snap freezes the clock at 2:00
+  const warningAt = GAME_CONSTANTS.TWO_MINUTE_WARNING
+  if (hasTwoMinuteWarning(gameState) && gameState.clock > warningAt && gameState.clock - runoff <= warningAt) {
+    runoff = gameState.clock - warningAt
+    gameState.twoMinuteWarningGiven = true
+    logger.debug(`  Two-minute warning`)
+  }
+
+  gameState.clock -= runoff
+  return runoff
+}
+
+/**
+ * Whether the current period still has a two-minute warning to give
+ * (2nd quarter, 4th quarter, and overtime)
+ */
+function hasTwoMinuteWarning(gameState) {
+  return (gameState.quarter === 2 || gameState.quarter >= 4) && !gameState.twoMinuteWarningGiven
+}
+
+/**
+ * Check whether the play crossed 2:00; the warning comes after the play
+ * @param {number} clockBefore - Clock at the snap
+ * @returns {boolean} true if the two-minute warning was just given
+ */
+function crossedTwoMinuteWarning(gameState, clockBefore) {
+  const warningAt = GAME_CONSTANTS.TWO_MINUTE_WARNING
+  if (!hasTwoMinuteWarning(gameState)) return false
+  if (clockBefore > warningAt && gameState.clock <= warningAt && gameState.clock > 0) {
+    gameState.twoMinuteWarningGiven = true
+    logger.debug(`  Two-minute warning`)
+    return true
+  }
+  return false
+}
+
+/**
+ * Charge the clock for a kickoff
+ * A touchback or a kick out of bounds never starts the clock; a return or
+ * onside recovery runs it from the touch (credited to the team that ends up
+ * with the ball)
+ */
+function runKickoffClock(gameState, kickoffResult, receiver) {
+  const clockNeverStarted = kickoffResult.touchback || kickoffResult.type === 'kickoff_out_of_bounds'
+  let warning = false
+  if (!clockNeverStarted) {
+    const actionType = kickoffResult.type === 'onside_kick' ? 'onside' : 'kickoff'
+    const actionTime = generateActionTime(actionType, rngFor(gameState))
+    const clockBefore = gameState.clock
+    gameState.clock -= actionTime
+    const team = kickoffResult.type === 'onside_kick' ? gameState.possession : receiver
+    getStats(gameState, team).timeOfPossession += actionTime
+    warning = crossedTwoMinuteWarning(gameState, clockBefore)
+  }
+
+  let clockStop = null
+  if (gameState.clock <= 0) clockStop = 'quarter_end'
+  else if (kickoffResult.touchdown) clockStop = 'score'
+  else if (clockNeverStarted) clockStop = 'change_of_possession'
+  else if (warning) clockStop = 'two_minute_warning'
+
+  kickoffResult.clockStop = clockStop
+  gameState.clockStop = clockStop
+  callTimeoutIfNeeded(gameState, kickoffResult)
+  handleClockExpiration(gameState)
+}
+
+/**
+ * Decide which team (if any) calls a timeout to stop a running clock
+ * - Offense: driving in the final 1:00 of the first half, or trailing in the final 2:00 of Q4/OT
+ * - Defense: trailing in the final 3:00 of Q4/OT while the offense runs out the clock
+ * Nobody bothers when the trailing team is down more than two scores.
+ * @returns {string|null} 'home', 'away', or null
+ */
+function getTimeoutCaller(gameState) {
+  const { quarter, clock, possession } = gameState
+  const defense = possession === 'home' ? 'away' : 'home'
+
+  if (quarter === 2) {
+    const driving = gameState.yardline > GAME_CONSTANTS.TIMEOUT_OFFENSE_Q2_YARDLINE
+    if (driving && clock <= GAME_CONSTANTS.TIMEOUT_OFFENSE_Q2 && gameState.timeouts[possession] > 0) {
+      return possession
+    }
+    return null
+  }
+
+  if (quarter >= 4) {
+    const scoreDiff = gameState.score[possession] - gameState.score[defense]
+    if (Math.abs(scoreDiff) > GAME_CONSTANTS.TIMEOUT_MAX_DEFICIT) return null
+    if (scoreDiff < 0 && clock <= GAME_CONSTANTS.TIMEOUT_OFFENSE_LATE && gameState.timeouts[possession] > 0) {
+      return possession
+    }
+    if (scoreDiff > 0 && clock <= GAME_CONSTANTS.TIMEOUT_DEFENSE_LATE && gameState.timeouts[defense] > 0) {
+      return defense
+    }
+  }
+
+  return null
+}
+
+/**
+ * Call a timeout after the play if a coach wants the running clock stopped
+ * Records the timeout on the play result (play log) and in the box score
+ */
+function callTimeoutIfNeeded(gameState, playResult) {
+  const running = !gameState.clockStop || gameState.clockStop === 'first_down'
+  if (!running || gameState.clock <= 0 || gameState.awaitingKickoff) return
+
+  const team = getTimeoutCaller(gameState)
+  if (!team) return
+
+  gameState.timeouts[team]--
+  getStats(gameState, team).timeoutsUsed++
+  gameState.clockStop = 'timeout'
+  playResult.clockStop = 'timeout'
+  playResult.timeout = { team, remaining: gameState.timeouts[team] }
+  logger.debug(`  Timeout ${team} (${gameState.timeouts[team]} left)`)
+}
+
+/**
+ * Map a play type to the action-time category in generateActionTime()
+ */
+function getActionType(playType) {
+  if (playType === 'short' || playType === 'medium' || playType === 'long') return 'pass'
+  if (FAKE_LABELS[playType]) return 'run'
+  return playType
+}
+
+/**
+ * Roll whether the ball carrier went out of bounds
+ * Only runs and completed passes that stay live (no score, turnover, or fumble)
+ * Sets playResult.outOfBounds
+ */
+function rollOutOfBounds(gameState, playResult, tempo) {
+  if (playResult.touchdown || playResult.turnover || playResult.fumble || playResult.safety) return
+  let rate
+  if (playResult.type === 'run') {
+    rate = GAME_CONSTANTS.OUT_OF_BOUNDS_RATE.run
+  } else if (playResult.type === 'pass' && playResult.complete) {
+    rate = GAME_CONSTANTS.OUT_OF_BOUNDS_RATE.pass
+  } else {
+    return
+  }
+
+  if (tempo === 'hurry_up') rate += GAME_CONSTANTS.OUT_OF_BOUNDS_HURRY_UP_BONUS
+  if (tempo === 'milk') rate *= GAME_CONSTANTS.OUT_OF_BOUNDS_MILK_FACTOR
+
+  if (nextRandom(gameState) < rate) {
+    playResult.outOfBounds = true
   }
+}
+
+/**
+ * Determine why (if at all) the clock is stopped after a play
+ * @param {Object} before - { possession, down, score } at the snap
+ * @param {boolean} warning - Play crossed the two-minute warning
+ * @returns {string|null} 'quarter_end', 'score', 'change_of_possession',
+ *   'two_minute_warning', 'incomplete', 'penalty', 'out_of_bounds', 'first_down', or null (running)
+ *   (callTimeoutIfNeeded may then change a running clock to 'timeout')
+ */
+function getClockStop(gameState, playResult, before, warning) {
+  const { quarter, clock } = gameState
+  const pointsBefore = before.score.home + before.score.away
+  if (clock <= 0) return 'quarter_end'
+  if (gameState.score.home + gameState.score.away !== pointsBefore) return 'score'
+  // A muffed punt the kicking team recovers changes possession twice
+  if (gameState.possession !== before.possession || gameState.awaitingKickoff || playResult.muffLost) return 'change_of_possession'
+  if (warning) return 'two_minute_warning'
+  if (playResult.type === 'pass' && !playResult.complete) return 'incomplete'
+
+  // Out of bounds and penalties stop the clock only late in a half
+  const lateFirstHalf = quarter === 2 && clock <= GAME_CONSTANTS.OUT_OF_BOUNDS_STOP_Q2
+  const lateSecondHalf = quarter >= 4 && clock <= GAME_CONSTANTS.OUT_OF_BOUNDS_STOP_Q4
+  if (playResult.type === 'penalty') return (lateFirstHalf || lateSecondHalf) ? 'penalty' : null
+  if (playResult.outOfBounds && (lateFirstHalf || lateSecondHalf)) return 'out_of_bounds'
+
+  // Brief stop to reset the chains in the final 2:00 of a half
+  const finalTwoMinutes = (quarter === 2 || quarter >= 4) && clock <= GAME_CONSTANTS.TWO_MINUTE_WARNING
+  if (finalTwoMinutes && gameState.down === 1 && (playResult.type === 'run' || playResult.type === 'pass')) {
+    return 'first_down'
+  }
+
+  return null
+}
 
-  // Update clock
-  gameState.clock -= playTime
+/**
+ * End the quarter when the clock runs out
+ * Q1-Q3 advance; a tied Q4 goes to overtime; Q4/OT expiry ends the game
+ * (handled by the isGameOver check)
+ */
+function handleClockExpiration(gameState) {
   if (gameState.clock <= 0 && gameState.quarter < 4) {
     advanceQuarter(gameState)
   }
@@ -356,28 +1118,17 @@ export function executePlay(gameState) {
     if (gameState.score.home === gameState.score.away) {
       startOvertime(gameState)
     }
+  } else if (gameState.clock <= 0 && gameState.overtime && !isGameOver(gameState)) {
+    // OT clock expiring ends the game (handled by isGameOver check) unless
+    // the policy (or a playoff) calls for another period
+    startOvertimePeriod(gameState)
   }
-  // OT clock expiring ends the game (handled by isGameOver check)
-
-  // Log the play
-  gameState.playLog.push({
-    playNumber: gameState.playNumber,
-    quarter: gameState.quarter,
-    time: formatGameClock(gameState.clock),
-    down: gameState.down,
-    distance: gameState.distance,
-    yardline: gameState.yardline,
-    possession: gameState.possession,
-    ...playResult
-  })
-
-  return playResult
 }
 
 /**
  * Get the situation key for tendency lookup
  */
-function getSituationKey(down, distance) {
+export function getSituationKey(down, distance) {
   if (down === 1) {
     return '1st_10'
   } else if (down === 2) {
@@ -412,8 +1163,8 @@ function getCoachTendencies(gameState, situation) {
 /**
  * Pick a play type based on tendency percentages
  */
-function pickPlayFromTendencies(tendencies) {
-  const roll = Math.random() * 100
+function pickPlayFromTendencies(gameState, tendencies) {
+  const roll = nextRandom(gameState) * 100
 
   if (roll < tendencies.run) {
     return 'run'
@@ -467,18 +1218,18 @@ function determinePlayType(gameState) {
 
   // 4th down special logic (punt/FG decisions)
   if (down === 4) {
-    const fgDecision = shouldAttemptFieldGoal(gameState)
+    const fgDecision = decideFourthDown(gameState)
     if (fgDecision === 'fieldgoal') {
-      return 'fieldgoal'
+      return shouldFakeKick(gameState, GAME_CONSTANTS.FAKE_FG_PCT) ? 'fake_fg' : 'fieldgoal'
     }
     if (fgDecision === 'go') {
       // Go for it - use coach tendencies
       const situation = getSituationKey(down, distance)
       const tendencies = getCoachTendencies(gameState, situation)
-      return pickPlayFromTendencies(tendencies)
+      return pickPlayFromTendencies(gameState, tendencies)
     }
     // Otherwise punt
-    return 'punt'
+    return shouldFakeKick(gameState, GAME_CONSTANTS.FAKE_PUNT_PCT) ? 'fake_punt' : 'punt'
   }
 
   // 1st-3rd down: use coach tendencies
@@ -486,7 +1237,7 @@ function determinePlayType(gameState) {
   let tendencies = getCoachTendencies(gameState, situation)
 
   // Safety check: avoid long passes deep in own territory
-  if (yardline <= 15 && Math.random() < 0.7) {
+  if (yardline <= 15 && nextRandom(gameState) < 0.7) {
     // 70% chance to override to run when backed up
     return 'run'
   }
@@ -500,7 +1251,7 @@ function determinePlayType(gameState) {
   }
 
   // Pick play with field position restrictions
-  return pickPlayWithRestrictions(tendencies, yardsToGoal)
+  return pickPlayWithRestrictions(gameState, tendencies, yardsToGoal)
 }
 
 /**
@@ -539,7 +1290,7 @@ function applyRedZoneAggression(gameState, tendencies) {
  * - No long passes inside the 30
  * - No medium passes inside the 15
  */
-function pickPlayWithRestrictions(tendencies, yardsToGoal) {
+function pickPlayWithRestrictions(gameState, tendencies, yardsToGoal) {
   // Build allowed plays based on field position
   let allowedPlays = ['run', 'short', 'medium', 'long']
 
@@ -557,7 +1308,7 @@ function pickPlayWithRestrictions(tendencies, yardsToGoal) {
   let play
   let attempts = 0
   do {
-    play = pickPlayFromTendencies(tendencies)
+    play = pickPlayFromTendencies(gameState, tendencies)
     attempts++
   } while (!allowedPlays.includes(play) && attempts < 100)
 
@@ -569,37 +1320,116 @@ function pickPlayWithRestrictions(tendencies, yardsToGoal) {
   return play
 }
 
+/**
+ * Get the defensive situation key for tendency lookup
+ * Goal line and protecting a late lead take priority over down and distance
+ */
+function getDefenseSituationKey(gameState) {
+  if (100 - gameState.yardline <= GAME_CONSTANTS.GOAL_LINE_DEFENSE_YARDS) {
+    return 'goal_line'
+  }
+
+  const defense = gameState.possession === 'home' ? 'away' : 'home'
+  const lead = gameState.score[defense] - gameState.score[gameState.possession]
+  const halfEnding = gameState.quarter === 2 || gameState.quarter >= 4
+  if (lead > 0 && halfEnding && gameState.clock <= GAME_CONSTANTS.TWO_MINUTE_WARNING) {
+    return 'late_lead'
+  }
+
+  return getSituationKey(gameState.down, gameState.distance)
+}
+
+/**
+ * Pick the defense's call from its coordinator tendencies
+ * Only runs and passes get a call; simplified and rotation modes keep the fixed 1979 defense.
+ * @param {string} playType - Offensive play type from determinePlayType
+ * @returns {string|null} 'base', 'run_blitz', 'pass_blitz', 'prevent', 'goal_line', or null
+ */
+function chooseDefenseCall(gameState, playType) {
+  if (gameState.simplifiedMode || gameState.rotationMode || gameState.rules.classic) return null
+  if (!DEFENDED_PLAYS.includes(playType)) return null
+
+  const situation = getDefenseSituationKey(gameState)
+  const { defense } = getMatchup(gameState)
+  const tendencies = (defense.defenseTendencies && defense.defenseTendencies[situation])
+    || GAME_CONSTANTS.DEFAULT_DEFENSE_TENDENCIES[situation]
+
+  // Seeded percentages are rounded, so roll against their actual total
+  const total = Object.values(tendencies).reduce((sum, pct) => sum + pct, 0)
+  let roll = nextRandom(gameState) * total
+  for (const [call, pct] of Object.entries(tendencies)) {
+    roll -= pct
+    if (roll < 0) return call
+  }
+  return 'base'
+}
+
+/**
+ * Look up how a defensive call plays against the offensive call
+ * @param {string|null} defenseCall - Defensive call, or null when none was made
+ * @param {string} offenseCall - 'run', 'short', 'medium', or 'long'
+ * @returns {Object} { range, completion, sack, interception } (neutral when there is no call)
+ */
+function getDefenseCallEffect(defenseCall, offenseCall) {
+  const effects = (defenseCall && GAME_CONSTANTS.DEFENSE_CALL_EFFECTS[defenseCall]) || {}
+  return { range: 0, completion: 1, sack: 1, interception: 1, ...effects[offenseCall] }
+}
+
+/**
+ * runningPlay/runAfterCatch options for the human sides of a play
+ * @param {string} phase - 'run' or 'rac', passed on to the pickers
+ */
+function getPickOptions(picker, phase) {
+  if (!picker) return {}
+  return {
+    pickNumber: picker.pickNumber && (yards => picker.pickNumber(yards, phase)),
+    defensePick: picker.defensePick && (yards => picker.defensePick(yards, phase))
+  }
+}
+
 /**
  * Execute running play
+ * @param {string|null} defenseCall - Defensive call (run blitz and goal line stuff runs)
+ * @param {Object|null} picker - Human numbers (see executeScrimmagePlay)
  */
-function executeRun(gameState) {
+function executeRun(gameState, defenseCall = null, picker = null) {
   const stats = getStats(gameState, gameState.possession)
   stats.rushingAttempts++
 
   // 4th and 1 uses tighter defense (1-4 vs 1-4 instead of 1-4 vs 1-5)
   const isFourthAndOne = gameState.down === 4 && gameState.distance === 1
   const yardsToGoal = 100 - gameState.yardline
-  const runResult = runningPlay({ fourthAndOne: isFourthAndOne, yardsToGoal })
+  const { offense, defense } = getMatchup(gameState)
+  const rangeBonus = ratingRangeBonus(getRating(gameState, offense, 'rushOffense') - getRating(gameState, defense, 'runDefense')) +
+    getDefenseCallEffect(defenseCall, 'run').range
+  const runResult = runningPlay({
+    fourthAndOne: isFourthAndOne,
+    yardsToGoal,
+    rangeBonus,
+    rng: rngFor(gameState),
+    ...getPickOptions(picker, 'run')
+  })
+  if (picker) picker.picks.push(...runResult.picks)
   const yards = runResult.yards
   const steps = runResult.steps
   stats.rushingYards += yards
 
   // Check for fumble on running play (3%)
-  if (Math.random() < GAME_CONSTANTS.FUMBLE_RATE_RUN) {
+  if (nextRandom(gameState) < GAME_CONSTANTS.FUMBLE_RATE_RUN * getWeatherEffects(gameState).fumble) {
     stats.rushingFumbles++
-    if (Math.random() > GAME_CONSTANTS.FUMBLE_RECOVERY_OFFENSE) {
+    if (nextRandom(gameState) > GAME_CONSTANTS.FUMBLE_RECOVERY_OFFENSE) {
       // Defense recovers - turnover at the spot of the fumble
       stats.rushingFumblesLost++
-      gameState.yardline += yards  // Move to fumble spot
-      logger.info(`FUMBLE! ${gameState.possession} loses the ball at ${gameState.yardline}`)
-      changePossession(gameState, 0, true)  // Maintain field position
+      logger.info(`FUMBLE! ${gameState.possession} loses the ball at ${gameState.yardline + yards}`)
+      const fumbleReturn = returnTurnover(gameState, gameState.yardline + yards, 'fumble_return')
       return {
         type: 'run',
         yards: yards,
         steps: steps,
         fumble: true,
         turnover: true,
-        description: `Run for ${yards} yards, FUMBLE, recovered by defense`
+        ...fumbleReturn,
+        description: `Run for ${yards} yards, FUMBLE, recovered by defense${describeReturn(fumbleReturn)}`
       }
     } else {
       // Offense recovers - no turnover but play ends
@@ -671,8 +1501,10 @@ function executeRun(gameState) {
  * Execute passing play
  * @param {Object} gameState - Current game state
  * @param {string} forcedType - Optional forced pass type ('short', 'medium', 'long')
+ * @param {string|null} defenseCall - Defensive call (blitzes bring sacks and big plays, prevent gives up short passes)
+ * @param {Object|null} picker - Human numbers for the run after the catch (see executeScrimmagePlay)
  */
-function executePass(gameState, forcedType = null) {
+function executePass(gameState, forcedType = null, defenseCall = null, picker = null) {
   const stats = getStats(gameState, gameState.possession)
 
   // Determine pass type based on distance needed (or use forced type)
@@ -690,10 +1522,20 @@ function executePass(gameState, forcedType = null) {
     passType = 'long'
   }
 
+  // Rating matchups: pass rush vs pass offense (sacks), pass offense vs coverage (completions, RAC)
+  // then the defensive call against this pass type
+  const { offense, defense } = getMatchup(gameState)
+  const passDiff = getRating(gameState, offense, 'passOffense') - getRating(gameState, defense, 'coverage')
+  const rushDiff = getRating(gameState, defense, 'passRush') - getRating(gameState, offense, 'passOffense')
+  const callEffect = getDefenseCallEffect(defenseCall, passType)
+  const sackRate = gameState.rules.sackRate[passType] * Math.max(0, 1 + rushDiff * GAME_CONSTANTS.RATING_SACK_FACTOR) * callEffect.sack
+  const completionRate = gameState.rules.passCompletion[passType] * Math.max(0, 1 + passDiff * GAME_CONSTANTS.RATING_COMPLETION_FACTOR) * callEffect.completion *
+    getWeatherEffects(gameState).completion
+
   // Check for sack (longer developing passes = higher sack rate)
-  if (Math.random() < GAME_CONSTANTS.SACK_RATE[passType]) {
+  if (nextRandom(gameState) < sackRate) {
     // Sack! Lose 3-10 yards (reduced when backed up near goal line)
-    let sackYards = Math.floor(Math.random() * 8) + 3  // 3-10 yards lost
+    let sackYards = Math.floor(nextRandom(gameState) * 8) + 3  // 3-10 yards lost
     if (gameState.yardline <= 10) {
       // QB is more careful near own goal line - throw it away faster
       sackYards = Math.floor(sackYards * 0.6)
@@ -715,20 +1557,20 @@ function executePass(gameState, forcedType = null) {
     }
 
     // Check for strip sack (18% of sacks cause fumble)
-    if (Math.random() < GAME_CONSTANTS.SACK_FUMBLE_RATE) {
+    if (nextRandom(gameState) < GAME_CONSTANTS.SACK_FUMBLE_RATE * getWeatherEffects(gameState).fumble) {
       stats.sackFumbles++
-      if (Math.random() < GAME_CONSTANTS.SACK_FUMBLE_LOST) {
+      if (nextRandom(gameState) < GAME_CONSTANTS.SACK_FUMBLE_LOST) {
         // Defense recovers - turnover!
         stats.sackFumblesLost++
-        gameState.yardline -= sackYards  // Move back from sack
-        logger.info(`STRIP SACK! ${gameState.possession} loses the ball at ${gameState.yardline}`)
-        changePossession(gameState, 0, true)
+        logger.info(`STRIP SACK! ${gameState.possession} loses the ball at ${gameState.yardline - sackYards}`)
+        const fumbleReturn = returnTurnover(gameState, gameState.yardline - sackYards, 'fumble_return')
         return {
           type: 'sack',
           yards: -sackYards,
           fumble: true,
           turnover: true,
-          description: `SACK for ${sackYards} yard loss, FUMBLE! Recovered by defense`
+          ...fumbleReturn,
+          description: `SACK for ${sackYards} yard loss, FUMBLE! Recovered by defense${describeReturn(fumbleReturn)}`
         }
       } else {
         // Offense recovers fumble
@@ -758,69 +1600,32 @@ function executePass(gameState, forcedType = null) {
   stats.passAttempts++
 
   // Generate air yards for this pass attempt
-  const airYards = generateAirYards(passType)
+  const airYards = generateAirYards(passType, rngFor(gameState), gameState.rules.airYards)
 
   // Calculate interception rate - for long passes, increases with distance
-  let interceptionRate = GAME_CONSTANTS.PASS_INTERCEPTION[passType]
+  let interceptionRate = gameState.rules.passInterception[passType]
   if (passType === 'long') {
-    // 6% base for 20-29, +2% for each 10 yards beyond
+    // Base rate for 20-29, +2% for each 10 yards beyond
     const extraTens = Math.floor((airYards - 20) / 10)  // 0 for 20-29, 1 for 30-39, 2 for 40-49, 3 for 50
-    interceptionRate = 0.06 + (extraTens * 0.02)
+    interceptionRate += extraTens * 0.02
   }
+  interceptionRate *= callEffect.interception
 
   // Check for interception (checked before completion)
-  if (Math.random() < interceptionRate) {
+  if (nextRandom(gameState) < interceptionRate) {
     stats.passInterceptions++
 
-    // Calculate yards to goal for potential pick-six
-    // Defense catches at (yardline + airYards) and needs to reach offense's end zone (0)
-    const interceptionSpot = gameState.yardline + airYards
-    const yardsToGoal = interceptionSpot  // Distance back to offense's end zone
-
-    const racResult = runAfterCatch({ yardsToGoal })
-    const returnYards = racResult.yards
-
-    // Defense gets the return yards
-    const defenseTeam = gameState.possession === 'home' ? 'away' : 'home'
-    const defenseStats = getStats(gameState, defenseTeam)
-    defenseStats.interceptionReturnYards += returnYards
-
-    // Check for pick-six (interception return TD)
-    if (returnYards >= yardsToGoal) {
-      gameState.possession = defenseTeam
-      gameState.score[defenseTeam] += 6
-      logger.info(`🏈 PICK-SIX! ${defenseTeam} scores. Score: ${gameState.score.home}-${gameState.score.away}`)
-
-      // Attempt XP/2PT (skip if game-winning TD as time expires)
-      if (shouldSkipConversion(gameState)) {
-        gameState.lastXpResult = null
-        gameState.lastConversionType = 'skipped'
-      } else if (shouldGoForTwo(gameState)) {
-        const twoPtGood = attemptTwoPointConversion(gameState)
-        gameState.lastXpResult = twoPtGood
-        gameState.lastConversionType = '2pt'
-      } else {
-        const xpGood = attemptExtraPoint(gameState)
-        gameState.lastXpResult = xpGood
-        gameState.lastConversionType = 'xp'
-      }
-
-      // Add scoring entry
-      const extraPointValue = gameState.lastConversionType === '2pt'
-        ? (gameState.lastXpResult ? '2pt_good' : '2pt_no_good')
-        : (gameState.lastXpResult ? 'good' : 'no_good')
-      addScoringEntry(gameState, 'TD', 'int_return', returnYards, extraPointValue, defenseTeam)
-
-      // Kickoff after TD
-      if (gameState.simplifiedMode) {
-        gameState.possession = gameState.possession === 'home' ? 'away' : 'home'
-        gameState.yardline = 35
-        gameState.down = 1
-        gameState.distance = 10
-      } else {
-        gameState.awaitingKickoff = true
-      }
+    const passName = `${passType.charAt(0).toUpperCase() + passType.slice(1)} pass`
+    const intSpot = gameState.yardline + airYards
 
+    // Picked off in the end zone - the defender downs it for a touchback
+    if (intSpot >= 100) {
+      logger.info(`INTERCEPTION! ${gameState.possession} pass picked off in the end zone, touchback`)
+      gameState.possession = gameState.possession === 'home' ? 'away' : 'home'
+      gameState.yardline = gameState.rules.touchbackYardline
+      gameState.down = 1
+      gameState.distance = 10
+      markOvertimePossession(gameState)
       return {
         type: 'pass',
         passType: passType,
@@ -828,32 +1633,14 @@ function executePass(gameState, forcedType = null) {
         airYards: airYards,
         interception: true,
         turnover: true,
-        returnYards: returnYards,
-        touchdown: true,
-        xpGood: gameState.lastXpResult,
-        conversionType: gameState.lastConversionType,
-        twoPtPlayType: gameState.lastTwoPtPlayType,
-        description: `${passType.charAt(0).toUpperCase() + passType.slice(1)} pass intercepted! Returned ${returnYards} yards for a TOUCHDOWN!`
+        touchback: true,
+        returnYards: 0,
+        description: `${passName} intercepted in the end zone, touchback`
       }
     }
 
-    logger.info(`INTERCEPTION! ${gameState.possession} pass picked off at ${airYards} air yards, returned ${returnYards} yards`)
-
-    // Change possession at the interception spot
-    // If intercepted in the end zone, it's a touchback (ball at 20)
-    const intSpot = gameState.yardline + airYards
-    if (intSpot >= 100) {
-      // Touchback - interception in end zone
-      gameState.possession = gameState.possession === 'home' ? 'away' : 'home'
-      gameState.yardline = 20
-      gameState.down = 1
-      gameState.distance = 10
-      markOvertimePossession(gameState)
-    } else {
-      gameState.yardline = intSpot
-      changePossession(gameState, 0, true)
-    }
-
+    logger.info(`INTERCEPTION! ${gameState.possession} pass picked off at ${airYards} air yards`)
+    const intReturn = returnTurnover(gameState, intSpot, 'int_return')
     return {
       type: 'pass',
       passType: passType,
@@ -861,13 +1648,13 @@ function executePass(gameState, forcedType = null) {
       airYards: airYards,
       interception: true,
       turnover: true,
-      returnYards: returnYards,
-      description: `${passType.charAt(0).toUpperCase() + passType.slice(1)} pass intercepted! Returned ${returnYards} yards`
+      ...intReturn,
+      description: `${passName} intercepted${describeReturn(intReturn)}`
     }
   }
 
   // Check for completion
-  if (Math.random() < GAME_CONSTANTS.PASS_COMPLETION[passType]) {
+  if (nextRandom(gameState) < completionRate) {
     // Check where the pass lands
     const passLandsAt = gameState.yardline + airYards
 
@@ -895,7 +1682,13 @@ function executePass(gameState, forcedType = null) {
     } else {
       // Completed pass in field of play - add run after catch
       const yardsToGoal = 100 - passLandsAt
-      const racResult = runAfterCatch({ yardsToGoal })
+      const racResult = runAfterCatch({
+        yardsToGoal,
+        rangeBonus: ratingRangeBonus(passDiff) + callEffect.range,
+        rng: rngFor(gameState),
+        ...getPickOptions(picker, 'rac')
+      })
+      if (picker) picker.picks.push(...racResult.picks)
       racYards = racResult.yards
       racSteps = racResult.steps.map(step => airYards + step)  // Adjust steps for display
     }
@@ -908,14 +1701,13 @@ function executePass(gameState, forcedType = null) {
 
     // Check for fumble after catch (2% for now, will use RAC fumble rate later)
     // Only check if there was RAC (not if caught in end zone)
-    if (racYards > 0 && Math.random() < GAME_CONSTANTS.FUMBLE_RATE_PASS) {
+    if (racYards > 0 && nextRandom(gameState) < GAME_CONSTANTS.FUMBLE_RATE_PASS * getWeatherEffects(gameState).fumble) {
       stats.recFumbles++
-      if (Math.random() > GAME_CONSTANTS.FUMBLE_RECOVERY_OFFENSE) {
+      if (nextRandom(gameState) > GAME_CONSTANTS.FUMBLE_RECOVERY_OFFENSE) {
         // Defense recovers - turnover at the spot of the fumble
         stats.recFumblesLost++
-        gameState.yardline += totalYards  // Move to fumble spot
-        logger.info(`FUMBLE! ${gameState.possession} loses the ball at ${gameState.yardline}`)
-        changePossession(gameState, 0, true)  // Maintain field position
+        logger.info(`FUMBLE! ${gameState.possession} loses the ball at ${gameState.yardline + totalYards}`)
+        const fumbleReturn = returnTurnover(gameState, gameState.yardline + totalYards, 'fumble_return')
         return {
           type: 'pass',
           passType: passType,
@@ -923,7 +1715,8 @@ function executePass(gameState, forcedType = null) {
           complete: true,
           fumble: true,
           turnover: true,
-          description: `Pass complete for ${totalYards} yards, FUMBLE, recovered by defense`
+          ...fumbleReturn,
+          description: `Pass complete for ${totalYards} yards, FUMBLE, recovered by defense${describeReturn(fumbleReturn)}`
         }
       } else {
         // Offense recovers - no turnover but play ends
@@ -1001,10 +1794,23 @@ function executePass(gameState, forcedType = null) {
  */
 function executePunt(gameState) {
   const SNAP_DISTANCE = 7
-  const puntAirYards = generatePuntDistance()
 
   // Punt is kicked from 7 yards behind line of scrimmage
   const kickSpot = gameState.yardline - SNAP_DISTANCE
+
+  if (!gameState.rules.classic && nextRandom(gameState) < GAME_CONSTANTS.PUNT_BLOCK_PCT) {
+    logger.info(`Punt BLOCKED at the ${kickSpot}`)
+    const block = recoverBlockedKick(gameState, kickSpot, 'blocked_punt_return')
+    return {
+      type: 'punt',
+      yards: 0,
+      blocked: true,
+      ...block,
+      description: `Punt BLOCKED, ${describeBlockRecovery(block)}`
+    }
+  }
+
+  const puntAirYards = Math.round(generatePuntDistance(rngFor(gameState), gameState.rules.puntDistance) * getWeatherEffects(gameState).puntDistance)
   const landSpot = kickSpot + puntAirYards
 
   // Check for touchback (ball lands in or past end zone)
@@ -1012,7 +1818,7 @@ function executePunt(gameState) {
     // Touchback - receiving team gets ball at their 20
     const netPuntYards = 100 - gameState.yardline  // Punted to goal line essentially
     gameState.possession = gameState.possession === 'home' ? 'away' : 'home'
-    gameState.yardline = 20
+    gameState.yardline = gameState.rules.touchbackYardline
     gameState.down = 1
     gameState.distance = 10
 
@@ -1028,8 +1834,13 @@ function executePunt(gameState) {
   // Net punt yards from line of scrimmage
   const netPuntYards = landSpot - gameState.yardline
 
+  // Muffed catch - a live ball, but the kicking team can't advance it
+  if (!gameState.rules.classic && nextRandom(gameState) < GAME_CONSTANTS.PUNT_MUFF_PCT) {
+    return muffPunt(gameState, puntAirYards, landSpot)
+  }
+
   // Fair catch?
-  if (Math.random() < GAME_CONSTANTS.FAIR_CATCH_PCT) {
+  if (nextRandom(gameState) < GAME_CONSTANTS.FAIR_CATCH_PCT) {
     changePossession(gameState, netPuntYards)
     return {
       type: 'punt',
@@ -1043,17 +1854,20 @@ function executePunt(gameState) {
   // Return
   const returningTeam = gameState.possession === 'home' ? 'away' : 'home'
   const yardsToGoal = 100 - landSpot  // Distance to scoring end zone
-  const racResult = runAfterCatch({ yardsToGoal })
+  const racResult = runAfterCatch({ yardsToGoal, rng: rngFor(gameState) })
   const returnYards = racResult.yards
   const returnSteps = racResult.steps
   const returnerStats = getStats(gameState, returningTeam)
+  returnerStats.puntReturnAttempts++
   returnerStats.puntReturnYards += returnYards
   const catchYardline = 100 - landSpot  // Where the returner caught it
 
   // Check for punt return touchdown
   if (returnYards >= yardsToGoal) {
     // TOUCHDOWN on punt return!
+    returnerStats.puntReturnTouchdowns++
     gameState.possession = returningTeam
+    markOvertimePossession(gameState)
     gameState.score[returningTeam] += 6
     logger.info(`🏈 PUNT RETURN TOUCHDOWN! ${returningTeam} scores. Score: ${gameState.score.home}-${gameState.score.away}`)
 
@@ -1115,17 +1929,203 @@ function executePunt(gameState) {
   }
 }
 
+/**
+ * Returner puts a fielded punt on the ground
+ * Whoever falls on it has the ball at the spot of the muff: the receiving
+ * team as if it had made a fair catch, or the kicking team with a new set of
+ * downs.
+ * @param {number} landSpot - Where the punt came down, as the kicking team's yardline
+ */
+function muffPunt(gameState, puntAirYards, landSpot) {
+  const kickingTeam = gameState.possession
+  const returningTeam = kickingTeam === 'home' ? 'away' : 'home'
+  const returnerStats = getStats(gameState, returningTeam)
+  const catchYardline = 100 - landSpot
+  const netPuntYards = landSpot - gameState.yardline
+  returnerStats.puntsMuffed++
+
+  if (nextRandom(gameState) < GAME_CONSTANTS.PUNT_MUFF_RECOVERY_KICKING) {
+    returnerStats.puntsMuffedLost++
+    logger.info(`MUFFED PUNT! ${kickingTeam} recovers at the ${landSpot}`)
+    gameState.yardline = landSpot
+    gameState.down = 1
+    gameState.distance = Math.min(10, 100 - landSpot)
+    return {
+      type: 'punt',
+      yards: puntAirYards,
+      netYards: netPuntYards,
+      catchYardline,
+      muffed: true,
+      muffLost: true,
+      description: `Punt ${puntAirYards} yards, MUFFED at the ${catchYardline}, recovered by the kicking team`
+    }
+  }
+
+  changePossession(gameState, netPuntYards)
+  return {
+    type: 'punt',
+    yards: puntAirYards,
+    netYards: netPuntYards,
+    catchYardline,
+    muffed: true,
+    description: `Punt ${puntAirYards} yards, MUFFED at the ${catchYardline}, recovered by the return team`
+  }
+}
+
+/**
+ * Get one of a team's ratings, defaulting to league average, less what its
+ * injured starters cost (see injuries.js)
+ * Classic rules ignore ratings: every team plays at the league average.
+ * @param {Object} team - Team object (ratings from the team_ratings table, if seeded)
+ * @param {string} key - 'rushOffense', 'passOffense', 'runDefense', 'passRush', 'coverage', or 'kicking'
+ */
+function getRating(gameState, team, key) {
+  if (gameState.rules.classic) return GAME_CONSTANTS.DEFAULT_RATING
+  const rating = team.ratings && team.ratings[key]
+  const base = typeof rating === 'number' ? rating : GAME_CONSTANTS.DEFAULT_RATING
+  // Backups filling in for injured starters are worse
+  const loss = getInjuryRatingLoss(gameState, team === gameState.homeTeam ? 'home' : 'away', key)
+  return loss > 0 ? Math.max(1, base - loss) : base
+}
+
+/**
+ * Get the offense and defense team objects for the current possession
+ */
+function getMatchup(gameState) {
+  const offense = gameState.possession === 'home' ? gameState.homeTeam : gameState.awayTeam
+  const defense = gameState.possession === 'home' ? gameState.awayTeam : gameState.homeTeam
+  return { offense, defense }
+}
+
+/**
+ * Convert a rating difference into a defense range bonus for gameSimulation.js
+ * @param {number} diff - Offense rating minus defense rating
+ */
+function ratingRangeBonus(diff) {
+  return diff / GAME_CONSTANTS.RATING_RANGE_SCALE
+}
+
+/**
+ * Map a score differential to the coach_fourth_down_tendencies bucket
+ * @param {number} scoreDiff - Possession team's score minus opponent's
+ * @returns {string} 'up_7_plus', 'up_0_7', 'down_1_7', or 'down_7_plus'
+ */
+function getScoreDiffBucket(scoreDiff) {
+  if (scoreDiff > 7) return 'up_7_plus'
+  if (scoreDiff >= 0) return 'up_0_7'
+  if (scoreDiff >= -7) return 'down_1_7'
+  return 'down_7_plus'
+}
+
+/**
+ * Get the possession coach's 4th down go/punt/FG percentages for the current
+ * quarter and score, or null if the team has no seeded tendencies
+ */
+function getFourthDownTendencies(gameState) {
+  const team = gameState.possession === 'home' ? gameState.homeTeam : gameState.awayTeam
+  if (!team.fourthDownTendencies) return null
+
+  // Overtime uses the coach's 4th quarter tendencies
+  const quarter = Math.min(gameState.quarter, 4)
+  const opponent = gameState.possession === 'home' ? 'away' : 'home'
+  const scoreDiff = gameState.score[gameState.possession] - gameState.score[opponent]
+  const byQuarter = team.fourthDownTendencies[quarter]
+
+  return (byQuarter && byQuarter[getScoreDiffBucket(scoreDiff)]) || null
+}
+
+/**
+ * 4th down in a college overtime series
+ * Kick when a field goal is in range and enough - going first, or trailing
+ * by 3 or less - otherwise go for it
+ */
+function decideOvertimeSeriesFourthDown(gameState) {
+  const inFgRange = getFieldGoalDistance(gameState) <= gameState.rules.maxFieldGoalDistance
+  const opponent = gameState.possession === 'home' ? 'away' : 'home'
+  const deficit = gameState.score[opponent] - gameState.score[gameState.possession]
+  const goingFirst = gameState.overtimeSeries.ended === 0
+  return inFgRange && (goingFirst || deficit <= 3) ? 'fieldgoal' : 'go'
+}
+
+/**
+ * Whether the coach runs a fake instead of the punt or field goal
+ * Only on 4th and short, and never in the final two minutes of a half,
+ * when the kick is the safe play
+ * @param {number} rate - FAKE_PUNT_PCT or FAKE_FG_PCT
+ */
+function shouldFakeKick(gameState, rate) {
+  const { quarter, clock, distance } = gameState
+  if (gameState.rules.classic) return false
+  if (distance > GAME_CONSTANTS.FAKE_MAX_DISTANCE) return false
+  if ((quarter === 2 || quarter >= 4) && clock <= GAME_CONSTANTS.TWO_MINUTE_WARNING) return false
+  return nextRandom(gameState) < rate
+}
+
+/**
+ * Decide what to do on 4th down
+ * Blends the rule-based decision tree (FG range, score, clock) with the
+ * coach's seeded tendencies, so aggressive coaches go for it more often.
+ * The tree alone decides the final two minutes of the game.
+ * Returns: 'fieldgoal', 'go', or 'punt'
+ */
+function decideFourthDown(gameState) {
+  // Alternating overtime series: nothing to punt for
+  if (gameState.overtime && getOvertimePolicy(gameState).alternating) {
+    return decideOvertimeSeriesFourthDown(gameState)
+  }
+
+  const ruleDecision = shouldAttemptFieldGoal(gameState)
+  const coach = getFourthDownTendencies(gameState)
+  if (!coach) return ruleDecision
+
+  // Clock rules win outright late in the game
+  if (gameState.quarter >= 4 && gameState.clock < 120) return ruleDecision
+
+  const { yardline, distance } = gameState
+  const yardsToGoal = 100 - yardline
+  const inFgRange = getFieldGoalDistance(gameState) <= gameState.rules.maxFieldGoalDistance
+
+  // Scale the coach's go% by distance needed and field position
+  const goFactors = GAME_CONSTANTS.FOURTH_DOWN_GO_FACTOR
+  let goFactor
+  if (distance <= 1) goFactor = goFactors[1]
+  else if (distance <= 3) goFactor = goFactors[3]
+  else if (distance <= 6) goFactor = goFactors[6]
+  else goFactor = goFactors.long
+  if (yardline < 40) goFactor *= GAME_CONSTANTS.FOURTH_DOWN_GO_OWN_TERRITORY
+
+  // Out of range: the coach's FG share becomes a punt
+  let go = coach.go * goFactor
+  let fg = inFgRange ? coach.fg : 0
+  let punt = inFgRange ? coach.punt : coach.punt + coach.fg
+  if (yardsToGoal <= 35) punt *= GAME_CONSTANTS.FOURTH_DOWN_PUNT_SHORT_FIELD
+
+  const coachTotal = go + fg + punt
+  if (coachTotal <= 0) return ruleDecision
+
+  // Blend coach percentages with the decision tree's choice
+  const w = GAME_CONSTANTS.FOURTH_DOWN_TENDENCY_WEIGHT
+  go = w * go / coachTotal + (ruleDecision === 'go' ? 1 - w : 0)
+  fg = w * fg / coachTotal + (ruleDecision === 'fieldgoal' ? 1 - w : 0)
+
+  const roll = nextRandom(gameState)
+  if (roll < go) return 'go'
+  if (roll < go + fg) return 'fieldgoal'
+  return 'punt'
+}
+
 /**
  * Determine if team should attempt a field goal on 4th down
+ * Rule-based decision tree; decideFourthDown() blends it with coach tendencies
  * Returns: 'fieldgoal', 'go', or 'punt'
  */
 function shouldAttemptFieldGoal(gameState) {
   const { yardline, distance, quarter } = gameState
   const yardsToGoal = 100 - yardline
-  const fgDistance = yardsToGoal + 7  // snap distance only
+  const fgDistance = getFieldGoalDistance(gameState)
 
-  // Max FG range: 62 yards (from own 45 or closer)
-  if (fgDistance > GAME_CONSTANTS.MAX_FG_DISTANCE) {
+  // Max FG range: 62 yards under standard rules (from own 45 or closer)
+  if (fgDistance > gameState.rules.maxFieldGoalDistance) {
     // Out of FG range - punt or go for it
     if (distance <= 2 && yardline >= 40) {
       return 'go'  // Short yardage, decent field position
@@ -1241,19 +2241,30 @@ function executeFieldGoal(gameState) {
   const stats = getStats(gameState, gameState.possession)
   stats.fgAttempted++
 
-  // Distance = yards to goal + 7 (snap distance)
-  const fgDistance = (100 - gameState.yardline) + 7
+  const fgDistance = getFieldGoalDistance(gameState)
+
+  if (!gameState.rules.classic && nextRandom(gameState) < GAME_CONSTANTS.FG_BLOCK_PCT) {
+    logger.info(`Field goal BLOCKED from ${fgDistance} yards`)
+    const block = recoverBlockedKick(gameState, gameState.yardline - 7, 'blocked_fg_return')
+    return {
+      type: 'fieldgoal',
+      distance: fgDistance,
+      made: false,
+      blocked: true,
+      ...block,
+      description: `${fgDistance}-yard field goal BLOCKED, ${describeBlockRecovery(block)}`
+    }
+  }
 
   // Determine success rate by distance bracket
-  let successRate
-  if (fgDistance <= 26) successRate = GAME_CONSTANTS.FG_SUCCESS['0-26']
-  else if (fgDistance <= 36) successRate = GAME_CONSTANTS.FG_SUCCESS['27-36']
-  else if (fgDistance <= 46) successRate = GAME_CONSTANTS.FG_SUCCESS['37-46']
-  else if (fgDistance <= 52) successRate = GAME_CONSTANTS.FG_SUCCESS['47-52']
-  else if (fgDistance <= 57) successRate = GAME_CONSTANTS.FG_SUCCESS['53-57']
-  else successRate = GAME_CONSTANTS.FG_SUCCESS['58-62']
-
-  if (Math.random() < successRate) {
+  let successRate = getFieldGoalSuccess(gameState.rules, fgDistance)
+
+  // Kicker rating scales the miss rate; wind, cold, rain and snow scale what's left
+  const { offense } = getMatchup(gameState)
+  const missScale = Math.max(0, 1 - (getRating(gameState, offense, 'kicking') - GAME_CONSTANTS.DEFAULT_RATING) * GAME_CONSTANTS.RATING_FG_MISS_FACTOR)
+  successRate = (1 - (1 - successRate) * missScale) * getWeatherEffects(gameState).fieldGoal
+
+  if (nextRandom(gameState) < successRate) {
     stats.fgMade++
     const scoringTeam = gameState.possession
     gameState.score[gameState.possession] += 3
@@ -1294,6 +2305,25 @@ function executeFieldGoal(gameState) {
   }
 }
 
+/**
+ * Run a fake punt or fake field goal
+ * The direct snap goes to a runner or a passer who throws short. Either way
+ * it's a normal run or pass with the fake marked on the result.
+ * @param {string} playType - 'fake_punt' or 'fake_fg'
+ * @param {Object|null} picker - Human numbers (see executeScrimmagePlay)
+ */
+function executeFake(gameState, playType, picker) {
+  const stats = getStats(gameState, gameState.possession)
+  stats[playType === 'fake_punt' ? 'fakePunts' : 'fakeFieldGoals']++
+  logger.info(`${FAKE_LABELS[playType]}! ${gameState.possession} on ${gameState.down} & ${gameState.distance}`)
+
+  const playResult = nextRandom(gameState) < GAME_CONSTANTS.FAKE_RUN_PCT
+    ? executeRun(gameState, null, picker)
+    : executePass(gameState, 'short', null, picker)
+  playResult.fake = playType
+  return playResult
+}
+
 /**
  * Check if a play would result in a safety
  * @returns {boolean} true if the new yardline would be at or behind own goal line
@@ -1305,7 +2335,7 @@ function wouldBeSafety(gameState, yards) {
 /**
  * Execute a safety - award points and execute safety kick
  * @param {Object} gameState - Current game state
- * @param {string} playType - 'run' or 'sack' for scoring log
+ * @param {string} playType - 'run', 'sack', 'blocked_punt', or 'blocked_fg' for scoring log
  */
 function executeSafety(gameState, playType) {
   const offense = gameState.possession
@@ -1323,37 +2353,41 @@ function executeSafety(gameState, playType) {
   // Safety kick: offense punts from their own 20
   // Generate punt distance and handle like a normal punt
   const SAFETY_KICK_SPOT = 20
-  const puntAirYards = generatePuntDistance()
+  const puntAirYards = Math.round(generatePuntDistance(rngFor(gameState), gameState.rules.puntDistance) * getWeatherEffects(gameState).puntDistance)
   const landSpot = SAFETY_KICK_SPOT + puntAirYards
 
   // Check for touchback on safety kick
   if (landSpot >= 100) {
     // Touchback - receiving team gets ball at their 20
     gameState.possession = defense
-    gameState.yardline = 20
+    gameState.yardline = gameState.rules.touchbackYardline
     gameState.down = 1
     gameState.distance = 10
+    markOvertimePossession(gameState)
     return { puntYards: puntAirYards, touchback: true }
   }
 
   // Fair catch or return
-  if (Math.random() < GAME_CONSTANTS.FAIR_CATCH_PCT) {
+  if (nextRandom(gameState) < GAME_CONSTANTS.FAIR_CATCH_PCT) {
     gameState.possession = defense
     gameState.yardline = 100 - landSpot
     gameState.down = 1
     gameState.distance = 10
+    markOvertimePossession(gameState)
     return { puntYards: puntAirYards, fairCatch: true, landSpot: 100 - landSpot }
   }
 
   // Return the safety kick
-  const racResult = runAfterCatch({ yardsToGoal: 100 - landSpot })
+  const racResult = runAfterCatch({ yardsToGoal: 100 - landSpot, rng: rngFor(gameState) })
   const returnYards = racResult.yards
+  defenseStats.puntReturnAttempts++
   defenseStats.puntReturnYards += returnYards
 
   gameState.possession = defense
   gameState.yardline = 100 - landSpot + returnYards
   gameState.down = 1
   gameState.distance = 10
+  markOvertimePossession(gameState)
 
   return { puntYards: puntAirYards, returnYards: returnYards }
 }
@@ -1434,17 +2468,19 @@ function updateDownAndDistance(gameState, yards) {
  * @returns {boolean} true if conversion should be skipped
  */
 function shouldSkipConversion(gameState) {
-  // Only skip in Q4 or OT when clock has expired
-  if (gameState.clock > 0) return false
-  if (gameState.quarter < 4 && !gameState.overtime) return false
-
   // Check if scoring team is now ahead (TD already added)
   const scoringTeam = gameState.possession
   const myScore = gameState.score[scoringTeam]
   const oppScore = gameState.score[scoringTeam === 'home' ? 'away' : 'home']
+  if (myScore <= oppScore) return false
 
-  // If ahead, skip the conversion - game is over
-  return myScore > oppScore
+  // Overtime: a touchdown that wins it ends the game on the spot
+  // (a defensive TD on the first possession, or any lead once both teams have had the ball)
+  if (gameState.overtime && isGameOver(gameState)) return true
+
+  // Otherwise only skip in Q4 or OT when clock has expired
+  if (gameState.clock > 0) return false
+  return gameState.quarter >= 4 || gameState.overtime
 }
 
 /**
@@ -1453,6 +2489,9 @@ function shouldSkipConversion(gameState) {
  * @returns {boolean} true if should go for 2
  */
 function shouldGoForTwo(gameState) {
+  if (mustGoForTwo(gameState)) return true
+  if (!gameState.rules.twoPointConversion) return false
+
   const scoringTeam = gameState.possession
   const myScore = gameState.score[scoringTeam]
   const oppScore = gameState.score[scoringTeam === 'home' ? 'away' : 'home']
@@ -1492,9 +2531,7 @@ function attemptTwoPointConversion(gameState) {
   const stats = getStats(gameState, gameState.possession)
   stats.twoPtAttempted++
 
-  // 2PT takes 4-8 seconds
-  const conversionTime = 4 + Math.floor(Math.random() * 5)
-  gameState.clock -= conversionTime
+  // Tries are untimed - no clock runs on the conversion
 
   // Get coach tendencies (use defaults for now, will pull from coach data later)
   const runPct = GAME_CONSTANTS.TWO_PT_RUN_PCT
@@ -1502,21 +2539,21 @@ function attemptTwoPointConversion(gameState) {
 
   // Decide play type
   let playType, successRate
-  if (Math.random() < runPct) {
+  if (nextRandom(gameState) < runPct) {
     playType = 'run'
-    successRate = GAME_CONSTANTS.TWO_PT_RUN_SUCCESS
+    successRate = gameState.rules.twoPointSuccess.run
   } else {
     // Pass - short or medium?
-    if (Math.random() < shortPassPct) {
+    if (nextRandom(gameState) < shortPassPct) {
       playType = 'short pass'
-      successRate = GAME_CONSTANTS.TWO_PT_SHORT_PASS_SUCCESS
+      successRate = gameState.rules.twoPointSuccess.short
     } else {
       playType = 'medium pass'
-      successRate = GAME_CONSTANTS.TWO_PT_MEDIUM_PASS_SUCCESS
+      successRate = gameState.rules.twoPointSuccess.medium
     }
   }
 
-  const success = Math.random() < successRate
+  const success = nextRandom(gameState) < successRate
 
   if (success) {
     stats.twoPtMade++
@@ -1540,11 +2577,9 @@ function attemptExtraPoint(gameState) {
   const stats = getStats(gameState, gameState.possession)
   stats.xpAttempted++
 
-  // XP takes 4-8 seconds
-  const xpTime = 4 + Math.floor(Math.random() * 5)
-  gameState.clock -= xpTime
+  // Tries are untimed - no clock runs on the conversion
 
-  if (Math.random() < GAME_CONSTANTS.XP_SUCCESS) {
+  if (nextRandom(gameState) < gameState.rules.xpSuccess) {
     stats.xpMade++
     gameState.score[gameState.possession] += 1
     logger.info(`✓ Extra point GOOD! Score: ${gameState.score.home}-${gameState.score.away}`)
@@ -1556,8 +2591,11 @@ function attemptExtraPoint(gameState) {
 }
 
 /**
- * Execute opening kickoff and return a displayable result
- * Used for game start so the kickoff can be shown in the play-by-play
+ * Execute a kickoff and return a displayable result
+ * Used for every kickoff (game start, after scores, second half, overtime)
+ * so it can be shown in the play-by-play. Onside and squib kicks are chosen
+ * by chooseKickoffType(); deep kicks can go out of bounds, be downed for a
+ * touchback, or be returned.
  */
 function executeOpeningKickoff(gameState) {
   const kicker = gameState.possession
@@ -1566,15 +2604,40 @@ function executeOpeningKickoff(gameState) {
   const receiverTeam = receiver === 'home' ? gameState.homeTeam : gameState.awayTeam
   const kickingTeam = kicker === 'home' ? gameState.homeTeam : gameState.awayTeam
 
-  // Handle overtime possession marking if needed
+  // Overtime's opening kickoff: the receiving team has the first possession
   if (gameState.overtimeReceiverToMark) {
-    gameState.overtimePossessions[gameState.overtimeReceiverToMark] = true
+    gameState.overtimeFirstTeam = gameState.overtimeReceiverToMark
     delete gameState.overtimeReceiverToMark
   }
 
-  if (Math.random() < GAME_CONSTANTS.TOUCHBACK_PCT) {
+  const kickType = chooseKickoffType(gameState)
+  if (kickType === 'onside' || kickType === 'surprise_onside') {
+    return executeOnsideKick(gameState, kickType === 'surprise_onside')
+  }
+  if (kickType === 'squib') {
+    return executeSquibKick(gameState)
+  }
+
+  if (!gameState.rules.classic && nextRandom(gameState) < GAME_CONSTANTS.KICKOFF_OUT_OF_BOUNDS_PCT) {
+    const spot = GAME_CONSTANTS.KICKOFF_OUT_OF_BOUNDS_SPOT
+    gameState.possession = receiver
+    gameState.yardline = spot
+    gameState.down = 1
+    gameState.distance = 10
+    markOvertimePossession(gameState)
+    return {
+      type: 'kickoff_out_of_bounds',
+      returnYards: 0,
+      endYardline: spot,
+      kickingTeamName: kickingTeam.name,
+      description: `${kickingTeam.name} kickoff goes out of bounds. ${receiverTeam.name} ball at the ${spot}.`
+    }
+  }
+
+  if (nextRandom(gameState) < gameState.rules.kickoffTouchbackPct) {
+    const spot = gameState.rules.kickoffTouchbackYardline
     gameState.possession = receiver
-    gameState.yardline = 30
+    gameState.yardline = spot
     gameState.down = 1
     gameState.distance = 10
     markOvertimePossession(gameState)
@@ -1582,18 +2645,19 @@ function executeOpeningKickoff(gameState) {
       type: 'kickoff',
       touchback: true,
       returnYards: 0,
-      endYardline: 30,
+      endYardline: spot,
       kickingTeamName: kickingTeam.name,
-      description: `${kickingTeam.name} kickoff. Touchback, ball at the 30.`
+      description: `${kickingTeam.name} kickoff. Touchback, ball at the ${spot}.`
     }
   }
 
   // Starting position: evenly distributed 5-8 yard line
-  const startYardline = 5 + Math.floor(Math.random() * 4)
+  const startYardline = 5 + Math.floor(nextRandom(gameState) * 4)
   const yardsToGoal = 100 - startYardline
 
   receiverStats.kickReturnAttempts++
-  const returnResult = kickoffReturn({ yardsToGoal })
+  const rangeBonus = ratingRangeBonus(getRating(gameState, receiverTeam, 'rushOffense') - getRating(gameState, kickingTeam, 'kicking'))
+  const returnResult = kickoffReturn({ yardsToGoal, rangeBonus, rng: rngFor(gameState) })
   const returnYards = returnResult.yards
   const returnSteps = returnResult.steps
   receiverStats.kickReturnYards += returnYards
@@ -1602,12 +2666,13 @@ function executeOpeningKickoff(gameState) {
   gameState.yardline = startYardline + returnYards
   gameState.down = 1
   gameState.distance = 10
+  markOvertimePossession(gameState)
 
   // Check for kick return touchdown
   if (gameState.yardline >= 100) {
     gameState.yardline = 100
     gameState.score[receiver] += 6
-    receiverStats.kickReturnTouchdowns = (receiverStats.kickReturnTouchdowns || 0) + 1
+    receiverStats.kickReturnTouchdowns++
     logger.info(`🏈 KICK RETURN TOUCHDOWN! ${receiver} scores. Score: ${gameState.score.home}-${gameState.score.away}`)
 
     // Attempt XP/2PT (skip if game-winning TD as time expires)
@@ -1630,8 +2695,7 @@ function executeOpeningKickoff(gameState) {
       : (xpGood ? 'good' : 'no_good')
     addScoringEntry(gameState, 'TD', 'kick_return', returnYards, extraPointValue, receiver)
 
-    // Set up for next kickoff (scoring team kicks)
-    gameState.possession = receiver === 'home' ? 'away' : 'home'
+    // Set up for next kickoff (scoring team kicks; it already has possession)
     gameState.awaitingKickoff = true
 
     return {
@@ -1659,74 +2723,240 @@ function executeOpeningKickoff(gameState) {
 }
 
 /**
- * Execute kickoff
- * Starting position: 5-8 yard line (evenly distributed)
- * Return algorithm: 1-4 vs 1-40 gauntlet, then run mode
+ * Choose the kind of kickoff
+ * - onside: kicking team trailing by 1-16 in the final 3:00 of Q4/OT
+ * - squib: final 0:30 of either half (keep the return short)
+ * - surprise_onside: 1% of other kickoffs (never when leading late)
+ * - deep: everything else
+ * @returns {string} 'onside', 'surprise_onside', 'squib', or 'deep'
  */
-function kickoff(gameState) {
-  const receiver = gameState.possession === 'home' ? 'away' : 'home'
-  const receiverStats = getStats(gameState, receiver)
+function chooseKickoffType(gameState) {
+  const { quarter, clock } = gameState
+  if (gameState.rules.classic) return 'deep'
+  const kicker = gameState.possession
+  const receiver = kicker === 'home' ? 'away' : 'home'
+  const deficit = gameState.score[receiver] - gameState.score[kicker]
+  const lateGame = quarter >= 4
+
+  if (lateGame && clock <= GAME_CONSTANTS.ONSIDE_LATE_CLOCK &&
+      deficit > 0 && deficit <= GAME_CONSTANTS.ONSIDE_MAX_DEFICIT) {
+    return 'onside'
+  }
 
-  if (Math.random() < GAME_CONSTANTS.TOUCHBACK_PCT) {
+  if ((quarter === 2 || lateGame) && clock <= GAME_CONSTANTS.SQUIB_WINDOW) {
+    return 'squib'
+  }
+
+  const leadingLate = lateGame && deficit < 0
+  if (!leadingLate && nextRandom(gameState) < GAME_CONSTANTS.ONSIDE_SURPRISE_PCT) {
+    return 'surprise_onside'
+  }
+
+  return 'deep'
+}
+
+/**
+ * Execute an onside kick
+ * Ball travels 10-13 yards from the kicking team's 35 and either team recovers.
+ * Expected onside kicks are recovered by the kicking team far less often than surprises.
+ * @param {boolean} surprise - Kicked when the receiving team wasn't expecting it
+ */
+function executeOnsideKick(gameState, surprise) {
+  const kicker = gameState.possession
+  const receiver = kicker === 'home' ? 'away' : 'home'
+  const kickingTeam = kicker === 'home' ? gameState.homeTeam : gameState.awayTeam
+  const receiverTeam = receiver === 'home' ? gameState.homeTeam : gameState.awayTeam
+
+  const [minYards, maxYards] = GAME_CONSTANTS.ONSIDE_KICK_YARDS
+  const kickYards = minYards + Math.floor(nextRandom(gameState) * (maxYards - minYards + 1))
+  const spot = GAME_CONSTANTS.KICKOFF_SPOT + kickYards  // Kicking team's perspective
+
+  const recoveryPct = surprise ? GAME_CONSTANTS.ONSIDE_RECOVERY.surprise : GAME_CONSTANTS.ONSIDE_RECOVERY.expected
+  const recovered = nextRandom(gameState) < recoveryPct
+
+  if (recovered) {
+    gameState.possession = kicker
+    gameState.yardline = spot
+  } else {
     gameState.possession = receiver
-    gameState.yardline = 30  // 2024 NFL touchback rule (35 in 2025)
-    gameState.down = 1
-    gameState.distance = 10
-    markOvertimePossession(gameState)
+    gameState.yardline = 100 - spot
+  }
+  gameState.down = 1
+  gameState.distance = 10
+  markOvertimePossession(gameState)
+
+  const kickText = surprise ? `SURPRISE onside kick by ${kickingTeam.name}!` : `${kickingTeam.name} onside kick.`
+  const recoveryText = recovered
+    ? `Recovered by ${kickingTeam.name} at the ${kickingTeam.name} ${spot}!`
+    : `${receiverTeam.name} recovers at the ${kickingTeam.name} ${spot}.`
+  logger.info(`Onside kick (${surprise ? 'surprise' : 'expected'}): ${recovered ? 'recovered by kicking team' : 'recovered by receiving team'}`)
+
+  return {
+    type: 'onside_kick',
+    surprise,
+    recovered,
+    kickYards,
+    returnYards: 0,
+    endYardline: gameState.yardline,
+    kickingTeamName: kickingTeam.name,
+    description: `${kickText} ${recoveryText}`
+  }
+}
+
+/**
+ * Execute a squib kick
+ * Low line drive fielded short (receiving 15-25) with a short return, so
+ * there's little time or room for a big return at the end of a half
+ */
+function executeSquibKick(gameState) {
+  const kicker = gameState.possession
+  const receiver = kicker === 'home' ? 'away' : 'home'
+  const receiverStats = getStats(gameState, receiver)
+  const kickingTeam = kicker === 'home' ? gameState.homeTeam : gameState.awayTeam
+
+  const [minSpot, maxSpot] = GAME_CONSTANTS.SQUIB_FIELDED_AT
+  const startYardline = minSpot + Math.floor(nextRandom(gameState) * (maxSpot - minSpot + 1))
+  const returnYards = Math.floor(nextRandom(gameState) * (GAME_CONSTANTS.SQUIB_RETURN_MAX + 1))
+
+  receiverStats.kickReturnAttempts++
+  receiverStats.kickReturnYards += returnYards
+
+  gameState.possession = receiver
+  gameState.yardline = startYardline + returnYards
+  gameState.down = 1
+  gameState.distance = 10
+  markOvertimePossession(gameState)
+
+  return {
+    type: 'squib_kick',
+    returnYards,
+    startYardline,
+    endYardline: gameState.yardline,
+    kickingTeamName: kickingTeam.name,
+    description: `${kickingTeam.name} squib kick fielded at the ${startYardline}. Returned ${returnYards} yards to the ${gameState.yardline}.`
+  }
+}
+
+/**
+ * Defense runs back an interception, a lost fumble, or a blocked kick
+ * The return uses the run-after-catch algorithm from the spot of the turnover
+ * toward the offense's end zone; getting there is a pick-six or a
+ * scoop-and-score (a ball lost in the offense's own end zone is a touchdown
+ * on the spot). Possession changes either way.
+ * @param {number} spot - Where the defense took the ball, as the offense's yardline
+ * @param {string} playType - Scoring log play type (see RETURN_STATS)
+ * @returns {Object} Play result fields: { returnYards } plus touchdown and conversion fields on a score
+ */
+function returnTurnover(gameState, spot, playType) {
+  const defenseTeam = gameState.possession === 'home' ? 'away' : 'home'
+  const defenseStats = getStats(gameState, defenseTeam)
+  const stat = RETURN_STATS[playType]
+
+  const yardsToGoal = Math.max(0, spot)
+  const returnYards = yardsToGoal > 0 ? runAfterCatch({ yardsToGoal, rng: rngFor(gameState) }).yards : 0
+  defenseStats[`${stat}Yards`] += returnYards
+
+  if (returnYards < yardsToGoal) {
+    gameState.yardline = spot - returnYards
+    changePossession(gameState, 0, true)
+    return { returnYards }
+  }
+
+  // Defensive touchdown - the defense has the ball for the conversion (and,
+  // in overtime, has now had its possession)
+  defenseStats[`${stat}Touchdowns`]++
+  gameState.possession = defenseTeam
+  markOvertimePossession(gameState)
+  gameState.score[defenseTeam] += 6
+  logger.info(`🏈 ${playType === 'int_return' ? 'PICK-SIX' : 'SCOOP AND SCORE'}! ${defenseTeam} scores. Score: ${gameState.score.home}-${gameState.score.away}`)
+
+  let xpGood = null
+  let conversionType = 'skipped'
+  if (shouldSkipConversion(gameState)) {
+    // Game over - no conversion
+  } else if (shouldGoForTwo(gameState)) {
+    xpGood = attemptTwoPointConversion(gameState)
+    conversionType = '2pt'
   } else {
-    // Starting position: evenly distributed 5-8 yard line
-    const startYardline = 5 + Math.floor(Math.random() * 4)  // 5, 6, 7, or 8
-    const yardsToGoal = 100 - startYardline
+    xpGood = attemptExtraPoint(gameState)
+    conversionType = 'xp'
+  }
+  const twoPtPlayType = gameState.lastTwoPtPlayType
+  delete gameState.lastTwoPtPlayType
 
-    receiverStats.kickReturnAttempts++
-    const returnResult = kickoffReturn({ yardsToGoal })
-    const returnYards = returnResult.yards
-    receiverStats.kickReturnYards += returnYards
+  const extraPointValue = conversionType === '2pt'
+    ? (xpGood ? '2pt_good' : '2pt_no_good')
+    : (xpGood ? 'good' : 'no_good')
+  addScoringEntry(gameState, 'TD', playType, returnYards, extraPointValue, defenseTeam)
 
-    gameState.possession = receiver
-    gameState.yardline = startYardline + returnYards
+  // Kickoff after TD
+  if (gameState.simplifiedMode) {
+    gameState.possession = gameState.possession === 'home' ? 'away' : 'home'
+    gameState.yardline = 35
     gameState.down = 1
     gameState.distance = 10
+  } else {
+    gameState.awaitingKickoff = true
+  }
 
-    // Mark overtime possession (unless kick return TD, which leads to another kickoff)
-    if (gameState.yardline < 100) {
-      markOvertimePossession(gameState)
-    }
+  return { returnYards, touchdown: true, xpGood, conversionType, ...(twoPtPlayType && { twoPtPlayType }) }
+}
 
-    // Check for kick return touchdown
-    if (gameState.yardline >= 100) {
-      gameState.yardline = 100
-      gameState.score[receiver] += 6
-      logger.info(`🏈 KICK RETURN TOUCHDOWN! ${receiver} scores. Score: ${gameState.score.home}-${gameState.score.away}`)
-
-      // Attempt XP/2PT (skip if game-winning TD as time expires)
-      if (shouldSkipConversion(gameState)) {
-        gameState.lastKickReturnXpResult = null
-        gameState.lastKickReturnConversionType = 'skipped'
-      } else if (shouldGoForTwo(gameState)) {
-        const twoPtGood = attemptTwoPointConversion(gameState)
-        gameState.lastKickReturnXpResult = twoPtGood
-        gameState.lastKickReturnConversionType = '2pt'
-      } else {
-        const xpGood = attemptExtraPoint(gameState)
-        gameState.lastKickReturnXpResult = xpGood
-        gameState.lastKickReturnConversionType = 'xp'
-      }
+/**
+ * Loose ball after a blocked punt or field goal
+ * It bounces back from the spot of the kick. The defense usually comes up
+ * with it and can return it (see returnTurnover); otherwise the kicking team
+ * falls on it where it lies - a safety in its own end zone, a turnover on
+ * downs on 4th down, or the next down.
+ * @param {number} kickSpot - Spot of the kick, as the kicking team's yardline
+ * @param {string} playType - Scoring log play type, 'blocked_punt_return' or 'blocked_fg_return'
+ * @returns {Object} Play result fields: turnover and the return for the defense, or recoverySpot (safety fields in the end zone)
+ */
+function recoverBlockedKick(gameState, kickSpot, playType) {
+  const [minBounce, maxBounce] = GAME_CONSTANTS.BLOCK_BOUNCE_RANGE
+  const spot = kickSpot - (minBounce + Math.floor(nextRandom(gameState) * (maxBounce - minBounce + 1)))
+  const kickingStats = getStats(gameState, gameState.possession)
+  kickingStats[playType === 'blocked_punt_return' ? 'puntsBlocked' : 'fgBlocked']++
+
+  if (nextRandom(gameState) < GAME_CONSTANTS.BLOCK_RECOVERY_DEFENSE) {
+    return { turnover: true, ...returnTurnover(gameState, spot, playType) }
+  }
 
-      // Add scoring entry
-      const extraPointValue = gameState.lastKickReturnConversionType === 'skipped'
-        ? 'skipped'
-        : gameState.lastKickReturnConversionType === '2pt'
-        ? (gameState.lastKickReturnXpResult ? '2pt_good' : '2pt_no_good')
-        : (gameState.lastKickReturnXpResult ? 'good' : 'no_good')
-      addScoringEntry(gameState, 'TD', 'kick_return', returnYards, extraPointValue, receiver)
-
-      // Kickoff again (other team kicks to the team that just scored)
-      // Need to flip possession so kickoff gives ball back correctly
-      gameState.possession = receiver === 'home' ? 'away' : 'home'
-      gameState.awaitingKickoff = true
-    }
+  if (spot <= 0) {
+    gameState.yardline = spot
+    const safetyKick = executeSafety(gameState, playType === 'blocked_punt_return' ? 'blocked_punt' : 'blocked_fg')
+    return { recoverySpot: spot, safety: true, safetyKick }
+  }
+
+  const lineToGain = gameState.yardline + gameState.distance
+  gameState.yardline = spot
+  if (gameState.down === 4) {
+    changePossession(gameState, 0, true)
+    return { recoverySpot: spot, turnoverOnDowns: true }
   }
+  gameState.down++
+  gameState.distance = lineToGain - spot
+  return { recoverySpot: spot }
+}
+
+/**
+ * Who came up with a blocked kick, and what they did with it (see recoverBlockedKick)
+ */
+function describeBlockRecovery(block) {
+  if (block.turnover) return `recovered by defense${describeReturn(block)}`
+  if (block.safety) return 'recovered by the kicking team in the end zone - SAFETY!'
+  const turnover = block.turnoverOnDowns ? ', turnover on downs' : ''
+  return `recovered by the kicking team at the ${block.recoverySpot}${turnover}`
+}
+
+/**
+ * Description ending for a turnover return (see returnTurnover)
+ */
+function describeReturn({ returnYards, touchdown }) {
+  if (touchdown) {
+    return returnYards > 0 ? `, returned ${returnYards} yards for a TOUCHDOWN!` : ', in the end zone for a TOUCHDOWN!'
+  }
+  return returnYards > 0 ? `, returned ${returnYards} yards` : ''
 }
 
 /**
@@ -1763,10 +2993,13 @@ function changePossession(gameState, fieldChange, turnoverOnDowns = false) {
  */
 function advanceQuarter(gameState) {
   gameState.quarter++
-  gameState.clock = QUARTER_LENGTH
+  gameState.clock = gameState.rules.quarterLength
+  gameState.clockStop = 'quarter_end'
+  gameState.twoMinuteWarningGiven = false
 
-  // Halftime - second half receiver gets the ball
+  // Halftime - second half receiver gets the ball, timeouts reset
   if (gameState.quarter === 3) {
+    gameState.timeouts = { home: GAME_CONSTANTS.TIMEOUTS_PER_HALF, away: GAME_CONSTANTS.TIMEOUTS_PER_HALF }
     if (gameState.simplifiedMode) {
       // Simplified mode: second half receiver starts at own 35
       gameState.possession = gameState.secondHalfReceiver
@@ -1782,49 +3015,70 @@ function advanceQuarter(gameState) {
 }
 
 /**
- * Start overtime period
- * - Random coin toss for kickoff
- * - 15 minute clock
- * - Each team gets at least one possession (unless defensive TD)
+ * Start overtime under the game's policy (see overtime.js)
+ * - Random coin toss for kickoff (college: for the first series)
+ * - Period length and timeouts from the policy
+ * - When a lead wins it is up to the policy (isGameOver)
  */
 function startOvertime(gameState) {
+  const policy = getOvertimePolicy(gameState)
   gameState.overtime = true
   gameState.quarter = 5  // OT is "5th quarter"
-  gameState.clock = 900  // 15 minutes
+  gameState.clock = policy.periodLength ?? gameState.rules.quarterLength  // Untimed periods keep a frozen clock
+  gameState.clockStop = 'quarter_end'
+  gameState.twoMinuteWarningGiven = false
+  gameState.timeouts = { home: policy.timeouts, away: policy.timeouts }
   gameState.overtimePossessions = { home: false, away: false }
+  gameState.overtimeFirstTeam = null
   gameState.overtimeFirstPossession = true
 
   // Random coin toss for OT kickoff
-  const otReceiver = Math.random() < 0.5 ? 'home' : 'away'
+  const otReceiver = nextRandom(gameState) < 0.5 ? 'home' : 'away'
   const otKicker = otReceiver === 'home' ? 'away' : 'home'
 
-  logger.info(`⏰ OVERTIME! Coin toss: ${otReceiver === 'home' ? gameState.homeTeam.name : gameState.awayTeam.name} receives`)
+  logger.info(`⏰ OVERTIME (${policy.label})! Coin toss: ${otReceiver === 'home' ? gameState.homeTeam.name : gameState.awayTeam.name} receives`)
 
-  if (gameState.simplifiedMode) {
+  if (policy.alternating) {
+    startOvertimeSeries(gameState, otReceiver)
+  } else if (gameState.simplifiedMode) {
     gameState.possession = otReceiver
     gameState.yardline = 35
     gameState.down = 1
     gameState.distance = 10
-    gameState.overtimePossessions[otReceiver] = true
+    gameState.overtimeFirstTeam = otReceiver
   } else {
     gameState.possession = otKicker
     gameState.awaitingKickoff = true
-    // Mark the receiving team as having possession after kickoff executes
+    // The receiving team gets the first possession when the kickoff executes
     gameState.overtimeReceiverToMark = otReceiver
   }
 }
 
 /**
- * Mark overtime possession for current team
- * Called when possession changes
+ * Another timed overtime period when one ends undecided and ties aren't allowed
+ * Play carries on from where it stopped, like a change of quarter; the
+ * possession rule carries over too
+ */
+function startOvertimePeriod(gameState) {
+  const policy = getOvertimePolicy(gameState)
+  gameState.quarter++
+  gameState.clock = policy.periodLength
+  gameState.clockStop = 'quarter_end'
+  gameState.twoMinuteWarningGiven = false
+  gameState.timeouts = { home: policy.timeouts, away: policy.timeouts }
+  logger.info(`⏰ End of OT period ${gameState.quarter - 5}, still tied - on to period ${gameState.quarter - 4}`)
+}
+
+/**
+ * Note a change of possession in overtime
+ * The first possession is over once the ball goes to the other team (punt,
+ * turnover, turnover on downs, a kick after a score or safety). Who has had
+ * the ball is counted at the snap instead (executePlay), so a team that
+ * only receives a kick hasn't had it yet
  */
 function markOvertimePossession(gameState) {
-  if (gameState.overtime) {
-    gameState.overtimePossessions[gameState.possession] = true
-    // After first possession changes, no longer first possession
-    if (gameState.overtimeFirstPossession) {
-      gameState.overtimeFirstPossession = false
-    }
+  if (gameState.overtime && gameState.overtimeFirstTeam && gameState.possession !== gameState.overtimeFirstTeam) {
+    gameState.overtimeFirstPossession = false
   }
 }
 
@@ -1838,28 +3092,19 @@ export function isGameOver(gameState) {
     return gameState.score.home !== gameState.score.away
   }
 
-  // Overtime rules
+  // Overtime rules (see overtime.js)
   if (gameState.overtime) {
+    // A lead wins once the policy's possession rule is met
     const tied = gameState.score.home === gameState.score.away
-
-    // OT clock expired - game ends (possibly as tie)
-    if (gameState.clock <= 0) {
+    if (!tied && getOvertimePolicy(gameState).isDecided(gameState)) {
       return true
     }
 
-    // If not tied, check possession rules
-    if (!tied) {
-      // Both teams have had possession - any lead wins
-      if (gameState.overtimePossessions.home && gameState.overtimePossessions.away) {
-        return true
-      }
-      // First possession ended without both teams possessing
-      // This means defensive TD (pick-6, fumble return, safety)
-      // Immediate win for defense
-      if (!gameState.overtimeFirstPossession &&
-          (!gameState.overtimePossessions.home || !gameState.overtimePossessions.away)) {
-        return true
-      }
+    // OT clock expired - the game ends here (tied, or with a lead the
+    // possession rule hadn't settled) only if the policy allows a tie;
+    // otherwise handleClockExpiration starts another period
+    if (gameState.clock <= 0) {
+      return allowsTie(gameState)
     }
   }
 
@@ -1,36 +1,76 @@
 /**
  * TI Football Game Simulation Utilities
  * Based on 1979 TI-99/4a BASIC game logic
+ * Every roll takes the game's generator as rng (see requireRng in random.js)
  */
 
+import { requireRng } from './random.js'
+
 /**
  * Generate a random number from a normal distribution using Box-Muller transform
  * @param {number} mean - Mean of the distribution
  * @param {number} stdDev - Standard deviation
+ * @param {Function} rng - Random source returning [0, 1)
  * @returns {number} Random value from normal distribution
  */
-function randomNormal(mean, stdDev) {
+function randomNormal(mean, stdDev, rng) {
   // Box-Muller transform to generate normal distribution
-  const u1 = Math.random()
-  const u2 = Math.random()
+  // 1 - rng() keeps u1 in (0, 1] so log() never sees zero
+  const u1 = 1 - rng()
+  const u2 = rng()
   const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2)
   return z0 * stdDev + mean
 }
 
 /**
- * Generate random play duration in seconds
- * Uses normal distribution: mean 28.6s, std dev ~11s
- * Clamped to 5-50 seconds (minimum play time to full delay of game)
+ * Generate time that runs off between plays while the clock is running
+ * (huddle, line up, snap). Not charged when the clock is stopped.
+ * Uses normal distribution by tempo:
+ *   normal:   mean 35s, std dev 4s, clamped 25-40
+ *   hurry_up: mean 12s, std dev 4s, clamped 6-20 (no huddle)
+ *   milk:     mean 38s, std dev 2s, clamped 34-40 (snap as the play clock expires)
+ *
+ * @param {string} tempo - 'normal', 'hurry_up', or 'milk'
+ * @param {Function} rng - Random source returning [0, 1) (required)
+ * @returns {number} Runoff in seconds
+ */
+export function generateRunoff(tempo, rng) {
+  requireRng(rng)
+  const params = {
+    normal: { mean: 35, stdDev: 4, min: 25, max: 40 },
+    hurry_up: { mean: 12, stdDev: 4, min: 6, max: 20 },
+    milk: { mean: 38, stdDev: 2, min: 34, max: 40 }
+  }[tempo] || { mean: 35, stdDev: 4, min: 25, max: 40 }
+
+  const time = randomNormal(params.mean, params.stdDev, rng)
+  return Math.max(params.min, Math.min(params.max, Math.round(time)))
+}
+
+/**
+ * Generate time elapsed from snap to whistle
+ * Uses normal distribution by play type:
+ *   run/sack: mean 5s | pass: mean 6s | punt: mean 9s | fieldgoal: mean 4s
+ *   kickoff (return): mean 7s | onside (recovery): mean 3s
  *
- * @returns {number} Play duration in seconds (5-50)
+ * @param {string} playType - 'run', 'pass', 'sack', 'punt', 'fieldgoal', 'kickoff', or 'onside'
+ * @param {Function} rng - Random source returning [0, 1) (required)
+ * @returns {number} Action time in seconds (3-15)
  */
-export function generatePlayTime() {
-  const mean = 28.6
-  const stdDev = 11
-  const time = randomNormal(mean, stdDev)
+export function generateActionTime(playType, rng) {
+  requireRng(rng)
+  const means = { run: 5, sack: 5, pass: 6, punt: 9, fieldgoal: 4, kickoff: 7, onside: 3 }
+  const mean = means[playType] || 5
+  const time = randomNormal(mean, 1.5, rng)
+  return Math.max(3, Math.min(15, Math.round(time)))
+}
 
-  // Clamp to reasonable bounds
-  return Math.max(5, Math.min(50, Math.round(time)))
+/**
+ * Air yards by pass type: normal distribution, clamped to hard limits
+ */
+export const AIR_YARDS = {
+  short: { mean: 4, stdDev: 2, min: 0, max: 9 },
+  medium: { mean: 14, stdDev: 2.5, min: 10, max: 19 },
+  long: { mean: 33, stdDev: 6, min: 20, max: 50 }
 }
 
 /**
@@ -38,44 +78,69 @@ export function generatePlayTime() {
  * Uses normal distribution with hard limits
  *
  * @param {string} passType - 'short', 'medium', or 'long'
+ * @param {Function} rng - Random source returning [0, 1) (required)
+ * @param {Object} config - Distribution by pass type (defaults to AIR_YARDS; league rules can replace it)
  * @returns {number} Air yards (integer)
  */
-export function generateAirYards(passType) {
-  // Mean and limits for each pass type
-  const config = {
-    short: { mean: 4, stdDev: 2, min: 0, max: 9 },
-    medium: { mean: 14, stdDev: 2.5, min: 10, max: 19 },
-    long: { mean: 33, stdDev: 6, min: 20, max: 50 }
-  }
-
+export function generateAirYards(passType, rng, config = AIR_YARDS) {
+  requireRng(rng)
   const { mean, stdDev, min, max } = config[passType] || config.short
 
   // Generate from normal distribution and clamp to hard limits
-  const yards = randomNormal(mean, stdDev)
+  const yards = randomNormal(mean, stdDev, rng)
   return Math.max(min, Math.min(max, Math.round(yards)))
 }
 
+/**
+ * Apply a team-rating bonus to a defense guess range
+ * Fractional bonuses pick the range above or below at random, so a +0.3
+ * bonus on 1-5 plays as 1-6 on 30% of guesses and 1-5 on the rest.
+ * No random draw is made when the range is a whole number.
+ *
+ * @param {number} baseRange - Defense range from the original game (e.g. 5 for 1-5)
+ * @param {number} bonus - Offense advantage in range units (negative favors the defense)
+ * @param {Function} rng - Random source returning [0, 1)
+ * @returns {number} Whole-number range, at least 2
+ */
+function adjustRange(baseRange, bonus, rng) {
+  const range = baseRange + bonus
+  let whole = Math.floor(range)
+  const fraction = range - whole
+  if (fraction > 0 && rng() < fraction) {
+    whole++
+  }
+  return Math.max(2, whole)
+}
+
 /**
  * Running algorithm from original 1979 game
  * Player picks 1-4, computer picks 1-5 (or 1-4 on 4th and 1)
  * Match = tackled, no match = advance 1 yard and repeat
  *
- * @param {Object} options - Optional parameters
+ * @param {Object} options - Play options (rng is required)
  * @param {boolean} options.fourthAndOne - If true, use 1-4 vs 1-4 for first yard (75% conversion)
  * @param {number} options.yardsToGoal - Yards to the goal line (stops running at touchdown)
+ * @param {number} options.rangeBonus - Rating advantage added to the defense range (see adjustRange)
+ * @param {Function} options.rng - Random source returning [0, 1) (required)
+ * @param {Function} options.pickNumber - Human ball carrier: (yards so far) => 1-4, in place of a random pick
+ * @param {Function} options.defensePick - Human defense: (yards so far) => 1-5; situation and ratings
+ *   only shape the computer's range
  * @returns {Object} { yards, steps } - Yards gained and step-by-step progression
+ *   (plus picks: [{ offense, defense }] when either side is human)
  */
-export function runningPlay(options = {}) {
+export function runningPlay(options) {
   // DEBUG: Short circuit for testing touchdowns
   // return { yards: 15, steps: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15] }
 
-  const { fourthAndOne = false, yardsToGoal = 100 } = options
+  const { fourthAndOne = false, yardsToGoal = 100, rangeBonus = 0, rng, pickNumber, defensePick } = options
+  requireRng(rng)
   let yards = 0
   let tackled = false
   const steps = []  // Track each yard advanced
+  const picks = []
 
   while (!tackled) {
-    const playerChoice = Math.floor(Math.random() * 4) + 1  // 1-4
+    const playerChoice = pickNumber ? pickNumber(yards) : Math.floor(rng() * 4) + 1  // 1-4
 
     // Defense range varies by situation:
     // - 4th and 1 (first yard only): 1-4 (25% tackle = 75% conversion)
@@ -89,7 +154,14 @@ export function runningPlay(options = {}) {
     } else {
       defenseRange = 5  // Normal
     }
-    const computerChoice = Math.floor(Math.random() * defenseRange) + 1
+    let computerChoice
+    if (defensePick) {
+      computerChoice = defensePick(yards)
+    } else {
+      defenseRange = adjustRange(defenseRange, rangeBonus, rng)
+      computerChoice = Math.floor(rng() * defenseRange) + 1
+    }
+    picks.push({ offense: playerChoice, defense: computerChoice })
 
     if (playerChoice === computerChoice) {
       // Tackled!
@@ -97,7 +169,7 @@ export function runningPlay(options = {}) {
 
       if (yards === 0) {
         // Tackled immediately - lose 0-3 yards
-        yards = -Math.floor(Math.random() * 4)  // 0, -1, -2, or -3
+        yards = -Math.floor(rng() * 4)  // 0, -1, -2, or -3
       }
       // else: gain is the number of successful advances (yards)
     } else {
@@ -112,28 +184,37 @@ export function runningPlay(options = {}) {
     }
   }
 
-  return { yards, steps }
+  return pickNumber || defensePick ? { yards, steps, picks } : { yards, steps }
 }
 
 /**
  * Run after catch (RAC) - uses same algorithm as running play
  * This happens after a completed pass
  *
- * @param {Object} options - Optional parameters
+ * @param {Object} options - Play options (rng is required)
  * @param {number} options.yardsToGoal - Yards to the goal line (stops running at touchdown)
- * @returns {Object} { yards, steps } - Additional yards gained after catch
+ * @param {number} options.rangeBonus - Rating advantage added to the defense range (see adjustRange)
+ * @param {Function} options.rng - Random source returning [0, 1) (required)
+ * @param {Function} options.pickNumber - Human ball carrier, as in runningPlay
+ * @param {Function} options.defensePick - Human defense, as in runningPlay
+ * @returns {Object} { yards, steps } - Additional yards gained after catch (plus picks, as in runningPlay)
  */
-export function runAfterCatch(options = {}) {
-  const { yardsToGoal = 100 } = options
+export function runAfterCatch(options) {
+  const { yardsToGoal = 100, rangeBonus = 0, rng, pickNumber, defensePick } = options
+  requireRng(rng)
   // Same algorithm as running, but we know they already have the ball
   // so no negative yards on first attempt
   let yards = 0
   let tackled = false
   const steps = []
+  const picks = []
 
   while (!tackled) {
-    const playerChoice = Math.floor(Math.random() * 4) + 1  // 1-4
-    const computerChoice = Math.floor(Math.random() * 5) + 1  // 1-5
+    const playerChoice = pickNumber ? pickNumber(yards) : Math.floor(rng() * 4) + 1  // 1-4
+    const computerChoice = defensePick
+      ? defensePick(yards)
+      : Math.floor(rng() * adjustRange(5, rangeBonus, rng)) + 1  // 1-5 (before ratings)
+    picks.push({ offense: playerChoice, defense: computerChoice })
 
     if (playerChoice === computerChoice) {
       // Tackled!
@@ -150,7 +231,7 @@ export function runAfterCatch(options = {}) {
     }
   }
 
-  return { yards, steps }
+  return pickNumber || defensePick ? { yards, steps, picks } : { yards, steps }
 }
 
 /**
@@ -158,19 +239,22 @@ export function runAfterCatch(options = {}) {
  * Phase 1: Gauntlet - defense range starts at 40 and decreases to 4
  * Phase 2: Run mode - same as regular running (1-4 vs 1-5, then 1-4 vs 1-7 after 6 yards)
  *
- * @param {Object} options - Optional parameters
+ * @param {Object} options - Play options (rng is required)
  * @param {number} options.yardsToGoal - Yards to the goal line (stops at touchdown)
+ * @param {number} options.rangeBonus - Rating advantage added to the defense range (see adjustRange)
+ * @param {Function} options.rng - Random source returning [0, 1) (required)
  * @returns {Object} { yards, steps } - Yards gained and step-by-step progression
  */
-export function kickoffReturn(options = {}) {
-  const { yardsToGoal = 100 } = options
+export function kickoffReturn(options) {
+  const { yardsToGoal = 100, rangeBonus = 0, rng } = options
+  requireRng(rng)
   let yards = 0
   const steps = []
 
   // Phase 1: Gauntlet (defense range 40 down to 4)
   for (let defenseRange = 40; defenseRange >= 4; defenseRange--) {
-    const playerChoice = Math.floor(Math.random() * 4) + 1  // 1-4
-    const defenseChoice = Math.floor(Math.random() * defenseRange) + 1
+    const playerChoice = Math.floor(rng() * 4) + 1  // 1-4
+    const defenseChoice = Math.floor(rng() * adjustRange(defenseRange, rangeBonus, rng)) + 1
 
     if (playerChoice === defenseChoice) {
       return { yards, steps }  // Tackled
@@ -187,9 +271,9 @@ export function kickoffReturn(options = {}) {
   // First 6 yards: 1-4 vs 1-5, then 1-4 vs 1-7
   let runYards = 0
   while (true) {
-    const playerChoice = Math.floor(Math.random() * 4) + 1
-    const defenseRange = runYards < 6 ? 5 : 7
-    const defenseChoice = Math.floor(Math.random() * defenseRange) + 1
+    const playerChoice = Math.floor(rng() * 4) + 1
+    const defenseRange = adjustRange(runYards < 6 ? 5 : 7, rangeBonus, rng)
+    const defenseChoice = Math.floor(rng() * defenseRange) + 1
 
     if (playerChoice === defenseChoice) {
       return { yards, steps }  // Tackled
@@ -217,18 +301,23 @@ export function formatGameClock(totalSeconds) {
   return `${minutes}:${seconds.toString().padStart(2, '0')}`
 }
 
+/**
+ * Punt air distance: mean 46 yards, std dev 7, clamped to 25-65 (shanks to bombs)
+ */
+export const PUNT_DISTANCE = { mean: 46, stdDev: 7, min: 25, max: 65 }
+
 /**
  * Generate punt distance using normal distribution
- * Mean: 46 yards, StdDev: 7 yards
- * Clamped to 25-65 yards (shanks to bombs)
  *
+ * @param {Function} rng - Random source returning [0, 1) (required)
+ * @param {Object} config - { mean, stdDev, min, max } (defaults to PUNT_DISTANCE; league rules can replace it)
  * @returns {number} Punt air distance in yards
  */
-export function generatePuntDistance() {
-  const mean = 46
-  const stdDev = 7
-  const distance = randomNormal(mean, stdDev)
-  return Math.max(25, Math.min(65, Math.round(distance)))
+export function generatePuntDistance(rng, config = PUNT_DISTANCE) {
+  requireRng(rng)
+  const { mean, stdDev, min, max } = config
+  const distance = randomNormal(mean, stdDev, rng)
+  return Math.max(min, Math.min(max, Math.round(distance)))
 }
 
 /**
@@ -0,0 +1,143 @@
+/**
+ * Injuries
+ * After each play with named players (teams with rosters, see players.js)
+ * the engine rolls for an injury at the play type's rate. The injured player
+ * is one of the people in the play; the injury sets how many weeks they miss.
+ * They're out for the rest of the game (gameState.injuries, saved with the
+ * game) and the server keeps them off the roster of later scheduled games
+ * until they're back.
+ *
+ * Injured players leave the depth chart and everyone behind them moves up a
+ * slot. Their replacements are worse: each starter out costs the team rating
+ * points (STARTER_LOSSES), whether hurt in this game or already out coming
+ * into it (team.injuries). Classic rules have no injuries.
+ */
+
+import { nextRandom } from './random.js'
+
+// Chance of an injury on a play, by result type
+const INJURY_RATES = {
+  run: 0.005,
+  pass: 0.004,
+  sack: 0.008,
+  punt: 0.003,
+  fieldgoal: 0.001,
+  kickoff: 0.005,
+  squib_kick: 0.005
+}
+
+// What happened and how many weeks it costs: [injury, min weeks, max weeks, weight]
+const INJURY_TYPES = [
+  ['ankle', 1, 4, 22],
+  ['hamstring', 1, 3, 20],
+  ['knee', 2, 6, 14],
+  ['shoulder', 1, 4, 12],
+  ['concussion', 1, 2, 12],
+  ['ribs', 1, 2, 8],
+  ['foot', 2, 6, 6],
+  ['torn ACL', 17, 17, 2]  // Out for the season
+]
+
+// Starters at each position, and the rating points the team loses for each one out
+const STARTER_LOSSES = {
+  QB: { starters: 1, passOffense: 12 },
+  RB: { starters: 1, rushOffense: 5 },
+  WR: { starters: 3, passOffense: 3 },
+  TE: { starters: 1, passOffense: 2, rushOffense: 2 },
+  DL: { starters: 4, passRush: 3, runDefense: 2 },
+  LB: { starters: 3, runDefense: 3, coverage: 1 },
+  DB: { starters: 4, coverage: 3 },
+  K: { starters: 1, kicking: 15 }
+}
+
+/**
+ * Roster without the injured players, depth chart moved up to fill their slots
+ * @param {Object[]} roster - Players in depth chart order ({ id, position, depth, ... })
+ * @param {number[]} injuredIds - Players who can't play
+ * @returns {Object[]} The roster itself when nobody is out, otherwise a copy
+ */
+export function getAvailableRoster(roster, injuredIds) {
+  if (injuredIds.length === 0) return roster
+  const healthy = roster.filter(player => !injuredIds.includes(player.id))
+  return healthy.map(player => ({
+    ...player,
+    depth: healthy.filter(p => p.position === player.position && p.depth < player.depth).length + 1
+  }))
+}
+
+/**
+ * Ids of a team's players hurt in this game
+ * @param {string} side - 'home' or 'away'
+ */
+export function getInjuredIds(gameState, side) {
+  return gameState.injuries.filter(injury => injury.team === side).map(injury => injury.playerId)
+}
+
+/**
+ * Rating points a team is missing for its injured starters
+ * @param {string} side - 'home' or 'away'
+ * @param {string} key - Rating ('passOffense', 'kicking', ...)
+ */
+export function getInjuryRatingLoss(gameState, side, key) {
+  const team = side === 'home' ? gameState.homeTeam : gameState.awayTeam
+  const out = [...(team.injuries || []), ...gameState.injuries.filter(injury => injury.team === side)]
+  return out.reduce((loss, { position, depth }) => {
+    const starter = STARTER_LOSSES[position]
+    return starter && depth <= starter.starters ? loss + (starter[key] || 0) : loss
+  }, 0)
+}
+
+/**
+ * Roll for an injury to one of the players in a play
+ * Adds it to gameState.injuries and playResult.injury, and to the description
+ * Plays without named players (no rosters) don't roll
+ */
+export function rollForInjury(gameState, playResult) {
+  const rate = INJURY_RATES[playResult.type]
+  if (!rate || !playResult.players || gameState.rules.classic) return
+  if (nextRandom(gameState) >= rate) return
+
+  const ids = [...new Set(Object.values(playResult.players))]
+  const playerId = ids[Math.floor(nextRandom(gameState) * ids.length)]
+  const found = findInGame(gameState, playerId)
+  if (!found) return
+
+  const { player, side } = found
+  const [injury, minWeeks, maxWeeks] = pickInjuryType(gameState)
+  const weeks = minWeeks + Math.floor(nextRandom(gameState) * (maxWeeks - minWeeks + 1))
+  const record = {
+    playerId,
+    team: side,
+    name: player.lastName,
+    position: player.position,
+    depth: player.depth,
+    injury,
+    weeks,
+    quarter: gameState.quarter,
+    playNumber: gameState.playNumber
+  }
+  gameState.injuries.push(record)
+  playResult.injury = record
+  playResult.description += ` - ${player.lastName} injured (${injury}), out ${weeks} week${weeks === 1 ? '' : 's'}`
+}
+
+// A player on either team's depth chart as it stood for the play
+function findInGame(gameState, playerId) {
+  for (const side of ['home', 'away']) {
+    const team = side === 'home' ? gameState.homeTeam : gameState.awayTeam
+    const roster = getAvailableRoster(team.roster || [], getInjuredIds(gameState, side))
+    const player = roster.find(p => p.id === playerId)
+    if (player) return { player, side }
+  }
+  return null
+}
+
+function pickInjuryType(gameState) {
+  const total = INJURY_TYPES.reduce((sum, type) => sum + type[3], 0)
+  let roll = nextRandom(gameState) * total
+  for (const type of INJURY_TYPES) {
+    roll -= type[3]
+    if (roll < 0) return type
+  }
+  return INJURY_TYPES[INJURY_TYPES.length - 1]
+}
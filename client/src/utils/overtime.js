@@ -0,0 +1,147 @@
+/**
+ * Overtime rule sets
+ * A policy sets the length of an overtime period, whether the game can end
+ * tied, and when a lead decides it. The game keeps the policy's key in
+ * gameState.overtimePolicy (initializeGame's options.overtimePolicy, picked
+ * per game or from the league settings), so saved games restore it.
+ * gameState.playoff rules out ties under any policy: a period that ends
+ * tied is followed by another.
+ *
+ * The college policy has no clock and no kickoffs. Each period both teams
+ * get one series from the opponent's 25 (gameState.overtimeSeries), with
+ * the team that went second going first in the next period.
+ */
+
+export const DEFAULT_OVERTIME_POLICY = 'nfl_regular'
+export const DEFAULT_PLAYOFF_OVERTIME_POLICY = 'nfl_playoffs'
+
+export const OVERTIME_POLICIES = {
+  // Both teams get the ball unless the first possession ends in a defensive score
+  nfl_regular: {
+    label: 'NFL regular season',
+    periodLength: 600,
+    timeouts: 2,
+    ties: true,
+    isDecided: bothTeamsPossessed
+  },
+  nfl_playoffs: {
+    label: 'NFL playoffs',
+    periodLength: 900,
+    timeouts: 3,
+    ties: false,
+    isDecided: bothTeamsPossessed
+  },
+  // First score wins
+  sudden_death_1979: {
+    label: '1979 sudden death',
+    periodLength: 900,
+    timeouts: 2,
+    ties: true,
+    isDecided: () => true
+  },
+  college: {
+    label: 'College',
+    periodLength: null,      // Untimed
+    timeouts: 1,
+    ties: false,
+    alternating: true,
+    startYardline: 75,       // Opponent's 25
+    twoPointFromPeriod: 2,   // Tries must be two-point plays from the second period on
+    isDecided: seriesDecided
+  }
+}
+
+/**
+ * Policy the game is played under (the default for an unknown key)
+ */
+export function getOvertimePolicy(gameState) {
+  return OVERTIME_POLICIES[gameState.overtimePolicy] || OVERTIME_POLICIES[DEFAULT_OVERTIME_POLICY]
+}
+
+/**
+ * Whether a period that ends tied ends the game
+ */
+export function allowsTie(gameState) {
+  return getOvertimePolicy(gameState).ties && !gameState.playoff
+}
+
+/**
+ * Whether the game is in an overtime period with no clock
+ */
+export function isUntimedOvertime(gameState) {
+  return !!gameState.overtime && getOvertimePolicy(gameState).periodLength === null
+}
+
+/**
+ * Whether a touchdown's try has to be a two-point play
+ */
+export function mustGoForTwo(gameState) {
+  const { twoPointFromPeriod } = getOvertimePolicy(gameState)
+  return !!gameState.overtime && twoPointFromPeriod !== undefined &&
+    gameState.quarter - 4 >= twoPointFromPeriod
+}
+
+/**
+ * Start the first series of a college overtime period
+ * @param {string} first - Team with the ball first
+ */
+export function startOvertimeSeries(gameState, first) {
+  gameState.overtimeSeries = { first, ended: 0 }
+  giveOvertimeSeries(gameState, first)
+}
+
+/**
+ * After a college overtime play: once the team with the ball has scored or
+ * lost it, hand the other team its series (no kickoff), or start the next
+ * period when both have had one and the game is still tied
+ * @param {string} offense - Team that had the ball for the play
+ */
+export function advanceOvertimeSeries(gameState, offense) {
+  if (!gameState.overtime || !getOvertimePolicy(gameState).alternating) return
+  if (!gameState.awaitingKickoff && gameState.possession === offense) return
+
+  delete gameState.awaitingKickoff
+  const series = gameState.overtimeSeries
+  series.ended++
+  if (series.ended < 2) {
+    giveOvertimeSeries(gameState, offense === 'home' ? 'away' : 'home')
+    return
+  }
+  if (gameState.score.home !== gameState.score.away) return
+
+  // Still tied - next period, the other team goes first
+  const first = series.first === 'home' ? 'away' : 'home'
+  gameState.quarter++
+  gameState.clockStop = 'quarter_end'
+  const { timeouts } = getOvertimePolicy(gameState)
+  gameState.timeouts = { home: timeouts, away: timeouts }
+  startOvertimeSeries(gameState, first)
+}
+
+function giveOvertimeSeries(gameState, team) {
+  gameState.possession = team
+  gameState.yardline = getOvertimePolicy(gameState).startYardline
+  gameState.down = 1
+  gameState.distance = 10
+  gameState.overtimePossessions[team] = true
+}
+
+// Any lead once both teams have snapped the ball, or the team going second
+// getting ahead once the first possession is over (before its own first snap
+// only a defensive score - pick-six, fumble return, safety - or a return
+// touchdown once it has the ball can do that)
+function bothTeamsPossessed(gameState) {
+  const { overtimePossessions, overtimeFirstTeam } = gameState
+  if (overtimePossessions.home && overtimePossessions.away) return true
+  if (gameState.overtimeFirstPossession || !overtimeFirstTeam) return false
+  const second = overtimeFirstTeam === 'home' ? 'away' : 'home'
+  return gameState.score[second] > gameState.score[overtimeFirstTeam]
+}
+
+// A lead after both series, or the team going second getting ahead (it can
+// only do that by scoring, or by the defense scoring on the first series)
+function seriesDecided(gameState) {
+  const { first, ended } = gameState.overtimeSeries
+  const second = first === 'home' ? 'away' : 'home'
+  return ended === 2 || (ended === 1 && gameState.score[second] > gameState.score[first])
+}
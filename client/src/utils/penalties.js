@@ -0,0 +1,126 @@
+/**
+ * Penalty definitions and rolls
+ * See game-design-decisions.md "Penalties" for rates and enforcement rules.
+ * Enforcement (field position, downs, accept/decline) lives in gameEngine.js.
+ *
+ * Pre-snap fouls are dead-ball: no play is run.
+ * Live-ball fouls are rolled before the snap, the play is run, and the
+ * non-offending coach then accepts the penalty or takes the play result.
+ */
+
+import { requireRng } from './random.js'
+
+/**
+ * Penalty definitions
+ * - side: team that commits the foul ('offense' or 'defense')
+ * - yards: yardage from the line of scrimmage (spot fouls use the foul spot instead)
+ * - preSnap: dead-ball foul, no play
+ * - plays: play results the live-ball foul can occur on ('run', 'pass', and 'sack' for
+ *   a pass play that ends in a sack)
+ * - rate: chance per play
+ */
+export const PENALTIES = {
+  false_start: {
+    name: 'False start',
+    side: 'offense',
+    yards: 5,
+    preSnap: true,
+    rate: 0.015
+  },
+  offside: {
+    name: 'Offside',
+    side: 'defense',
+    yards: 5,
+    preSnap: true,
+    rate: 0.010
+  },
+  holding: {
+    name: 'Holding',
+    side: 'offense',
+    yards: 10,
+    plays: ['run', 'pass', 'sack'],
+    rate: 0.025
+  },
+  pass_interference: {
+    name: 'Pass interference',
+    side: 'defense',
+    spotFoul: true,
+    automaticFirstDown: true,
+    plays: ['pass'],
+    rate: 0.012
+  },
+  roughing_the_passer: {
+    name: 'Roughing the passer',
+    side: 'defense',
+    yards: 15,
+    automaticFirstDown: true,
+    plays: ['pass'],
+    rate: 0.004
+  }
+}
+
+/**
+ * Pick one penalty from a list of candidates with a single roll
+ * @param {string[]} keys - Candidate penalty keys
+ * @param {Function} rng - Random source returning [0, 1)
+ * @returns {string|null} Penalty key, or null for a clean play
+ */
+function rollFrom(keys, rng) {
+  const roll = rng()
+  let cumulative = 0
+  for (const key of keys) {
+    cumulative += PENALTIES[key].rate
+    if (roll < cumulative) return key
+  }
+  return null
+}
+
+/**
+ * Roll for a dead-ball foul before the snap
+ * @param {Function} rng - Random source returning [0, 1) (required)
+ * @returns {string|null} Penalty key, or null
+ */
+export function rollPreSnapPenalty(rng) {
+  requireRng(rng)
+  const keys = Object.keys(PENALTIES).filter(key => PENALTIES[key].preSnap)
+  return rollFrom(keys, rng)
+}
+
+/**
+ * Roll for a live-ball foul on a run or pass play
+ * @param {string} playCategory - 'run' or 'pass'
+ * @param {Function} rng - Random source returning [0, 1) (required)
+ * @returns {string|null} Penalty key, or null
+ */
+export function rollLiveBallPenalty(playCategory, rng) {
+  requireRng(rng)
+  const keys = Object.keys(PENALTIES).filter(key => {
+    const penalty = PENALTIES[key]
+    return !penalty.preSnap && penalty.plays.includes(playCategory)
+  })
+  return rollFrom(keys, rng)
+}
+
+/**
+ * Yards to enforce, applying half-the-distance to the goal
+ * - Offensive fouls: at most half the distance to the offense's own goal line
+ * - Defensive fouls: at most half the distance to the goal line
+ * - Spot fouls: yards to the foul spot; a foul in the end zone puts the ball at the 1
+ *
+ * @param {string} key - Penalty key
+ * @param {number} yardline - Line of scrimmage (0-100, offense's perspective)
+ * @param {number} spotYards - Yards from the line of scrimmage to the foul (spot fouls)
+ * @returns {number} Yards enforced (always >= 0)
+ */
+export function getEnforcedYards(key, yardline, spotYards = 0) {
+  const penalty = PENALTIES[key]
+  if (penalty.side === 'offense') {
+    return Math.min(penalty.yards, Math.floor(yardline / 2))
+  }
+
+  const yardsToGoal = 100 - yardline
+  if (penalty.spotFoul) {
+    return Math.max(0, Math.min(spotYards, yardsToGoal - 1))
+  }
+  return Math.min(penalty.yards, Math.floor(yardsToGoal / 2))
+}
@@ -0,0 +1,483 @@
+/**
+ * Rosters and individual stat lines
+ * Rosters come from the players table (seed.js); a team without one plays
+ * anonymously (no names, no stat lines, no extra random draws).
+ *
+ * After each play the engine calls creditPlayers() with the final result. It picks
+ * the players involved from the depth chart, adds their stat lines to
+ * gameState.playerStats, and rewrites the play description with their names.
+ * Players hurt during the game come off the depth chart (see injuries.js).
+ */
+
+import { nextRandom } from './random.js'
+import { getAvailableRoster, getInjuredIds } from './injuries.js'
+
+/**
+ * Depth chart weights for picking who made the play
+ * Each entry is [position, depth, weight]; depth 1 is the starter.
+ */
+const BALL_CARRIERS = [['RB', 1, 62], ['RB', 2, 24], ['RB', 3, 4], ['QB', 1, 6], ['WR', 1, 4]]
+const TARGETS = [
+  ['WR', 1, 24], ['WR', 2, 19], ['WR', 3, 11], ['WR', 4, 3],
+  ['TE', 1, 16], ['TE', 2, 4], ['RB', 1, 14], ['RB', 2, 6]
+]
+const RUN_TACKLERS = [
+  ['LB', 1, 20], ['LB', 2, 17], ['LB', 3, 12],
+  ['DL', 1, 8], ['DL', 2, 8], ['DL', 3, 6], ['DL', 4, 6],
+  ['DB', 1, 5], ['DB', 2, 5], ['DB', 3, 7], ['DB', 4, 6]
+]
+const PASS_TACKLERS = [
+  ['DB', 1, 17], ['DB', 2, 17], ['DB', 3, 14], ['DB', 4, 14],
+  ['LB', 1, 12], ['LB', 2, 10], ['LB', 3, 8], ['DL', 1, 4], ['DL', 2, 4]
+]
+const PASS_RUSHERS = [
+  ['DL', 1, 22], ['DL', 2, 20], ['DL', 3, 14], ['DL', 4, 14],
+  ['LB', 1, 12], ['LB', 2, 10], ['LB', 3, 5], ['DB', 3, 3]
+]
+const BALL_HAWKS = [
+  ['DB', 1, 22], ['DB', 2, 22], ['DB', 3, 20], ['DB', 4, 18],
+  ['LB', 1, 8], ['LB', 2, 6], ['LB', 3, 4]
+]
+
+/**
+ * Empty stat line for one player in one game
+ */
+function createStatLine(player, team) {
+  return {
+    playerId: player.id,
+    team,
+    name: formatPlayerName(player),
+    position: player.position,
+    passAttempts: 0,
+    passCompletions: 0,
+    passYards: 0,
+    passTouchdowns: 0,
+    interceptionsThrown: 0,
+    sacksTaken: 0,
+    rushAttempts: 0,
+    rushYards: 0,
+    rushTouchdowns: 0,
+    targets: 0,
+    receptions: 0,
+    recYards: 0,
+    recTouchdowns: 0,
+    fumblesLost: 0,
+    tackles: 0,
+    sacks: 0,
+    interceptions: 0,
+    defTouchdowns: 0,
+    fgAttempted: 0,
+    fgMade: 0,
+    xpAttempted: 0,
+    xpMade: 0,
+    punts: 0,
+    puntYards: 0,
+    kickReturns: 0,
+    kickReturnYards: 0,
+    puntReturns: 0,
+    puntReturnYards: 0,
+    returnTouchdowns: 0
+  }
+}
+
+/**
+ * Name used in the play-by-play ("Smith")
+ */
+export function formatPlayerName(player) {
+  return player.lastName
+}
+
+// Who kicks or punts when the only kicker or punter is hurt
+const EMERGENCY_FILL = { K: 'P', P: 'K' }
+
+/**
+ * Find a player by position and depth chart slot
+ * Falls back to the starter at the position when the slot is empty, then
+ * to the emergency kicker or punter
+ */
+function findPlayer(roster, position, depth = 1) {
+  return roster.find(p => p.position === position && p.depth === depth) ||
+    roster.find(p => p.position === position) ||
+    roster.find(p => p.position === EMERGENCY_FILL[position]) ||
+    null
+}
+
+/**
+ * Find the player with a special teams role ('KR' or 'PR')
+ * Falls back to the third running back, then the fourth receiver
+ */
+function findReturner(roster, role) {
+  return roster.find(p => p.role === role) ||
+    findPlayer(roster, 'RB', 3) ||
+    findPlayer(roster, 'WR', 4)
+}
+
+/**
+ * Pick a player from depth chart weights with one random draw
+ * @param {Object} gameState - Game state (random source)
+ * @param {Object[]} roster - Team roster
+ * @param {Array[]} weights - [position, depth, weight] entries
+ * @returns {Object|null} Player, or null if no listed slot is filled
+ */
+function pickWeighted(gameState, roster, weights) {
+  const candidates = weights
+    .map(([position, depth, weight]) => ({
+      player: roster.find(p => p.position === position && p.depth === depth),
+      weight
+    }))
+    .filter(c => c.player)
+  if (candidates.length === 0) return null
+
+  const total = candidates.reduce((sum, c) => sum + c.weight, 0)
+  let roll = nextRandom(gameState) * total
+  for (const c of candidates) {
+    roll -= c.weight
+    if (roll < 0) return c.player
+  }
+  return candidates[candidates.length - 1].player
+}
+
+/**
+ * Get (or start) a player's stat line for this game
+ */
+function statLine(gameState, player, team) {
+  if (!gameState.playerStats) gameState.playerStats = {}
+  if (!gameState.playerStats[player.id]) {
+    gameState.playerStats[player.id] = createStatLine(player, team)
+  }
+  return gameState.playerStats[player.id]
+}
+
+function getRoster(gameState, side) {
+  const team = side === 'home' ? gameState.homeTeam : gameState.awayTeam
+  return team.roster && team.roster.length > 0 ? getAvailableRoster(team.roster, getInjuredIds(gameState, side)) : null
+}
+
+function runText(name, yards) {
+  if (yards > 0) return `${name} ${yards}-yard run`
+  if (yards === 0) return `${name} run for no gain`
+  return `${name} run for a ${Math.abs(yards)}-yard loss`
+}
+
+/**
+ * Credit a run, pass, sack, punt, or field goal to the players involved
+ * Call after the play has been resolved (touchdowns, turnovers, and conversions are on the result).
+ * @param {Object} gameState - Game state (possession may have changed during the play)
+ * @param {Object} playResult - Result from the engine; description and players are updated in place
+ * @param {string} offense - Team that snapped the ball ('home' or 'away')
+ */
+export function creditPlayers(gameState, playResult, offense) {
+  const defense = offense === 'home' ? 'away' : 'home'
+  const offenseRoster = getRoster(gameState, offense)
+  const defenseRoster = getRoster(gameState, defense)
+  if (!offenseRoster || !defenseRoster) return
+
+  switch (playResult.type) {
+    case 'run':
+      creditRun(gameState, playResult, offense, defense, offenseRoster, defenseRoster)
+      break
+    case 'sack':
+      creditSack(gameState, playResult, offense, defense, offenseRoster, defenseRoster)
+      break
+    case 'pass':
+      creditPass(gameState, playResult, offense, defense, offenseRoster, defenseRoster)
+      break
+    case 'punt':
+      creditPunt(gameState, playResult, offense, defense, offenseRoster, defenseRoster)
+      break
+    case 'fieldgoal':
+      creditFieldGoal(gameState, playResult, offense, defense, offenseRoster, defenseRoster)
+      break
+    default:
+      break
+  }
+
+  if (playResult.safetyKick) {
+    creditSafetyKick(gameState, playResult.safetyKick, offense, defense, offenseRoster, defenseRoster)
+  }
+
+  // Turnover, punt return, and blocked kick touchdowns are scored by the defense
+  const scorer = playResult.turnover || playResult.type === 'punt' ? defense : offense
+  creditConversion(gameState, playResult, scorer)
+}
+
+/**
+ * Credit a kickoff return to the returner
+ * @param {string} receiver - Receiving team ('home' or 'away')
+ */
+export function creditKickoff(gameState, playResult, receiver) {
+  const roster = getRoster(gameState, receiver)
+  if (!roster) return
+
+  if (playResult.type === 'kickoff' || playResult.type === 'squib_kick') {
+    if (playResult.touchback) return
+    const returner = findReturner(roster, 'KR')
+    if (!returner) return
+
+    const line = statLine(gameState, returner, receiver)
+    line.kickReturns++
+    line.kickReturnYards += playResult.returnYards || 0
+    if (playResult.touchdown) line.returnTouchdowns++
+
+    playResult.players = { returner: returner.id }
+    playResult.description = playResult.description.replace('Returned', `${formatPlayerName(returner)} returned`)
+  }
+
+  creditConversion(gameState, playResult, receiver)
+}
+
+function creditRun(gameState, playResult, offense, defense, offenseRoster, defenseRoster) {
+  const carrier = pickWeighted(gameState, offenseRoster, BALL_CARRIERS)
+  if (!carrier) return
+  const name = formatPlayerName(carrier)
+  const yards = playResult.yards
+
+  // A touchdown on a lost fumble belongs to the defense
+  const scored = playResult.touchdown && !playResult.turnover
+  const line = statLine(gameState, carrier, offense)
+  line.rushAttempts++
+  line.rushYards += yards
+  if (scored) line.rushTouchdowns++
+  if (playResult.turnover) line.fumblesLost++
+
+  playResult.players = { carrier: carrier.id }
+
+  if (scored) {
+    playResult.description = `${name} ${yards}-yard TOUCHDOWN run`
+    return
+  }
+
+  const tackler = pickWeighted(gameState, defenseRoster, RUN_TACKLERS)
+  if (tackler) {
+    statLine(gameState, tackler, defense).tackles++
+    playResult.players.tackler = tackler.id
+  }
+  const tackledBy = tackler ? ` (${formatPlayerName(tackler)})` : ''
+
+  if (playResult.safety) {
+    playResult.description = `${name} tackled in the end zone${tackledBy} - SAFETY!`
+  } else if (playResult.fumble) {
+    playResult.description = `${runText(name, yards)}, FUMBLE, ${describeRecovery(gameState, playResult, tackler, defense)}`
+  } else {
+    playResult.description = `${runText(name, yards)}${tackledBy}`
+  }
+}
+
+/**
+ * Who came up with a fumble, and what they did with it
+ * The tackler (or strip-sacker) recovers when the defense gets the ball back,
+ * and gets the touchdown on a scoop-and-score
+ */
+function describeRecovery(gameState, playResult, defender, defense) {
+  const by = defender ? ` (${formatPlayerName(defender)})` : ''
+  if (!playResult.turnover) return `recovered by offense${by}`
+  if (!defender) return `recovered by defense${returnText(playResult)}`
+
+  if (playResult.touchdown) statLine(gameState, defender, defense).defTouchdowns++
+  playResult.players.recoveredBy = defender.id
+  return `recovered by ${formatPlayerName(defender)}${returnText(playResult)}`
+}
+
+// Return yards (and touchdown) after an interception or fumble recovery
+function returnText(playResult) {
+  const yards = playResult.returnYards || 0
+  if (playResult.touchdown) {
+    return yards > 0 ? `, returned ${yards} yards for a TOUCHDOWN!` : ' in the end zone for a TOUCHDOWN!'
+  }
+  return yards > 0 ? `, returned ${yards} yards` : ''
+}
+
+function creditSack(gameState, playResult, offense, defense, offenseRoster, defenseRoster) {
+  const passer = findPlayer(offenseRoster, 'QB')
+  const rusher = pickWeighted(gameState, defenseRoster, PASS_RUSHERS)
+  if (!passer || !rusher) return
+
+  const passerLine = statLine(gameState, passer, offense)
+  passerLine.sacksTaken++
+  if (playResult.turnover) passerLine.fumblesLost++
+
+  const rusherLine = statLine(gameState, rusher, defense)
+  rusherLine.sacks++
+  rusherLine.tackles++
+
+  playResult.players = { passer: passer.id, rusher: rusher.id }
+  const lost = Math.abs(playResult.yards)
+  let text = `${formatPlayerName(passer)} sacked by ${formatPlayerName(rusher)} for a ${lost}-yard loss`
+  if (playResult.safety) {
+    text += ' in the end zone - SAFETY!'
+  } else if (playResult.fumble && playResult.turnover) {
+    text += `, FUMBLE! ${describeRecovery(gameState, playResult, rusher, defense)}`
+  } else if (playResult.fumble) {
+    text += ', fumble recovered by offense'
+  }
+  playResult.description = text
+}
+
+function creditPass(gameState, playResult, offense, defense, offenseRoster, defenseRoster) {
+  const passer = findPlayer(offenseRoster, 'QB')
+  const target = pickWeighted(gameState, offenseRoster, TARGETS)
+  if (!passer || !target) return
+
+  const passerName = formatPlayerName(passer)
+  const targetName = formatPlayerName(target)
+  const passType = playResult.passType || 'short'
+
+  const passerLine = statLine(gameState, passer, offense)
+  const targetLine = statLine(gameState, target, offense)
+  passerLine.passAttempts++
+  targetLine.targets++
+  playResult.players = { passer: passer.id, target: target.id }
+
+  if (playResult.interception) {
+    passerLine.interceptionsThrown++
+    const defender = pickWeighted(gameState, defenseRoster, BALL_HAWKS)
+    if (!defender) return
+    const defenderLine = statLine(gameState, defender, defense)
+    defenderLine.interceptions++
+    if (playResult.touchdown) defenderLine.defTouchdowns++
+    playResult.players.interceptedBy = defender.id
+
+    const intercepted = `${passerName} ${passType} pass intercepted by ${formatPlayerName(defender)}`
+    playResult.description = playResult.touchback
+      ? `${intercepted} in the end zone, touchback`
+      : `${intercepted}${returnText(playResult)}`
+    return
+  }
+
+  if (!playResult.complete) {
+    playResult.description = playResult.outOfBounds
+      ? `${passerName} ${passType} pass to ${targetName} out of bounds in end zone`
+      : `${passerName} ${passType} pass incomplete, intended for ${targetName}`
+    return
+  }
+
+  const yards = playResult.yards
+  const scored = playResult.touchdown && !playResult.turnover
+  passerLine.passCompletions++
+  passerLine.passYards += yards
+  targetLine.receptions++
+  targetLine.recYards += yards
+  if (scored) {
+    passerLine.passTouchdowns++
+    targetLine.recTouchdowns++
+  }
+  if (playResult.turnover) targetLine.fumblesLost++
+
+  const caught = `${passerName} pass to ${targetName} for ${yards} yards`
+  if (scored) {
+    playResult.description = playResult.racYards
+      ? `${caught}, TOUCHDOWN (${playResult.airYards} air, ${playResult.racYards} RAC)`
+      : `${caught}, TOUCHDOWN in the end zone`
+    return
+  }
+
+  const tackler = pickWeighted(gameState, defenseRoster, PASS_TACKLERS)
+  if (tackler) {
+    statLine(gameState, tackler, defense).tackles++
+    playResult.players.tackler = tackler.id
+  }
+  const tackledBy = tackler ? ` (${formatPlayerName(tackler)})` : ''
+
+  if (playResult.fumble) {
+    playResult.description = `${caught}, FUMBLE, ${describeRecovery(gameState, playResult, tackler, defense)}`
+  } else {
+    playResult.description = `${caught}${tackledBy}`
+  }
+}
+
+function creditPunt(gameState, playResult, offense, defense, offenseRoster, defenseRoster) {
+  const punter = findPlayer(offenseRoster, 'P')
+  if (!punter) return
+
+  const punterLine = statLine(gameState, punter, offense)
+  punterLine.punts++
+  punterLine.puntYards += playResult.yards
+  playResult.players = { punter: punter.id }
+  playResult.description = playResult.description.replace(/^Punt/, `${formatPlayerName(punter)} punt`)
+
+  if (playResult.blocked) {
+    creditBlock(gameState, playResult, defense, defenseRoster)
+    return
+  }
+  if (playResult.touchback || playResult.fairCatch) return
+  const returner = findReturner(defenseRoster, 'PR')
+  if (!returner) return
+
+  const returnerLine = statLine(gameState, returner, defense)
+  if (playResult.muffed) {
+    if (playResult.muffLost) returnerLine.fumblesLost++
+    playResult.players.returner = returner.id
+    playResult.description = playResult.description.replace('MUFFED', `MUFFED by ${formatPlayerName(returner)}`)
+    return
+  }
+  returnerLine.puntReturns++
+  returnerLine.puntReturnYards += playResult.returnYards || 0
+  if (playResult.touchdown) returnerLine.returnTouchdowns++
+  playResult.players.returner = returner.id
+  playResult.description = playResult.description.replace('Returned', `${formatPlayerName(returner)} returned`)
+}
+
+/**
+ * Credit the free kick after a safety (punted by the team that gave up the safety)
+ */
+function creditSafetyKick(gameState, safetyKick, offense, defense, offenseRoster, defenseRoster) {
+  const punter = findPlayer(offenseRoster, 'P')
+  if (punter) {
+    const punterLine = statLine(gameState, punter, offense)
+    punterLine.punts++
+    punterLine.puntYards += safetyKick.puntYards || 0
+  }
+
+  if (safetyKick.returnYards === undefined) return
+  const returner = findReturner(defenseRoster, 'PR')
+  if (returner) {
+    const returnerLine = statLine(gameState, returner, defense)
+    returnerLine.puntReturns++
+    returnerLine.puntReturnYards += safetyKick.returnYards
+  }
+}
+
+function creditFieldGoal(gameState, playResult, offense, defense, offenseRoster, defenseRoster) {
+  const kicker = findPlayer(offenseRoster, 'K')
+  if (!kicker) return
+
+  const line = statLine(gameState, kicker, offense)
+  line.fgAttempted++
+  if (playResult.made) line.fgMade++
+  playResult.players = { kicker: kicker.id }
+  playResult.description = `${formatPlayerName(kicker)} ${playResult.description}`
+  if (playResult.blocked) creditBlock(gameState, playResult, defense, defenseRoster)
+}
+
+/**
+ * Credit the rusher who got a hand on a punt or field goal
+ * The blocker comes up with the ball when the defense recovers, and gets
+ * the touchdown when it's returned for a score
+ */
+function creditBlock(gameState, playResult, defense, defenseRoster) {
+  const blocker = pickWeighted(gameState, defenseRoster, PASS_RUSHERS)
+  if (!blocker) return
+
+  if (playResult.turnover && playResult.touchdown) statLine(gameState, blocker, defense).defTouchdowns++
+  playResult.players.blockedBy = blocker.id
+  const name = formatPlayerName(blocker)
+  playResult.description = playResult.description
+    .replace('BLOCKED', `BLOCKED by ${name}`)
+    .replace('recovered by defense', `recovered by ${name}`)
+}
+
+/**
+ * Credit the extra point after a touchdown to the scoring team's kicker
+ * @param {string} scorer - Team that scored the touchdown
+ */
+function creditConversion(gameState, playResult, scorer) {
+  if (!playResult.touchdown || playResult.conversionType !== 'xp') return
+
+  const roster = getRoster(gameState, scorer)
+  const kicker = roster && findPlayer(roster, 'K')
+  if (!kicker) return
+
+  const line = statLine(gameState, kicker, scorer)
+  line.xpAttempted++
+  if (playResult.xpGood) line.xpMade++
+}
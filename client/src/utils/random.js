@@ -0,0 +1,91 @@
+/**
+ * Seedable random number generation for the game engine
+ *
+ * Uses the mulberry32 PRNG: a single 32-bit integer of state, fast, and
+ * good enough for dice rolls. Because the state is a plain number it can be
+ * stored in gameState and survives JSON round-trips (localStorage saves,
+ * React deep copies), so a game re-simulated from the same seed and inputs
+ * reproduces every roll bit-for-bit.
+ *
+ * Usage:
+ *   const seed = createSeed()
+ *   gameState.rngState = seed
+ *   const roll = nextRandom(gameState)   // 0 <= roll < 1, advances rngState
+ *
+ *   const rng = createRng(1234)          // standalone generator for scripts
+ *   rng()                                 // 0 <= value < 1
+ */
+
+/**
+ * Advance a mulberry32 state by one step
+ * @param {number} state - Current 32-bit state
+ * @returns {Object} { state, value } - Next state and a float in [0, 1)
+ */
+function mulberry32(state) {
+  const next = (state + 0x6D2B79F5) | 0
+  let t = next
+  t = Math.imul(t ^ (t >>> 15), t | 1)
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+  const value = ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  return { state: next, value }
+}
+
+/**
+ * Generate a fresh random seed (unsigned 32-bit integer)
+ * This is the only place that draws from Math.random()
+ * @returns {number} Seed value
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 4294967296)
+}
+
+/**
+ * Normalize any numeric seed to a 32-bit integer state
+ * @param {number} seed
+ * @returns {number}
+ */
+export function seedToState(seed) {
+  return Number(seed) | 0
+}
+
+/**
+ * Draw the next random value from the generator carried in gameState
+ * Mutates gameState.rngState
+ * @param {Object} gameState - Game state holding rngState
+ * @returns {number} Float in [0, 1)
+ */
+export function nextRandom(gameState) {
+  const { state, value } = mulberry32(gameState.rngState)
+  gameState.rngState = state
+  return value
+}
+
+/**
+ * Check that a roll was handed a random source
+ * The rolling helpers (gameSimulation.js, penalties.js) have no Math.random
+ * fallback: a caller that forgets the game's generator would make a seeded
+ * game unrepeatable without any sign of it
+ * @param {Function} rng - Random source returning [0, 1)
+ * @returns {Function} rng
+ */
+export function requireRng(rng) {
+  if (typeof rng !== 'function') {
+    throw new TypeError('rng is required: pass a random source returning [0, 1)')
+  }
+  return rng
+}
+
+/**
+ * Create a standalone seeded generator function
+ * Drop-in replacement for Math.random in scripts (matchup picking, etc.)
+ * @param {number} seed
+ * @returns {Function} () => float in [0, 1)
+ */
+export function createRng(seed) {
+  let state = seedToState(seed)
+  return () => {
+    const result = mulberry32(state)
+    state = result.state
+    return result.value
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Replaying a finished game from its saved play log
+ * Each play log entry carries the play result plus the scoreboard after the
+ * play (see logPlay in gameEngine.js), so a replay steps through the entries
+ * without running the engine again. Old games replay exactly as they were
+ * played, whatever has changed in the engine since.
+ */
+
+import { formatGameClock } from './gameSimulation.js'
+
+/**
+ * Scoreboard before the first play (the opening kickoff)
+ * @param {Array} plays - Saved play log entries, in order
+ * @param {Object|null} rules - The rules the game was played under, as saved with it (classic games keep their look)
+ */
+export function createReplayState(homeTeam, awayTeam, plays, rules = null) {
+  const opening = plays[0]?.snap
+  return {
+    homeTeam,
+    awayTeam,
+    rules,
+    quarter: 1,
+    clock: opening?.clock ?? 900,
+    score: { home: 0, away: 0 },
+    timeouts: plays[0]?.timeouts ?? { home: 3, away: 3 },
+    possession: opening?.possession ?? 'home',
+    awaitingKickoff: true,
+    down: 1,
+    distance: 10,
+    yardline: opening?.yardline ?? 35,
+    playNumber: 0
+  }
+}
+
+/**
+ * Scoreboard after a play
+ */
+export function applyReplayPlay(replayState, play) {
+  return {
+    ...replayState,
+    quarter: play.quarter,
+    clock: play.clock,
+    score: { ...play.score },
+    timeouts: { ...play.timeouts },
+    possession: play.possession,
+    awaitingKickoff: play.awaitingKickoff,
+    down: play.down,
+    distance: play.distance,
+    yardline: play.yardline,
+    playNumber: play.playNumber ?? replayState.playNumber
+  }
+}
+
+/**
+ * Scoreboard just before plays[index] (used to jump around the replay)
+ */
+export function getReplayStateAt(homeTeam, awayTeam, plays, index, rules = null) {
+  const initial = createReplayState(homeTeam, awayTeam, plays, rules)
+  if (index <= 0) return initial
+
+  // Kickoffs have no play number, so carry the last one forward
+  const previous = plays.slice(0, index).reverse()
+  const numbered = previous.find(play => play.playNumber !== null && play.playNumber !== undefined)
+  return applyReplayPlay({ ...initial, playNumber: numbered ? numbered.playNumber : 0 }, plays[index - 1])
+}
+
+/**
+ * Places a replay can jump to: the start of each quarter and each scoring play
+ * @returns {Array<{index: number, label: string}>} index is the play to start from
+ */
+export function getReplayMarkers(plays, homeTeam, awayTeam) {
+  const markers = []
+  let quarter = 0
+  let score = { home: 0, away: 0 }
+
+  plays.forEach((play, index) => {
+    if (play.snap.quarter !== quarter) {
+      quarter = play.snap.quarter
+      markers.push({ index, label: `Start of ${formatQuarter(quarter)}` })
+    }
+
+    const homeScored = play.score.home > score.home
+    const awayScored = play.score.away > score.away
+    if (homeScored || awayScored) {
+      const team = homeScored ? homeTeam : awayTeam
+      markers.push({
+        index,
+        label: `${formatQuarter(play.snap.quarter)} ${formatGameClock(play.snap.clock)} - ${team.abbreviation || team.name} scores (${play.score.away}-${play.score.home})`
+      })
+    }
+    score = play.score
+  })
+
+  return markers
+}
+
+/**
+ * Period label for the scoreboard and scoring summary (Q1-Q4, OT, OT2, ...)
+ */
+export function formatQuarter(quarter) {
+  if (quarter <= 4) return `Q${quarter}`
+  return quarter === 5 ? 'OT' : `OT${quarter - 4}`
+}
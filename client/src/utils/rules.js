@@ -0,0 +1,205 @@
+/**
+ * League rules
+ * The numbers a league plays by: quarter length, touchback spots, conversion
+ * rates, the pass tables, punt distance and field goal brackets. A rules spec
+ * is a preset name or { preset, ...overrides } (nested tables can be partly
+ * overridden, e.g. { passCompletion: { long: 0.5 } }). initializeGame resolves
+ * options.rules and keeps the full set in gameState.rules, so saved games
+ * restore them; leagues keep their spec in the league settings.
+ *
+ * Everything else the engine tunes (play calling, clock management, ratings)
+ * stays in GAME_CONSTANTS.
+ *
+ * Classic rules (rules.classic) play the original TI-99/4A game: runs on the
+ * guess ranges untouched by team ratings or defensive calls (passes and sacks
+ * still roll against the pass tables), and none of the penalties, blocked or
+ * muffed kicks, fakes, or onside, squib and out-of-bounds kickoffs added since. The engine checks the flag where those
+ * happen; GameDisplay switches to its TI-99/4A skin.
+ */
+
+import { AIR_YARDS, PUNT_DISTANCE, QUARTER_LENGTH } from './gameSimulation.js'
+import { OVERTIME_POLICIES } from './overtime.js'
+
+export const DEFAULT_RULES = 'standard'
+
+const PASS_TYPES = ['short', 'medium', 'long']
+const TWO_POINT_PLAYS = ['run', 'short', 'medium']
+
+// The engine's own rules; presets and overrides replace parts of them
+const STANDARD_RULES = {
+  classic: false,                     // The original TI-99/4A game (see above)
+  overtimePolicy: null,               // Key of OVERTIME_POLICIES to force; null leaves it to the game and league
+  quarterLength: QUARTER_LENGTH,
+  kickoffTouchbackPct: 0.60,
+  kickoffTouchbackYardline: 30,
+  touchbackYardline: 20,              // Punts, safety kicks, end zone interceptions
+
+  // Tries
+  xpSuccess: 0.95,
+  twoPointConversion: true,           // false: every try is a kick (overtime rules that require two still win)
+  twoPointSuccess: { run: 0.50, short: 0.52, medium: 0.42 },
+
+  // Passing (by air yards: short 0-9, medium 10-19, long 20+)
+  // Sacks are checked first, then interceptions, then completions
+  sackRate: { short: 0.05, medium: 0.08, long: 0.11 },
+  passInterception: { short: 0.02, medium: 0.03, long: 0.06 },  // Long: +2% per 10 air yards past 29
+  passCompletion: { short: 0.73, medium: 0.63, long: 0.44 },
+  airYards: AIR_YARDS,
+
+  puntDistance: PUNT_DISTANCE,
+
+  // Field goals: distance = yards to goal + 7 (snap and hold) + goalpostDepth
+  goalpostDepth: 0,                   // Goalposts on the goal line (10 puts them on the end line)
+  maxFieldGoalDistance: 62,           // From own 45 with goalposts on the goal line
+  fieldGoalBrackets: [                // Success rate up to each distance
+    { maxDistance: 26, success: 0.98 },
+    { maxDistance: 36, success: 0.93 },
+    { maxDistance: 46, success: 0.85 },
+    { maxDistance: 52, success: 0.72 },
+    { maxDistance: 57, success: 0.55 },
+    { maxDistance: 62, success: 0.35 }
+  ]
+}
+
+export const RULE_PRESETS = {
+  standard: {
+    label: 'Standard',
+    rules: {}
+  },
+  // The original TI-99/4A game, played by 1979 NFL rules: kickoffs from the
+  // 35 with touchbacks to the 20, goalposts on the goal line, no two-point
+  // try, sudden death overtime. Passing is the 1979 league's (fewer
+  // completions, more interceptions); kicks follow the project's first tables
+  classic_1979: {
+    label: '1979 classic (TI-99/4A)',
+    rules: {
+      classic: true,
+      overtimePolicy: 'sudden_death_1979',
+      kickoffTouchbackPct: 0.15,
+      kickoffTouchbackYardline: 20,
+      xpSuccess: 0.93,
+      twoPointConversion: false,
+      sackRate: { short: 0.06, medium: 0.09, long: 0.12 },
+      passInterception: { short: 0.03, medium: 0.05, long: 0.08 },
+      passCompletion: { short: 0.65, medium: 0.52, long: 0.36 },
+      puntDistance: { mean: 45, stdDev: 7, min: 25, max: 65 },
+      maxFieldGoalDistance: 62,       // From the own 45
+      fieldGoalBrackets: [
+        { maxDistance: 29, success: 0.95 },
+        { maxDistance: 39, success: 0.85 },
+        { maxDistance: 49, success: 0.70 },
+        { maxDistance: 62, success: 0.50 }
+      ]
+    }
+  }
+}
+
+/**
+ * Full rules for a spec
+ * @param {string|Object} spec - Preset name, or { preset, ...overrides } (preset defaults to standard)
+ * @returns {Object} { preset, ...every rule }
+ * @throws {Error} Unknown preset, unknown rule, or a value out of range
+ */
+export function resolveRules(spec = DEFAULT_RULES) {
+  if (typeof spec !== 'string' && !isTable(spec)) {
+    throw new Error('Rules must be a preset name or an object')
+  }
+  const { preset = DEFAULT_RULES, ...overrides } = typeof spec === 'string' ? { preset: spec } : spec
+  if (!RULE_PRESETS[preset]) {
+    throw new Error(`Unknown rules preset: ${preset}`)
+  }
+
+  const rules = mergeRules(mergeRules(STANDARD_RULES, RULE_PRESETS[preset].rules), overrides)
+  const errors = validateRules(rules)
+  if (errors.length > 0) {
+    throw new Error(`Invalid rules: ${errors.join('; ')}`)
+  }
+  return JSON.parse(JSON.stringify({ preset, ...rules }))
+}
+
+/**
+ * Field goal distance from the current line of scrimmage
+ */
+export function getFieldGoalDistance(gameState) {
+  return (100 - gameState.yardline) + 7 + gameState.rules.goalpostDepth
+}
+
+/**
+ * Base success rate for a field goal distance (before the kicker's rating)
+ */
+export function getFieldGoalSuccess(rules, distance) {
+  const bracket = rules.fieldGoalBrackets.find(({ maxDistance }) => distance <= maxDistance)
+  return (bracket || rules.fieldGoalBrackets[rules.fieldGoalBrackets.length - 1]).success
+}
+
+// Overrides win; nested tables merge key by key, arrays are replaced whole
+function mergeRules(base, overrides) {
+  const merged = { ...base }
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isTable(value) && isTable(base[key]) ? mergeRules(base[key], value) : value
+  }
+  return merged
+}
+
+function isTable(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Problems with a full set of rules, as messages (empty when valid)
+function validateRules(rules) {
+  const errors = []
+  const check = (ok, message) => { if (!ok) errors.push(message) }
+  const isRate = value => typeof value === 'number' && value >= 0 && value <= 1
+  const isWhole = (value, min, max) => Number.isInteger(value) && value >= min && value <= max
+
+  for (const key of Object.keys(rules)) {
+    check(key in STANDARD_RULES, `unknown rule ${key}`)
+  }
+
+  check(typeof rules.classic === 'boolean', 'classic must be true or false')
+  check(rules.overtimePolicy === null || Object.hasOwn(OVERTIME_POLICIES, rules.overtimePolicy),
+    `overtimePolicy must be null or one of ${Object.keys(OVERTIME_POLICIES).join(', ')}`)
+  check(isWhole(rules.quarterLength, 60, 3600), 'quarterLength must be 60-3600 seconds')
+  check(isRate(rules.kickoffTouchbackPct), 'kickoffTouchbackPct must be 0-1')
+  check(isWhole(rules.kickoffTouchbackYardline, 1, 50), 'kickoffTouchbackYardline must be 1-50')
+  check(isWhole(rules.touchbackYardline, 1, 50), 'touchbackYardline must be 1-50')
+  check(isRate(rules.xpSuccess), 'xpSuccess must be 0-1')
+  check(typeof rules.twoPointConversion === 'boolean', 'twoPointConversion must be true or false')
+  for (const play of TWO_POINT_PLAYS) {
+    check(isRate(rules.twoPointSuccess?.[play]), `twoPointSuccess.${play} must be 0-1`)
+  }
+
+  for (const passType of PASS_TYPES) {
+    for (const table of ['sackRate', 'passInterception', 'passCompletion']) {
+      check(isRate(rules[table]?.[passType]), `${table}.${passType} must be 0-1`)
+    }
+    checkDistribution(rules.airYards?.[passType], `airYards.${passType}`, 0, check)
+  }
+  checkDistribution(rules.puntDistance, 'puntDistance', 1, check)
+
+  check(isWhole(rules.goalpostDepth, 0, 10), 'goalpostDepth must be 0-10')
+  check(isWhole(rules.maxFieldGoalDistance, 8, 120), 'maxFieldGoalDistance must be 8-120')
+  const brackets = rules.fieldGoalBrackets
+  if (!Array.isArray(brackets) || brackets.length === 0) {
+    errors.push('fieldGoalBrackets must list at least one { maxDistance, success }')
+  } else {
+    brackets.forEach(({ maxDistance, success } = {}, i) => {
+      check(Number.isInteger(maxDistance) && (i === 0 || maxDistance > brackets[i - 1].maxDistance),
+        'fieldGoalBrackets maxDistance must be whole numbers in increasing order')
+      check(isRate(success), 'fieldGoalBrackets success must be 0-1')
+    })
+    check(brackets[brackets.length - 1].maxDistance >= rules.maxFieldGoalDistance,
+      'fieldGoalBrackets must reach maxFieldGoalDistance')
+  }
+
+  return errors
+}
+
+// A { mean, stdDev, min, max } normal distribution in yards
+function checkDistribution(dist, name, lowest, check) {
+  const { mean, stdDev, min, max } = dist || {}
+  check(Number.isInteger(min) && Number.isInteger(max) && min >= lowest && min <= max,
+    `${name} min and max must be whole yards, ${lowest} or more, min <= max`)
+  check(typeof mean === 'number' && mean >= min && mean <= max, `${name}.mean must be between min and max`)
+  check(typeof stdDev === 'number' && stdDev >= 0, `${name}.stdDev can't be negative`)
+}
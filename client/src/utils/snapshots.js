@@ -0,0 +1,159 @@
+/**
+ * Game state snapshots
+ * A snapshot is a deep copy of the game state tagged with the engine's
+ * snapshot version. Saved games go through restoreSnapshot, which brings an
+ * older shape up to date one migration at a time, so a save from before an
+ * engine change still resumes.
+ *
+ * When the engine adds or reshapes game state fields, bump SNAPSHOT_VERSION
+ * and add the migration from the previous version to MIGRATIONS.
+ */
+
+import { createTeamStats } from './gameEngine.js'
+import { DEFAULT_OVERTIME_POLICY } from './overtime.js'
+import { resolveRules } from './rules.js'
+import { createSeed, seedToState } from './random.js'
+
+export const SNAPSHOT_VERSION = 9
+
+// How many plays a live game can be rewound
+export const REWIND_CAPACITY = 20
+
+// MIGRATIONS[n] turns a version n state into version n + 1 (in place)
+const MIGRATIONS = [
+  // 0 -> 1: saves from before snapshots were versioned (the raw game state).
+  // Fill in everything the engine added since the first release.
+  state => {
+    if (state.rngState === undefined) {
+      state.seed = state.seed ?? createSeed()
+      state.rngState = seedToState(state.seed)
+    }
+    state.clockStop = state.clockStop ?? null
+    state.twoMinuteWarningGiven = state.twoMinuteWarningGiven ?? false
+    state.timeouts = state.timeouts ?? { home: 3, away: 3 }  // A full half's worth
+    state.playerStats = state.playerStats ?? {}
+    state.drives = state.drives ?? []
+    state.homeStats = { ...createTeamStats(), ...state.homeStats }
+    state.awayStats = { ...createTeamStats(), ...state.awayStats }
+  },
+  // 1 -> 2: human coaches (both teams called by the computer before)
+  state => {
+    state.humanCoaches = state.humanCoaches ?? { home: false, away: false }
+  },
+  // 2 -> 3: interception return yards renamed to match the box score, return touchdown counters added
+  state => {
+    for (const key of ['homeStats', 'awayStats']) {
+      const { interceptionReturnYards = 0, ...stats } = state[key]
+      state[key] = { ...createTeamStats(), ...stats, intReturnYards: interceptionReturnYards }
+    }
+  },
+  // 3 -> 4: blocked kick, muffed punt, and fake kick counters
+  state => {
+    state.homeStats = { ...createTeamStats(), ...state.homeStats }
+    state.awayStats = { ...createTeamStats(), ...state.awayStats }
+  },
+  // 4 -> 5: overtime policies (one hardcoded rule before)
+  state => {
+    state.overtimePolicy = state.overtimePolicy ?? DEFAULT_OVERTIME_POLICY
+    state.playoff = state.playoff ?? false
+    state.overtimeSeries = state.overtimeSeries ?? null
+  },
+  // 5 -> 6: league rules (the standard values were constants before)
+  state => {
+    state.rules = state.rules ?? resolveRules()
+  },
+  // 6 -> 7: classic rules and rules that set the overtime policy
+  state => {
+    state.rules = { classic: false, overtimePolicy: null, ...state.rules }
+  },
+  // 7 -> 8: weather (every game was played in neutral conditions before)
+  state => {
+    state.weather = state.weather ?? null
+  },
+  // 8 -> 9: injuries
+  state => {
+    state.injuries = state.injuries ?? []
+  }
+]
+
+/**
+ * Deep copy of a game state
+ */
+export function cloneGameState(gameState) {
+  return JSON.parse(JSON.stringify(gameState))
+}
+
+/**
+ * Versioned copy of a game state, safe to store
+ */
+export function createSnapshot(gameState) {
+  return { version: SNAPSHOT_VERSION, state: cloneGameState(gameState) }
+}
+
+/**
+ * Game state from a snapshot, migrated to the current version
+ * A bare game state (saved before snapshots existed) counts as version 0.
+ * @returns {Object|null} null if the snapshot comes from a newer engine or isn't a game state
+ */
+export function restoreSnapshot(snapshot) {
+  if (!snapshot) return null
+  const versioned = snapshot.version !== undefined && snapshot.state !== undefined
+  const version = versioned ? snapshot.version : 0
+  const state = cloneGameState(versioned ? snapshot.state : snapshot)
+
+  if (version > SNAPSHOT_VERSION || !state.homeTeam || !state.awayTeam || !state.score) {
+    return null
+  }
+  for (let v = version; v < SNAPSHOT_VERSION; v++) {
+    MIGRATIONS[v](state)
+  }
+  return state
+}
+
+/**
+ * Fixed-size history of game states for rewinding a live game
+ * Once full, pushing drops the oldest state.
+ */
+export function createRewindBuffer(capacity = REWIND_CAPACITY) {
+  const slots = new Array(capacity)
+  let end = 0   // Next slot to write
+  let size = 0
+
+  return {
+    /**
+     * Remember a state (copied, so later changes to it don't leak in)
+     */
+    push(gameState) {
+      slots[end] = createSnapshot(gameState)
+      end = (end + 1) % capacity
+      size = Math.min(size + 1, capacity)
+    },
+
+    /**
+     * Step back through the history
+     * @param {number} steps - Plays to go back (clamped to what's stored)
+     * @returns {Object|null} The state from that many pushes ago, or null if empty
+     */
+    rewind(steps = 1) {
+      const count = Math.min(steps, size)
+      if (count === 0) return null
+      end = (end - count + capacity) % capacity
+      size -= count
+      const snapshot = slots[end]
+      for (let i = 0; i < count; i++) {
+        slots[(end + i) % capacity] = undefined
+      }
+      return restoreSnapshot(snapshot)
+    },
+
+    get size() {
+      return size
+    },
+
+    clear() {
+      slots.fill(undefined)
+      end = 0
+      size = 0
+    }
+  }
+}
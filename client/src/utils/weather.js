@@ -0,0 +1,133 @@
+/**
+ * Weather and stadium conditions
+ * A game's conditions come from the home city's stadium and climate and the
+ * game date: { dome, temperature (°F), wind (mph), precipitation ('none',
+ * 'rain' or 'snow') }. getGameWeather rolls them from a generator seeded by
+ * the city and date, so a scheduled game gets the same conditions every time
+ * it's loaded. initializeGame keeps options.weather in gameState.weather
+ * (null plays in neutral conditions, as do classic rules), and
+ * getWeatherEffects turns it into the multipliers the engine applies to field
+ * goals, punts, completions and fumbles.
+ */
+
+import { createRng } from './random.js'
+
+// Closed or covered stadiums (the retractable roofs are counted as closed)
+const DOME_CITIES = [
+  'Arizona', 'Atlanta', 'Dallas', 'Detroit', 'Houston', 'Indianapolis',
+  'Las Vegas', 'Los Angeles', 'Minnesota', 'New Orleans'
+]
+
+// Open-air stadiums by home city: average temperature by month (January
+// first), average wind, and the chance of rain or snow during a game
+const CLIMATES = {
+  'Baltimore': { temperature: [33, 36, 44, 55, 64, 73, 78, 76, 69, 57, 47, 37], wind: 9, precipitation: 0.18 },
+  'Buffalo': { temperature: [25, 26, 34, 46, 57, 66, 71, 70, 62, 51, 40, 30], wind: 11, precipitation: 0.28 },
+  'Carolina': { temperature: [42, 45, 53, 61, 69, 77, 80, 79, 72, 62, 52, 44], wind: 7, precipitation: 0.16 },
+  'Chicago': { temperature: [25, 29, 39, 50, 60, 71, 76, 74, 66, 54, 41, 30], wind: 11, precipitation: 0.20 },
+  'Cincinnati': { temperature: [30, 34, 43, 55, 64, 72, 76, 75, 68, 56, 45, 35], wind: 9, precipitation: 0.20 },
+  'Cleveland': { temperature: [28, 31, 39, 50, 61, 70, 74, 73, 66, 55, 44, 33], wind: 11, precipitation: 0.25 },
+  'Denver': { temperature: [31, 33, 41, 48, 57, 68, 74, 72, 63, 51, 39, 31], wind: 9, precipitation: 0.12 },
+  'Green Bay': { temperature: [17, 21, 32, 44, 56, 66, 70, 68, 60, 48, 35, 22], wind: 10, precipitation: 0.22 },
+  'Jacksonville': { temperature: [55, 58, 63, 68, 75, 80, 82, 82, 79, 72, 63, 57], wind: 8, precipitation: 0.18 },
+  'Kansas City': { temperature: [29, 33, 44, 55, 65, 74, 79, 78, 69, 57, 44, 32], wind: 10, precipitation: 0.15 },
+  'Miami': { temperature: [68, 70, 72, 75, 79, 82, 84, 84, 83, 80, 75, 71], wind: 9, precipitation: 0.22 },
+  'New England': { temperature: [30, 32, 39, 49, 59, 68, 74, 72, 65, 54, 45, 35], wind: 11, precipitation: 0.20 },
+  'New York': { temperature: [33, 35, 42, 53, 63, 72, 78, 76, 69, 58, 47, 38], wind: 10, precipitation: 0.20 },
+  'Philadelphia': { temperature: [33, 36, 44, 55, 65, 74, 79, 77, 70, 58, 48, 38], wind: 9, precipitation: 0.19 },
+  'Pittsburgh': { temperature: [29, 32, 40, 52, 61, 70, 74, 73, 66, 54, 43, 33], wind: 9, precipitation: 0.24 },
+  'San Francisco': { temperature: [51, 54, 57, 60, 64, 68, 70, 70, 70, 65, 57, 51], wind: 8, precipitation: 0.10 },
+  'Seattle': { temperature: [42, 43, 46, 50, 56, 61, 66, 66, 61, 53, 46, 41], wind: 8, precipitation: 0.30 },
+  'Tampa Bay': { temperature: [61, 64, 68, 72, 78, 82, 83, 83, 82, 76, 69, 64], wind: 8, precipitation: 0.15 },
+  'Tennessee': { temperature: [38, 42, 51, 60, 68, 76, 80, 79, 72, 61, 50, 41], wind: 8, precipitation: 0.19 },
+  'Washington': { temperature: [36, 39, 47, 57, 66, 75, 80, 78, 71, 59, 49, 40], wind: 9, precipitation: 0.18 }
+}
+
+const DOME_WEATHER = { dome: true, temperature: 70, wind: 0, precipitation: 'none' }
+
+const NO_EFFECTS = { fieldGoal: 1, puntDistance: 1, completion: 1, fumble: 1 }
+
+// How conditions move the engine's rates (each effect is a multiplier)
+const WEATHER_EFFECTS = {
+  WIND_CALM: 10,                // mph before the wind matters to kicks
+  FG_PER_WIND_MPH: 0.006,       // -0.6% field goal success per mph past calm
+  PUNT_PER_WIND_MPH: 0.008,     // -0.8% punt distance per mph past calm
+  PASS_WIND_CALM: 12,           // mph before the wind matters to passes
+  COMPLETION_PER_WIND_MPH: 0.004,
+  COLD: 40,                     // °F below which the ball is hard to kick
+  KICK_PER_COLD_DEGREE: 0.002,  // -0.2% field goal success and punt distance per degree
+  FREEZING: 32,                 // °F below which the ball is hard to hold
+  FUMBLE_PER_FREEZING_DEGREE: 0.01,
+  COMPLETION_PER_FREEZING_DEGREE: 0.001,
+  rain: { fieldGoal: 0.03, puntDistance: 0.03, completion: 0.04, fumble: 0.35 },
+  snow: { fieldGoal: 0.06, puntDistance: 0.06, completion: 0.07, fumble: 0.45 }
+}
+
+/**
+ * Conditions for a game, from the home city and the game date
+ * The same city and date always give the same conditions
+ * @param {string} city - Home team's city
+ * @param {string} gameDate - YYYY-MM-DD
+ * @returns {Object|null} { dome, temperature, wind, precipitation }, or null for a city not on the list
+ */
+export function getGameWeather(city, gameDate) {
+  if (DOME_CITIES.includes(city)) return { ...DOME_WEATHER }
+  const climate = CLIMATES[city]
+  const month = Number(String(gameDate).split('-')[1]) - 1
+  if (!climate || !(month >= 0 && month < 12)) return null
+
+  const rng = createRng(hashString(`${city} ${gameDate}`))
+  // Roughly normal temperature (sum of three rolls), exponential wind
+  const temperature = Math.round(climate.temperature[month] + (rng() + rng() + rng() - 1.5) * 16)
+  const wind = Math.min(35, Math.round(-climate.wind * Math.log(1 - rng())))
+  const wet = rng() < climate.precipitation
+  return {
+    dome: false,
+    temperature,
+    wind,
+    precipitation: !wet ? 'none' : temperature <= 32 ? 'snow' : 'rain'
+  }
+}
+
+/**
+ * Multipliers for the current game's conditions
+ * @returns {Object} { fieldGoal, puntDistance, completion, fumble } (all 1 in neutral conditions)
+ */
+export function getWeatherEffects(gameState) {
+  const weather = gameState.weather
+  if (!weather || weather.dome || gameState.rules.classic) return NO_EFFECTS
+
+  const { temperature, wind, precipitation } = weather
+  const kickWind = Math.max(0, wind - WEATHER_EFFECTS.WIND_CALM)
+  const passWind = Math.max(0, wind - WEATHER_EFFECTS.PASS_WIND_CALM)
+  const cold = Math.max(0, WEATHER_EFFECTS.COLD - temperature)
+  const freezing = Math.max(0, WEATHER_EFFECTS.FREEZING - temperature)
+  const wet = WEATHER_EFFECTS[precipitation] || { fieldGoal: 0, puntDistance: 0, completion: 0, fumble: 0 }
+
+  return {
+    fieldGoal: Math.max(0, 1 - kickWind * WEATHER_EFFECTS.FG_PER_WIND_MPH - cold * WEATHER_EFFECTS.KICK_PER_COLD_DEGREE - wet.fieldGoal),
+    puntDistance: Math.max(0.5, 1 - kickWind * WEATHER_EFFECTS.PUNT_PER_WIND_MPH - cold * WEATHER_EFFECTS.KICK_PER_COLD_DEGREE - wet.puntDistance),
+    completion: Math.max(0, 1 - passWind * WEATHER_EFFECTS.COMPLETION_PER_WIND_MPH - freezing * WEATHER_EFFECTS.COMPLETION_PER_FREEZING_DEGREE - wet.completion),
+    fumble: 1 + freezing * WEATHER_EFFECTS.FUMBLE_PER_FREEZING_DEGREE + wet.fumble
+  }
+}
+
+/**
+ * One-line description, e.g. "34°F, wind 15 mph, snow" or "Dome"
+ */
+export function describeWeather(weather) {
+  if (!weather) return 'Neutral conditions'
+  if (weather.dome) return 'Dome'
+  const sky = weather.precipitation === 'none' ? '' : `, ${weather.precipitation}`
+  return `${weather.temperature}°F, wind ${weather.wind} mph${sky}`
+}
+
+// 32-bit FNV-1a hash, a seed for the city and date
+function hashString(text) {
+  let hash = 0x811C9DC5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
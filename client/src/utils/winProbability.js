@@ -0,0 +1,231 @@
+/**
+ * Win probability
+ * Looks up the chance that the team with the ball wins from a table built by
+ * the silent simulator (node silent-simulator.js --build-win-probability).
+ * The table is keyed by score differential, time remaining, field position
+ * and down/distance; thin cells lean on coarser ones (see tally below).
+ *
+ * Works on a live game state, a replay state or a play log entry - anything
+ * with score, quarter, clock, possession, down, distance and yardline.
+ */
+
+import { QUARTER_LENGTH } from './gameSimulation.js'
+import { WIN_PROBABILITY_TABLE } from './winProbabilityTable.js'
+
+// Leads beyond this share a bucket
+const SCORE_DIFF_CAP = 21
+const SCORE_DIFF_BUCKETS = SCORE_DIFF_CAP * 2 + 1
+
+// Game time: 5-minute blocks through three quarters, finer in the 4th, one for overtime
+const FOURTH_QUARTER_EDGES = [600, 300, 120, 60]  // seconds left; below the last is the final minute
+const TIME_BUCKETS = 9 + FOURTH_QUARTER_EDGES.length + 1 + 1
+const FIELD_BUCKETS = 5  // 20-yard slices of the field
+const SITUATION_BUCKETS = 6  // 1st, 2nd, 3rd short/long, 4th short/long
+
+// How many samples a cell needs before it outweighs its coarser parent
+const SHRINK_WEIGHT = 20
+const PRIOR_WEIGHT = 10
+
+// Where a kickoff is assumed to leave the receiving team
+const KICKOFF_SITUATION = { down: 1, distance: 10, yardline: 25 }
+
+/**
+ * The game as seen by the team with the ball
+ * A pending kickoff counts as the receiving team at its own 25
+ */
+export function getWinProbabilitySituation(state) {
+  const kicker = state.possession
+  const offense = state.awaitingKickoff ? (kicker === 'home' ? 'away' : 'home') : kicker
+  const defense = offense === 'home' ? 'away' : 'home'
+  const spot = state.awaitingKickoff ? KICKOFF_SITUATION : state
+  return {
+    offense,
+    scoreDiff: state.score[offense] - state.score[defense],
+    quarter: state.quarter,
+    // The table counts 15-minute quarters; other lengths (league rules) are scaled to them
+    clock: Math.max(0, state.clock) * QUARTER_LENGTH / (state.rules?.quarterLength ?? QUARTER_LENGTH),
+    down: spot.down,
+    distance: spot.distance,
+    yardline: spot.yardline
+  }
+}
+
+function getTimeBucket(quarter, clock) {
+  if (quarter > 4) return TIME_BUCKETS - 1
+  if (quarter < 4) {
+    const elapsed = (quarter - 1) * QUARTER_LENGTH + (QUARTER_LENGTH - clock)
+    return Math.min(8, Math.floor(elapsed / 300))
+  }
+  const edge = FOURTH_QUARTER_EDGES.findIndex(seconds => clock > seconds)
+  return 9 + (edge === -1 ? FOURTH_QUARTER_EDGES.length : edge)
+}
+
+function getSituationBucket(down, distance) {
+  if (down <= 2) return Math.max(0, down - 1)
+  const long = distance > 3 ? 1 : 0
+  return down === 3 ? 2 + long : 4 + long
+}
+
+// Cell indexes at each level of detail (coarse -> fine)
+function getCells(situation) {
+  const diff = Math.max(-SCORE_DIFF_CAP, Math.min(SCORE_DIFF_CAP, situation.scoreDiff)) + SCORE_DIFF_CAP
+  const time = getTimeBucket(situation.quarter, situation.clock)
+  const field = Math.max(0, Math.min(FIELD_BUCKETS - 1, Math.floor((situation.yardline - 1) / 20)))
+  const down = getSituationBucket(situation.down, situation.distance)
+
+  const scoreTime = diff * TIME_BUCKETS + time
+  const scoreTimeField = scoreTime * FIELD_BUCKETS + field
+  return {
+    scoreTime,
+    scoreTimeField,
+    full: scoreTimeField * SITUATION_BUCKETS + down
+  }
+}
+
+/**
+ * Rough curve used only where the simulator never went (huge early leads and the like)
+ * A lead is worth more the less time is left
+ */
+function getPriorWinProbability(situation) {
+  const regulationLeft = situation.quarter > 4
+    ? 0
+    : (4 - situation.quarter) * QUARTER_LENGTH + situation.clock
+  const scale = 2 + 12 * Math.sqrt(regulationLeft / (4 * QUARTER_LENGTH))
+  return 1 / (1 + Math.exp(-situation.scoreDiff / scale))
+}
+
+/**
+ * Chance the team with the ball wins (a tie counts as half)
+ * @param {Object} situation - From getWinProbabilitySituation
+ */
+export function getWinProbability(situation) {
+  const values = WIN_PROBABILITY_TABLE.values
+  if (!values || values.length === 0) return getPriorWinProbability(situation)
+  return values[getCells(situation).full] / 1000
+}
+
+/**
+ * Chance the home team wins
+ * @param {boolean} finished - Game is over (the score decides it)
+ */
+export function getHomeWinProbability(state, finished = false) {
+  if (finished) {
+    if (state.score.home === state.score.away) return 0.5
+    return state.score.home > state.score.away ? 1 : 0
+  }
+  const situation = getWinProbabilitySituation(state)
+  const probability = getWinProbability(situation)
+  return situation.offense === 'home' ? probability : 1 - probability
+}
+
+/**
+ * Home win probability before the opening kickoff
+ * @param {string} kicker - 'home' or 'away'
+ */
+export function getOpeningWinProbability(kicker) {
+  return getHomeWinProbability({
+    score: { home: 0, away: 0 },
+    quarter: 1,
+    clock: QUARTER_LENGTH,
+    possession: kicker,
+    awaitingKickoff: true
+  })
+}
+
+/**
+ * Home win probability after every play, starting from the opening kickoff
+ * @param {Array} playLog - gameState.playLog (or saved replay entries)
+ * @param {boolean} finished - Last entry ended the game
+ * @returns {Array<{homeWinProbability, change, quarter, clock, description}>}
+ *   change is the swing from the previous point; the first point (kickoff) has no play
+ */
+export function getWinProbabilityChart(playLog, finished = false) {
+  if (playLog.length === 0) return []
+
+  const points = [{ homeWinProbability: getOpeningWinProbability(playLog[0].snap.possession), change: 0 }]
+  playLog.forEach((play, index) => {
+    const homeWinProbability = getHomeWinProbability(play, finished && index === playLog.length - 1)
+    points.push({
+      homeWinProbability,
+      change: homeWinProbability - points[points.length - 1].homeWinProbability,
+      quarter: play.snap.quarter,
+      clock: play.snap.clock,
+      description: play.description
+    })
+  })
+  return points
+}
+
+/**
+ * Plays that moved win probability the most, biggest first
+ */
+export function getSwingPlays(chartPoints, count = 5) {
+  return chartPoints
+    .filter(point => point.description)
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    .slice(0, count)
+}
+
+/**
+ * Collects finished games into a new table
+ * Each cell is shrunk toward its coarser parent (score and time, then
+ * score, time and field), so sparse situations don't swing wildly.
+ */
+export function createWinProbabilityTally() {
+  const levels = {
+    scoreTime: { wins: new Float64Array(SCORE_DIFF_BUCKETS * TIME_BUCKETS), samples: new Uint32Array(SCORE_DIFF_BUCKETS * TIME_BUCKETS) },
+    scoreTimeField: { wins: new Float64Array(SCORE_DIFF_BUCKETS * TIME_BUCKETS * FIELD_BUCKETS), samples: new Uint32Array(SCORE_DIFF_BUCKETS * TIME_BUCKETS * FIELD_BUCKETS) },
+    full: { wins: new Float64Array(SCORE_DIFF_BUCKETS * TIME_BUCKETS * FIELD_BUCKETS * SITUATION_BUCKETS), samples: new Uint32Array(SCORE_DIFF_BUCKETS * TIME_BUCKETS * FIELD_BUCKETS * SITUATION_BUCKETS) }
+  }
+  // A representative situation per coarse cell, for the prior
+  const priorSituations = new Array(SCORE_DIFF_BUCKETS * TIME_BUCKETS)
+  let games = 0
+
+  return {
+    /**
+     * Add one game: the state before every snap and the final score
+     * @param {Array} states - Game states (copies) taken before each play
+     */
+    addGame(states, finalScore) {
+      games++
+      states.forEach(state => {
+        const situation = getWinProbabilitySituation(state)
+        const defense = situation.offense === 'home' ? 'away' : 'home'
+        const margin = finalScore[situation.offense] - finalScore[defense]
+        const result = margin > 0 ? 1 : margin === 0 ? 0.5 : 0
+        const cells = getCells(situation)
+        for (const [level, tally] of Object.entries(levels)) {
+          tally.wins[cells[level]] += result
+          tally.samples[cells[level]]++
+        }
+        if (!priorSituations[cells.scoreTime]) priorSituations[cells.scoreTime] = situation
+      })
+    },
+
+    /**
+     * @returns {Object} Table for winProbabilityTable.js (values are per mille, finest level)
+     */
+    toTable() {
+      const shrink = (tally, cell, parent, weight) =>
+        (tally.wins[cell] + weight * parent) / (tally.samples[cell] + weight)
+
+      const scoreTime = Array.from(levels.scoreTime.samples, (_, cell) => {
+        const diff = Math.floor(cell / TIME_BUCKETS) - SCORE_DIFF_CAP
+        const prior = priorSituations[cell]
+          ? getPriorWinProbability(priorSituations[cell])
+          : getPriorWinProbability({ scoreDiff: diff, quarter: 1, clock: QUARTER_LENGTH })
+        return shrink(levels.scoreTime, cell, prior, PRIOR_WEIGHT)
+      })
+      const scoreTimeField = Array.from(levels.scoreTimeField.samples, (_, cell) =>
+        shrink(levels.scoreTimeField, cell, scoreTime[Math.floor(cell / FIELD_BUCKETS)], SHRINK_WEIGHT))
+      const values = Array.from(levels.full.samples, (_, cell) =>
+        Math.round(1000 * shrink(levels.full, cell, scoreTimeField[Math.floor(cell / SITUATION_BUCKETS)], SHRINK_WEIGHT)))
+
+      return {
+        games,
+        samples: levels.full.samples.reduce((sum, count) => sum + count, 0),
+        values
+      }
+    }
+  }
+}
@@ -0,0 +1,3 @@
+// Generated by: node silent-simulator.js --build-win-probability
+// Do not edit by hand - rebuild after changes that move scoring or game flow
+export const WIN_PROBABILITY_TABLE = {"games":20000,"samples":3017455,"values":[182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,98,98,103,98,103,103,155,109,125,114,125,119,98,108,108,108,108,108,108,113,113,113,113,113,119,119,119,119,119,119,72,88,101,92,101,92,149,200,164,221,164,246,161,177,180,200,180,200,212,261,242,263,242,297,130,97,114,120,126,126,75,61,58,42,61,53,56,62,112,46,76,58,95,92,68,89,73,132,61,19,45,62,85,40,93,78,85,91,63,82,45,37,37,39,37,53,46,45,51,36,51,29,50,64,47,68,46,58,86,109,84,84,68,89,88,111,57,94,75,50,8,1,3,1,3,1,24,21,24,16,19,13,27,23,7,32,7,17,40,51,71,21,93,24,55,49,83,69,76,66,0,7,3,1,2,1,19,15,4,28,6,23,24,25,8,29,29,30,29,33,47,13,14,24,34,24,14,7,19,13,0,0,1,0,1,12,11,11,11,7,3,13,16,14,16,13,5,18,23,26,8,40,9,17,41,40,43,34,31,32,12,9,6,7,6,2,8,11,1,10,2,1,4,6,1,6,2,10,12,4,2,1,2,7,19,22,22,20,7,14,6,4,2,0,2,1,3,3,0,2,0,0,6,3,16,2,1,0,10,9,1,3,2,1,12,15,2,12,3,15,0,0,0,0,0,0,1,1,0,2,0,3,1,1,0,2,9,4,3,4,0,3,1,0,5,5,10,7,1,1,0,0,0,0,0,0,0,0,0,0,0,0,3,0,0,0,0,0,3,3,0,4,0,0,1,1,0,2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,182,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,85,98,98,98,98,98,93,103,103,103,103,103,102,107,107,107,107,107,113,113,113,113,113,113,113,113,113,113,113,113,269,232,232,232,232,232,152,157,192,135,161,154,217,236,210,200,210,200,269,232,232,232,232,232,194,194,194,194,194,194,122,182,138,170,145,138,106,136,185,114,156,107,9,10,21,14,22,19,121,130,163,90,116,116,372,293,329,329,281,295,71,64,83,122,116,73,53,69,39,66,41,51,61,50,46,73,50,66,118,95,101,126,81,81,139,158,117,217,127,157,60,54,45,46,45,33,44,39,39,44,23,60,42,30,57,40,62,39,46,51,49,81,63,46,105,103,85,110,76,138,35,6,21,10,21,12,39,42,16,40,22,27,29,34,16,19,19,36,46,42,31,79,64,46,90,136,129,52,78,69,1,1,2,1,2,1,17,13,30,24,12,27,24,28,67,15,72,8,23,19,15,44,17,36,17,11,7,20,8,5,12,2,5,2,6,3,9,11,3,8,4,2,14,9,6,19,32,3,16,22,9,17,11,6,27,20,12,34,17,10,0,0,0,0,0,0,5,4,2,7,26,1,6,8,3,14,3,1,12,1,5,10,6,31,12,7,3,1,4,2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,10,1,2,1,2,2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,193,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,51,54,54,54,54,54,22,30,33,30,33,33,38,40,41,44,44,44,51,54,54,54,54,54,57,57,57,57,57,57,16,17,18,17,18,17,4,7,8,7,9,7,7,8,11,9,11,10,13,12,14,12,13,13,22,22,22,22,22,22,65,59,71,65,71,68,82,56,73,58,66,69,39,36,48,39,50,50,178,178,163,194,163,156,223,223,233,186,195,195,6,7,10,8,10,10,31,34,72,37,32,54,21,25,23,42,25,49,2,2,4,3,4,4,2,3,6,4,6,4,56,61,49,43,49,46,44,47,35,51,41,26,24,51,29,20,31,25,88,97,80,69,76,76,10,12,17,15,15,17,4,4,10,8,10,8,34,49,33,67,29,19,66,69,83,51,53,37,86,123,110,111,130,66,47,37,32,25,36,32,34,42,39,44,83,27,17,11,11,5,11,30,35,49,23,28,27,39,33,38,24,43,26,20,53,50,32,21,33,28,1,1,3,2,3,2,9,13,35,2,41,4,11,17,60,4,7,5,22,12,8,4,10,6,38,47,62,17,75,26,0,0,1,0,1,0,0,0,0,0,0,0,0,0,1,1,35,1,14,10,5,3,6,4,9,1,3,2,3,2,0,0,0,0,0,0,2,0,1,0,1,0,5,7,4,12,3,3,0,0,0,0,0,0,14,8,4,2,4,3,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,205,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,306,273,286,286,286,286,236,240,236,206,236,225,219,214,235,235,235,235,413,413,365,439,383,383,376,376,345,345,345,345,134,104,101,81,101,92,45,33,38,27,39,31,116,89,96,80,96,92,130,213,162,187,147,202,27,32,39,37,41,39,87,66,69,50,72,53,108,116,91,134,84,86,99,104,147,71,86,90,146,124,135,171,142,151,96,86,53,57,61,64,51,65,48,69,63,86,63,59,97,37,54,14,89,90,87,89,74,67,89,72,84,27,40,41,185,144,141,136,164,129,1,2,6,3,6,4,55,47,27,57,102,45,60,61,55,25,33,38,65,89,87,114,66,37,139,133,95,163,161,141,60,45,42,43,42,26,27,39,15,14,16,7,43,28,40,31,21,12,44,40,50,27,58,62,73,71,36,16,33,19,21,32,16,8,18,11,26,25,36,20,14,6,32,35,41,30,19,8,39,26,17,35,16,12,24,40,18,32,67,16,15,3,8,4,9,5,13,12,6,16,8,12,22,23,54,18,39,24,47,33,17,39,51,11,40,41,45,32,55,15,1,16,6,3,6,3,12,10,4,2,4,3,20,28,11,21,13,6,21,20,43,15,13,6,38,40,16,49,20,11,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,7,2,12,3,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,217,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,307,274,288,288,288,288,262,251,251,291,264,251,298,293,287,274,287,287,320,350,318,318,318,318,348,318,318,318,318,318,191,185,161,151,161,183,101,141,77,127,90,133,84,91,82,102,79,149,29,19,30,30,33,36,162,181,142,135,149,135,62,25,35,17,38,23,127,126,118,107,88,116,133,125,114,139,114,154,140,100,118,82,105,77,163,176,210,161,185,145,86,79,102,67,74,37,99,73,69,76,55,91,128,121,92,117,87,124,170,175,184,137,94,139,123,100,111,100,124,100,53,58,72,68,46,50,66,67,27,60,46,69,80,84,86,71,55,78,78,91,109,106,112,120,145,134,86,116,93,73,62,53,50,46,52,71,59,48,43,29,19,8,64,63,51,87,94,36,82,86,101,95,91,41,114,124,153,114,106,89,27,13,23,20,17,30,59,39,77,21,34,15,74,78,52,62,45,44,81,91,75,83,63,43,104,86,151,61,149,97,14,11,8,3,9,4,30,29,11,37,11,26,39,39,42,63,89,17,44,42,35,37,19,23,77,70,93,24,31,20,7,16,11,15,10,19,11,13,4,17,4,15,20,10,13,11,5,2,33,34,60,29,39,27,46,44,19,65,92,44,0,0,1,0,0,0,9,3,2,5,4,1,16,14,5,10,5,10,20,24,8,19,8,30,14,9,4,18,24,3,0,0,0,0,0,0,1,3,1,0,1,0,7,7,37,1,21,1,9,4,3,14,3,1,14,13,5,16,26,3,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,229,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,142,142,142,142,142,142,104,109,114,104,114,114,129,136,136,136,136,136,142,142,142,142,142,142,142,142,142,142,142,142,138,152,159,145,159,152,211,222,196,179,206,196,271,267,251,262,251,218,315,250,262,262,262,262,163,171,179,171,179,179,189,194,202,184,202,202,232,229,233,171,191,179,309,301,265,301,278,285,297,241,245,236,267,223,439,389,345,370,329,329,108,119,120,156,120,130,128,104,85,98,113,80,161,168,196,105,110,164,238,232,280,175,293,164,237,225,179,244,221,205,29,25,38,38,38,58,99,84,87,101,85,82,126,113,167,98,152,74,146,145,175,171,179,130,216,216,195,226,157,143,20,38,29,35,30,18,54,39,28,32,27,59,82,44,66,47,80,32,72,76,45,89,58,84,179,108,103,74,108,103,2,3,6,3,6,4,51,49,20,51,25,11,50,61,52,63,61,38,83,94,80,51,50,53,91,104,129,118,81,115,2,14,11,21,11,34,26,29,36,21,40,19,43,28,95,15,73,9,45,40,53,40,26,35,41,34,78,13,54,20,12,13,8,3,8,4,22,24,27,21,11,14,26,30,43,31,36,41,41,32,82,15,77,11,43,41,29,61,62,30,11,14,7,3,7,4,7,7,3,12,3,10,3,9,24,9,3,14,17,22,14,43,16,37,23,16,10,30,13,24,0,0,0,0,0,0,2,3,1,0,1,0,3,3,1,0,1,0,10,5,2,1,3,1,10,18,27,35,7,5,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,242,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,147,147,147,147,147,147,111,128,128,128,128,128,116,122,128,128,128,128,147,147,147,147,147,147,147,147,147,147,147,147,62,67,71,71,71,71,8,14,23,18,22,22,29,31,42,37,42,40,201,224,191,243,182,191,211,135,142,135,135,142,69,49,61,55,61,61,91,81,119,47,81,54,85,63,66,50,66,58,212,127,153,162,153,133,140,78,101,84,101,92,45,28,29,17,35,19,77,84,48,65,45,80,123,80,115,87,66,111,97,64,60,61,62,87,132,163,182,118,113,120,54,45,57,63,57,82,77,81,81,58,55,24,106,78,54,60,99,57,131,158,135,112,78,113,108,117,168,126,161,168,68,51,53,52,53,40,85,81,52,46,52,53,115,77,51,99,64,51,152,163,146,145,183,192,155,138,98,78,87,88,17,5,17,7,57,10,57,58,73,87,78,74,43,51,23,56,29,63,74,68,59,72,35,48,92,102,145,112,75,74,13,4,13,7,14,38,34,52,18,65,21,56,71,68,27,70,35,47,58,65,58,66,60,57,100,92,70,84,59,31,12,16,8,3,8,5,9,7,3,1,4,2,15,8,5,2,6,3,36,38,20,29,20,41,63,86,31,69,36,40,0,0,0,0,0,0,3,0,1,0,1,0,3,4,24,1,2,1,4,13,29,1,4,2,23,15,47,18,10,27,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,77,85,89,89,89,89,107,109,101,78,101,92,112,92,96,96,101,101,97,88,97,97,97,97,93,97,97,93,97,97,136,147,137,140,137,162,163,166,124,158,173,133,175,153,121,138,113,151,230,207,276,191,256,191,235,277,253,279,289,276,124,122,105,144,90,127,167,162,127,128,115,115,183,189,221,202,139,226,173,168,157,156,240,154,210,177,229,160,217,105,144,147,217,131,187,101,141,131,115,110,134,95,147,125,100,116,55,115,180,158,154,172,191,152,192,181,122,145,165,151,119,116,95,118,95,80,177,177,196,168,162,189,197,198,183,154,175,177,211,221,202,221,123,179,275,244,224,169,201,58,97,93,77,74,96,61,127,135,126,104,89,85,159,148,145,136,108,103,197,205,141,201,86,182,233,229,204,210,135,205,74,87,135,53,101,50,101,94,152,68,88,39,149,140,76,120,76,74,133,170,76,140,81,94,210,213,242,135,147,149,48,55,40,48,72,43,73,46,60,25,58,19,105,124,122,105,119,86,145,120,186,105,136,126,163,158,143,166,140,150,30,32,26,26,28,50,56,58,66,44,76,28,86,66,40,69,52,45,110,134,85,95,66,85,177,130,169,152,117,122,1,14,4,1,5,2,41,25,26,16,10,4,51,43,77,50,56,59,75,62,69,66,32,79,98,107,133,86,131,45,0,1,2,1,2,1,27,22,25,5,22,13,31,51,30,23,41,15,56,40,33,59,55,21,68,64,66,75,26,47,0,0,2,1,2,1,12,14,20,6,5,2,24,20,41,19,10,18,40,27,12,27,17,16,71,76,84,45,57,27,0,0,1,0,1,0,3,0,1,0,1,0,4,5,2,1,2,1,5,13,27,2,29,4,11,15,11,39,13,52,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,269,269,269,269,269,269,269,269,269,269,269,269,269,269,269,269,269,269,269,269,269,269,269,269,269,269,269,269,269,269,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,154,197,187,205,196,196,223,237,192,263,192,267,381,375,375,328,327,312,347,376,351,382,351,382,250,238,249,249,249,249,127,117,151,110,172,117,172,133,172,141,154,141,169,143,189,211,194,190,185,225,164,214,187,204,239,242,189,160,198,189,152,171,196,138,179,209,163,161,179,148,183,144,180,195,204,157,200,145,171,142,143,142,94,127,222,175,184,190,194,120,123,115,106,154,116,177,173,180,159,181,99,171,194,189,201,181,151,120,233,210,243,210,178,142,205,213,174,217,230,199,120,141,146,110,95,52,131,130,146,110,96,109,156,158,122,163,91,146,192,201,195,187,223,177,238,216,208,191,174,166,145,134,98,117,111,84,113,106,70,92,62,56,143,125,134,104,89,105,187,195,135,188,107,171,258,219,233,234,193,212,72,85,105,85,66,39,92,85,124,60,58,64,116,111,76,113,107,98,137,114,145,136,102,142,179,186,196,109,153,151,78,53,103,81,51,45,92,95,56,84,43,59,105,88,50,132,84,73,109,113,43,85,140,78,117,110,124,87,81,103,45,48,77,33,34,45,75,77,76,52,29,28,106,101,55,120,104,103,118,106,117,108,82,79,128,111,59,99,90,74,43,39,28,48,33,15,52,47,38,36,18,57,68,66,58,68,27,64,103,74,127,59,115,77,130,116,97,143,122,49,10,8,6,2,7,3,15,19,4,9,26,9,40,42,54,50,74,44,55,58,32,25,54,23,88,85,99,72,116,43,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,7,16,23,2,29,19,24,14,9,20,11,42,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,7,9,3,1,3,2,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,283,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,380,380,368,368,368,368,376,323,339,323,323,339,342,342,342,342,342,342,342,342,342,342,342,342,342,342,342,342,342,342,184,161,193,184,193,193,182,152,178,148,178,169,387,364,342,341,325,356,331,301,297,297,297,297,320,286,286,286,286,286,173,215,175,160,175,160,130,171,169,190,138,131,206,214,168,157,185,161,91,149,127,189,139,170,305,274,242,210,242,220,151,117,139,133,146,133,223,181,195,191,193,169,335,258,226,255,258,265,180,209,297,242,262,231,104,117,138,170,138,115,150,104,123,124,135,157,158,159,197,119,119,148,159,146,104,106,183,110,184,169,159,232,242,190,269,292,305,286,280,249,102,95,96,131,96,100,126,126,72,126,99,120,169,155,147,108,167,118,165,144,164,60,164,111,122,78,125,67,95,77,82,95,82,83,82,78,84,92,108,82,99,26,128,103,90,116,75,112,146,144,82,102,115,117,135,186,151,121,116,97,85,58,57,67,62,55,88,60,71,52,65,57,77,100,117,53,89,36,186,72,131,95,115,89,174,129,94,155,153,101,52,33,31,15,34,22,86,65,27,46,53,23,102,90,38,72,45,78,139,173,160,178,137,141,159,118,90,120,153,92,5,16,23,33,23,62,48,52,81,61,73,66,66,40,38,34,61,41,69,86,120,67,118,57,164,117,69,117,151,42,24,3,12,5,13,6,11,11,3,6,4,2,34,34,34,24,13,21,70,64,86,22,69,13,100,103,127,57,72,23,0,0,1,0,1,0,0,0,1,8,1,0,9,5,27,1,3,1,13,6,27,2,5,3,18,22,10,44,12,31,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,298,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,223,218,229,218,229,229,271,225,249,239,249,217,296,274,279,279,279,279,330,345,313,313,313,313,225,225,236,236,236,236,227,180,218,147,209,179,219,264,238,217,230,210,256,275,219,310,265,171,316,287,305,231,277,246,345,375,403,340,343,315,175,187,118,223,194,152,214,197,227,186,242,168,238,238,210,235,120,255,264,238,248,218,148,287,350,336,328,275,296,290,162,147,110,119,143,120,186,176,162,161,124,188,198,194,192,202,164,170,282,289,228,234,199,143,263,294,285,311,302,312,107,112,115,132,73,143,150,136,129,128,79,133,192,192,204,163,145,131,221,226,206,177,204,149,306,297,313,282,234,212,140,103,131,81,105,96,136,133,119,134,90,107,156,157,111,177,130,143,180,204,283,148,249,123,211,203,177,192,214,120,125,109,94,116,122,91,137,137,181,124,160,78,157,127,262,105,137,85,196,142,149,144,160,119,180,200,178,140,146,131,74,95,73,94,62,69,117,114,131,96,150,74,166,171,149,129,106,113,194,213,239,186,191,195,253,205,217,196,209,205,50,47,35,9,33,29,79,73,151,61,114,44,123,142,100,130,87,98,157,176,178,109,126,119,210,188,179,176,206,124,35,27,70,24,28,53,55,42,100,36,42,37,82,91,51,102,52,79,98,93,97,94,77,70,118,105,97,66,88,57,18,12,14,20,14,7,27,29,29,21,9,12,37,39,28,14,64,34,80,83,90,66,38,40,120,105,155,71,57,62,0,0,1,0,1,0,2,0,1,0,1,0,0,0,0,0,0,0,13,20,6,13,10,34,25,16,35,36,16,71,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,313,335,319,319,319,319,319,253,198,247,258,247,235,383,368,355,355,355,355,394,394,364,364,364,364,300,300,300,300,300,300,262,290,300,253,278,240,279,274,300,263,244,252,310,269,287,182,205,138,339,318,309,317,279,324,336,324,356,319,328,328,225,194,114,213,141,181,256,259,244,239,289,215,294,269,336,276,252,267,317,345,385,326,299,284,386,344,326,349,265,325,221,193,174,193,202,177,251,259,258,241,189,214,278,264,316,250,230,246,291,299,321,241,339,269,311,319,326,273,302,239,213,205,194,217,291,165,226,214,154,194,177,191,284,267,299,271,266,257,290,309,256,249,243,240,335,331,282,346,228,298,182,186,227,150,193,148,207,204,229,174,151,149,250,247,182,222,174,194,276,272,265,257,230,254,345,328,387,283,315,263,181,174,160,164,128,166,171,171,157,155,156,143,212,211,186,221,179,179,232,236,242,210,204,183,212,228,179,188,201,222,176,210,136,142,161,128,189,194,213,156,197,137,221,202,179,156,144,116,226,221,213,171,188,158,314,282,268,262,240,192,177,181,200,188,194,158,155,143,151,133,117,130,194,165,159,173,186,154,267,260,258,226,141,192,288,263,247,275,216,212,110,120,74,92,134,112,123,113,110,93,73,92,161,163,146,142,104,92,193,183,173,174,210,172,260,258,275,257,220,162,52,45,71,38,43,38,94,89,121,61,74,31,115,119,133,89,118,101,166,143,134,116,89,146,170,171,126,163,130,126,27,10,16,16,16,22,20,21,19,8,23,17,68,64,58,39,21,20,95,103,120,73,121,60,147,118,173,115,122,49,0,0,1,0,1,0,0,4,1,6,1,0,6,10,18,7,28,11,28,18,9,22,10,27,41,26,11,20,14,23,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,329,329,329,329,329,329,329,329,329,329,329,329,329,329,329,329,329,329,329,329,329,329,329,329,329,329,329,329,329,329,635,635,635,635,635,635,723,710,696,710,696,696,723,723,696,696,696,696,635,635,635,635,635,635,635,635,635,635,635,635,290,310,322,324,322,339,346,307,248,298,307,310,614,543,555,527,507,555,426,503,453,479,453,479,425,462,458,431,431,431,404,461,436,398,398,406,317,302,255,252,281,225,239,241,306,198,289,212,442,391,419,551,419,443,344,367,356,327,325,341,266,199,247,267,270,205,266,265,241,213,254,213,341,346,370,352,305,345,396,374,286,327,321,298,573,509,477,498,456,477,248,299,279,352,327,294,259,213,227,207,287,181,299,303,277,273,223,235,367,338,367,314,264,328,408,393,362,472,440,420,244,202,235,192,283,264,240,243,357,192,211,158,275,273,176,274,318,222,324,343,324,370,335,368,392,405,396,454,387,367,130,68,100,55,100,75,185,167,104,148,74,134,227,221,240,193,227,173,316,273,244,239,242,251,357,328,338,289,281,318,125,135,109,153,124,143,155,138,79,114,181,115,190,181,196,170,134,155,242,245,226,213,240,171,322,337,339,408,290,417,135,116,107,162,153,126,154,156,175,165,122,145,115,114,145,124,183,101,163,170,173,200,175,220,193,186,238,206,97,189,93,43,89,16,47,38,162,150,189,140,128,119,187,181,207,117,149,114,205,199,199,196,211,144,247,227,281,169,207,199,49,72,90,58,136,22,104,102,66,87,99,52,158,149,167,118,145,78,196,144,131,145,158,87,276,256,254,221,270,161,18,11,16,30,15,24,23,24,6,9,7,9,53,48,36,38,60,22,134,134,122,132,127,111,166,160,110,143,78,115,0,0,1,0,1,0,4,4,1,0,28,1,3,11,3,14,4,14,10,9,25,18,7,16,19,19,5,13,8,5,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,21,1,4,2,5,2,345,345,345,345,345,345,345,345,345,345,345,345,345,345,345,345,345,345,345,345,345,345,345,345,345,345,345,345,345,345,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,404,404,404,404,404,404,440,397,417,417,417,417,439,433,426,426,426,426,385,366,385,385,385,385,404,404,404,404,404,404,233,297,276,276,276,276,281,284,276,303,264,325,372,337,323,338,338,323,421,414,426,389,397,406,249,261,274,274,274,274,290,254,235,180,246,201,323,304,264,332,323,360,229,234,221,176,296,156,445,433,415,405,364,478,278,302,337,279,351,308,154,136,134,84,117,87,237,260,338,227,229,213,253,251,238,215,217,243,291,301,311,270,261,299,417,378,318,273,318,282,160,133,101,89,119,104,238,222,207,200,118,202,267,277,260,265,219,220,316,285,198,271,185,254,337,341,375,298,267,276,173,157,195,134,240,121,219,217,211,188,132,185,234,212,193,166,206,195,262,290,284,234,236,216,325,288,281,338,298,199,197,193,195,205,186,242,216,220,196,200,179,149,242,200,200,227,227,184,291,321,333,283,313,280,327,318,269,297,241,315,149,123,118,124,108,131,161,149,147,155,166,140,216,191,186,177,193,156,279,283,271,232,211,219,360,333,223,311,317,303,103,93,62,102,105,101,173,173,152,125,193,76,209,180,152,184,123,115,262,257,332,215,259,154,366,369,326,273,350,224,140,145,134,149,122,121,139,143,142,154,141,98,190,176,154,169,157,148,234,226,246,197,173,156,255,254,241,233,234,182,76,43,81,54,53,49,95,111,97,92,109,78,114,113,113,81,51,77,166,202,63,197,146,87,273,239,268,183,207,120,9,21,15,24,17,8,23,25,9,17,9,4,122,129,103,103,105,66,87,86,99,79,52,77,146,124,180,157,111,130,1,2,4,3,5,3,2,0,2,1,2,1,5,16,8,17,8,4,66,40,78,84,111,32,125,95,59,50,67,51,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,361,341,321,343,265,226,203,347,330,353,310,316,290,410,425,412,383,473,332,385,360,385,347,315,295,439,390,379,362,397,375,268,284,283,235,249,207,320,312,321,300,263,295,352,348,350,337,370,293,416,395,359,365,322,338,451,455,437,431,442,414,295,282,218,257,230,212,342,334,332,309,318,300,372,357,343,335,304,297,393,383,399,367,347,353,422,424,409,377,315,361,273,246,237,238,247,211,323,327,324,318,291,320,355,343,352,323,269,279,382,375,383,353,313,311,448,431,430,398,339,369,303,297,354,243,237,231,303,283,273,244,231,236,342,342,316,303,304,275,375,357,340,324,324,307,452,442,404,414,303,396,268,257,223,247,189,277,282,287,292,265,243,232,323,304,245,305,259,256,353,362,353,324,272,343,439,417,409,386,348,327,239,238,204,250,208,220,273,259,286,247,291,219,307,293,305,289,238,236,349,357,306,365,296,327,382,375,378,342,327,306,220,190,185,173,218,174,259,258,218,237,212,198,303,279,227,265,245,245,376,358,316,338,253,253,399,370,438,334,415,305,167,152,136,152,128,160,234,230,193,216,189,156,304,288,426,229,283,214,318,359,316,338,305,308,400,412,318,370,263,270,162,150,92,116,98,118,220,201,230,173,144,133,281,260,205,247,185,207,349,312,265,284,285,260,392,369,368,340,265,286,144,109,139,101,99,108,178,165,218,142,160,133,211,206,159,196,158,141,286,236,273,276,97,238,329,345,400,317,270,218,108,114,101,114,106,84,151,139,170,140,83,143,206,192,180,158,163,90,277,263,257,237,152,191,353,318,299,255,207,127,30,82,50,38,52,67,106,96,96,33,40,22,172,155,157,155,107,74,276,205,276,154,262,130,363,318,335,238,197,195,2,3,8,4,8,5,13,15,8,3,10,4,33,40,25,33,58,61,152,141,94,132,95,45,218,224,222,197,232,108,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,279,261,275,268,262,239,362,352,381,322,335,291,419,457,452,414,477,380,375,309,261,310,326,310,545,536,490,490,490,490,244,250,260,263,315,262,357,346,301,306,252,268,409,392,453,365,400,406,465,477,420,475,348,491,449,414,382,401,361,515,279,293,310,176,282,157,368,360,321,335,241,289,441,444,503,404,420,416,438,437,388,379,362,390,460,463,465,402,376,376,310,248,324,265,359,281,354,360,361,320,246,286,388,394,390,360,409,326,433,441,376,448,402,452,472,432,376,479,346,447,277,273,315,247,267,236,324,296,389,274,221,249,385,361,376,342,341,280,439,418,514,412,409,400,464,464,423,435,408,463,295,292,214,251,259,206,329,325,363,306,311,266,358,359,369,327,251,304,439,405,454,407,400,393,469,487,452,473,401,421,258,240,230,218,246,225,320,307,299,252,263,200,404,372,395,371,318,318,450,478,537,402,521,374,465,473,512,414,440,413,215,203,272,183,272,129,294,296,242,336,184,297,328,324,287,250,313,214,397,356,305,375,355,283,480,461,428,450,397,337,258,241,220,192,220,205,289,294,316,302,244,258,312,281,249,258,269,228,397,369,379,336,408,290,449,437,456,376,388,398,261,222,207,216,207,148,292,276,302,240,234,209,333,299,325,257,246,233,418,398,328,353,223,316,451,394,376,352,366,230,214,195,215,182,193,161,239,237,241,208,188,198,301,253,219,238,168,201,388,401,330,381,286,351,428,396,396,352,293,347,144,135,127,110,136,98,212,184,141,149,134,149,244,230,269,203,147,142,340,324,263,255,255,224,448,444,415,374,312,211,101,111,54,85,75,34,182,158,158,104,64,71,293,272,282,214,182,170,383,352,229,331,349,192,442,425,446,356,375,178,15,21,22,11,24,13,31,33,72,37,28,23,104,99,62,64,47,47,234,167,206,116,148,90,537,520,517,345,409,161,9,9,9,9,9,9,1,3,3,3,3,3,10,10,10,10,10,10,10,10,10,10,10,10,10,10,10,10,10,10,314,314,314,314,314,314,260,286,286,286,286,286,285,299,299,299,299,299,314,314,314,314,314,314,314,314,314,314,314,314,218,218,218,218,218,218,194,235,232,256,232,269,140,147,161,154,161,154,173,173,181,173,181,173,218,218,218,218,218,218,130,100,125,109,125,125,184,104,123,128,147,140,170,176,148,124,148,141,223,188,185,160,176,176,249,249,224,224,224,224,406,494,418,418,418,399,290,338,289,321,283,316,456,420,474,334,471,375,444,475,460,488,438,531,336,359,321,267,305,279,144,189,157,150,172,164,277,245,285,226,269,244,412,392,437,362,397,421,435,475,515,546,495,496,387,395,411,364,364,411,376,313,287,214,305,259,338,343,319,311,287,281,343,360,239,353,267,319,425,393,439,353,368,433,445,421,358,398,366,406,183,233,199,170,181,142,296,301,218,349,407,281,352,333,320,286,382,262,407,387,335,399,336,392,424,439,405,355,344,377,231,265,242,168,199,178,304,276,248,253,176,265,373,321,250,334,243,310,451,413,428,318,361,316,477,462,460,466,504,379,298,297,292,358,321,373,335,305,393,321,271,277,342,325,224,274,229,238,470,434,423,407,531,304,491,488,455,497,480,535,290,268,332,270,305,253,267,261,299,256,283,225,311,318,421,279,298,307,375,327,424,325,286,342,412,399,374,386,262,340,199,139,205,140,158,104,259,219,312,177,260,122,301,297,261,252,241,208,403,398,462,257,386,241,467,444,480,394,382,337,123,108,96,116,145,141,187,171,131,166,123,134,260,256,252,213,183,204,344,351,336,320,308,215,412,384,335,318,257,257,69,53,48,28,46,42,202,183,148,108,112,48,276,212,188,150,166,116,368,362,386,286,343,191,441,461,468,306,419,195,50,65,42,20,48,27,28,30,66,30,20,9,95,105,116,92,139,60,298,257,218,270,231,144,502,418,442,329,366,170,412,412,412,412,412,412,412,412,412,412,412,412,412,412,412,412,412,412,412,412,412,412,412,412,412,412,412,412,412,412,218,240,240,240,240,240,275,228,235,214,246,235,294,260,273,273,273,273,240,252,252,252,252,252,264,264,264,264,264,264,297,301,370,261,267,222,401,417,364,365,368,330,440,426,371,428,371,296,498,440,426,387,403,435,590,468,503,426,458,481,376,300,273,342,278,299,397,381,364,356,323,320,437,432,405,383,351,347,475,469,547,470,462,482,531,537,490,537,542,548,353,369,386,354,406,350,404,376,379,329,329,313,463,445,428,426,430,369,480,472,417,448,418,436,502,493,518,455,492,396,344,372,381,358,410,349,407,400,343,379,342,354,437,405,417,366,394,367,476,462,503,450,426,467,557,524,448,498,429,469,333,336,354,339,326,293,385,375,397,347,316,320,432,419,431,393,322,368,470,455,419,427,507,404,513,532,473,498,380,457,317,294,352,255,283,255,370,357,360,371,265,334,406,416,374,381,398,333,496,481,484,498,487,380,495,501,517,448,412,455,307,254,330,263,286,218,335,324,346,309,306,273,367,383,301,328,260,307,463,444,412,408,473,382,548,562,634,563,479,483,302,303,281,264,336,210,335,347,412,322,316,288,411,385,376,342,323,235,438,399,338,386,348,335,505,477,493,444,411,389,254,214,206,217,281,227,323,307,327,280,255,216,379,355,344,365,323,349,448,458,411,428,457,388,520,519,535,481,396,505,276,229,231,266,209,209,314,321,290,295,239,216,354,339,288,269,350,242,437,405,430,346,373,298,441,459,406,393,301,337,185,128,192,143,113,139,253,252,208,207,163,176,321,299,313,265,213,271,385,378,310,312,225,302,519,451,438,331,292,295,110,119,81,62,91,102,213,168,165,85,90,40,368,323,310,240,242,159,423,385,389,275,319,184,536,494,508,350,334,185,4,5,16,8,16,9,77,47,31,53,39,39,121,85,130,115,91,104,231,231,209,145,140,99,528,483,503,337,386,172,429,429,429,429,429,429,429,429,429,429,429,429,429,429,429,429,429,429,429,429,429,429,429,429,429,429,429,429,429,429,432,385,526,384,423,370,452,445,458,426,404,406,474,467,551,494,513,470,479,462,518,463,454,582,488,542,517,454,495,495,419,379,338,399,403,389,443,437,435,412,386,376,486,477,460,462,403,445,523,512,503,502,493,482,564,544,475,511,460,460,381,363,345,356,287,365,437,427,421,402,368,378,471,452,422,434,422,404,519,508,512,475,493,477,549,538,542,517,503,480,397,386,354,342,343,354,441,432,389,396,379,379,473,458,413,425,401,386,498,487,477,457,476,447,552,551,527,515,531,474,402,386,391,384,323,364,425,409,387,387,382,349,467,451,422,423,404,379,525,508,480,471,481,456,586,564,487,542,464,535,366,380,313,364,273,323,430,427,398,429,360,392,491,486,476,459,458,421,505,498,483,510,456,487,563,556,593,523,497,446,389,346,405,296,317,357,428,424,434,387,402,338,457,428,494,393,403,366,551,554,519,546,499,536,603,575,550,555,595,516,396,362,343,359,322,320,426,416,404,389,395,334,481,456,443,391,363,397,549,533,552,493,455,476,580,555,606,494,468,451,376,380,402,355,361,354,462,448,421,413,470,414,477,459,472,460,416,361,544,478,536,451,372,468,581,551,432,534,474,503,341,302,263,294,255,231,411,424,343,392,333,365,469,455,494,404,391,359,547,542,503,555,549,459,602,585,566,542,450,432,333,287,301,222,198,150,375,355,406,334,383,284,445,417,393,372,361,333,503,481,514,471,518,412,614,561,601,526,533,494,257,245,277,287,228,216,387,382,442,328,294,270,469,422,335,366,285,263,564,527,551,494,500,457,617,598,561,532,499,457,222,143,151,106,128,101,293,242,311,192,163,88,488,443,492,392,364,258,573,551,563,502,522,444,723,686,644,627,537,589,5,19,25,10,23,13,88,102,103,53,91,23,198,171,133,177,183,214,354,407,369,453,469,456,684,629,662,670,640,656,0,1,1,1,1,1,0,0,0,0,0,0,1,1,1,1,1,1,3,3,3,3,3,3,3,3,3,3,3,3,714,699,699,699,699,699,771,750,737,737,737,737,713,713,713,727,713,727,684,684,684,684,684,684,684,684,684,684,684,684,753,732,704,708,704,704,554,604,579,624,559,606,697,626,632,621,662,662,420,420,462,440,462,440,615,644,644,626,626,626,473,432,493,538,493,539,483,478,452,442,518,410,476,568,468,543,514,550,445,377,414,441,435,462,547,567,579,590,552,572,342,250,325,306,309,327,436,419,401,403,362,381,546,586,518,580,519,530,579,514,532,580,453,603,669,622,630,565,625,565,451,464,434,360,461,396,455,476,386,491,434,412,477,514,566,472,417,526,489,457,466,468,483,531,527,480,562,477,536,424,427,447,398,456,490,406,447,416,381,440,402,405,506,502,445,473,423,475,532,484,474,517,558,503,578,592,512,470,384,435,472,450,549,389,485,446,484,476,557,424,454,371,552,513,489,491,500,492,586,606,501,572,566,531,636,672,687,720,657,671,408,486,501,465,459,426,443,407,328,396,423,334,524,516,510,475,400,441,558,531,476,607,555,532,616,572,575,498,507,541,401,390,389,346,389,288,480,477,373,440,371,377,496,462,372,421,386,363,580,566,587,528,509,574,591,567,544,541,517,464,395,380,346,343,334,262,465,458,466,467,459,397,525,517,486,489,385,437,588,562,627,528,525,493,661,663,630,668,542,579,328,288,274,261,351,273,453,456,539,395,392,365,512,464,464,427,464,338,614,585,616,538,612,496,665,650,586,638,522,596,301,232,247,184,198,128,413,387,342,305,312,255,521,481,519,426,305,391,645,614,631,591,639,531,706,707,709,638,669,513,171,122,117,117,122,59,373,310,262,253,190,148,570,511,479,405,434,283,716,696,676,564,591,553,751,710,664,646,643,590,31,24,29,10,31,15,91,73,42,63,43,22,223,257,333,368,431,352,339,465,438,524,565,716,734,761,677,844,809,845,464,464,464,464,464,464,464,464,464,464,464,464,464,464,464,464,464,464,464,464,464,464,464,464,464,464,464,464,464,464,391,391,391,391,391,391,357,346,364,364,364,364,394,365,383,383,383,383,391,391,391,391,391,391,391,391,391,391,391,391,561,540,548,563,548,548,526,480,460,502,478,482,628,572,578,611,594,620,465,411,452,456,430,430,392,450,450,450,450,450,503,482,483,536,507,544,515,461,537,443,495,421,505,530,567,514,530,485,571,561,539,552,525,545,621,520,567,500,546,500,446,391,363,418,360,444,488,482,436,451,514,401,557,530,530,502,581,514,635,619,613,640,544,669,648,624,629,540,551,580,467,469,411,388,411,415,516,464,387,467,450,449,544,537,498,572,489,552,583,565,577,543,407,544,617,611,542,651,558,581,478,473,498,440,394,482,493,472,432,485,425,429,536,529,466,510,430,504,589,570,584,567,500,549,650,657,670,651,575,613,465,427,410,421,433,410,499,500,510,456,497,419,563,540,464,510,463,513,650,640,655,605,616,607,695,694,670,649,509,560,456,441,468,470,459,436,470,476,481,415,428,356,535,509,465,471,355,412,593,555,585,523,612,507,684,663,694,662,669,713,448,419,419,465,436,460,505,469,506,485,428,488,536,480,461,482,489,450,605,583,610,538,509,542,614,585,590,543,614,502,418,443,362,370,335,321,493,450,517,440,360,397,568,550,498,529,506,481,613,576,589,537,544,476,667,646,689,604,566,516,453,372,408,356,399,338,438,422,432,404,469,350,526,549,595,438,451,409,622,580,579,592,582,542,680,690,666,587,619,522,323,298,211,224,258,195,440,396,305,322,246,301,527,474,506,398,413,361,651,618,663,601,525,588,694,688,625,614,560,612,178,131,139,171,139,101,406,348,336,228,205,90,575,549,504,405,400,377,749,726,777,619,608,592,804,808,786,775,762,765,25,38,36,17,42,20,87,98,107,66,38,22,237,265,229,323,344,296,470,509,495,651,671,728,761,749,711,827,780,858,482,482,482,482,482,482,482,482,482,482,482,482,482,482,482,482,482,482,482,482,482,482,482,482,482,482,482,482,482,482,479,477,501,450,497,432,514,513,498,493,448,466,558,551,548,530,525,494,588,575,582,550,533,520,615,617,634,596,541,567,494,459,507,454,431,433,519,506,495,492,488,463,554,547,553,526,507,511,593,592,604,577,578,549,641,618,636,594,577,547,474,454,502,433,488,418,527,523,494,502,473,482,546,539,532,518,514,492,580,576,590,584,543,553,615,623,640,602,502,584,465,444,507,450,412,413,513,510,473,490,428,443,572,555,515,547,485,523,607,604,544,583,543,560,625,628,666,597,586,605,466,469,399,442,482,425,526,515,570,467,412,455,589,582,530,554,486,489,622,606,569,591,525,592,642,627,595,566,512,544,493,480,546,474,532,427,527,521,509,506,476,462,579,567,548,532,523,498,626,617,573,592,532,576,673,665,630,631,572,588,523,522,462,506,408,472,523,505,522,501,495,464,576,552,557,516,487,473,645,614,646,604,656,506,696,702,681,624,687,611,472,462,555,443,581,466,540,533,526,493,432,476,574,546,511,506,400,494,594,613,628,574,527,532,702,670,660,623,609,595,468,460,388,467,393,442,533,522,503,524,473,435,582,579,524,544,580,501,641,617,595,589,554,536,718,709,715,621,614,547,460,511,419,494,488,473,549,535,546,468,433,432,618,583,597,517,564,445,704,673,688,644,633,621,751,728,679,714,666,687,427,429,270,345,297,330,555,542,604,515,550,404,640,623,620,566,587,478,716,677,659,613,630,570,760,745,759,714,698,689,491,447,415,438,467,396,558,531,558,499,457,461,664,640,658,588,445,509,747,708,735,654,562,602,816,800,807,771,681,693,588,515,568,466,526,439,500,525,472,498,538,488,599,596,570,618,596,628,713,771,720,825,765,762,852,863,905,817,870,768,430,497,491,494,531,551,519,563,531,537,502,491,521,493,541,555,564,650,554,537,511,626,703,816,724,713,672,743,818,877,473,447,443,361,379,268,605,557,560,467,432,349,768,739,742,675,678,571,898,903,909,902,914,919,947,952,969,958,967,982,554,554,554,554,554,554,596,567,574,574,574,574,541,519,545,567,545,545,554,554,554,554,554,554,554,554,554,554,554,554,540,605,606,672,625,625,546,606,538,570,589,599,496,508,537,490,514,513,683,647,623,604,652,605,732,760,726,726,726,712,586,581,618,582,618,540,484,438,452,464,498,477,492,503,497,485,460,508,564,508,543,568,430,565,642,699,635,702,635,598,512,440,494,431,432,420,568,549,542,519,438,483,610,569,538,521,507,457,630,633,641,592,575,611,642,601,511,507,475,491,529,490,560,482,418,509,536,514,545,504,508,500,596,595,584,535,482,521,608,575,713,539,676,524,661,711,685,653,697,643,518,510,454,471,411,460,564,575,573,559,551,565,578,566,544,545,478,499,633,615,582,628,589,552,679,666,695,560,645,588,513,474,455,509,427,426,568,560,550,479,568,498,633,635,544,578,540,468,713,684,633,666,676,636,744,754,749,695,815,693,530,525,560,483,560,484,615,611,685,576,493,519,656,642,587,602,548,573,706,704,684,713,665,638,778,779,731,750,720,710,576,536,590,454,447,440,634,609,618,587,627,553,649,642,705,600,549,624,701,667,723,699,704,620,748,737,615,730,663,703,555,546,476,542,478,565,583,568,557,527,592,492,643,626,652,600,601,555,707,714,706,680,640,685,757,739,658,723,624,739,640,584,585,568,536,508,661,625,612,619,591,560,704,692,658,700,522,671,758,742,724,730,679,732,801,776,691,735,677,654,659,660,652,589,653,537,730,723,712,642,648,588,801,774,746,698,684,577,874,835,798,796,801,739,911,880,818,846,729,837,865,848,854,840,854,826,901,883,913,817,903,833,921,901,930,848,925,769,955,950,949,914,957,828,989,988,982,964,949,917,999,999,997,998,997,998,993,997,989,979,988,946,999,983,991,982,988,927,999,991,996,984,994,979,1000,1000,999,1000,999,999,518,518,518,518,518,518,518,518,518,518,518,518,518,518,518,518,518,518,518,518,518,518,518,518,518,518,518,518,518,518,439,461,461,461,461,461,500,393,450,409,450,450,443,452,443,424,417,398,633,645,610,628,610,645,484,484,484,484,484,484,746,725,721,734,721,734,640,577,624,634,624,619,632,638,614,662,629,630,645,697,705,701,691,644,674,723,738,738,738,726,402,410,443,410,443,448,583,553,548,518,526,542,531,497,472,476,472,436,734,749,678,760,738,725,540,598,559,629,606,624,358,331,345,379,391,317,555,537,608,576,585,525,647,663,595,576,612,595,754,718,727,737,727,751,695,672,713,688,682,726,417,478,474,461,474,513,539,516,580,518,463,502,601,551,574,515,549,584,672,661,677,671,635,685,666,621,679,557,636,655,489,510,508,438,465,428,574,594,629,641,548,627,624,603,638,593,618,569,656,669,621,607,607,607,750,749,603,732,701,719,522,465,490,437,486,418,600,558,606,532,580,471,630,621,623,626,644,628,751,717,674,739,725,704,702,697,636,693,719,636,595,578,541,456,586,372,649,637,597,616,619,554,726,701,697,631,720,565,753,739,805,683,775,610,746,711,615,721,571,675,570,571,575,558,641,487,658,649,533,617,606,602,722,684,828,631,752,580,751,735,717,706,706,674,771,793,745,759,751,692,579,520,606,498,575,436,644,622,600,601,521,622,707,725,670,666,592,622,774,767,689,787,750,711,799,790,779,790,661,839,618,541,558,523,539,543,702,667,652,606,639,539,769,718,765,670,684,566,810,798,864,751,783,746,840,812,821,759,811,653,684,684,607,658,584,561,739,724,818,684,659,627,823,810,766,780,715,690,892,861,801,823,819,754,927,911,902,890,860,845,775,731,753,642,705,682,909,903,911,888,891,837,944,912,929,883,913,836,974,970,967,933,945,917,990,999,994,997,966,946,922,889,927,953,927,937,988,998,993,997,991,995,995,992,990,965,990,938,995,993,995,987,993,948,1000,1000,999,1000,999,1000,536,536,536,536,536,536,536,536,536,536,536,536,536,536,536,536,536,536,536,536,536,536,536,536,536,536,536,536,536,536,633,677,655,684,655,655,632,648,573,673,587,618,603,561,475,487,556,532,710,733,630,742,738,740,654,672,664,664,693,663,566,555,617,541,562,527,608,602,576,570,545,546,624,619,670,625,631,586,672,685,690,670,621,675,712,682,674,675,642,639,600,563,569,580,622,553,616,622,585,619,585,586,641,633,624,625,593,579,680,671,758,634,640,607,709,682,712,681,639,687,600,604,571,563,522,514,622,601,633,574,646,552,653,643,654,598,608,601,674,653,622,653,623,617,727,715,738,683,704,672,615,598,534,639,646,578,619,608,592,577,562,565,676,655,637,642,563,596,700,682,670,639,705,665,745,742,739,709,619,668,595,574,527,534,514,521,627,624,632,616,587,583,656,657,671,627,619,576,695,693,716,669,733,660,740,734,741,718,661,678,584,583,610,570,581,586,643,648,605,637,615,594,708,681,698,674,580,618,717,747,769,725,696,671,762,723,652,737,676,723,624,617,608,612,540,579,671,654,591,622,486,605,724,713,690,696,672,646,754,741,726,721,641,720,820,817,796,740,714,723,582,563,649,601,609,559,640,635,554,561,606,530,702,682,664,634,601,613,709,716,728,724,727,700,792,802,776,799,761,730,605,582,624,576,521,462,693,661,698,612,649,536,731,723,733,706,636,649,760,750,809,683,741,620,826,832,828,786,766,699,610,581,624,578,661,498,711,677,702,611,602,582,799,751,800,696,723,601,853,812,851,815,795,776,888,891,839,852,757,843,732,707,718,648,706,609,765,737,684,684,580,675,860,824,854,791,761,734,894,870,797,839,712,775,931,920,946,885,865,860,877,903,890,848,884,877,916,871,900,835,868,800,944,928,950,881,899,827,965,969,948,936,942,923,976,980,982,963,980,923,999,999,998,999,998,998,990,996,987,974,985,917,1000,999,997,986,997,977,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,553,553,553,553,553,553,553,553,553,553,553,553,553,553,553,553,553,553,553,553,553,553,553,553,553,553,553,553,553,553,683,685,669,669,669,669,653,607,601,631,631,631,617,634,629,629,629,629,636,636,636,636,636,636,670,654,654,654,654,654,670,636,693,673,710,688,637,634,649,639,691,578,697,677,681,649,700,621,661,624,754,657,633,669,652,651,600,640,643,593,665,682,668,662,747,641,643,634,660,636,666,595,685,667,687,632,681,587,731,737,780,724,685,694,753,726,678,757,710,737,600,637,693,601,590,592,677,674,650,656,625,633,706,683,682,667,669,574,723,703,790,689,705,676,766,758,784,733,765,718,642,620,628,600,563,607,673,654,742,634,630,604,707,700,725,649,647,634,747,738,732,695,697,668,780,760,802,728,694,754,648,626,617,627,584,596,677,671,688,652,594,628,706,713,722,700,672,683,751,730,753,720,710,720,789,781,758,776,750,697,656,643,708,601,652,610,670,672,687,612,618,604,699,691,662,696,546,667,785,758,672,726,638,725,823,813,778,806,766,661,683,649,617,592,508,554,728,732,755,709,712,719,760,725,692,688,758,694,791,794,780,789,799,762,796,791,745,768,675,743,571,626,583,615,580,580,715,720,758,685,668,609,797,782,745,773,690,770,817,795,837,751,786,789,859,863,848,825,813,787,688,700,742,705,709,705,732,726,722,694,646,675,787,778,763,717,638,651,856,829,807,850,777,792,877,875,847,845,853,819,766,740,740,692,702,695,798,798,768,721,750,621,846,815,851,760,779,686,882,867,886,833,846,836,886,883,816,865,825,838,794,774,765,797,777,741,832,818,796,796,790,735,871,859,854,826,807,802,922,913,871,909,901,873,947,939,919,911,876,898,975,943,947,911,945,885,946,954,958,933,919,922,972,946,935,944,935,902,976,961,976,888,899,890,985,998,967,996,962,973,999,999,998,999,998,999,995,988,993,998,993,973,991,987,985,965,984,906,999,999,998,986,997,979,1000,1000,999,1000,999,1000,571,571,571,571,571,571,571,571,571,571,571,571,571,571,571,571,571,571,571,571,571,571,571,571,571,571,571,571,571,571,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,825,825,825,825,825,825,856,886,863,876,863,870,757,734,771,771,771,771,905,862,871,877,871,877,867,861,854,861,854,854,727,727,727,727,727,727,651,660,657,589,657,673,754,733,730,709,743,709,733,776,707,766,743,743,880,880,844,858,844,851,733,713,713,677,713,679,720,751,731,787,719,753,788,743,793,741,783,718,868,829,857,864,851,851,831,819,806,769,758,796,812,750,798,767,798,799,786,763,834,756,772,745,766,731,796,764,776,769,899,891,879,834,867,840,925,941,911,929,911,926,653,652,695,666,664,639,745,755,727,743,720,673,782,784,709,759,745,687,852,888,872,883,814,841,857,814,790,807,813,791,649,643,631,610,619,548,728,720,670,752,728,664,757,664,749,677,674,670,779,808,817,763,787,771,803,824,797,793,823,738,669,694,714,653,648,655,747,754,827,714,798,694,803,797,727,726,759,667,821,848,811,835,795,872,837,816,765,816,701,781,748,729,763,660,682,633,787,787,817,780,855,758,822,802,794,728,767,767,837,815,823,787,856,784,823,850,827,834,805,807,776,767,783,657,753,629,834,831,795,828,773,741,835,812,849,795,791,799,826,834,860,831,847,786,850,829,784,863,825,848,830,861,824,827,830,779,847,832,822,802,802,818,871,848,880,822,758,776,923,927,866,917,893,940,953,929,944,930,958,883,792,753,728,750,775,690,867,867,771,863,863,814,912,888,880,867,919,796,950,938,974,920,902,893,983,981,992,958,967,962,892,868,864,772,852,653,953,944,960,926,917,927,973,960,979,927,940,940,985,984,989,960,958,958,992,990,992,984,962,972,1000,1000,999,999,999,999,992,991,993,980,991,970,1000,1000,998,999,998,962,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,588,704,675,709,709,709,709,782,733,740,700,740,718,808,796,746,793,783,783,799,765,789,744,779,731,812,783,783,783,783,783,612,595,559,546,559,525,713,667,696,682,640,643,704,693,740,609,727,631,810,843,828,830,771,847,882,852,821,817,851,864,629,628,597,575,651,542,692,713,691,716,686,653,758,737,759,695,703,678,768,766,787,729,722,721,865,824,842,804,815,813,698,646,660,620,571,592,731,737,677,717,713,689,755,736,750,703,767,693,750,752,728,770,723,731,804,763,758,745,767,730,686,703,676,698,633,731,735,730,729,708,695,679,759,752,776,755,737,737,769,742,765,711,792,774,774,807,759,769,656,785,695,738,633,742,605,685,695,701,738,674,685,715,750,738,738,753,763,676,814,789,763,769,740,714,836,843,848,831,790,801,728,710,664,720,678,682,748,743,745,712,731,686,798,771,702,736,667,685,866,858,905,814,870,852,847,845,869,804,829,774,785,728,782,658,750,662,758,740,758,676,667,665,801,829,833,817,790,753,863,873,892,896,943,841,899,867,806,868,782,845,732,726,719,760,770,698,771,745,761,706,652,687,823,795,841,797,728,749,866,837,853,812,789,823,874,889,908,817,886,826,771,728,711,710,751,668,815,812,836,797,816,756,868,870,886,838,889,821,860,873,885,876,834,888,913,910,934,885,852,857,763,782,804,687,812,697,856,800,865,771,853,738,903,886,881,867,857,775,939,943,923,922,890,893,941,927,866,943,930,918,830,787,815,773,826,739,866,839,853,808,825,740,936,932,901,900,960,875,954,964,940,955,927,931,979,984,979,972,949,960,939,933,876,879,844,871,948,970,968,960,958,933,958,935,903,919,918,836,980,985,943,982,959,991,994,992,997,998,996,997,1000,999,999,999,999,999,993,990,995,998,994,997,999,999,962,968,991,932,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,606,606,606,606,606,606,606,606,606,606,606,606,606,606,606,606,606,606,606,606,606,606,606,606,606,606,606,606,606,606,617,627,620,574,590,616,721,716,813,731,793,789,748,744,782,739,758,742,782,718,795,784,785,750,763,734,717,655,711,746,684,670,729,659,630,638,707,699,638,675,659,666,745,744,720,700,708,676,792,780,769,758,694,742,801,780,881,719,771,726,693,685,603,669,616,659,727,719,717,706,711,647,755,744,757,738,785,697,794,783,774,773,695,720,795,794,810,784,783,746,709,708,738,714,753,665,708,674,745,659,654,675,742,730,718,688,656,682,766,758,739,757,732,712,792,787,769,755,807,747,701,716,716,699,740,664,740,755,752,733,739,688,769,750,754,706,744,663,810,789,835,773,764,773,841,834,782,844,779,799,728,695,734,687,617,708,743,756,679,739,733,707,789,771,751,759,767,728,796,805,752,794,780,788,823,814,844,805,779,798,757,732,822,737,753,684,758,760,714,742,713,691,805,784,845,759,809,748,835,845,828,817,846,788,876,857,903,850,797,860,745,748,763,790,805,731,799,791,755,762,696,733,806,800,773,789,699,746,885,854,818,814,822,797,902,908,928,876,891,859,774,771,770,655,710,704,815,802,781,792,703,790,858,835,863,786,829,781,904,883,939,875,877,839,920,897,922,861,899,857,814,801,778,732,778,682,848,840,843,805,792,731,912,892,862,854,863,802,938,928,895,905,885,822,953,951,918,949,909,949,849,803,865,854,785,789,855,849,851,797,845,834,910,900,912,879,874,860,929,938,916,928,932,909,961,970,946,973,923,963,851,820,831,773,716,821,926,902,946,872,891,817,956,954,950,931,938,878,991,983,977,981,995,982,991,992,997,992,996,998,950,930,943,924,943,924,971,963,968,930,969,924,989,972,984,944,983,939,1000,1000,999,1000,999,1000,1000,1000,999,1000,999,999,1000,1000,1000,1000,1000,1000,1000,1000,999,989,999,999,1000,1000,998,999,998,975,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,622,622,622,622,622,622,622,622,622,622,622,622,622,622,622,622,622,622,622,622,622,622,622,622,622,622,622,622,622,622,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,778,778,778,778,778,778,816,798,798,798,798,798,823,831,815,823,815,815,778,778,778,778,778,778,778,778,778,778,778,778,774,753,741,741,741,741,736,719,715,721,715,681,733,730,726,693,712,693,601,619,649,601,631,631,570,570,599,570,599,599,778,759,779,770,779,799,809,793,785,822,739,767,822,812,818,854,795,864,803,804,816,729,762,791,808,839,856,810,850,836,668,645,673,580,673,597,791,808,829,794,815,807,829,803,799,863,819,868,886,892,899,887,867,882,902,839,856,832,831,825,802,792,862,736,830,730,816,801,758,783,755,741,837,833,801,854,777,816,858,817,781,798,816,811,867,891,898,850,869,839,812,780,832,770,825,787,828,851,818,832,809,808,862,828,844,839,881,762,903,873,868,901,874,942,898,887,941,916,930,920,720,731,758,723,734,714,857,839,876,792,805,796,861,845,885,835,855,849,895,887,854,850,864,868,886,903,926,880,859,900,816,810,853,856,831,845,863,872,841,861,852,833,889,902,930,912,918,885,907,891,888,890,908,893,942,948,940,897,860,919,915,900,896,827,904,834,908,897,923,891,861,882,911,915,864,894,864,876,958,943,953,922,932,933,958,943,977,910,921,882,899,880,862,872,890,858,912,888,921,879,901,853,934,933,896,914,903,915,943,954,943,975,958,950,983,974,969,965,939,947,930,919,907,879,891,897,939,922,941,918,932,883,979,974,966,949,972,935,999,991,996,975,996,970,995,995,973,998,973,982,972,959,967,956,965,942,982,958,976,945,972,938,986,978,954,968,913,951,1000,1000,999,1000,999,999,1000,1000,999,999,999,999,1000,1000,1000,1000,1000,1000,996,994,997,999,997,998,1000,999,998,999,997,976,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,639,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,813,813,804,813,804,804,810,835,835,856,827,850,831,845,823,785,814,814,762,719,741,706,741,741,628,645,660,628,660,628,686,678,700,727,700,714,657,673,677,613,677,649,715,794,739,742,739,729,711,657,709,761,741,752,762,724,749,731,749,715,541,466,549,517,549,520,802,839,848,787,800,792,820,818,793,813,848,767,855,845,828,840,821,829,780,750,728,767,720,693,717,661,701,659,701,611,755,788,756,723,763,730,799,757,718,770,814,726,846,848,824,832,864,753,874,868,841,877,791,906,817,799,829,772,774,737,780,800,755,829,804,858,796,763,813,717,782,639,838,840,861,815,835,842,919,910,907,875,865,894,780,844,814,769,758,747,858,836,902,817,792,871,878,870,890,889,874,838,916,896,876,881,929,905,946,934,914,913,946,920,844,820,859,812,859,832,878,874,934,854,896,894,921,909,845,890,821,892,923,928,967,936,964,924,931,920,954,905,906,887,875,858,860,913,882,907,900,900,927,888,873,871,899,890,888,894,923,860,962,966,977,927,974,970,949,921,967,930,929,854,900,912,913,876,917,846,907,917,922,882,883,826,936,912,913,871,905,852,952,945,958,924,911,880,980,959,963,961,964,959,915,877,904,866,885,851,949,945,959,914,935,929,955,952,943,907,943,898,979,982,992,982,964,985,995,999,978,999,997,983,1000,1000,1000,1000,1000,1000,981,992,995,990,994,983,994,991,998,985,997,980,996,997,998,994,998,989,1000,1000,1000,1000,1000,1000,989,999,995,997,995,996,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,655,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,732,687,735,704,735,701,790,792,800,760,765,709,741,804,750,765,774,730,802,857,852,826,830,802,804,837,772,772,799,799,685,637,599,589,671,513,784,773,701,769,734,754,838,812,829,757,856,745,826,823,809,875,775,825,874,839,860,771,839,830,761,732,615,707,636,627,828,806,835,836,763,837,801,795,828,812,801,839,838,853,862,825,885,782,845,818,805,822,777,831,770,769,804,747,818,742,809,800,851,795,804,791,814,812,841,776,779,766,862,846,814,841,771,786,900,883,887,879,883,835,792,767,730,765,749,727,841,853,832,831,796,825,879,857,865,836,879,814,902,904,917,907,863,901,916,912,859,914,831,908,819,818,847,829,777,815,858,846,816,833,796,843,879,874,852,843,889,861,903,893,974,888,888,876,896,913,901,960,926,948,762,731,758,718,738,742,854,840,882,824,823,814,894,882,885,880,882,827,935,923,946,896,930,928,927,922,924,892,907,856,889,877,863,859,868,822,870,872,825,837,864,800,904,905,871,908,845,895,926,935,885,916,953,936,931,923,966,910,929,908,887,884,925,895,925,908,911,894,911,883,900,862,933,927,882,896,870,863,957,955,978,944,967,933,974,956,967,919,949,905,932,922,933,893,935,862,954,952,908,948,886,927,950,948,956,932,950,902,977,974,974,951,917,948,991,992,948,978,936,957,975,976,976,964,971,925,975,981,975,960,991,945,995,993,976,1000,983,994,1000,1000,1000,1000,1000,992,1000,997,1000,1000,999,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,997,991,995,980,994,969,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,671,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,819,819,810,810,810,810,787,773,803,812,803,793,826,824,815,815,815,815,871,847,839,839,839,839,713,713,747,713,734,734,745,759,787,806,776,787,806,781,807,687,785,719,859,821,809,798,809,837,948,931,916,922,928,940,857,906,891,921,896,901,745,718,813,760,805,778,817,807,764,816,835,797,822,787,727,786,818,777,877,918,896,921,866,911,913,895,893,956,944,873,814,785,775,847,791,780,848,837,867,812,896,789,875,848,870,819,791,794,886,897,856,857,881,861,915,921,927,887,853,907,837,833,883,809,858,795,859,849,856,855,884,853,894,898,868,883,828,876,907,903,909,889,904,892,930,916,864,921,904,907,864,872,879,862,874,851,889,866,885,861,890,865,914,923,896,883,889,854,944,931,957,912,950,914,941,933,954,910,921,914,913,913,928,892,931,900,879,893,840,900,815,891,918,926,926,914,943,884,954,927,975,914,968,897,954,963,964,942,945,922,898,891,850,894,902,880,910,914,909,927,930,912,916,891,930,871,868,870,944,938,959,921,932,910,969,957,950,978,965,959,902,907,885,911,859,841,930,947,931,947,953,941,944,933,895,909,947,875,969,969,921,958,944,982,965,964,942,952,888,932,955,949,958,914,913,923,974,960,927,957,954,958,966,955,963,929,912,937,984,989,994,987,991,952,989,986,993,975,961,979,980,986,985,966,983,974,991,987,965,980,993,968,997,996,997,999,975,967,993,995,998,991,998,999,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,687,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,445,445,445,445,445,445,424,403,424,424,424,424,337,353,371,353,371,371,403,424,424,424,424,424,445,445,445,445,445,445,826,826,826,826,826,826,903,903,884,894,884,884,856,841,841,841,841,841,753,719,740,705,740,705,883,872,872,872,866,866,959,959,955,961,955,959,920,933,936,956,939,942,938,930,923,902,923,902,983,979,974,978,974,975,958,960,956,956,956,954,974,972,966,972,966,968,932,933,937,917,939,942,951,976,963,967,963,968,928,915,918,895,918,876,988,986,979,983,979,981,837,849,820,858,852,886,898,895,916,875,900,892,857,835,861,813,808,833,908,921,935,898,927,942,920,981,960,968,953,955,961,973,947,934,947,888,919,899,915,905,931,924,944,913,899,922,907,907,882,931,933,935,930,914,993,971,978,983,979,980,922,910,931,930,931,939,910,856,863,809,870,833,986,988,988,978,929,947,925,891,913,832,881,879,982,979,982,986,946,958,874,908,866,903,860,935,935,943,911,916,888,879,947,952,960,955,934,961,953,954,960,922,915,931,983,979,957,990,904,986,949,964,916,971,916,960,963,971,986,980,987,981,980,982,925,972,917,966,982,967,985,959,980,937,999,998,996,981,996,976,926,924,930,905,927,920,934,926,973,948,940,944,965,957,906,963,931,937,985,980,961,996,960,994,993,990,995,980,993,995,999,999,996,999,996,977,987,989,993,964,965,968,997,990,996,975,977,957,993,991,997,991,996,986,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,702,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,758,758,746,746,746,746,689,689,708,722,708,722,659,722,708,722,708,722,721,721,721,721,721,721,721,721,721,721,721,721,829,815,819,790,819,828,855,845,852,824,852,836,814,770,741,712,776,741,876,886,838,911,830,888,916,900,913,913,904,899,826,851,858,812,858,763,815,830,812,835,804,741,860,901,836,847,881,823,832,773,811,758,778,747,865,866,843,890,783,862,859,895,884,889,878,883,851,843,871,855,909,858,899,904,872,899,914,856,903,900,917,832,879,864,885,912,896,880,887,885,857,893,894,867,898,865,885,853,841,878,807,858,915,904,888,883,914,872,928,920,830,907,933,911,955,950,983,960,938,920,900,852,901,857,842,870,921,922,931,918,927,907,948,952,923,936,939,913,948,955,926,962,969,920,954,938,973,945,928,933,976,967,975,971,973,955,942,931,939,905,923,898,946,958,964,956,953,969,941,940,955,929,965,933,971,964,966,949,933,957,929,941,944,937,944,899,948,928,927,935,937,930,973,978,989,950,961,927,990,988,993,978,967,973,990,987,992,973,989,944,965,951,972,954,961,907,980,973,992,960,987,955,974,968,944,965,935,963,986,985,995,983,993,964,993,995,997,989,975,998,905,911,933,899,892,912,971,958,985,963,984,964,982,973,957,968,948,950,997,1000,998,992,997,987,1000,1000,1000,1000,1000,1000,989,965,982,979,980,971,995,994,976,984,972,967,997,995,998,991,981,979,998,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,991,999,996,998,996,997,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,717,873,873,873,873,873,873,885,879,879,879,879,879,904,890,890,890,890,890,890,890,885,885,885,885,912,904,899,904,899,899,910,885,878,868,878,884,798,789,724,781,757,777,807,809,857,843,831,740,838,840,855,819,861,795,785,801,811,779,811,828,897,937,931,938,921,880,861,848,880,832,877,826,902,908,937,908,950,899,912,927,925,930,927,962,848,838,844,774,826,795,876,883,890,854,848,821,889,910,856,916,941,879,900,891,840,887,849,882,893,905,900,889,847,908,889,869,903,877,899,818,851,872,896,934,891,942,874,881,919,875,892,864,907,909,894,875,881,850,945,953,979,954,917,928,934,963,915,953,896,959,890,867,896,852,913,877,887,886,856,859,848,845,916,921,950,910,936,908,920,908,917,894,917,909,939,932,913,936,915,927,888,859,867,860,904,818,922,926,908,886,905,857,947,948,969,955,963,932,961,962,937,948,975,958,974,979,986,983,951,991,919,950,953,945,947,949,938,946,934,954,941,926,947,967,952,934,906,924,970,974,988,977,987,973,969,962,903,963,939,911,971,956,963,953,965,914,974,973,941,962,941,951,969,971,964,961,937,945,985,976,969,973,970,972,987,985,993,983,993,957,973,955,966,961,965,929,985,993,995,993,995,979,990,994,967,986,973,994,986,988,964,998,974,987,988,981,975,998,995,997,975,971,941,991,978,990,982,971,964,960,919,987,997,996,997,991,972,985,1000,1000,1000,1000,1000,1000,1000,1000,999,1000,972,999,975,968,976,971,976,959,994,996,998,994,975,999,998,997,999,994,998,991,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,731,731,731,731,731,731,731,731,731,731,731,731,731,731,731,731,731,731,731,731,731,731,731,731,731,731,731,731,731,731,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,893,893,887,893,887,887,844,840,857,834,857,857,926,926,911,915,911,911,888,882,888,882,882,882,871,871,871,871,871,871,930,964,957,957,955,957,922,916,920,888,916,888,994,994,989,992,989,990,991,990,985,985,983,985,983,980,975,975,975,976,900,902,861,891,904,942,935,919,911,942,878,949,933,926,927,958,955,946,935,911,909,904,890,920,982,995,988,993,987,991,949,954,956,942,958,961,974,982,983,978,942,971,962,978,981,992,983,989,955,952,924,944,946,884,972,963,973,982,974,975,966,957,960,950,960,938,950,957,970,949,930,943,999,984,962,997,951,996,992,999,997,998,996,998,989,998,995,996,994,995,924,903,931,937,931,921,975,959,979,951,979,959,988,990,990,984,991,977,992,999,996,998,995,977,965,973,973,952,973,953,980,974,971,947,969,949,973,966,984,941,982,946,984,984,989,968,959,949,986,981,986,967,987,969,992,989,996,997,994,997,998,998,994,974,993,996,992,980,995,998,994,984,996,999,972,990,996,974,1000,1000,1000,1000,1000,1000,992,999,998,999,997,998,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,745,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,811,811,811,811,811,811,829,820,820,820,820,820,829,820,820,820,820,820,811,811,811,811,811,811,811,811,811,811,811,811,748,748,761,737,761,737,889,873,873,884,873,873,929,916,908,908,904,908,856,848,848,848,848,848,841,841,841,841,841,841,841,821,835,813,796,843,921,903,911,897,911,926,925,923,936,946,936,939,914,891,909,917,913,913,953,955,949,949,943,946,750,757,812,711,775,761,918,918,912,877,867,892,948,935,940,932,940,911,986,982,968,946,966,972,969,968,945,948,900,945,839,833,854,833,847,733,936,937,917,935,949,925,934,933,959,912,950,902,961,951,971,956,966,929,983,981,985,969,980,953,975,945,969,981,967,978,944,929,962,889,953,834,975,978,893,991,942,987,989,984,989,994,988,992,972,994,985,990,985,987,975,992,985,991,986,990,970,964,926,950,923,957,993,991,994,983,993,996,999,999,997,999,997,975,1000,1000,999,999,999,999,999,999,997,999,997,998,968,981,983,964,980,969,973,969,946,971,953,973,992,990,995,998,995,997,992,999,997,998,996,998,984,981,982,973,981,938,986,983,990,976,987,962,996,1000,999,1000,999,999,994,993,997,999,997,998,977,970,983,979,981,971,983,997,992,996,992,996,983,988,992,978,990,967,1000,1000,1000,1000,1000,1000,995,993,998,999,997,998,991,988,960,981,988,994,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,999,999,998,982,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,758,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,875,875,875,875,875,875,901,901,896,901,896,901,875,875,875,875,875,875,896,896,891,896,891,891,875,875,875,875,875,875,772,806,827,835,827,842,912,899,902,891,907,907,951,965,950,958,947,954,880,857,891,912,891,901,882,851,856,823,823,856,822,816,827,805,827,806,905,937,910,948,933,897,917,950,963,949,952,969,912,922,920,899,912,857,941,926,912,961,939,949,897,868,905,903,901,904,915,895,921,884,934,849,944,948,937,895,928,895,993,998,995,997,962,995,974,984,946,974,949,956,971,966,978,955,977,969,947,941,905,952,899,950,940,931,939,928,971,895,963,974,951,955,961,991,984,989,994,978,991,968,987,967,979,982,978,956,961,970,970,964,983,973,974,957,957,939,938,947,968,976,987,983,954,951,978,978,959,991,981,959,981,960,976,968,975,961,974,981,992,984,988,973,988,996,997,999,996,998,987,994,994,979,994,982,982,971,985,971,961,973,989,985,992,997,992,996,989,991,996,999,996,988,990,981,992,975,960,974,991,989,973,988,993,997,989,993,997,999,998,998,982,986,982,979,983,971,991,993,995,982,966,980,995,994,998,994,998,991,993,995,997,990,997,998,1000,1000,999,1000,972,999,1000,1000,1000,1000,1000,1000,990,989,996,999,996,998,997,996,998,987,997,976,997,1000,999,1000,999,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,994,999,1000,999,999,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,771,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,822,813,813,813,813,813,729,738,761,773,761,773,830,830,822,822,822,822,838,838,838,829,829,829,804,804,804,804,804,804,780,770,797,806,797,797,830,790,832,871,832,854,822,808,821,794,812,793,827,879,849,856,849,849,893,925,900,905,896,900,969,959,941,905,943,905,958,988,970,982,971,979,931,928,868,916,920,841,947,903,949,931,939,954,973,932,957,962,959,955,909,942,940,925,903,956,954,953,975,966,937,965,952,944,975,955,935,933,964,962,892,962,915,981,953,965,937,946,966,906,910,929,932,906,926,949,976,953,956,945,938,956,963,967,946,965,975,986,959,959,935,961,964,940,970,976,979,962,976,976,968,940,951,918,955,925,981,990,991,996,989,974,999,990,994,984,992,962,984,969,983,977,983,970,980,985,987,974,985,991,999,999,998,999,998,999,985,985,991,984,990,977,990,979,910,984,954,977,993,992,995,986,995,997,991,999,997,998,997,997,977,989,977,964,977,955,988,983,990,972,992,996,990,987,993,977,992,966,994,993,997,999,996,998,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,999,1000,967,999,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,783,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,852,852,852,852,852,852,872,872,865,865,865,865,852,852,852,852,852,852,852,852,852,852,852,852,852,852,852,852,852,852,967,964,964,964,964,964,980,980,978,979,979,978,981,979,976,975,976,975,973,971,971,971,969,969,960,960,960,960,960,960,979,979,978,978,978,978,987,985,983,984,983,983,989,989,986,988,986,987,992,991,989,989,988,989,985,987,983,984,983,983,933,926,940,950,940,950,973,987,975,983,977,979,953,938,958,965,958,963,932,932,945,961,950,954,880,890,916,916,916,907,993,992,988,989,988,989,949,942,955,947,951,938,998,997,995,996,994,996,996,995,992,994,992,993,993,993,990,991,990,990,914,962,949,959,951,954,942,958,948,924,904,927,986,997,994,996,993,995,998,997,995,996,995,995,997,997,995,996,994,995,992,990,988,990,988,990,967,959,965,929,962,942,968,973,967,960,924,948,986,997,993,995,993,994,974,964,979,981,977,978,980,995,990,994,990,992,994,999,997,999,997,998,990,986,952,994,952,991,1000,1000,1000,1000,1000,1000,1000,1000,999,1000,999,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,795,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,877,877,877,877,877,877,877,877,877,877,877,877,888,882,882,882,882,882,898,888,888,888,888,888,882,888,882,882,882,882,957,949,946,946,946,946,932,905,917,889,917,925,977,975,968,969,966,969,861,855,888,888,883,883,970,967,960,964,962,962,892,806,850,833,850,800,936,920,877,932,882,939,961,935,945,945,945,920,938,929,926,909,930,894,980,981,972,973,969,973,951,978,972,987,972,984,948,960,977,970,972,971,985,972,980,968,948,973,973,972,978,973,977,931,999,999,998,999,997,998,928,918,898,963,943,954,991,992,995,984,992,975,988,991,996,998,995,996,1000,1000,999,1000,999,999,1000,1000,999,999,999,999,994,974,982,968,982,989,977,987,982,978,938,990,985,978,957,995,988,991,990,987,992,996,957,994,986,982,986,975,986,965,999,999,998,999,998,999,1000,999,997,999,997,961,994,978,992,983,991,996,993,999,998,999,998,998,985,983,984,969,955,988,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,997,993,997,999,997,999,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,807,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,904,899,899,899,899,899,923,927,915,915,915,915,894,894,894,894,894,894,894,894,894,894,894,894,894,894,894,894,894,894,681,667,683,651,683,683,689,702,718,735,718,744,693,643,686,697,686,669,825,817,799,799,808,799,845,824,806,806,806,806,957,980,966,972,968,968,953,948,944,902,941,917,945,949,938,882,938,873,988,954,972,980,975,975,990,988,983,983,983,984,996,996,991,994,991,993,933,917,950,914,942,901,940,929,958,962,956,947,986,997,994,996,993,994,979,994,987,991,986,986,977,971,981,965,980,968,976,979,938,978,987,974,989,977,974,976,965,984,977,987,993,974,993,974,989,980,969,985,960,976,984,989,991,996,991,995,994,995,998,995,998,999,992,988,996,986,996,986,996,995,998,989,965,998,1000,1000,1000,1000,1000,1000,967,929,955,958,959,941,994,997,998,994,998,991,996,997,999,1000,999,1000,997,996,997,979,974,988,1000,1000,1000,1000,1000,1000,976,974,982,972,981,993,995,993,998,992,998,993,997,996,999,1000,982,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,996,995,999,994,984,1000,999,997,999,992,972,995,1000,1000,1000,1000,1000,1000,998,997,999,995,999,992,993,988,994,982,993,986,999,997,1000,1000,1000,1000,998,997,999,995,999,990,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,999,1000,999,987,1000,1000,1000,998,1000,996,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,1000,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818,818],"seed":1979}
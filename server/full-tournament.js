@@ -14,6 +14,8 @@ const __dirname = dirname(__filename)
 // Import game logic
 const gameEnginePath = pathToFileURL(join(__dirname, '..', 'client', 'src', 'utils', 'gameEngine.js')).href
 const { initializeGame, executePlay, isGameOver } = await import(gameEnginePath)
+const eventsPath = pathToFileURL(join(__dirname, '..', 'client', 'src', 'utils', 'events.js')).href
+const { removeGameListeners } = await import(eventsPath)
 
 // Load teams from database
 async function loadTeamsFromDatabase() {
@@ -41,7 +43,10 @@ async function loadTeamsFromDatabase() {
     division: row[4],
     conference: row[5],
     redZoneAggression: row[6] || 0,
-    tendencies: {}
+    tendencies: {},
+    fourthDownTendencies: {},
+    defenseTendencies: {},
+    roster: []
   }))
 
   // Load tendencies
@@ -67,6 +72,98 @@ async function loadTeamsFromDatabase() {
     })
   }
 
+  // Load 4th down go/punt/FG tendencies
+  const fourthDownResult = db.exec(`
+    SELECT c.team_id, t.quarter, t.score_diff, t.go_pct, t.punt_pct, t.fg_pct
+    FROM coach_fourth_down_tendencies t
+    JOIN coaches c ON t.coach_id = c.id
+  `)
+
+  if (fourthDownResult[0]) {
+    fourthDownResult[0].values.forEach(row => {
+      const team = teams.find(t => t.id === row[0])
+      if (team) {
+        const quarter = row[1]
+        if (!team.fourthDownTendencies[quarter]) team.fourthDownTendencies[quarter] = {}
+        team.fourthDownTendencies[quarter][row[2]] = {
+          go: row[3],
+          punt: row[4],
+          fg: row[5]
+        }
+      }
+    })
+  }
+
+  // Tables added after the original schema are missing from older databases
+  const hasTable = name => !!db.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = '${name}'`)[0]
+
+  // Load defensive call tendencies
+  const defenseResult = hasTable('coach_defense_tendencies')
+    ? db.exec(`
+      SELECT c.team_id, t.situation, t.base_pct, t.run_blitz_pct, t.pass_blitz_pct, t.prevent_pct, t.goal_line_pct
+      FROM coach_defense_tendencies t
+      JOIN coaches c ON t.coach_id = c.id
+    `)
+    : []
+
+  if (defenseResult[0]) {
+    defenseResult[0].values.forEach(row => {
+      const team = teams.find(t => t.id === row[0])
+      if (team) {
+        team.defenseTendencies[row[1]] = {
+          base: row[2],
+          run_blitz: row[3],
+          pass_blitz: row[4],
+          prevent: row[5],
+          goal_line: row[6]
+        }
+      }
+    })
+  }
+
+  // Load rosters (depth chart order)
+  const rosterResult = hasTable('players')
+    ? db.exec(`SELECT id, team_id, first_name, last_name, position, depth, jersey_number, role FROM players ORDER BY position, depth`)
+    : []
+
+  if (rosterResult[0]) {
+    rosterResult[0].values.forEach(row => {
+      const team = teams.find(t => t.id === row[1])
+      if (team) {
+        team.roster.push({
+          id: row[0],
+          firstName: row[2],
+          lastName: row[3],
+          position: row[4],
+          depth: row[5],
+          number: row[6],
+          role: row[7]
+        })
+      }
+    })
+  }
+
+  // Load team strength ratings
+  const ratingsResult = hasTable('team_ratings')
+    ? db.exec(`SELECT team_id, rush_offense, pass_offense, run_defense, pass_rush, coverage, kicking FROM team_ratings`)
+    : []
+
+  if (ratingsResult[0]) {
+    ratingsResult[0].values.forEach(row => {
+      const team = teams.find(t => t.id === row[0])
+      if (team) {
+        team.ratings = {
+          rushOffense: row[1],
+          passOffense: row[2],
+          runDefense: row[3],
+          passRush: row[4],
+          coverage: row[5],
+          kicking: row[6]
+        }
+      }
+    })
+  }
+
   db.close()
   return teams
 }
@@ -101,6 +198,32 @@ teams.forEach(team => {
   }
 })
 
+// Standings come from each game's gameEnd event (see events.js)
+function recordResult({ score, winner }, gameState) {
+  const homeRecord = records[gameState.homeTeam.id]
+  const awayRecord = records[gameState.awayTeam.id]
+
+  homeRecord.pointsFor += score.home
+  homeRecord.pointsAgainst += score.away
+  awayRecord.pointsFor += score.away
+  awayRecord.pointsAgainst += score.home
+
+  if (winner === 'home') {
+    homeRecord.wins++
+    homeRecord.homeWins++
+    awayRecord.losses++
+    awayRecord.awayLosses++
+  } else if (winner === 'away') {
+    awayRecord.wins++
+    awayRecord.awayWins++
+    homeRecord.losses++
+    homeRecord.homeLosses++
+  } else {
+    homeRecord.ties++
+    awayRecord.ties++
+  }
+}
+
 const startTime = Date.now()
 let gamesPlayed = 0
 const totalGames = 32 * 31 * GAMES_PER_MATCHUP
@@ -115,34 +238,17 @@ for (let i = 0; i < teams.length; i++) {
 
     // Play GAMES_PER_MATCHUP games with this home/away setup
     for (let g = 0; g < GAMES_PER_MATCHUP; g++) {
-      const gameState = initializeGame(homeTeam, awayTeam, false, false)
-
-      while (!isGameOver(gameState)) {
-        executePlay(gameState)
-      }
+      const gameState = initializeGame(homeTeam, awayTeam, false, false, {
+        listeners: { gameEnd: recordResult }
+      })
 
-      // Update records
-      const homeRecord = records[homeTeam.id]
-      const awayRecord = records[awayTeam.id]
-
-      homeRecord.pointsFor += gameState.score.home
-      homeRecord.pointsAgainst += gameState.score.away
-      awayRecord.pointsFor += gameState.score.away
-      awayRecord.pointsAgainst += gameState.score.home
-
-      if (gameState.score.home > gameState.score.away) {
-        homeRecord.wins++
-        homeRecord.homeWins++
-        awayRecord.losses++
-        awayRecord.awayLosses++
-      } else if (gameState.score.away > gameState.score.home) {
-        awayRecord.wins++
-        awayRecord.awayWins++
-        homeRecord.losses++
-        homeRecord.homeLosses++
-      } else {
-        homeRecord.ties++
-        awayRecord.ties++
+      try {
+        while (!isGameOver(gameState)) {
+          executePlay(gameState)
+        }
+      } finally {
+        // No-op after gameEnd; a game that throws still lets go of its handlers
+        removeGameListeners(gameState)
       }
 
       gamesPlayed++
@@ -164,6 +270,13 @@ const duration = (endTime - startTime) / 1000
 
 console.log(`\r  Completed ${gamesPlayed.toLocaleString()} games in ${duration.toFixed(1)}s                    \n`)
 
+// Average of a team's six strength ratings (50 = league average / unrated)
+function overallRating(team) {
+  if (!team.ratings) return 50
+  const values = Object.values(team.ratings)
+  return values.reduce((sum, value) => sum + value, 0) / values.length
+}
+
 // Sort by win percentage
 const sortedRecords = Object.values(records).sort((a, b) => {
   const aWinPct = a.wins / (a.wins + a.losses + a.ties)
@@ -173,9 +286,9 @@ const sortedRecords = Object.values(records).sort((a, b) => {
 
 // Print standings
 console.log(`\n📊 Final Standings`)
-console.log(`${'═'.repeat(80)}`)
-console.log(`  Rank  Team                      W      L    T    Win%    PF/G   PA/G   Diff`)
-console.log(`${'─'.repeat(80)}`)
+console.log(`${'═'.repeat(87)}`)
+console.log(`  Rank  Team                      W      L    T    Win%    PF/G   PA/G   Diff   Rtg`)
+console.log(`${'─'.repeat(87)}`)
 
 sortedRecords.forEach((record, idx) => {
   const rank = (idx + 1).toString().padStart(2)
@@ -190,14 +303,16 @@ sortedRecords.forEach((record, idx) => {
   const diff = record.pointsFor - record.pointsAgainst
   const diffStr = (diff >= 0 ? '+' : '') + diff
 
-  console.log(`  ${rank}.  ${name} ${wins}   ${losses}   ${ties}   ${winPct}%  ${ppg}  ${pag}  ${diffStr.padStart(7)}`)
+  const rating = overallRating(record.team).toFixed(1).padStart(5)
+
+  console.log(`  ${rank}.  ${name} ${wins}   ${losses}   ${ties}   ${winPct}%  ${ppg}  ${pag}  ${diffStr.padStart(7)}  ${rating}`)
 })
 
 // Best and worst
 const best = sortedRecords[0]
 const worst = sortedRecords[sortedRecords.length - 1]
 
-console.log(`\n${'═'.repeat(80)}`)
+console.log(`\n${'═'.repeat(87)}`)
 console.log(`\n🏆 BEST: ${best.team.city} ${best.team.name}`)
 console.log(`   Record: ${best.wins}-${best.losses}-${best.ties} (${(best.wins / (best.wins + best.losses + best.ties) * 100).toFixed(1)}%)`)
 console.log(`   Home: ${best.homeWins}-${best.homeLosses}, Away: ${best.awayWins}-${best.awayLosses}`)
@@ -4,6 +4,10 @@ import initSqlJs from 'sql.js'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
 import { readFileSync, writeFileSync, existsSync } from 'fs'
+import { OVERTIME_POLICIES, DEFAULT_OVERTIME_POLICY, DEFAULT_PLAYOFF_OVERTIME_POLICY } from '../client/src/utils/overtime.js'
+import { DEFAULT_RULES, resolveRules } from '../client/src/utils/rules.js'
+import { getGameWeather } from '../client/src/utils/weather.js'
+import { getAvailableRoster } from '../client/src/utils/injuries.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -13,7 +17,8 @@ const PORT = process.env.PORT || 3001
 
 // Middleware
 app.use(cors())
-app.use(express.json())
+// Saved games carry the full play log, well past the 100kb default
+app.use(express.json({ limit: '2mb' }))
 
 // Serve static files from React build (for production)
 app.use(express.static(join(__dirname, '..', 'client', 'dist')))
@@ -76,6 +81,8 @@ async function initDatabase() {
       home_team_id INTEGER NOT NULL,
       simulated INTEGER DEFAULT 0,
       game_id INTEGER,
+      playoff INTEGER DEFAULT 0,
+      overtime_policy TEXT,
       FOREIGN KEY (away_team_id) REFERENCES teams(id),
       FOREIGN KEY (home_team_id) REFERENCES teams(id),
       FOREIGN KEY (game_id) REFERENCES games(id)
@@ -90,6 +97,14 @@ async function initDatabase() {
       home_score INTEGER NOT NULL,
       away_score INTEGER NOT NULL,
       total_plays INTEGER,
+      seed INTEGER,
+      mode TEXT DEFAULT 'sim',
+      overtime_policy TEXT,
+      rules TEXT,
+      weather_temperature INTEGER,
+      weather_wind INTEGER,
+      weather_precipitation TEXT,
+      dome INTEGER,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (home_team_id) REFERENCES teams(id),
       FOREIGN KEY (away_team_id) REFERENCES teams(id)
@@ -145,8 +160,14 @@ async function initDatabase() {
       punt_return_touchdowns INTEGER DEFAULT 0,
       int_return_yards INTEGER DEFAULT 0,
       int_return_touchdowns INTEGER DEFAULT 0,
+      fumble_return_yards INTEGER DEFAULT 0,
+      fumble_return_touchdowns INTEGER DEFAULT 0,
       -- Time
       time_of_possession INTEGER DEFAULT 0,
+      timeouts_used INTEGER DEFAULT 0,
+      -- Penalties
+      penalties INTEGER DEFAULT 0,
+      penalty_yards INTEGER DEFAULT 0,
       -- Legacy columns for backwards compatibility
       passing_yards INTEGER DEFAULT 0,
       total_yards INTEGER DEFAULT 0,
@@ -156,6 +177,165 @@ async function initDatabase() {
     )
   `)
 
+  // Team strength ratings (populated by seed.js)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS team_ratings (
+      team_id INTEGER PRIMARY KEY,
+      rush_offense INTEGER NOT NULL DEFAULT 50,
+      pass_offense INTEGER NOT NULL DEFAULT 50,
+      run_defense INTEGER NOT NULL DEFAULT 50,
+      pass_rush INTEGER NOT NULL DEFAULT 50,
+      coverage INTEGER NOT NULL DEFAULT 50,
+      kicking INTEGER NOT NULL DEFAULT 50,
+      FOREIGN KEY (team_id) REFERENCES teams(id)
+    )
+  `)
+
+  // Defensive coordinator call tendencies (populated by seed.js)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS coach_defense_tendencies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      coach_id INTEGER NOT NULL,
+      situation TEXT NOT NULL,
+      base_pct INTEGER NOT NULL,
+      run_blitz_pct INTEGER NOT NULL,
+      pass_blitz_pct INTEGER NOT NULL,
+      prevent_pct INTEGER NOT NULL,
+      goal_line_pct INTEGER NOT NULL,
+      FOREIGN KEY (coach_id) REFERENCES coaches(id),
+      UNIQUE(coach_id, situation)
+    )
+  `)
+
+  // Rosters (populated by seed.js)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS players (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      team_id INTEGER NOT NULL,
+      first_name TEXT NOT NULL,
+      last_name TEXT NOT NULL,
+      position TEXT NOT NULL,
+      depth INTEGER NOT NULL DEFAULT 1,
+      jersey_number INTEGER,
+      role TEXT,
+      FOREIGN KEY (team_id) REFERENCES teams(id)
+    )
+  `)
+
+  // Individual stat lines per game
+  db.run(`
+    CREATE TABLE IF NOT EXISTS player_game_stats (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      game_id INTEGER NOT NULL,
+      player_id INTEGER NOT NULL,
+      team_id INTEGER NOT NULL,
+      -- Passing
+      pass_attempts INTEGER DEFAULT 0,
+      pass_completions INTEGER DEFAULT 0,
+      pass_yards INTEGER DEFAULT 0,
+      pass_touchdowns INTEGER DEFAULT 0,
+      interceptions_thrown INTEGER DEFAULT 0,
+      sacks_taken INTEGER DEFAULT 0,
+      -- Rushing
+      rush_attempts INTEGER DEFAULT 0,
+      rush_yards INTEGER DEFAULT 0,
+      rush_touchdowns INTEGER DEFAULT 0,
+      -- Receiving
+      targets INTEGER DEFAULT 0,
+      receptions INTEGER DEFAULT 0,
+      rec_yards INTEGER DEFAULT 0,
+      rec_touchdowns INTEGER DEFAULT 0,
+      fumbles_lost INTEGER DEFAULT 0,
+      -- Defense
+      tackles INTEGER DEFAULT 0,
+      sacks INTEGER DEFAULT 0,
+      interceptions INTEGER DEFAULT 0,
+      def_touchdowns INTEGER DEFAULT 0,
+      -- Kicking
+      fg_attempted INTEGER DEFAULT 0,
+      fg_made INTEGER DEFAULT 0,
+      xp_attempted INTEGER DEFAULT 0,
+      xp_made INTEGER DEFAULT 0,
+      punts INTEGER DEFAULT 0,
+      punt_yards INTEGER DEFAULT 0,
+      -- Returns
+      kick_returns INTEGER DEFAULT 0,
+      kick_return_yards INTEGER DEFAULT 0,
+      punt_returns INTEGER DEFAULT 0,
+      punt_return_yards INTEGER DEFAULT 0,
+      return_touchdowns INTEGER DEFAULT 0,
+      FOREIGN KEY (game_id) REFERENCES games(id),
+      FOREIGN KEY (player_id) REFERENCES players(id),
+      FOREIGN KEY (team_id) REFERENCES teams(id)
+    )
+  `)
+
+  // Players hurt in a game (see injuries.js); out until return_week
+  db.run(`
+    CREATE TABLE IF NOT EXISTS injuries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      game_id INTEGER NOT NULL,
+      player_id INTEGER NOT NULL,
+      team_id INTEGER NOT NULL,
+      injury TEXT NOT NULL,
+      weeks INTEGER NOT NULL,
+      week INTEGER,
+      return_week INTEGER,
+      quarter INTEGER,
+      FOREIGN KEY (game_id) REFERENCES games(id),
+      FOREIGN KEY (player_id) REFERENCES players(id),
+      FOREIGN KEY (team_id) REFERENCES teams(id)
+    )
+  `)
+
+  // Play-by-play (situation at the snap for each play, kickoffs included)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS plays (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      game_id INTEGER NOT NULL,
+      sequence INTEGER NOT NULL,
+      play_number INTEGER,
+      quarter INTEGER NOT NULL,
+      clock INTEGER NOT NULL,
+      down INTEGER,
+      distance INTEGER,
+      yardline INTEGER,
+      possession TEXT NOT NULL,
+      team_id INTEGER NOT NULL,
+      play_type TEXT NOT NULL,
+      play_call TEXT,
+      yards INTEGER DEFAULT 0,
+      description TEXT,
+      home_win_prob REAL,
+      epa REAL,
+      details TEXT,
+      FOREIGN KEY (game_id) REFERENCES games(id),
+      FOREIGN KEY (team_id) REFERENCES teams(id)
+    )
+  `)
+
+  // One row per possession (see drives.js)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS drives (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      game_id INTEGER NOT NULL,
+      team_id INTEGER NOT NULL,
+      drive_number INTEGER NOT NULL,
+      start_quarter INTEGER NOT NULL,
+      start_clock INTEGER NOT NULL,
+      start_yardline INTEGER NOT NULL,
+      end_quarter INTEGER,
+      end_clock INTEGER,
+      plays INTEGER DEFAULT 0,
+      net_yards INTEGER DEFAULT 0,
+      time_consumed INTEGER DEFAULT 0,
+      result TEXT NOT NULL,
+      points INTEGER DEFAULT 0,
+      FOREIGN KEY (game_id) REFERENCES games(id),
+      FOREIGN KEY (team_id) REFERENCES teams(id)
+    )
+  `)
+
   // Scoring log for newspaper-style game summaries
   db.run(`
     CREATE TABLE IF NOT EXISTS scoring_log (
@@ -176,9 +356,59 @@ async function initDatabase() {
     )
   `)
 
+  // League-wide options, one row per key (see LEAGUE_SETTING_DEFAULTS)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS league_settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    )
+  `)
+
+  // Columns added after the original schema (existing databases need ALTER TABLE)
+  addMissingColumns('schedule', {
+    playoff: 'INTEGER DEFAULT 0',
+    overtime_policy: 'TEXT'  // Overrides the league setting for this game
+  })
+  addMissingColumns('games', {
+    seed: 'INTEGER',
+    mode: "TEXT DEFAULT 'sim'",  // 'sim', 'human_vs_computer' or 'human_vs_human'
+    overtime_policy: 'TEXT',
+    rules: 'TEXT',  // JSON, the full rules the game was played under (see rules.js)
+    // Conditions (see weather.js); null for games played in neutral conditions
+    weather_temperature: 'INTEGER',
+    weather_wind: 'INTEGER',
+    weather_precipitation: 'TEXT',
+    dome: 'INTEGER'
+  })
+  addMissingColumns('plays', {
+    details: 'TEXT',
+    home_win_prob: 'REAL',
+    play_call: 'TEXT',
+    epa: 'REAL'
+  })
+  addMissingColumns('game_stats', {
+    timeouts_used: 'INTEGER DEFAULT 0',
+    penalties: 'INTEGER DEFAULT 0',
+    penalty_yards: 'INTEGER DEFAULT 0',
+    fumble_return_yards: 'INTEGER DEFAULT 0',
+    fumble_return_touchdowns: 'INTEGER DEFAULT 0'
+  })
+
   saveDatabase()
 }
 
+// Add columns that an older database file is missing
+// CREATE TABLE IF NOT EXISTS leaves existing tables untouched, so new columns go through here
+function addMissingColumns(table, columns) {
+  const existing = db.exec(`PRAGMA table_info(${table})`)
+  const names = existing[0] ? existing[0].values.map(row => row[1]) : []
+  Object.entries(columns).forEach(([name, type]) => {
+    if (!names.includes(name)) {
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`)
+    }
+  })
+}
+
 function saveDatabase() {
   const data = db.export()
   const buffer = Buffer.from(data)
@@ -214,6 +444,35 @@ function runSql(sql, params = []) {
   return { lastInsertRowid: result ? result.id : null }
 }
 
+// League settings and their values when a league hasn't set them
+const LEAGUE_SETTING_DEFAULTS = {
+  overtime_policy: DEFAULT_OVERTIME_POLICY,
+  playoff_overtime_policy: DEFAULT_PLAYOFF_OVERTIME_POLICY,
+  rules: DEFAULT_RULES  // Rules spec: preset name or { preset, ...overrides }
+}
+
+// Settings stored as JSON rather than plain text
+const JSON_SETTINGS = ['rules']
+
+function getLeagueSettings() {
+  const settings = { ...LEAGUE_SETTING_DEFAULTS }
+  queryAll('SELECT key, value FROM league_settings').forEach(row => {
+    if (row.key in settings) settings[row.key] = parseLeagueSetting(row)
+  })
+  return settings
+}
+
+// A stored setting's value; a JSON setting that doesn't parse falls back to its default
+function parseLeagueSetting(row) {
+  if (!JSON_SETTINGS.includes(row.key)) return row.value
+  try {
+    return JSON.parse(row.value)
+  } catch (error) {
+    console.error(`League setting ${row.key} is not valid JSON, using the default:`, error.message)
+    return LEAGUE_SETTING_DEFAULTS[row.key]
+  }
+}
+
 // Utility functions
 function getRandomSurname() {
   return surnames[Math.floor(Math.random() * surnames.length)]
@@ -254,6 +513,138 @@ function getTeamTendencies(teamId) {
   return tendencies
 }
 
+// Get coach 4th down go/punt/FG tendencies for a team
+// Shape: { [quarter]: { [score_diff]: { go, punt, fg } } }
+function getFourthDownTendencies(teamId) {
+  const rows = queryAll(`
+    SELECT t.quarter, t.score_diff, t.go_pct, t.punt_pct, t.fg_pct
+    FROM coach_fourth_down_tendencies t
+    JOIN coaches c ON t.coach_id = c.id
+    WHERE c.team_id = ?
+  `, [teamId])
+
+  const tendencies = {}
+  rows.forEach(row => {
+    if (!tendencies[row.quarter]) tendencies[row.quarter] = {}
+    tendencies[row.quarter][row.score_diff] = {
+      go: row.go_pct,
+      punt: row.punt_pct,
+      fg: row.fg_pct
+    }
+  })
+  return tendencies
+}
+
+// Get coach defensive call tendencies for a team
+// Shape: { [situation]: { base, run_blitz, pass_blitz, prevent, goal_line } }
+function getDefenseTendencies(teamId) {
+  const rows = queryAll(`
+    SELECT t.situation, t.base_pct, t.run_blitz_pct, t.pass_blitz_pct, t.prevent_pct, t.goal_line_pct
+    FROM coach_defense_tendencies t
+    JOIN coaches c ON t.coach_id = c.id
+    WHERE c.team_id = ?
+  `, [teamId])
+
+  const tendencies = {}
+  rows.forEach(row => {
+    tendencies[row.situation] = {
+      base: row.base_pct,
+      run_blitz: row.run_blitz_pct,
+      pass_blitz: row.pass_blitz_pct,
+      prevent: row.prevent_pct,
+      goal_line: row.goal_line_pct
+    }
+  })
+  return tendencies
+}
+
+// Get a team's roster in depth chart order
+// Shape: [{ id, firstName, lastName, position, depth, number, role }]
+function getTeamRoster(teamId) {
+  const rows = queryAll(`
+    SELECT * FROM players WHERE team_id = ? ORDER BY position, depth
+  `, [teamId])
+
+  return rows.map(row => ({
+    id: row.id,
+    firstName: row.first_name,
+    lastName: row.last_name,
+    position: row.position,
+    depth: row.depth,
+    number: row.jersey_number,
+    role: row.role
+  }))
+}
+
+// Week of the next unplayed game (the week after the last one once the season is over)
+function getCurrentWeek() {
+  const next = queryOne('SELECT MIN(week) as week FROM schedule WHERE simulated = 0')
+  if (next && next.week !== null) return next.week
+  const last = queryOne('SELECT MAX(week) as week FROM schedule')
+  return last && last.week !== null ? last.week + 1 : null
+}
+
+// A team's players who can't play in a week, most recent injury first
+// Shape: [{ id, firstName, lastName, position, depth, number, injury, weeks, week, returnWeek }]
+function getTeamInjuries(teamId, week) {
+  if (week === null) return []
+  const rows = queryAll(`
+    SELECT p.*, i.injury, i.weeks, i.week as injured_week, i.return_week
+    FROM injuries i
+    JOIN players p ON i.player_id = p.id
+    WHERE i.team_id = ? AND i.week < ? AND i.return_week > ?
+    ORDER BY i.week DESC, p.position, p.depth
+  `, [teamId, week, week])
+
+  return rows.map(row => ({
+    id: row.id,
+    firstName: row.first_name,
+    lastName: row.last_name,
+    position: row.position,
+    depth: row.depth,
+    number: row.jersey_number,
+    injury: row.injury,
+    weeks: row.weeks,
+    week: row.injured_week,
+    returnWeek: row.return_week
+  }))
+}
+
+// Get team strength ratings (null if the team has none - engine uses league average)
+// Shape: { rushOffense, passOffense, runDefense, passRush, coverage, kicking }
+function getTeamRatings(teamId) {
+  const row = queryOne('SELECT * FROM team_ratings WHERE team_id = ?', [teamId])
+  if (!row) return null
+  return {
+    rushOffense: row.rush_offense,
+    passOffense: row.pass_offense,
+    runDefense: row.run_defense,
+    passRush: row.pass_rush,
+    coverage: row.coverage,
+    kicking: row.kicking
+  }
+}
+
+// EPA per play for each offensive call (run/short/medium/long), from saved plays
+// Plays wiped out by a penalty and games saved before EPA was tracked don't count
+// Shape: { [teamId]: { [call]: { plays, epa_per_play } } }
+function getPlayCallEpa(teamId = null) {
+  const rows = queryAll(`
+    SELECT team_id, play_call, COUNT(*) as plays, ROUND(AVG(epa), 3) as epa_per_play
+    FROM plays
+    WHERE play_call IN ('run', 'short', 'medium', 'long') AND play_type != 'penalty' AND epa IS NOT NULL
+      ${teamId === null ? '' : 'AND team_id = ?'}
+    GROUP BY team_id, play_call
+  `, teamId === null ? [] : [teamId])
+
+  const byTeam = {}
+  rows.forEach(row => {
+    byTeam[row.team_id] = byTeam[row.team_id] || {}
+    byTeam[row.team_id][row.play_call] = { plays: row.plays, epa_per_play: row.epa_per_play }
+  })
+  return byTeam
+}
+
 // Routes
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'TI Football API is running' })
@@ -282,9 +673,28 @@ app.get('/api/teams/:id', (req, res) => {
     return res.status(404).json({ error: 'Team not found' })
   }
 
+  team.ratings = getTeamRatings(team.id)
+  team.roster = getTeamRoster(team.id)
   res.json(team)
 })
 
+// Injury report: players out for the current week (or ?week=N)
+app.get('/api/teams/:id/injuries', (req, res) => {
+  const teamId = parseInt(req.params.id)
+  if (!queryOne('SELECT id FROM teams WHERE id = ?', [teamId])) {
+    return res.status(404).json({ error: 'Team not found' })
+  }
+
+  let week = getCurrentWeek()
+  if (req.query.week !== undefined) {
+    week = parseInt(req.query.week)
+    if (isNaN(week)) {
+      return res.status(400).json({ error: 'week must be a number' })
+    }
+  }
+  res.json({ team_id: teamId, week, injuries: getTeamInjuries(teamId, week) })
+})
+
 // Coaches routes
 app.post('/api/coaches', (req, res) => {
   const { team_id } = req.body
@@ -297,6 +707,32 @@ app.post('/api/coaches', (req, res) => {
   res.json(coach)
 })
 
+// EPA per play by offensive call for every coach, plus the league as a whole
+app.get('/api/coaches/epa', (req, res) => {
+  const byTeam = getPlayCallEpa()
+  const coaches = queryAll(`
+    SELECT c.id as coach_id, c.first_name, c.last_name, t.id as team_id, t.abbreviation as team_abbr
+    FROM coaches c
+    JOIN teams t ON c.team_id = t.id
+    ORDER BY t.abbreviation
+  `)
+
+  const league = {}
+  Object.values(byTeam).forEach(calls => {
+    Object.entries(calls).forEach(([call, { plays, epa_per_play }]) => {
+      league[call] = league[call] || { plays: 0, epa: 0 }
+      league[call].plays += plays
+      league[call].epa += plays * epa_per_play
+    })
+  })
+
+  res.json({
+    league: Object.fromEntries(Object.entries(league).map(([call, { plays, epa }]) =>
+      [call, { plays, epa_per_play: Math.round(epa / plays * 1000) / 1000 }])),
+    coaches: coaches.map(coach => ({ ...coach, epa_by_call: byTeam[coach.team_id] || {} }))
+  })
+})
+
 app.get('/api/surnames/random', (req, res) => {
   res.json({ surname: getRandomSurname() })
 })
@@ -319,9 +755,33 @@ app.get('/api/schedule/next', (req, res) => {
     return res.status(404).json({ error: 'No unplayed games found' })
   }
 
+  // Overtime rules: the league rules' own (classic), else the game's, else the
+  // league's (playoff games have their own setting)
+  const settings = getLeagueSettings()
+  const rules = resolveRules(settings.rules)
+  nextGame.rules = settings.rules
+  nextGame.overtime_policy = rules.overtimePolicy || nextGame.overtime_policy ||
+    (nextGame.playoff ? settings.playoff_overtime_policy : settings.overtime_policy)
+  nextGame.overtime_locked = !!rules.overtimePolicy  // The game screen can't change it
+
+  // Conditions from the home city and game date (classic games have none)
+  nextGame.weather = rules.classic ? null : getGameWeather(nextGame.home_city, nextGame.game_date)
+
   // Include coach tendencies for both teams
   nextGame.home_tendencies = getTeamTendencies(nextGame.home_team_id)
   nextGame.away_tendencies = getTeamTendencies(nextGame.away_team_id)
+  nextGame.home_fourth_down_tendencies = getFourthDownTendencies(nextGame.home_team_id)
+  nextGame.away_fourth_down_tendencies = getFourthDownTendencies(nextGame.away_team_id)
+  nextGame.home_defense_tendencies = getDefenseTendencies(nextGame.home_team_id)
+  nextGame.away_defense_tendencies = getDefenseTendencies(nextGame.away_team_id)
+  nextGame.home_ratings = getTeamRatings(nextGame.home_team_id)
+  nextGame.away_ratings = getTeamRatings(nextGame.away_team_id)
+
+  // Injured players sit out; their backups move up the depth chart
+  nextGame.home_injuries = getTeamInjuries(nextGame.home_team_id, nextGame.week)
+  nextGame.away_injuries = getTeamInjuries(nextGame.away_team_id, nextGame.week)
+  nextGame.home_roster = getAvailableRoster(getTeamRoster(nextGame.home_team_id), nextGame.home_injuries.map(p => p.id))
+  nextGame.away_roster = getAvailableRoster(getTeamRoster(nextGame.away_team_id), nextGame.away_injuries.map(p => p.id))
 
   res.json(nextGame)
 })
@@ -386,19 +846,22 @@ app.get('/api/games', (req, res) => {
   res.json(games)
 })
 
-app.post('/api/games', (req, res) => {
-  const { home_team, away_team, home_score, away_score, total_plays, stats, scoring_log, schedule_game_number } = req.body
+// Insert a finished game and all its rows (call inside a transaction, see POST /api/games)
+function insertGame(body) {
+  const { home_team, away_team, home_score, away_score, total_plays, seed, mode, overtime_policy, rules, weather, stats, player_stats, plays, drives, scoring_log, injuries, schedule_game_number } = body
 
-  const result = runSql(
-    'INSERT INTO games (home_team_id, away_team_id, home_score, away_score, total_plays) VALUES (?, ?, ?, ?, ?)',
-    [home_team, away_team, home_score, away_score, total_plays]
+  db.run(
+    `INSERT INTO games (home_team_id, away_team_id, home_score, away_score, total_plays, seed, mode, overtime_policy, rules,
+      weather_temperature, weather_wind, weather_precipitation, dome) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [home_team, away_team, home_score, away_score, total_plays, seed ?? null, mode || 'sim', overtime_policy ?? null, rules ? JSON.stringify(rules) : null,
+      weather?.temperature ?? null, weather?.wind ?? null, weather?.precipitation ?? null, weather ? (weather.dome ? 1 : 0) : null]
   )
-  const gameId = result.lastInsertRowid
+  const gameId = queryOne('SELECT last_insert_rowid() as id').id
 
   // Insert stats for both teams (full stats)
   if (stats) {
     stats.forEach(stat => {
-      runSql(
+      db.run(
         `INSERT INTO game_stats (
           game_id, team_id,
           rushing_attempts, rushing_yards, rushing_touchdowns, rushing_fumbles, rushing_fumbles_lost,
@@ -409,10 +872,11 @@ app.post('/api/games', (req, res) => {
           xp_attempted, xp_made, two_pt_attempted, two_pt_made, fg_attempted, fg_made, safeties_scored,
           kick_return_attempts, kick_return_yards, kick_return_touchdowns,
           punt_return_attempts, punt_return_yards, punt_return_touchdowns,
-          int_return_yards, int_return_touchdowns,
-          time_of_possession,
+          int_return_yards, int_return_touchdowns, fumble_return_yards, fumble_return_touchdowns,
+          time_of_possession, timeouts_used,
+          penalties, penalty_yards,
           passing_yards, total_yards, turnovers
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           gameId, stat.team_id,
           stat.rushing_attempts || 0, stat.rushing_yards || 0, stat.rushing_touchdowns || 0, stat.rushing_fumbles || 0, stat.rushing_fumbles_lost || 0,
@@ -423,18 +887,67 @@ app.post('/api/games', (req, res) => {
           stat.xp_attempted || 0, stat.xp_made || 0, stat.two_pt_attempted || 0, stat.two_pt_made || 0, stat.fg_attempted || 0, stat.fg_made || 0, stat.safeties_scored || 0,
           stat.kick_return_attempts || 0, stat.kick_return_yards || 0, stat.kick_return_touchdowns || 0,
           stat.punt_return_attempts || 0, stat.punt_return_yards || 0, stat.punt_return_touchdowns || 0,
-          stat.int_return_yards || 0, stat.int_return_touchdowns || 0,
-          stat.time_of_possession || 0,
+          stat.int_return_yards || 0, stat.int_return_touchdowns || 0, stat.fumble_return_yards || 0, stat.fumble_return_touchdowns || 0,
+          stat.time_of_possession || 0, stat.timeouts_used || 0,
+          stat.penalties || 0, stat.penalty_yards || 0,
           stat.pass_yards || 0, (stat.rushing_yards || 0) + (stat.pass_yards || 0), stat.turnovers || 0
         ]
       )
     })
   }
 
+  // Insert individual stat lines
+  if (player_stats && player_stats.length > 0) {
+    player_stats.forEach(stat => {
+      db.run(
+        `INSERT INTO player_game_stats (
+          game_id, player_id, team_id,
+          pass_attempts, pass_completions, pass_yards, pass_touchdowns, interceptions_thrown, sacks_taken,
+          rush_attempts, rush_yards, rush_touchdowns,
+          targets, receptions, rec_yards, rec_touchdowns, fumbles_lost,
+          tackles, sacks, interceptions, def_touchdowns,
+          fg_attempted, fg_made, xp_attempted, xp_made, punts, punt_yards,
+          kick_returns, kick_return_yards, punt_returns, punt_return_yards, return_touchdowns
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          gameId, stat.player_id, stat.team_id,
+          stat.pass_attempts || 0, stat.pass_completions || 0, stat.pass_yards || 0, stat.pass_touchdowns || 0, stat.interceptions_thrown || 0, stat.sacks_taken || 0,
+          stat.rush_attempts || 0, stat.rush_yards || 0, stat.rush_touchdowns || 0,
+          stat.targets || 0, stat.receptions || 0, stat.rec_yards || 0, stat.rec_touchdowns || 0, stat.fumbles_lost || 0,
+          stat.tackles || 0, stat.sacks || 0, stat.interceptions || 0, stat.def_touchdowns || 0,
+          stat.fg_attempted || 0, stat.fg_made || 0, stat.xp_attempted || 0, stat.xp_made || 0, stat.punts || 0, stat.punt_yards || 0,
+          stat.kick_returns || 0, stat.kick_return_yards || 0, stat.punt_returns || 0, stat.punt_return_yards || 0, stat.return_touchdowns || 0
+        ]
+      )
+    })
+  }
+
+  // Insert play-by-play
+  if (plays && plays.length > 0) {
+    plays.forEach(play => {
+      db.run(
+        `INSERT INTO plays (game_id, sequence, play_number, quarter, clock, down, distance, yardline, possession, team_id, play_type, play_call, yards, description, home_win_prob, epa, details)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [gameId, play.sequence, play.play_number ?? null, play.quarter, play.clock, play.down ?? null, play.distance ?? null, play.yardline ?? null, play.possession, play.team_id, play.play_type, play.play_call ?? null, play.yards || 0, play.description, play.home_win_prob ?? null, play.epa ?? null, play.details ? JSON.stringify(play.details) : null]
+      )
+    })
+  }
+
+  // Insert drives
+  if (drives && drives.length > 0) {
+    drives.forEach(drive => {
+      db.run(
+        `INSERT INTO drives (game_id, team_id, drive_number, start_quarter, start_clock, start_yardline, end_quarter, end_clock, plays, net_yards, time_consumed, result, points)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [gameId, drive.team_id, drive.drive_number, drive.start_quarter, drive.start_clock, drive.start_yardline, drive.end_quarter ?? null, drive.end_clock ?? null, drive.plays || 0, drive.net_yards || 0, drive.time_consumed || 0, drive.result, drive.points || 0]
+      )
+    })
+  }
+
   // Insert scoring log entries
   if (scoring_log && scoring_log.length > 0) {
     scoring_log.forEach(entry => {
-      runSql(
+      db.run(
         `INSERT INTO scoring_log (game_id, quarter, time_remaining, team_id, score_type, play_type, yards, extra_point, home_score, away_score, description)
          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [gameId, entry.quarter, entry.time_remaining, entry.team_id, entry.score_type, entry.play_type, entry.yards, entry.extra_point, entry.home_score, entry.away_score, entry.description]
@@ -442,14 +955,43 @@ app.post('/api/games', (req, res) => {
     })
   }
 
+  // Insert injuries (players stay out of scheduled games until return_week)
+  if (injuries && injuries.length > 0) {
+    const scheduled = schedule_game_number ? queryOne('SELECT week FROM schedule WHERE game_number = ?', [schedule_game_number]) : null
+    const week = scheduled ? scheduled.week : null
+    injuries.forEach(injury => {
+      db.run(
+        `INSERT INTO injuries (game_id, player_id, team_id, injury, weeks, week, return_week, quarter)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [gameId, injury.player_id, injury.team_id, injury.injury, injury.weeks, week, week === null ? null : week + injury.weeks + 1, injury.quarter ?? null]
+      )
+    })
+  }
+
   // Mark schedule entry as completed and link to game
   if (schedule_game_number) {
-    runSql(
+    db.run(
       'UPDATE schedule SET simulated = 1, game_id = ? WHERE game_number = ?',
       [gameId, schedule_game_number]
     )
   }
 
+  return gameId
+}
+
+// Save a finished game. Its rows go in as one transaction, written to disk
+// once at the end (runSql writes the whole database after every statement)
+app.post('/api/games', (req, res) => {
+  db.run('BEGIN')
+  let gameId
+  try {
+    gameId = insertGame(req.body)
+    db.run('COMMIT')
+  } catch (error) {
+    db.run('ROLLBACK')
+    return res.status(500).json({ error: error.message })
+  }
+  saveDatabase()
   res.json({ id: gameId, message: 'Game saved successfully' })
 })
 
@@ -466,6 +1008,66 @@ app.get('/api/games/:id/scoring', (req, res) => {
   res.json(scoringLog)
 })
 
+// Get play-by-play for a game
+// Optional filters: ?quarter=4, ?possession=home|away|<team id>, ?type=run,pass
+app.get('/api/games/:id/plays', (req, res) => {
+  const gameId = parseInt(req.params.id)
+  const { quarter, possession, type } = req.query
+
+  const game = queryOne('SELECT id FROM games WHERE id = ?', [gameId])
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' })
+  }
+
+  const conditions = ['p.game_id = ?']
+  const params = [gameId]
+
+  if (quarter !== undefined) {
+    const q = parseInt(quarter)
+    if (isNaN(q)) {
+      return res.status(400).json({ error: 'quarter must be a number' })
+    }
+    conditions.push('p.quarter = ?')
+    params.push(q)
+  }
+
+  if (possession !== undefined) {
+    if (possession === 'home' || possession === 'away') {
+      conditions.push('p.possession = ?')
+      params.push(possession)
+    } else {
+      const teamId = parseInt(possession)
+      if (isNaN(teamId)) {
+        return res.status(400).json({ error: 'possession must be home, away or a team id' })
+      }
+      conditions.push('p.team_id = ?')
+      params.push(teamId)
+    }
+  }
+
+  if (type !== undefined) {
+    const types = type.split(',').map(t => t.trim()).filter(Boolean)
+    if (types.length > 0) {
+      conditions.push(`p.play_type IN (${types.map(() => '?').join(', ')})`)
+      params.push(...types)
+    }
+  }
+
+  const plays = queryAll(`
+    SELECT p.*, t.abbreviation as team_abbr
+    FROM plays p
+    JOIN teams t ON p.team_id = t.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY p.sequence
+  `, params)
+
+  // details is the full play log entry (what a replay needs), stored as JSON
+  plays.forEach(play => {
+    play.details = play.details ? JSON.parse(play.details) : null
+  })
+  res.json(plays)
+})
+
 // Get full game details (for reliving games)
 app.get('/api/games/:id', (req, res) => {
   const gameId = parseInt(req.params.id)
@@ -483,6 +1085,7 @@ app.get('/api/games/:id', (req, res) => {
   if (!game) {
     return res.status(404).json({ error: 'Game not found' })
   }
+  game.rules = game.rules ? JSON.parse(game.rules) : null
 
   const stats = queryAll(`
     SELECT gs.*, t.name as team_name, t.abbreviation as team_abbr
@@ -499,7 +1102,20 @@ app.get('/api/games/:id', (req, res) => {
     ORDER BY sl.id
   `, [gameId])
 
-  res.json({ game, stats, scoringLog })
+  const playerStats = queryAll(`
+    SELECT ps.*, p.first_name, p.last_name, p.position, p.jersey_number, t.abbreviation as team_abbr
+    FROM player_game_stats ps
+    JOIN players p ON ps.player_id = p.id
+    JOIN teams t ON ps.team_id = t.id
+    WHERE ps.game_id = ?
+  `, [gameId])
+
+  const drives = queryAll('SELECT * FROM drives WHERE game_id = ? ORDER BY drive_number', [gameId])
+
+  // Games saved before the full play log was kept can't be replayed
+  const replayable = !!queryOne('SELECT id FROM plays WHERE game_id = ? AND details IS NOT NULL LIMIT 1', [gameId])
+
+  res.json({ game, stats, scoringLog, playerStats, drives, replayable })
 })
 
 // Get all games for a team (season history)
@@ -555,12 +1171,28 @@ app.get('/api/teams/:id/stats', (req, res) => {
       SUM(kick_return_attempts) as kick_return_attempts,
       SUM(kick_return_yards) as kick_return_yards,
       SUM(kick_return_touchdowns) as kick_return_touchdowns,
-      SUM(time_of_possession) as time_of_possession
+      SUM(time_of_possession) as time_of_possession,
+      SUM(timeouts_used) as timeouts_used,
+      SUM(penalties) as penalties,
+      SUM(penalty_yards) as penalty_yards
     FROM game_stats
     WHERE team_id = ?
     GROUP BY team_id
   `, [teamId])
-  res.json(stats || { team_id: teamId, games_played: 0 })
+
+  // Drive efficiency (games saved before drives were tracked don't count)
+  const driveStats = queryOne(`
+    SELECT
+      COUNT(*) as drives,
+      ROUND(CAST(SUM(points) AS REAL) / COUNT(*), 2) as points_per_drive,
+      ROUND(AVG(start_yardline), 1) as avg_start_yardline
+    FROM drives
+    WHERE team_id = ?
+  `, [teamId])
+
+  const epaByCall = getPlayCallEpa(teamId)[teamId] || {}
+
+  res.json(stats ? { ...stats, ...driveStats, epa_by_call: epaByCall } : { team_id: teamId, games_played: 0 })
 })
 
 // Get list of all games in order (for game browser)
@@ -570,7 +1202,7 @@ app.get('/api/schedule/games', (req, res) => {
       s.game_number, s.week, s.game_date, s.game_day, s.simulated,
       away.city as away_city, away.name as away_name, away.abbreviation as away_abbr,
       home.city as home_city, home.name as home_name, home.abbreviation as home_abbr,
-      g.id as game_id, g.home_score, g.away_score
+      g.id as game_id, g.home_score, g.away_score, g.mode
     FROM schedule s
     JOIN teams away ON s.away_team_id = away.id
     JOIN teams home ON s.home_team_id = home.id
@@ -587,13 +1219,18 @@ app.post('/api/schedule/import', (req, res) => {
   if (!games || !Array.isArray(games)) {
     return res.status(400).json({ error: 'games array is required' })
   }
+  const badPolicy = games.find(game => game.overtime_policy && !OVERTIME_POLICIES[game.overtime_policy])
+  if (badPolicy) {
+    return res.status(400).json({ error: `Unknown overtime policy: ${badPolicy.overtime_policy}` })
+  }
 
   let imported = 0
   games.forEach(game => {
     runSql(
-      `INSERT OR REPLACE INTO schedule (game_number, week, game_date, game_day, away_team_id, home_team_id, simulated)
-       VALUES (?, ?, ?, ?, ?, ?, 0)`,
-      [game.game_number, game.week, game.game_date, game.game_day, game.away_team_id, game.home_team_id]
+      `INSERT OR REPLACE INTO schedule (game_number, week, game_date, game_day, away_team_id, home_team_id, simulated, playoff, overtime_policy)
+       VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?)`,
+      [game.game_number, game.week, game.game_date, game.game_day, game.away_team_id, game.home_team_id,
+        game.playoff ? 1 : 0, game.overtime_policy || null]
     )
     imported++
   })
@@ -601,9 +1238,43 @@ app.post('/api/schedule/import', (req, res) => {
   res.json({ message: `Imported ${imported} games` })
 })
 
+// League settings
+app.get('/api/settings', (req, res) => {
+  res.json(getLeagueSettings())
+})
+
+app.put('/api/settings', (req, res) => {
+  const updates = req.body || {}
+  for (const [key, value] of Object.entries(updates)) {
+    if (!(key in LEAGUE_SETTING_DEFAULTS)) {
+      return res.status(400).json({ error: `Unknown setting: ${key}` })
+    }
+    if (key.endsWith('overtime_policy') && !OVERTIME_POLICIES[value]) {
+      return res.status(400).json({ error: `Unknown overtime policy: ${value}` })
+    }
+    if (key === 'rules') {
+      try {
+        resolveRules(value)
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+    }
+  }
+
+  Object.entries(updates).forEach(([key, value]) => {
+    const stored = JSON_SETTINGS.includes(key) ? JSON.stringify(value) : String(value)
+    runSql('INSERT OR REPLACE INTO league_settings (key, value) VALUES (?, ?)', [key, stored])
+  })
+  res.json(getLeagueSettings())
+})
+
 // Clear all game data (for resetting a season)
 app.post('/api/season/reset', (req, res) => {
   runSql('DELETE FROM scoring_log')
+  runSql('DELETE FROM player_game_stats')
+  runSql('DELETE FROM injuries')
+  runSql('DELETE FROM plays')
+  runSql('DELETE FROM drives')
   runSql('DELETE FROM game_stats')
   runSql('DELETE FROM games')
   runSql('UPDATE schedule SET simulated = 0, game_id = NULL')
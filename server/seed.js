@@ -75,6 +75,51 @@ function generatePlayTendencies(situation) {
   }
 }
 
+/**
+ * Situational ranges for defensive call generation
+ * Same down/distance situations as play tendencies, plus offense inside the 5
+ * (goal_line) and defense ahead in the final 2:00 of a half (late_lead)
+ */
+const DEFENSE_TENDENCY_RANGES = {
+  '1st_10':     { base: [55, 75], run_blitz: [12, 28], pass_blitz: [8, 18], prevent: [0, 5], goal_line: [0, 0] },
+  '2nd_short':  { base: [40, 60], run_blitz: [25, 45], pass_blitz: [5, 15], prevent: [0, 0], goal_line: [0, 10] },
+  '2nd_medium': { base: [55, 75], run_blitz: [10, 20], pass_blitz: [10, 25], prevent: [0, 5], goal_line: [0, 0] },
+  '2nd_long':   { base: [50, 70], run_blitz: [0, 10], pass_blitz: [15, 35], prevent: [5, 15], goal_line: [0, 0] },
+  '3rd_short':  { base: [30, 50], run_blitz: [30, 50], pass_blitz: [5, 15], prevent: [0, 0], goal_line: [5, 15] },
+  '3rd_medium': { base: [45, 65], run_blitz: [5, 15], pass_blitz: [20, 40], prevent: [0, 10], goal_line: [0, 0] },
+  '3rd_long':   { base: [40, 60], run_blitz: [0, 10], pass_blitz: [20, 40], prevent: [10, 25], goal_line: [0, 0] },
+  '4th_short':  { base: [25, 45], run_blitz: [30, 50], pass_blitz: [5, 15], prevent: [0, 0], goal_line: [10, 20] },
+  '4th_medium': { base: [40, 60], run_blitz: [10, 20], pass_blitz: [20, 40], prevent: [0, 10], goal_line: [0, 0] },
+  '4th_long':   { base: [35, 55], run_blitz: [0, 10], pass_blitz: [25, 45], prevent: [10, 25], goal_line: [0, 0] },
+  'goal_line':  { base: [20, 40], run_blitz: [10, 20], pass_blitz: [5, 15], prevent: [0, 0], goal_line: [35, 55] },
+  'late_lead':  { base: [25, 45], run_blitz: [0, 10], pass_blitz: [5, 15], prevent: [35, 65], goal_line: [0, 0] }
+}
+
+/**
+ * Generate defensive call tendencies for a situation
+ * Each value is randomly generated within situational ranges, then normalized to 100%
+ */
+function generateDefenseTendencies(situation) {
+  const ranges = DEFENSE_TENDENCY_RANGES[situation] || DEFENSE_TENDENCY_RANGES['1st_10']
+  const pick = ([min, max]) => min + Math.random() * (max - min)
+
+  const base = pick(ranges.base)
+  const runBlitz = pick(ranges.run_blitz)
+  const passBlitz = pick(ranges.pass_blitz)
+  const prevent = pick(ranges.prevent)
+  const goalLine = pick(ranges.goal_line)
+
+  // Normalize to 100%
+  const total = base + runBlitz + passBlitz + prevent + goalLine
+  return {
+    base_pct: Math.round((base / total) * 100),
+    run_blitz_pct: Math.round((runBlitz / total) * 100),
+    pass_blitz_pct: Math.round((passBlitz / total) * 100),
+    prevent_pct: Math.round((prevent / total) * 100),
+    goal_line_pct: Math.round((goalLine / total) * 100)
+  }
+}
+
 /**
  * Generate 4th down go/punt/fg tendencies
  */
@@ -105,6 +150,80 @@ function generateFourthDownTendencies(quarter, scoreDiff) {
   return { go_pct, punt_pct, fg_pct }
 }
 
+/**
+ * Generate team strength ratings (1-99, league average 50)
+ * Sum of three random values gives a bell curve: most teams 35-65, a few standouts
+ */
+function generateTeamRatings() {
+  const rating = () => {
+    const spread = (Math.random() + Math.random() + Math.random() - 1.5) * 30
+    return Math.max(1, Math.min(99, Math.round(50 + spread)))
+  }
+  return {
+    rush_offense: rating(),
+    pass_offense: rating(),
+    run_defense: rating(),
+    pass_rush: rating(),
+    coverage: rating(),
+    kicking: rating()
+  }
+}
+
+/**
+ * Roster template: position, how many deep, and jersey number range
+ * Returners are flagged by role: KR is the third running back, PR the fourth receiver
+ */
+const ROSTER_TEMPLATE = [
+  { position: 'QB', count: 2, numbers: [1, 19] },
+  { position: 'RB', count: 3, numbers: [20, 39] },
+  { position: 'WR', count: 4, numbers: [80, 89] },
+  { position: 'TE', count: 2, numbers: [40, 49] },
+  { position: 'K', count: 1, numbers: [1, 19] },
+  { position: 'P', count: 1, numbers: [1, 19] },
+  { position: 'DL', count: 4, numbers: [90, 99] },
+  { position: 'LB', count: 3, numbers: [50, 59] },
+  { position: 'DB', count: 4, numbers: [20, 39] }
+]
+
+const RETURNER_ROLES = { 'RB-3': 'KR', 'WR-4': 'PR' }
+
+/**
+ * Generate a team's roster with unique surnames and jersey numbers
+ */
+function generateRoster() {
+  const usedNames = new Set()
+  const usedNumbers = new Set()
+  const roster = []
+
+  ROSTER_TEMPLATE.forEach(({ position, count, numbers }) => {
+    for (let depth = 1; depth <= count; depth++) {
+      let lastName = getRandomSurname()
+      while (usedNames.has(lastName)) lastName = getRandomSurname()
+      usedNames.add(lastName)
+
+      // Pick a free number in the position range (fall back to any free number)
+      const [min, max] = numbers
+      let number = min + Math.floor(Math.random() * (max - min + 1))
+      for (let tries = 0; usedNumbers.has(number) && tries < 50; tries++) {
+        number = min + Math.floor(Math.random() * (max - min + 1))
+      }
+      while (usedNumbers.has(number)) number = 1 + Math.floor(Math.random() * 99)
+      usedNumbers.add(number)
+
+      roster.push({
+        first_name: getRandomFirstName(),
+        last_name: lastName,
+        position,
+        depth,
+        jersey_number: number,
+        role: RETURNER_ROLES[`${position}-${depth}`] || null
+      })
+    }
+  })
+
+  return roster
+}
+
 async function seed() {
   console.log('Seeding TI Football database...\n')
 
@@ -195,6 +314,50 @@ async function seed() {
     )
   `)
 
+  db.run(`
+    CREATE TABLE IF NOT EXISTS coach_defense_tendencies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      coach_id INTEGER NOT NULL,
+      situation TEXT NOT NULL,
+      base_pct INTEGER NOT NULL,
+      run_blitz_pct INTEGER NOT NULL,
+      pass_blitz_pct INTEGER NOT NULL,
+      prevent_pct INTEGER NOT NULL,
+      goal_line_pct INTEGER NOT NULL,
+      FOREIGN KEY (coach_id) REFERENCES coaches(id),
+      UNIQUE(coach_id, situation)
+    )
+  `)
+
+  // Rosters (depth chart order within each position)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS players (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      team_id INTEGER NOT NULL,
+      first_name TEXT NOT NULL,
+      last_name TEXT NOT NULL,
+      position TEXT NOT NULL,
+      depth INTEGER NOT NULL DEFAULT 1,
+      jersey_number INTEGER,
+      role TEXT,
+      FOREIGN KEY (team_id) REFERENCES teams(id)
+    )
+  `)
+
+  // Team strength ratings (drive the engine's guess ranges and rates)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS team_ratings (
+      team_id INTEGER PRIMARY KEY,
+      rush_offense INTEGER NOT NULL DEFAULT 50,
+      pass_offense INTEGER NOT NULL DEFAULT 50,
+      run_defense INTEGER NOT NULL DEFAULT 50,
+      pass_rush INTEGER NOT NULL DEFAULT 50,
+      coverage INTEGER NOT NULL DEFAULT 50,
+      kicking INTEGER NOT NULL DEFAULT 50,
+      FOREIGN KEY (team_id) REFERENCES teams(id)
+    )
+  `)
+
 
   console.log('Tables created\n')
 
@@ -203,12 +366,14 @@ async function seed() {
 
   let teamCount = 0
   let coachCount = 0
+  let playerCount = 0
 
   const situations = [
     '1st_10', '2nd_short', '2nd_medium', '2nd_long',
     '3rd_short', '3rd_medium', '3rd_long',
     '4th_short', '4th_medium', '4th_long'
   ]
+  const defenseSituations = [...situations, 'goal_line', 'late_lead']
   const quarters = [1, 2, 3, 4]
   const scoreDiffs = ['up_0_7', 'down_1_7', 'up_7_plus', 'down_7_plus']
 
@@ -219,6 +384,22 @@ async function seed() {
     )
     teamCount++
 
+    // Team strength ratings
+    const r = generateTeamRatings()
+    db.run(
+      'INSERT INTO team_ratings (team_id, rush_offense, pass_offense, run_defense, pass_rush, coverage, kicking) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [team.id, r.rush_offense, r.pass_offense, r.run_defense, r.pass_rush, r.coverage, r.kicking]
+    )
+
+    // Roster
+    generateRoster().forEach(p => {
+      db.run(
+        'INSERT INTO players (team_id, first_name, last_name, position, depth, jersey_number, role) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [team.id, p.first_name, p.last_name, p.position, p.depth, p.jersey_number, p.role]
+      )
+      playerCount++
+    })
+
     // Assign a random coach to each team
     const coachFirstName = getRandomFirstName()
     const coachLastName = getRandomSurname()
@@ -240,6 +421,15 @@ async function seed() {
       )
     })
 
+    // Generate defensive call tendencies (defensive coordinator)
+    defenseSituations.forEach(situation => {
+      const t = generateDefenseTendencies(situation)
+      db.run(
+        'INSERT INTO coach_defense_tendencies (coach_id, situation, base_pct, run_blitz_pct, pass_blitz_pct, prevent_pct, goal_line_pct) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [coachId, situation, t.base_pct, t.run_blitz_pct, t.pass_blitz_pct, t.prevent_pct, t.goal_line_pct]
+      )
+    })
+
     // Generate 4th down decision tendencies
     quarters.forEach(quarter => {
       scoreDiffs.forEach(scoreDiff => {
@@ -261,7 +451,8 @@ async function seed() {
 
   console.log(`\nSeeding complete!`)
   console.log(`   ${teamCount} teams inserted`)
-  console.log(`   ${coachCount} coaches assigned\n`)
+  console.log(`   ${coachCount} coaches assigned`)
+  console.log(`   ${playerCount} players on rosters\n`)
 
   db.close()
 }
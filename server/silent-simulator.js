@@ -5,16 +5,35 @@
  * Useful for testing game balance and gathering statistics.
  *
  * Usage:
- *   node silent-simulator.js [--games N]
+ *   node silent-simulator.js [--games N] [--seed S] [--overtime POLICY] [--playoff] [--rules RULES] [--weather]
+ *   node silent-simulator.js --compare-rules RULES,RULES[,...] [--games N] [--seed S]
+ *   node silent-simulator.js --validate-overtime [--games N] [--seed S]
+ *   node silent-simulator.js --build-win-probability [--games N] [--seed S]
+ *   node silent-simulator.js --build-expected-points [--games N] [--seed S]
  *
  * Examples:
  *   node silent-simulator.js              # Run 100 games (default)
  *   node silent-simulator.js --games 1000 # Run 1000 games
+ *   node silent-simulator.js --seed 42    # Deterministic run (same seed = same results)
+ *   node silent-simulator.js --overtime college --playoff
+ *                                         # Overtime rules (see client/src/utils/overtime.js), no ties
+ *   node silent-simulator.js --rules classic_1979
+ *                                         # League rules: a preset or a JSON spec file (see client/src/utils/rules.js)
+ *   node silent-simulator.js --weather --games 1000
+ *                                         # Conditions from the home city on a date in the season, split by weather (see client/src/utils/weather.js)
+ *   node silent-simulator.js --compare-rules standard,classic_1979,my-league.json --games 1000
+ *                                         # Same matchups and seeds under each rule set, side by side
+ *   node silent-simulator.js --validate-overtime --games 1000 --seed 1
+ *                                         # NFL overtime: nobody wins before the other team has snapped the ball
+ *   node silent-simulator.js --build-win-probability --games 20000 --seed 1979
+ *                                         # Rebuild client/src/utils/winProbabilityTable.js (seeded teams, no database needed)
+ *   node silent-simulator.js --build-expected-points --games 20000 --seed 1979
+ *                                         # Rebuild client/src/utils/expectedPointsTable.js (seeded teams, no database needed)
  */
 
 import { fileURLToPath, pathToFileURL } from 'url'
 import { dirname, join } from 'path'
-import { readFileSync, existsSync } from 'fs'
+import { readFileSync, writeFileSync, existsSync } from 'fs'
 import initSqlJs from 'sql.js'
 
 const __filename = fileURLToPath(import.meta.url)
@@ -23,9 +42,22 @@ const __dirname = dirname(__filename)
 // Import game logic from client (convert to file:// URL for Windows compatibility)
 const gameEnginePath = pathToFileURL(join(__dirname, '..', 'client', 'src', 'utils', 'gameEngine.js')).href
 const gameSimPath = pathToFileURL(join(__dirname, '..', 'client', 'src', 'utils', 'gameSimulation.js')).href
+const randomPath = pathToFileURL(join(__dirname, '..', 'client', 'src', 'utils', 'random.js')).href
+const winProbabilityPath = pathToFileURL(join(__dirname, '..', 'client', 'src', 'utils', 'winProbability.js')).href
+const expectedPointsPath = pathToFileURL(join(__dirname, '..', 'client', 'src', 'utils', 'expectedPoints.js')).href
 
-const { initializeGame, executePlay, isGameOver } = await import(gameEnginePath)
+const rulesPath = pathToFileURL(join(__dirname, '..', 'client', 'src', 'utils', 'rules.js')).href
+const weatherPath = pathToFileURL(join(__dirname, '..', 'client', 'src', 'utils', 'weather.js')).href
+const eventsPath = pathToFileURL(join(__dirname, '..', 'client', 'src', 'utils', 'events.js')).href
+
+const { initializeGame, executePlay, isGameOver, getSituationKey } = await import(gameEnginePath)
 const { runningPlay } = await import(gameSimPath)
+const { createRng } = await import(randomPath)
+const { createWinProbabilityTally } = await import(winProbabilityPath)
+const { createExpectedPointsTally } = await import(expectedPointsPath)
+const { RULE_PRESETS, resolveRules } = await import(rulesPath)
+const { getGameWeather } = await import(weatherPath)
+const { removeGameListeners } = await import(eventsPath)
 
 // Load teams and coach tendencies from database
 async function loadTeamsFromDatabase() {
@@ -55,7 +87,10 @@ async function loadTeamsFromDatabase() {
     division: row[4],
     conference: row[5],
     redZoneAggression: row[6] || 0,  // -10 to +10, default 0
-    tendencies: {}
+    tendencies: {},
+    fourthDownTendencies: {},
+    defenseTendencies: {},
+    roster: []
   }))
 
   // Load tendencies for each team's coach
@@ -81,20 +116,133 @@ async function loadTeamsFromDatabase() {
     })
   }
 
+  // Load 4th down go/punt/FG tendencies
+  const fourthDownResult = db.exec(`
+    SELECT c.team_id, t.quarter, t.score_diff, t.go_pct, t.punt_pct, t.fg_pct
+    FROM coach_fourth_down_tendencies t
+    JOIN coaches c ON t.coach_id = c.id
+  `)
+
+  if (fourthDownResult[0]) {
+    fourthDownResult[0].values.forEach(row => {
+      const team = teams.find(t => t.id === row[0])
+      if (team) {
+        const quarter = row[1]
+        if (!team.fourthDownTendencies[quarter]) team.fourthDownTendencies[quarter] = {}
+        team.fourthDownTendencies[quarter][row[2]] = {
+          go: row[3],
+          punt: row[4],
+          fg: row[5]
+        }
+      }
+    })
+  }
+
+  // Tables added after the original schema are missing from older databases
+  const hasTable = name => !!db.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = '${name}'`)[0]
+
+  // Load defensive call tendencies
+  const defenseResult = hasTable('coach_defense_tendencies')
+    ? db.exec(`
+      SELECT c.team_id, t.situation, t.base_pct, t.run_blitz_pct, t.pass_blitz_pct, t.prevent_pct, t.goal_line_pct
+      FROM coach_defense_tendencies t
+      JOIN coaches c ON t.coach_id = c.id
+    `)
+    : []
+
+  if (defenseResult[0]) {
+    defenseResult[0].values.forEach(row => {
+      const team = teams.find(t => t.id === row[0])
+      if (team) {
+        team.defenseTendencies[row[1]] = {
+          base: row[2],
+          run_blitz: row[3],
+          pass_blitz: row[4],
+          prevent: row[5],
+          goal_line: row[6]
+        }
+      }
+    })
+  }
+
+  // Load rosters (depth chart order)
+  const rosterResult = hasTable('players')
+    ? db.exec(`SELECT id, team_id, first_name, last_name, position, depth, jersey_number, role FROM players ORDER BY position, depth`)
+    : []
+
+  if (rosterResult[0]) {
+    rosterResult[0].values.forEach(row => {
+      const team = teams.find(t => t.id === row[1])
+      if (team) {
+        team.roster.push({
+          id: row[0],
+          firstName: row[2],
+          lastName: row[3],
+          position: row[4],
+          depth: row[5],
+          number: row[6],
+          role: row[7]
+        })
+      }
+    })
+  }
+
+  // Load team strength ratings
+  const ratingsResult = hasTable('team_ratings')
+    ? db.exec(`SELECT team_id, rush_offense, pass_offense, run_defense, pass_rush, coverage, kicking FROM team_ratings`)
+    : []
+
+  if (ratingsResult[0]) {
+    ratingsResult[0].values.forEach(row => {
+      const team = teams.find(t => t.id === row[0])
+      if (team) {
+        team.ratings = {
+          rushOffense: row[1],
+          passOffense: row[2],
+          runDefense: row[3],
+          passRush: row[4],
+          coverage: row[5],
+          kicking: row[6]
+        }
+      }
+    })
+  }
+
   db.close()
   return teams
 }
 
+// The league's teams as seed.js creates them (server/data/nfl-teams.json), every
+// rating at the league average and no coaches, so play calling falls back to
+// the engine's defaults. The generated tables are built from these rather than
+// the local database, whose ratings and tendencies are random per install
+const LEAGUE_AVERAGE_RATINGS = {
+  rushOffense: 50,
+  passOffense: 50,
+  runDefense: 50,
+  passRush: 50,
+  coverage: 50,
+  kicking: 50
+}
+
+function loadSeededTeams() {
+  const teams = JSON.parse(readFileSync(join(__dirname, 'data', 'nfl-teams.json'), 'utf-8'))
+  return teams.map(team => ({ ...team, ratings: { ...LEAGUE_AVERAGE_RATINGS } }))
+}
+
 // Pick two random different teams
 function pickRandomMatchup(teams) {
-  const homeIdx = Math.floor(Math.random() * teams.length)
-  let awayIdx = Math.floor(Math.random() * teams.length)
+  const homeIdx = Math.floor(rng() * teams.length)
+  let awayIdx = Math.floor(rng() * teams.length)
   while (awayIdx === homeIdx) {
-    awayIdx = Math.floor(Math.random() * teams.length)
+    awayIdx = Math.floor(rng() * teams.length)
   }
   return { homeTeam: teams[homeIdx], awayTeam: teams[awayIdx] }
 }
 
+// Offensive calls compared in the EPA report
+const PLAY_CALLS = ['run', 'short', 'medium', 'long']
+
 // Parse command line arguments
 const args = process.argv.slice(2)
 let numGames = 100
@@ -102,6 +250,15 @@ let fourthDownTest = false
 let rotationMode = false
 let fullMode = true  // Use full game mode (with kickoffs/punts/FGs) - default on
 let validateYardlines = false
+let validateOvertime = false
+let buildWinProbability = false
+let buildExpectedPoints = false
+let seed = null
+let overtimePolicy  // Engine default unless set
+let playoff = false
+let rulesArg  // Preset name or JSON file; engine default unless set
+let compareRules = null
+let weatherMode = false
 
 for (let i = 0; i < args.length; i++) {
   if (args[i] === '--games' && args[i + 1]) {
@@ -122,10 +279,85 @@ for (let i = 0; i < args.length; i++) {
   if (args[i] === '--validate-yardlines') {
     validateYardlines = true
   }
+  if (args[i] === '--validate-overtime') {
+    validateOvertime = true
+  }
+  if (args[i] === '--build-win-probability') {
+    buildWinProbability = true
+  }
+  if (args[i] === '--build-expected-points') {
+    buildExpectedPoints = true
+  }
+  if (args[i] === '--seed' && args[i + 1]) {
+    seed = parseInt(args[i + 1], 10)
+  }
+  if (args[i] === '--overtime' && args[i + 1]) {
+    overtimePolicy = args[i + 1]
+  }
+  if (args[i] === '--playoff') {
+    playoff = true
+  }
+  if (args[i] === '--rules' && args[i + 1]) {
+    rulesArg = args[i + 1]
+  }
+  if (args[i] === '--compare-rules' && args[i + 1]) {
+    compareRules = args[i + 1].split(',')
+  }
+  if (args[i] === '--weather') {
+    weatherMode = true
+  }
+}
+
+// A rules argument is a preset name, or a .json file holding a spec ({ preset, ...overrides })
+function loadRulesSpec(arg) {
+  if (arg === undefined || RULE_PRESETS[arg]) return arg
+  if (!existsSync(arg)) {
+    console.log(`Unknown rules preset and no such file: ${arg} (presets: ${Object.keys(RULE_PRESETS).join(', ')})`)
+    process.exit(1)
+  }
+  return JSON.parse(readFileSync(arg, 'utf-8'))
+}
+
+function checkRulesSpec(arg) {
+  const spec = loadRulesSpec(arg)
+  try {
+    resolveRules(spec)
+  } catch (error) {
+    console.log(`${arg}: ${error.message}`)
+    process.exit(1)
+  }
+  return spec
+}
+
+const rules = checkRulesSpec(rulesArg)
+
+// Seeded mode: matchups and every game's seed derive from one generator,
+// so the whole run is reproducible. Otherwise each game gets a fresh seed.
+const rng = seed !== null ? createRng(seed) : Math.random
+
+function nextGameSeed() {
+  return seed !== null ? Math.floor(rng() * 4294967296) : undefined
 }
 
 const roundRobinMode = args.includes('--round-robin')
 
+// Weather mode: game N is played in week N % 18 of a season starting the
+// first Sunday in September, so the same run always gets the same dates
+const SEASON_START = Date.UTC(2025, 8, 7)
+const SEASON_WEEKS = 18
+
+function getSeasonDate(game) {
+  const date = new Date(SEASON_START + (game % SEASON_WEEKS) * 7 * 24 * 60 * 60 * 1000)
+  return date.toISOString().split('T')[0]
+}
+
+// Bucket for the weather report
+function getWeatherCondition(weather) {
+  if (weather.dome) return 'dome'
+  if (weather.precipitation !== 'none') return weather.precipitation
+  return weather.wind >= 15 ? 'windy' : 'clear'
+}
+
 // 4th down conversion probability test
 if (fourthDownTest) {
   console.log(`\n🏈 4th Down Conversion Probability Test (Running Plays)`)
@@ -145,7 +377,7 @@ if (fourthDownTest) {
   for (let needed = 1; needed <= 5; needed++) {
     for (let i = 0; i < trials; i++) {
       // 4th and 1 uses tighter coverage (1-4 vs 1-4)
-      const { yards } = runningPlay({ fourthAndOne: needed === 1 })
+      const { yards } = runningPlay({ fourthAndOne: needed === 1, rng })
       results[needed].attempts++
       if (yards >= needed) {
         results[needed].conversions++
@@ -182,10 +414,10 @@ if (validateYardlines) {
     // Pick teams
     let homeTeam, awayTeam
     if (useDbTeamsValidate) {
-      const homeIdx = Math.floor(Math.random() * dbTeamsPreload.length)
-      let awayIdx = Math.floor(Math.random() * dbTeamsPreload.length)
+      const homeIdx = Math.floor(rng() * dbTeamsPreload.length)
+      let awayIdx = Math.floor(rng() * dbTeamsPreload.length)
       while (awayIdx === homeIdx) {
-        awayIdx = Math.floor(Math.random() * dbTeamsPreload.length)
+        awayIdx = Math.floor(rng() * dbTeamsPreload.length)
       }
       homeTeam = dbTeamsPreload[homeIdx]
       awayTeam = dbTeamsPreload[awayIdx]
@@ -194,7 +426,7 @@ if (validateYardlines) {
       awayTeam = { id: 2, city: 'Away', name: 'Team', abbreviation: 'AWY' }
     }
 
-    const gameState = initializeGame(homeTeam, awayTeam, false, false)
+    const gameState = initializeGame(homeTeam, awayTeam, false, false, { seed: nextGameSeed() })
 
     while (!isGameOver(gameState)) {
       executePlay(gameState)
@@ -250,6 +482,160 @@ if (validateYardlines) {
   process.exit(invalidYardlines.length > 0 ? 1 : 0)
 }
 
+// Overtime validation: under the NFL policies a game the first team wins must
+// have given the other team a snap, unless the other team scored on defense
+// (then it's the one that won). Seed 27 of the mock matchup used to end on a
+// field goal on the first drive
+if (validateOvertime) {
+  console.log(`\n🏈 Overtime Validation Test`)
+  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`)
+  console.log(`Running ${numGames} games per policy, checking every overtime for a first-possession win...\n`)
+
+  const homeTeam = { id: 1, city: 'Home', name: 'Team', abbreviation: 'HME' }
+  const awayTeam = { id: 2, city: 'Away', name: 'Team', abbreviation: 'AWY' }
+  const otPolicies = ['nfl_regular', 'nfl_playoffs']
+  const gameSeeds = [27]
+  for (let game = 0; game < numGames; game++) {
+    gameSeeds.push(nextGameSeed() ?? Math.floor(Math.random() * 4294967296))
+  }
+
+  let overtimeGames = 0
+  let earlyWins = []
+  const startTimeOvertime = Date.now()
+
+  for (const policy of otPolicies) {
+    for (const gameSeed of gameSeeds) {
+      const gameState = initializeGame(homeTeam, awayTeam, false, false, { seed: gameSeed, overtimePolicy: policy, playoff: policy === 'nfl_playoffs' })
+      while (!isGameOver(gameState)) {
+        executePlay(gameState)
+      }
+      if (!gameState.overtime) continue
+      overtimeGames++
+
+      // The final regulation play is logged after overtime starts, so go by the snap's quarter
+      const otPlays = gameState.playLog.filter(play => play.snap.quarter >= 5)
+      const firstTeam = otPlays[0].possession
+      const otherTeam = firstTeam === 'home' ? 'away' : 'home'
+      // A snap is any scrimmage play, including one a live-ball foul wiped out
+      const otherSnapped = otPlays.some(play =>
+        play.snap.possession === otherTeam && play.snap.down !== null &&
+        (play.type !== 'penalty' || play.nullifiedPlay))
+      if (!otherSnapped && gameState.score[firstTeam] > gameState.score[otherTeam]) {
+        earlyWins.push({ policy, seed: gameSeed, score: { ...gameState.score }, lastPlay: otPlays[otPlays.length - 1].description })
+      }
+    }
+  }
+
+  const durationOvertime = (Date.now() - startTimeOvertime) / 1000
+
+  console.log(`📊 Results`)
+  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`)
+  console.log(`  Games simulated:            ${gameSeeds.length * otPolicies.length}`)
+  console.log(`  Overtime games:             ${overtimeGames}`)
+  console.log(`  First-possession wins:      ${earlyWins.length}`)
+
+  if (earlyWins.length > 0) {
+    console.log(`\n❌ OVERTIME ENDED BEFORE BOTH TEAMS HAD THE BALL:`)
+    earlyWins.slice(0, 20).forEach(win => {
+      console.log(`  ${win.policy} seed ${win.seed}: ${win.score.away}-${win.score.home} after "${win.lastPlay}"`)
+    })
+    if (earlyWins.length > 20) {
+      console.log(`  ... and ${earlyWins.length - 20} more`)
+    }
+  } else {
+    console.log(`\n✅ Every overtime gave both teams the ball!`)
+  }
+
+  console.log(`\n  Completed in ${durationOvertime.toFixed(2)} seconds`)
+  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`)
+  process.exit(earlyWins.length > 0 ? 1 : 0)
+}
+
+// Win probability table: record the state before every play, then credit it
+// with how the game came out for the team that had the ball
+if (buildWinProbability) {
+  console.log(`\n🏈 Win Probability Table`)
+  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`)
+  console.log(`Running ${numGames} games between the seeded teams at league-average ratings...\n`)
+
+  const tableTeams = loadSeededTeams()
+  const tally = createWinProbabilityTally()
+  const startTimeTable = Date.now()
+
+  for (let game = 0; game < numGames; game++) {
+    const { homeTeam, awayTeam } = pickRandomMatchup(tableTeams)
+    const gameState = initializeGame(homeTeam, awayTeam, false, false, { seed: nextGameSeed() })
+    const states = []
+    while (!isGameOver(gameState)) {
+      const { score, quarter, clock, possession, down, distance, yardline, awaitingKickoff } = gameState
+      states.push({ score: { ...score }, quarter, clock, possession, down, distance, yardline, awaitingKickoff })
+      executePlay(gameState)
+    }
+    tally.addGame(states, gameState.score)
+
+    if ((game + 1) % 1000 === 0 || game === numGames - 1) {
+      process.stdout.write(`\r  Simulated ${game + 1} / ${numGames} games`)
+    }
+  }
+
+  const table = { ...tally.toTable(), seed }
+  const tablePath = join(__dirname, '..', 'client', 'src', 'utils', 'winProbabilityTable.js')
+  writeFileSync(tablePath, [
+    '// Generated by: node silent-simulator.js --build-win-probability',
+    '// Do not edit by hand - rebuild after changes that move scoring or game flow',
+    `export const WIN_PROBABILITY_TABLE = ${JSON.stringify(table)}`,
+    ''
+  ].join('\n'))
+
+  console.log(`\n\n  Situations sampled:         ${table.samples}`)
+  console.log(`  Table cells:                ${table.values.length}`)
+  console.log(`  Wrote ${tablePath}`)
+  console.log(`\n  Completed in ${((Date.now() - startTimeTable) / 1000).toFixed(2)} seconds`)
+  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`)
+  process.exit(0)
+}
+
+// Expected points table: credit every snap with the next score in its half
+if (buildExpectedPoints) {
+  console.log(`\n🏈 Expected Points Table`)
+  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`)
+  console.log(`Running ${numGames} games between the seeded teams at league-average ratings...\n`)
+
+  const tableTeams = loadSeededTeams()
+  const tally = createExpectedPointsTally()
+  const startTimeTable = Date.now()
+
+  for (let game = 0; game < numGames; game++) {
+    const { homeTeam, awayTeam } = pickRandomMatchup(tableTeams)
+    const gameState = initializeGame(homeTeam, awayTeam, false, false, { seed: nextGameSeed() })
+    while (!isGameOver(gameState)) {
+      executePlay(gameState)
+    }
+    tally.addGame(gameState.playLog)
+
+    if ((game + 1) % 1000 === 0 || game === numGames - 1) {
+      process.stdout.write(`\r  Simulated ${game + 1} / ${numGames} games`)
+    }
+  }
+
+  const table = { ...tally.toTable(), seed }
+  const tablePath = join(__dirname, '..', 'client', 'src', 'utils', 'expectedPointsTable.js')
+  writeFileSync(tablePath, [
+    '// Generated by: node silent-simulator.js --build-expected-points',
+    '// Do not edit by hand - rebuild after changes that move scoring or game flow',
+    `export const EXPECTED_POINTS_TABLE = ${JSON.stringify(table)}`,
+    ''
+  ].join('\n'))
+
+  console.log(`\n\n  Snaps sampled:              ${table.samples}`)
+  console.log(`  Table cells:                ${table.values.length}`)
+  console.log(`  Kickoff EP (kicking team):  ${(table.kickoff / 100).toFixed(2)}`)
+  console.log(`  Wrote ${tablePath}`)
+  console.log(`\n  Completed in ${((Date.now() - startTimeTable) / 1000).toFixed(2)} seconds`)
+  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`)
+  process.exit(0)
+}
+
 // Use preloaded teams for other modes
 const dbTeams = dbTeamsPreload
 
@@ -328,13 +714,13 @@ if (roundRobinMode) {
     if (validOpponents.length === 0) break
 
     // Pick random opponent from valid ones
-    const team2 = validOpponents[Math.floor(Math.random() * validOpponents.length)]
+    const team2 = validOpponents[Math.floor(rng() * validOpponents.length)]
 
     // Randomly assign home/away
-    const homeTeam = Math.random() < 0.5 ? team1 : team2
+    const homeTeam = rng() < 0.5 ? team1 : team2
     const awayTeam = homeTeam === team1 ? team2 : team1
 
-    const gameState = initializeGame(homeTeam, awayTeam, false, false)
+    const gameState = initializeGame(homeTeam, awayTeam, false, false, { seed: nextGameSeed(), overtimePolicy, playoff, rules })
 
     while (!isGameOver(gameState)) {
       executePlay(gameState)
@@ -442,6 +828,69 @@ if (roundRobinMode) {
   process.exit(0)
 }
 
+// Rule set comparison: every rule set plays the same matchups with the same seeds
+if (compareRules) {
+  const specs = compareRules.map(checkRulesSpec)
+  const games = Array.from({ length: numGames }, () => ({
+    ...(useDbTeams ? pickRandomMatchup(dbTeams) : { homeTeam: mockHomeTeam, awayTeam: mockAwayTeam }),
+    seed: nextGameSeed() ?? Math.floor(Math.random() * 4294967296)
+  }))
+
+  console.log(`\n🏈 Rule Set Comparison`)
+  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`)
+  console.log(`Running ${numGames} games under each of ${compareRules.join(', ')}...\n`)
+  const startTimeCompare = Date.now()
+
+  const results = specs.map(spec => {
+    const totals = { points: 0, plays: 0, overtime: 0, ties: 0 }
+    const teamTotals = {}
+    games.forEach(({ homeTeam, awayTeam, seed: gameSeed }) => {
+      const gameState = initializeGame(homeTeam, awayTeam, false, false, { seed: gameSeed, overtimePolicy, playoff, rules: spec })
+      while (!isGameOver(gameState)) {
+        executePlay(gameState)
+      }
+      totals.points += gameState.score.home + gameState.score.away
+      totals.plays += gameState.playNumber
+      if (gameState.overtime) totals.overtime++
+      if (gameState.score.home === gameState.score.away) totals.ties++
+      for (const teamStats of [gameState.homeStats, gameState.awayStats]) {
+        for (const [key, value] of Object.entries(teamStats)) {
+          teamTotals[key] = (teamTotals[key] || 0) + value
+        }
+      }
+    })
+    return { totals, teamTotals }
+  })
+
+  const pct = (made, attempts) => attempts > 0 ? `${(made / attempts * 100).toFixed(1)}%` : '-'
+  const perGame = value => (value / numGames).toFixed(1)
+  const rows = [
+    ['Points/game', ({ totals }) => perGame(totals.points)],
+    ['Plays/game', ({ totals }) => perGame(totals.plays)],
+    ['Completion %', ({ teamTotals: t }) => pct(t.passCompletions, t.passAttempts)],
+    ['Interception %', ({ teamTotals: t }) => pct(t.passInterceptions, t.passAttempts)],
+    ['Sack %', ({ teamTotals: t }) => pct(t.sacks, t.passAttempts)],
+    ['Yards/carry', ({ teamTotals: t }) => (t.rushingYards / t.rushingAttempts).toFixed(2)],
+    ['FG %', ({ teamTotals: t }) => pct(t.fgMade, t.fgAttempted)],
+    ['FG attempts/game', ({ teamTotals: t }) => perGame(t.fgAttempted)],
+    ['XP %', ({ teamTotals: t }) => pct(t.xpMade, t.xpAttempted)],
+    ['2PT attempts/game', ({ teamTotals: t }) => perGame(t.twoPtAttempted)],
+    ['Kick return avg', ({ teamTotals: t }) => (t.kickReturnYards / (t.kickReturnAttempts || 1)).toFixed(1)],
+    ['Overtime games', ({ totals }) => pct(totals.overtime, numGames)],
+    ['Ties', ({ totals }) => pct(totals.ties, numGames)]
+  ]
+
+  const columnWidth = Math.max(16, ...compareRules.map(name => name.length + 2))
+  console.log(`  ${''.padEnd(20)}${compareRules.map(name => name.padStart(columnWidth)).join('')}`)
+  rows.forEach(([label, value]) => {
+    console.log(`  ${`${label}:`.padEnd(20)}${results.map(result => String(value(result)).padStart(columnWidth)).join('')}`)
+  })
+
+  console.log(`\n  Completed in ${((Date.now() - startTimeCompare) / 1000).toFixed(2)} seconds`)
+  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`)
+  process.exit(0)
+}
+
 // Statistics collectors
 const stats = {
   totalGames: 0,
@@ -458,35 +907,95 @@ const stats = {
   totalKickReturnYards: 0,
   totalPuntReturnYards: 0,
   totalIntReturnYards: 0,
+  totalFumbleReturnYards: 0,
+  totalBlockedKickReturnYards: 0,
   totalTwoPtAttempts: 0,
   totalTwoPtMade: 0,
   totalFirstDowns: 0,
+  totalTimeouts: 0,
+  totalPenalties: 0,
+  totalPenaltyYards: 0,
   totalTouchdowns: 0,
   totalRushingTDs: 0,
   totalPassingTDs: 0,
   totalKickReturnTDs: 0,
   totalPuntReturnTDs: 0,
   totalIntReturnTDs: 0,
+  totalFumbleReturnTDs: 0,
+  totalBlockedKickReturnTDs: 0,
   totalFumbles: 0,
   totalSafeties: 0,
   totalFgAttempts: 0,
   totalFgMade: 0,
+  totalPuntsBlocked: 0,
+  totalFgBlocked: 0,
+  totalPuntsMuffed: 0,
+  totalPuntsMuffedLost: 0,
+  totalFakePunts: 0,
+  totalFakeFieldGoals: 0,
   total3rdDownAttempts: 0,
   total3rdDownConversions: 0,
+  overtimeGames: 0,
+  injuries: { count: 0, weeks: 0, starters: 0 },
   homeWins: 0,
   awayWins: 0,
   ties: 0,
   highScore: 0,
   lowScore: Infinity,
   shutouts: 0,
-  pointsDistribution: {}
+  pointsDistribution: {},
+  defenseCalls: {},  // call -> { snaps, yards, passes, completions, sacks }
+  drives: { count: 0, points: 0, startYardline: 0, plays: 0, results: {} },
+  playCallEpa: {},  // situation -> call -> { plays, epa }
+  weather: {}  // condition -> { games, points, passAttempts, passCompletions, fgAttempts, fgMade, fumbles } (--weather)
 }
 
 console.log(`\n🏈 Silent Simulator`)
 console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`)
-const modeFlags = [rotationMode && 'rotation', fullMode && 'full', useDbTeams && '32 teams'].filter(Boolean).join(', ')
+const modeFlags = [rotationMode && 'rotation', fullMode && 'full', useDbTeams && '32 teams', seed !== null && `seed ${seed}`, overtimePolicy && `${overtimePolicy} overtime`, playoff && 'playoff', rulesArg && `${rulesArg} rules`, weatherMode && 'weather'].filter(Boolean).join(', ')
 console.log(`Running ${numGames} games...${modeFlags ? ` (${modeFlags})` : ''}\n`)
 
+// Collectors that plug into the engine's events (see events.js)
+const statListeners = {
+  // Touchdowns by how they were scored, and safeties
+  score: ({ entry }) => {
+    if (entry.score_type === 'TD') {
+      stats.totalTouchdowns++
+      if (entry.play_type === 'run') stats.totalRushingTDs++
+      else if (entry.play_type === 'pass') stats.totalPassingTDs++
+      else if (entry.play_type === 'kick_return') stats.totalKickReturnTDs++
+      else if (entry.play_type === 'punt_return') stats.totalPuntReturnTDs++
+      else if (entry.play_type === 'int_return') stats.totalIntReturnTDs++
+      else if (entry.play_type === 'fumble_return') stats.totalFumbleReturnTDs++
+      else if (entry.play_type === 'blocked_punt_return' || entry.play_type === 'blocked_fg_return') stats.totalBlockedKickReturnTDs++
+    }
+    if (entry.score_type === 'SAFETY') stats.totalSafeties++
+  },
+
+  // Defensive calls and EPA by offensive call (plays wiped out by an accepted penalty are left out)
+  play: ({ play }) => {
+    if (play.type === 'penalty') return
+
+    if (play.defenseCall) {
+      const call = stats.defenseCalls[play.defenseCall] ||
+        (stats.defenseCalls[play.defenseCall] = { snaps: 0, yards: 0, passes: 0, completions: 0, sacks: 0 })
+      call.snaps++
+      call.yards += play.yards || 0
+      if (play.type === 'pass' || play.type === 'sack') call.passes++
+      if (play.type === 'pass' && play.complete) call.completions++
+      if (play.type === 'sack') call.sacks++
+    }
+
+    if (PLAY_CALLS.includes(play.offenseCall)) {
+      const situation = getSituationKey(play.snap.down, play.snap.distance)
+      const calls = stats.playCallEpa[situation] || (stats.playCallEpa[situation] = {})
+      const call = calls[play.offenseCall] || (calls[play.offenseCall] = { plays: 0, epa: 0 })
+      call.plays++
+      call.epa += play.epa
+    }
+  }
+}
+
 const startTime = Date.now()
 
 // Run simulations
@@ -504,11 +1013,22 @@ for (let game = 0; game < numGames; game++) {
     awayTeam = mockAwayTeam
   }
 
-  const gameState = initializeGame(homeTeam, awayTeam, simplifiedMode, rotationMode)
+  const gameState = initializeGame(homeTeam, awayTeam, simplifiedMode, rotationMode, {
+    seed: nextGameSeed(),
+    listeners: statListeners,
+    overtimePolicy,
+    playoff,
+    rules,
+    weather: weatherMode ? getGameWeather(homeTeam.city, getSeasonDate(game)) : null
+  })
 
-  // Run until game is over
-  while (!isGameOver(gameState)) {
-    executePlay(gameState)
+  // Run until game is over (a game that throws drops its collectors too)
+  try {
+    while (!isGameOver(gameState)) {
+      executePlay(gameState)
+    }
+  } finally {
+    removeGameListeners(gameState)
   }
 
   // Collect game stats
@@ -530,28 +1050,35 @@ for (let game = 0; game < numGames; game++) {
   stats.totalTwoPtAttempts += gameState.homeStats.twoPtAttempted + gameState.awayStats.twoPtAttempted
   stats.totalTwoPtMade += gameState.homeStats.twoPtMade + gameState.awayStats.twoPtMade
   stats.totalFirstDowns += gameState.homeStats.firstDowns + gameState.awayStats.firstDowns
+  stats.totalTimeouts += gameState.homeStats.timeoutsUsed + gameState.awayStats.timeoutsUsed
+  stats.totalPenalties += gameState.homeStats.penalties + gameState.awayStats.penalties
+  stats.totalPenaltyYards += gameState.homeStats.penaltyYards + gameState.awayStats.penaltyYards
   const homeFumbles = gameState.homeStats.rushingFumblesLost + gameState.homeStats.recFumblesLost + gameState.homeStats.sackFumblesLost
   const awayFumbles = gameState.awayStats.rushingFumblesLost + gameState.awayStats.recFumblesLost + gameState.awayStats.sackFumblesLost
   stats.totalFumbles += homeFumbles + awayFumbles
 
-  // Count touchdowns and safeties from scoring log
-  if (gameState.scoringLog) {
-    for (const entry of gameState.scoringLog) {
-      if (entry.score_type === 'TD') {
-        stats.totalTouchdowns++
-        if (entry.play_type === 'run') stats.totalRushingTDs++
-        else if (entry.play_type === 'pass') stats.totalPassingTDs++
-        else if (entry.play_type === 'kick_return') stats.totalKickReturnTDs++
-        else if (entry.play_type === 'punt_return') stats.totalPuntReturnTDs++
-        else if (entry.play_type === 'int_return') stats.totalIntReturnTDs++
-      }
-      if (entry.score_type === 'SAFETY') stats.totalSafeties++
-    }
+  // Drives
+  for (const drive of gameState.drives) {
+    stats.drives.count++
+    stats.drives.points += drive.points
+    stats.drives.startYardline += drive.startYardline
+    stats.drives.plays += drive.plays
+    stats.drives.results[drive.result] = (stats.drives.results[drive.result] || 0) + 1
   }
 
   // Track return yardage
   stats.totalPuntReturnYards += gameState.homeStats.puntReturnYards + gameState.awayStats.puntReturnYards
-  stats.totalIntReturnYards += gameState.homeStats.interceptionReturnYards + gameState.awayStats.interceptionReturnYards
+  stats.totalIntReturnYards += gameState.homeStats.intReturnYards + gameState.awayStats.intReturnYards
+  stats.totalFumbleReturnYards += gameState.homeStats.fumbleReturnYards + gameState.awayStats.fumbleReturnYards
+  stats.totalBlockedKickReturnYards += gameState.homeStats.blockedKickReturnYards + gameState.awayStats.blockedKickReturnYards
+
+  // Track blocks, muffs, and fakes
+  stats.totalPuntsBlocked += gameState.homeStats.puntsBlocked + gameState.awayStats.puntsBlocked
+  stats.totalFgBlocked += gameState.homeStats.fgBlocked + gameState.awayStats.fgBlocked
+  stats.totalPuntsMuffed += gameState.homeStats.puntsMuffed + gameState.awayStats.puntsMuffed
+  stats.totalPuntsMuffedLost += gameState.homeStats.puntsMuffedLost + gameState.awayStats.puntsMuffedLost
+  stats.totalFakePunts += gameState.homeStats.fakePunts + gameState.awayStats.fakePunts
+  stats.totalFakeFieldGoals += gameState.homeStats.fakeFieldGoals + gameState.awayStats.fakeFieldGoals
 
   // Track field goals
   stats.totalFgAttempts += (gameState.homeStats.fgAttempted || 0) + (gameState.awayStats.fgAttempted || 0)
@@ -561,6 +1088,29 @@ for (let game = 0; game < numGames; game++) {
   stats.total3rdDownAttempts += (gameState.homeStats.thirdDownAttempts || 0) + (gameState.awayStats.thirdDownAttempts || 0)
   stats.total3rdDownConversions += (gameState.homeStats.thirdDownConversions || 0) + (gameState.awayStats.thirdDownConversions || 0)
 
+  if (gameState.overtime) stats.overtimeGames++
+
+  for (const injury of gameState.injuries) {
+    stats.injuries.count++
+    stats.injuries.weeks += injury.weeks
+    if (injury.depth === 1) stats.injuries.starters++
+  }
+
+  if (gameState.weather) {
+    const condition = getWeatherCondition(gameState.weather)
+    const split = stats.weather[condition] ||
+      (stats.weather[condition] = { games: 0, points: 0, passAttempts: 0, passCompletions: 0, fgAttempts: 0, fgMade: 0, fumbles: 0 })
+    split.games++
+    split.points += totalGamePoints
+    for (const teamStats of [gameState.homeStats, gameState.awayStats]) {
+      split.passAttempts += teamStats.passAttempts
+      split.passCompletions += teamStats.passCompletions
+      split.fgAttempts += teamStats.fgAttempted || 0
+      split.fgMade += teamStats.fgMade || 0
+      split.fumbles += teamStats.rushingFumbles + teamStats.recFumbles + teamStats.sackFumbles
+    }
+  }
+
   // Win/loss tracking
   if (gameState.score.home > gameState.score.away) {
     stats.homeWins++
@@ -611,7 +1161,7 @@ console.log(`━━━━━━━━━━━━━━━━━━━━━━
 console.log(`\n🏆 Scoring:`)
 console.log(`  Avg points/game (total):    ${avgPointsPerGame.toFixed(1)}`)
 console.log(`  Avg points/team/game:       ${avgPointsPerTeam.toFixed(1)}`)
-console.log(`  Avg touchdowns/game:        ${avgTDsPerGame.toFixed(2)} (${stats.totalRushingTDs} rush, ${stats.totalPassingTDs} pass, ${stats.totalKickReturnTDs + stats.totalPuntReturnTDs + stats.totalIntReturnTDs} return)`)
+console.log(`  Avg touchdowns/game:        ${avgTDsPerGame.toFixed(2)} (${stats.totalRushingTDs} rush, ${stats.totalPassingTDs} pass, ${stats.totalKickReturnTDs + stats.totalPuntReturnTDs + stats.totalIntReturnTDs + stats.totalFumbleReturnTDs + stats.totalBlockedKickReturnTDs} return)`)
 console.log(`  Total safeties:             ${stats.totalSafeties} (${(stats.totalSafeties / stats.totalGames).toFixed(2)}/game)`)
 console.log(`  High score (single team):   ${stats.highScore}`)
 console.log(`  Low score (single team):    ${stats.lowScore}`)
@@ -646,6 +1196,10 @@ if (stats.totalKickReturns > 0 || stats.totalPuntReturnYards > 0 || stats.totalI
   console.log(`  Punt return TDs:            ${stats.totalPuntReturnTDs}`)
   console.log(`  INT return yards:           ${stats.totalIntReturnYards} (${(stats.totalIntReturnYards / stats.totalGames).toFixed(1)}/game)`)
   console.log(`  INT return TDs (pick-6):    ${stats.totalIntReturnTDs}`)
+  console.log(`  Fumble return yards:        ${stats.totalFumbleReturnYards} (${(stats.totalFumbleReturnYards / stats.totalGames).toFixed(1)}/game)`)
+  console.log(`  Fumble return TDs:          ${stats.totalFumbleReturnTDs}`)
+  console.log(`  Blocked kick return yards:  ${stats.totalBlockedKickReturnYards}`)
+  console.log(`  Blocked kick return TDs:    ${stats.totalBlockedKickReturnTDs}`)
 }
 
 if (stats.totalTwoPtAttempts > 0) {
@@ -663,17 +1217,89 @@ if (stats.totalFgAttempts > 0) {
   console.log(`  Points from FGs:            ${stats.totalFgMade * 3} (${(stats.totalFgMade * 3 / stats.totalGames).toFixed(1)}/game)`)
 }
 
+if (fullMode) {
+  console.log(`\n🦶 Blocks, Muffs, and Fakes:`)
+  console.log(`  Blocked punts:              ${stats.totalPuntsBlocked}`)
+  console.log(`  Blocked field goals:        ${stats.totalFgBlocked}`)
+  console.log(`  Muffed punts:               ${stats.totalPuntsMuffed} (${stats.totalPuntsMuffedLost} lost)`)
+  console.log(`  Fake punts:                 ${stats.totalFakePunts}`)
+  console.log(`  Fake field goals:           ${stats.totalFakeFieldGoals}`)
+}
+
 console.log(`\n📈 Game Flow:`)
 console.log(`  Avg plays/game:             ${avgPlaysPerGame.toFixed(1)}`)
 console.log(`  Avg first downs/game:       ${avgFirstDownsPerGame.toFixed(1)}`)
 console.log(`  Avg turnovers/game:         ${avgFumblesPerGame.toFixed(2)}`)
+console.log(`  Avg timeouts used/game:     ${(stats.totalTimeouts / stats.totalGames).toFixed(2)}`)
+console.log(`  Avg penalties/game:         ${(stats.totalPenalties / stats.totalGames).toFixed(2)} (${(stats.totalPenaltyYards / stats.totalGames).toFixed(1)} yds)`)
 const thirdDownRate = stats.total3rdDownAttempts > 0 ? (stats.total3rdDownConversions / stats.total3rdDownAttempts * 100).toFixed(1) : '0.0'
 console.log(`  3rd down conversion:        ${thirdDownRate}% (${stats.total3rdDownConversions}/${stats.total3rdDownAttempts})`)
 
+const totalDefenseSnaps = Object.values(stats.defenseCalls).reduce((sum, call) => sum + call.snaps, 0)
+if (totalDefenseSnaps > 0) {
+  console.log(`\n🛡️  Defensive Calls:`)
+  console.log(`  Call          Snaps   Yds/play  Comp%   Sack%`)
+  for (const [name, call] of Object.entries(stats.defenseCalls)) {
+    const share = (call.snaps / totalDefenseSnaps * 100).toFixed(1).padStart(5)
+    const ypp = (call.yards / call.snaps).toFixed(2).padStart(6)
+    const comp = call.passes > 0 ? (call.completions / (call.passes - call.sacks) * 100).toFixed(1).padStart(5) : '    -'
+    const sack = call.passes > 0 ? (call.sacks / call.passes * 100).toFixed(1).padStart(5) : '    -'
+    console.log(`  ${name.padEnd(12)} ${share}%   ${ypp}   ${comp}%  ${sack}%`)
+  }
+}
+
+if (Object.keys(stats.playCallEpa).length > 0) {
+  console.log(`\n📈 EPA per Play by Call:`)
+  console.log(`  Situation      ${PLAY_CALLS.map(call => call.padStart(14)).join('')}`)
+  const situations = Object.keys(stats.playCallEpa).sort()
+  for (const situation of situations) {
+    const cells = PLAY_CALLS.map(name => {
+      const call = stats.playCallEpa[situation][name]
+      if (!call) return '-'.padStart(14)
+      return `${(call.epa / call.plays).toFixed(2)} (${call.plays})`.padStart(14)
+    })
+    console.log(`  ${situation.padEnd(12)} ${cells.join('')}`)
+  }
+}
+
+if (stats.drives.count > 0) {
+  const drives = stats.drives
+  console.log(`\n🚚 Drives:`)
+  console.log(`  Avg drives/game:            ${(drives.count / stats.totalGames).toFixed(1)}`)
+  console.log(`  Points per drive:           ${(drives.points / drives.count).toFixed(2)}`)
+  console.log(`  Avg starting yardline:      ${(drives.startYardline / drives.count).toFixed(1)}`)
+  console.log(`  Avg plays/drive:            ${(drives.plays / drives.count).toFixed(1)}`)
+  const results = Object.entries(drives.results)
+    .sort((a, b) => b[1] - a[1])
+    .map(([result, count]) => `${result} ${(count / drives.count * 100).toFixed(1)}%`)
+  console.log(`  Results:                    ${results.join(', ')}`)
+}
+
+if (Object.keys(stats.weather).length > 0) {
+  console.log(`\n🌦️  Weather:`)
+  console.log(`  Condition     Games   Pts/game   Comp %    FG %   Fumbles/game`)
+  for (const condition of ['dome', 'clear', 'windy', 'rain', 'snow']) {
+    const split = stats.weather[condition]
+    if (!split) continue
+    const comp = split.passAttempts > 0 ? (split.passCompletions / split.passAttempts * 100).toFixed(1) : '-'
+    const fg = split.fgAttempts > 0 ? (split.fgMade / split.fgAttempts * 100).toFixed(1) : '-'
+    console.log(`  ${condition.padEnd(12)} ${String(split.games).padStart(6)}   ${(split.points / split.games).toFixed(1).padStart(8)}   ${comp.padStart(6)}  ${fg.padStart(6)}   ${(split.fumbles / split.games).toFixed(2).padStart(12)}`)
+  }
+}
+
+if (stats.injuries.count > 0) {
+  const injuries = stats.injuries
+  console.log(`\n🩹 Injuries (not carried between games):`)
+  console.log(`  Injuries/game:              ${(injuries.count / stats.totalGames).toFixed(2)}`)
+  console.log(`  Avg weeks out:              ${(injuries.weeks / injuries.count).toFixed(1)}`)
+  console.log(`  To depth chart starters:    ${(injuries.starters / injuries.count * 100).toFixed(1)}%`)
+}
+
 console.log(`\n⚖️  Balance:`)
 console.log(`  Home wins:                  ${stats.homeWins} (${(stats.homeWins / stats.totalGames * 100).toFixed(1)}%)`)
 console.log(`  Away wins:                  ${stats.awayWins} (${(stats.awayWins / stats.totalGames * 100).toFixed(1)}%)`)
 console.log(`  Ties:                       ${stats.ties} (${(stats.ties / stats.totalGames * 100).toFixed(1)}%)`)
+console.log(`  Overtime games:             ${stats.overtimeGames} (${(stats.overtimeGames / stats.totalGames * 100).toFixed(1)}%)`)
 
 console.log(`\n⏱️  Performance:`)
 console.log(`  Total time:                 ${duration.toFixed(2)} seconds`)